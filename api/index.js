@@ -1,47 +1,219 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { createClient } from '@supabase/supabase-js';
+import crypto from "crypto";
+import multer from "multer";
+import QRCode from "qrcode";
+import {
+    ADMIN_ROLES, hashPassword, verifyPassword, verifyDummyPassword, signToken, verifyToken, hasRole, orderAccessToken, verifyOrderAccessToken
+} from "../lib/auth.js";
+import { priceOrderItems, stockLinesFor, roundMoney } from "../lib/pricing.js";
+import { getPushSender, isGoneError, pushSubscriptionSchema } from "../lib/push.js";
+import {
+    productSchema, productUpdateSchema, catalogItemSchema, saborCreateSchema, saborUpdateSchema, productFields, pickProductFields, expectedVersion
+} from "../lib/products.js";
+import { buildSalesReport, isIsoDate, localDayStartIso, REPORT_CSV_COLUMNS, REPORT_TIMEZONE } from "../lib/reports.js";
+import { encodeCursor, decodeCursor, pageLimit } from "../lib/pagination.js";
+import { orderEventBus, orderCategories, parseListParam, matchesStreamFilter, formatSseEvent } from "../lib/orderEvents.js";
+import { toCsv, parseCsv } from "../lib/csv.js";
+import {
+    CATALOG_IMPORT_MODES, CATALOG_CSV_COLUMNS, exportCatalog, catalogCsvRows, catalogFromCsv, planCatalogImport, catalogImportReport
+} from "../lib/catalog.js";
+import { categoryReferenceErrors, reorderedIds } from "../lib/categories.js";
+import { createStorageFromEnv } from "../lib/storage/index.js";
+import { createLimitStoreFromEnv, rateLimit, secondsUntil } from "../lib/rateLimit/index.js";
+import { AUDITED_METHODS, auditDiff, normalizeAuditEntry, normalizeCatalogSnapshot } from "../lib/audit.js";
+import { IMAGE_TYPES, MAX_IMAGE_BYTES, detectImageType, thumbnailKeyFor, prepareImage, productImageUrls } from "../lib/images.js";
+import { t, validate } from "../lib/schema.js";
+import { sendError, sendValidationError, validateBody, validateQuery, errorHandler } from "../lib/http.js";
+import {
+    createStoreFromEnv, isPlaceOrderFailure, isInventoryFailure, isLoyaltyFailure, isPromotionFailure, isTabFailure,
+    isCategoryFailure
+} from "../lib/store/index.js";
+import {
+    MANUAL_MOVEMENT_TYPES, MOVEMENT_TYPES, balanceMap, saborBalance, manualMovement, stockChanges,
+    inventoryItems, saleChanges, crossedLowStock, normalizeMovement
+} from "../lib/inventory.js";
+import { planRefund, applyRefundToItems, planCancellation, restockLines, normalizeRefund } from "../lib/refunds.js";
+import {
+    normalizePhone, pointsFor, redemption, customerStats, normalizeCustomer, normalizeLoyaltyTransaction,
+    LOYALTY_EARNING_STATUSES, LOYALTY_POINT_VALUE
+} from "../lib/customers.js";
+import { promotionSchema, promotionRow, promotionRuleErrors, withCurrentPrices, applyPromotions, isPromotionLive, normalizePromotion } from "../lib/promotions.js";
+import { TAB_SPLITS, tabTotals, planTransfer, planPayments, normalizeTab } from "../lib/tabs.js";
+import {
+    MANUAL_CLOSURE_KEY, openingHoursSchema, closureSchema, localClock, addDays, isAvailableNow, businessStatus,
+    normalizeOpeningHours, normalizeClosure
+} from "../lib/businessHours.js";
+import { ORDER_STATUSES, ORDER_TRANSITIONS, canTransition, historyEntry, statusHistoryOf, stageDurations } from "../lib/orderStatus.js";
+import {
+    PRINT_KINDS, PRINT_FORMATS, PRINTING_SETTINGS_KEY, paperWidthSchema, printingSettingsSchema, printingSettings,
+    kitchenTicket, customerReceipt, renderTicket, printJobsFor, normalizePrintJob
+} from "../lib/printing.js";
+import {
+    PIX_SETTINGS_KEY, PAYMENT_STATUSES, pixSettingsSchema, pixWebhookSchema, buildPixPayload, newTxid, verifyPixSignature,
+    createFakePsp, pixReconciliation, normalizePixCharge, normalizePixPayment
+} from "../lib/pix.js";
+import {
+    ORDER_TYPES, DELIVERY_SETTINGS_KEY, deliveryAddressSchema, deliveryZoneSchema, deliverySettingsSchema, deliverySettings,
+    zoneRow, zoneHasArea, matchZone, estimateTimes, normalizeDeliveryZone
+} from "../lib/delivery.js";
+import {
+    DEFAULT_STORE_SLUG, storeSchema, storeProductSchema, storeRow, takenHosts, findStore, storeForHost, adminStoreIds,
+    canManageStore, belongsToStore, storeSettingsKey, applyStoreProduct, storeCatalog, storeBalances, storeProductRow,
+    normalizeStore, normalizeStoreProduct
+} from "../lib/stores.js";
 
 dotenv.config();
 
 const app = express();
 
-// Configuração do Supabase
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-
+// Configuração do armazenamento (Supabase ou local, ver lib/store)
 console.log('🚀 Iniciando backend Bar do Vaqueiro...');
-console.log('📡 Supabase URL:', supabaseUrl ? '✅ Configurada' : '❌ Faltando');
-console.log('🔑 Supabase KEY:', supabaseKey ? '✅ Configurada' : '❌ Faltando');
+console.log('📡 Supabase URL:', process.env.SUPABASE_URL ? '✅ Configurada' : '❌ Faltando');
+console.log('🔑 Supabase KEY:', process.env.SUPABASE_KEY ? '✅ Configurada' : '❌ Faltando');
+
+export const store = createStoreFromEnv();
+console.log(`✅ Armazenamento "${store.name}" pronto!`);
+
+if (store.name === 'local') {
+    console.warn(`⚠️ Usando armazenamento local${process.env.LOCAL_DATA_FILE ? ` (${process.env.LOCAL_DATA_FILE})` : ' em memória'}: dados não vão para o Supabase`);
+}
+
+// Onde ficam as imagens enviadas pelo painel (Supabase Storage ou disco, ver lib/storage)
+const storage = createStorageFromEnv();
+console.log(`🖼️ Imagens em "${storage.name}"`);
+
+// Contadores dos limites de requisição (memória ou Supabase, ver lib/rateLimit)
+const limitStore = createLimitStoreFromEnv();
+console.log(`🚦 Limites de requisição em "${limitStore.name}"`);
+
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 300;
+const RATE_LIMIT_ORDERS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_ORDERS_PER_MINUTE, 10) || 10;
+const RATE_LIMIT_LOGIN_PER_15_MINUTES = parseInt(process.env.RATE_LIMIT_LOGIN_PER_15_MINUTES, 10) || 20;
+
+// Bloqueio do usuário depois de LOGIN_MAX_FAILURES senhas erradas seguidas, por LOGIN_LOCKOUT_MINUTES
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
 
-if (!supabaseUrl || !supabaseKey) {
-    console.error("❌ ERRO: Variáveis de ambiente SUPABASE_URL e SUPABASE_KEY são obrigatórias");
-    process.exit(1);
+// Por quanto tempo a lista de lojas fica em memória (cada instância da Vercel tem a sua)
+const STORES_CACHE_MS = (parseInt(process.env.STORES_CACHE_SECONDS, 10) || 60) * 1000;
+
+// Quantas cópias do catálogo guardar (as mais antigas são apagadas)
+const CATALOG_SNAPSHOT_LIMIT = parseInt(process.env.CATALOG_SNAPSHOT_LIMIT, 10) || 50;
+
+// Trabalho de impressão reservado e sem resposta do agente por esse tempo pode ser reservado de novo
+const PRINT_CLAIM_TIMEOUT_MS = (parseInt(process.env.PRINT_CLAIM_TIMEOUT_SECONDS, 10) || 120) * 1000;
+
+// Por quanto tempo a resposta de um Idempotency-Key é guardada
+const IDEMPOTENCY_TTL_SECONDS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60;
+
+// Configuração dos tokens de sessão
+const authSecret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const authTokenTtlSeconds = (parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 12) * 60 * 60;
+
+if (!process.env.AUTH_SECRET) {
+    console.warn('⚠️ AUTH_SECRET não configurada: usando segredo temporário, tokens não sobrevivem a reinícios');
 }
 
-const supabase = createClient(supabaseUrl, supabaseKey);
-console.log('✅ Supabase cliente criado com sucesso!');
+console.log('🔔 Push (VAPID):', getPushSender().enabled ? '✅ Configurado' : '⚠️ Desativado (defina VAPID_PUBLIC_KEY e VAPID_PRIVATE_KEY)');
 
 // Middleware CORS CONFIGURADO - PERMITE TODOS OS DOMÍNIOS
 app.use(cors({
     origin: "*",
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'If-Match', 'Idempotency-Key', 'X-Order-Token'],
+    exposedHeaders: [
+        'ETag', 'Content-Disposition', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+        'Idempotent-Replayed'
+    ]
 }));
 
-app.use(express.json({ limit: '50mb' }));
+// IP do cliente vem do X-Forwarded-For do proxy da plataforma (TRUST_PROXY = saltos confiáveis, padrão 1)
+const trustProxy = process.env.TRUST_PROXY ?? '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
+// Limite geral por IP para toda a API
+app.use('/api', rateLimit(limitStore, { name: 'api', limit: RATE_LIMIT_PER_MINUTE, windowMs: 60 * 1000 }));
+
+// Registro de auditoria: toda alteração feita por um admin com resposta 2xx vira uma linha (quem, quando,
+// rota); a rota conta o que mudou com auditChange. A linha é gravada antes da resposta sair, para não
+// se perder quando a função serverless congela.
+app.use((req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) return next();
+
+    const send = res.json.bind(res);
+    res.json = body => {
+        if (!req.admin || res.locals.audit === false || res.statusCode < 200 || res.statusCode >= 300) return send(body);
+
+        recordAudit(req, res).finally(() => send(body));
+        return res;
+    };
+
+    next();
+});
+
+// Corpo cru guardado para conferir assinaturas (webhook do PIX)
+app.use(express.json({ limit: '50mb', verify: (req, res, buffer) => { req.rawBody = buffer; } }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
-// Função para criptografar
-function simpleEncrypt(text) {
-    return Buffer.from(text).toString('base64').split('').reverse().join('');
+// Loja no caminho: /api/stores/<slug ou id>/<rota> é a <rota> da API para aquela loja
+const STORE_PATH = /^\/api\/stores\/([^/?]+)(\/[^?]+)(\?.*)?$/;
+
+// Lista de lojas em memória: toda requisição da API precisa dela e ela quase não muda.
+// Gravar uma loja limpa a cópia desta instância; as outras leem de novo depois de STORES_CACHE_MS.
+let storesCache = null;
+
+async function listStores() {
+    if (!storesCache || storesCache.expiresAt <= Date.now()) {
+        storesCache = { stores: await store.stores.list(), expiresAt: Date.now() + STORES_CACHE_MS };
+    }
+    return storesCache.stores;
+}
+
+// Loja da requisição (req.store): a do caminho, senão a do domínio (Host), senão a padrão
+app.use(async (req, res, next) => {
+    if (!req.path.startsWith('/api/')) return next();
+
+    try {
+        const stores = await listStores();
+        const match = req.url.match(STORE_PATH);
+
+        if (match) {
+            req.store = findStore(stores, decodeURIComponent(match[1]));
+            if (!req.store) return sendError(res, 404, 'STORE_NOT_FOUND', "Loja não encontrada");
+            req.storeExplicit = true;
+            req.url = `/api${match[2]}${match[3] || ''}`;
+        } else {
+            req.store = storeForHost(stores, req.hostname) || findStore(stores, DEFAULT_STORE_SLUG) || stores[0];
+            req.storeExplicit = false;
+            if (!req.store) return sendError(res, 404, 'STORE_NOT_FOUND', "Nenhuma loja cadastrada");
+        }
+
+        next();
+    } catch (error) {
+        console.error('❌ Erro ao identificar a loja:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao identificar a loja");
+    }
+});
+
+// Imagens gravadas em disco (desenvolvimento); o nome do arquivo é único, então o cache pode ser longo
+if (storage.name === 'local') {
+    app.use('/uploads', express.static(storage.dir, { maxAge: '365d', immutable: true }));
 }
 
-// Função para descriptografar
-function simpleDecrypt(encrypted) {
-    return Buffer.from(encrypted.split('').reverse().join(''), 'base64').toString('utf8');
+// Upload de imagem em memória (multipart, campo "image"): um arquivo por vez, até MAX_IMAGE_BYTES
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: 1 }
+}).single('image');
+
+// Conferir senha no formato antigo (texto plano ou base64 invertido)
+function matchesLegacyPassword(password, credentials) {
+    const legacyEncrypted = Buffer.from(password).toString('base64').split('').reverse().join('');
+    return (credentials.password && password === credentials.password) ||
+        (credentials.encrypted_password && legacyEncrypted === credentials.encrypted_password);
 }
 
 // Normalizar categorias
@@ -60,15 +232,25 @@ function normalizeCategories(categories) {
             return {
                 id: cat.id,
                 name: cat.name || cat.id.charAt(0).toUpperCase() + cat.id.slice(1),
-                description: cat.description || `Categoria de ${cat.name || cat.id}`
+                description: cat.description || `Categoria de ${cat.name || cat.id}`,
+                displayOrder: cat.display_order ?? cat.displayOrder ?? 0,
+                archived: Boolean(cat.archived_at),
+                archivedAt: cat.archived_at || null,
+                storeId: cat.store_id ?? null
             };
         }
         return null;
     }).filter(cat => cat !== null);
 }
 
-// Normalizar produtos
-function normalizeProducts(products) {
+// Miniatura de uma imagem enviada pelo painel; null para links de fora
+function thumbnailUrlFor(url) {
+    const key = storage.keyFromUrl(url);
+    return key ? storage.urlFor(thumbnailKeyFor(key)) : null;
+}
+
+// Normalizar produtos; com o mapa de saldos do estoque, a quantidade e a ordem dos sabores seguem o livro
+function normalizeProducts(products, balances = null) {
     if (!Array.isArray(products)) return [];
     
     return products.map(product => {
@@ -89,8 +271,8 @@ function normalizeProducts(products) {
         if (product.sabores && Array.isArray(product.sabores)) {
             // CORREÇÃO: Ordenar sabores - disponíveis primeiro, esgotados depois
             const sortedSabores = [...product.sabores].sort((a, b) => {
-                const aStock = a.quantity || 0;
-                const bStock = b.quantity || 0;
+                const aStock = saborBalance(balances, product.id, a);
+                const bStock = saborBalance(balances, product.id, b);
                 
                 // Sabores com estoque > 0 vêm primeiro
                 if (aStock > 0 && bStock === 0) return -1;
@@ -105,8 +287,10 @@ function normalizeProducts(products) {
                 sabores: sortedSabores.map(sabor => ({
                     name: sabor.name || 'Sem nome',
                     image: sabor.image || 'https://via.placeholder.com/400x300',
-                    quantity: sabor.quantity || 0,
-                    description: sabor.description || ''
+                    thumbnail: thumbnailUrlFor(sabor.image) || sabor.image || 'https://via.placeholder.com/400x300',
+                    quantity: saborBalance(balances, product.id, sabor),
+                    description: sabor.description || '',
+                    low_stock_threshold: sabor.low_stock_threshold ?? null
                 }))
             };
         }
@@ -119,64 +303,545 @@ function normalizeProducts(products) {
 function normalizeOrders(orders) {
     if (!Array.isArray(orders)) return [];
     
-    return orders.map(order => ({
-        id: order.id,
-        date: order.date,
-        time: order.time,
-        customerName: order.customer_name || order.customerName,
-        customerPhone: order.customer_phone || order.customerPhone,
-        items: Array.isArray(order.items) ? order.items : [],
-        total: parseFloat(order.total) || 0,
-        paymentMethod: order.payment_method || order.paymentMethod,
-        status: order.status || 'pending',
-        createdAt: order.created_at || order.createdAt
-    }));
+    return orders.map(order => {
+        const statusHistory = statusHistoryOf(order);
+
+        return {
+            id: order.id,
+            date: order.date,
+            time: order.time,
+            customerName: order.customer_name || order.customerName,
+            customerPhone: order.customer_phone || order.customerPhone,
+            customerId: order.customer_id ?? null,
+            items: Array.isArray(order.items) ? order.items : [],
+            subtotal: order.subtotal === null || order.subtotal === undefined
+                ? roundMoney((parseFloat(order.total) || 0) + (parseFloat(order.discount) || 0))
+                : parseFloat(order.subtotal) || 0,
+            total: parseFloat(order.total) || 0,
+            discount: parseFloat(order.discount) || 0,
+            discounts: Array.isArray(order.discounts) ? order.discounts : [],
+            couponCode: order.coupon_code || null,
+            pointsRedeemed: order.loyalty_points_redeemed || 0,
+            refundedAmount: parseFloat(order.refunded_amount) || 0,
+            cancelledAmount: parseFloat(order.cancelled_amount) || 0,
+            netTotal: roundMoney((parseFloat(order.total) || 0) -
+                (parseFloat(order.refunded_amount) || 0) - (parseFloat(order.cancelled_amount) || 0)),
+            cancelReason: order.cancel_reason || null,
+            cancelledAt: order.cancelled_at || null,
+            paymentMethod: order.payment_method || order.paymentMethod,
+            payments: Array.isArray(order.payments) ? order.payments : [],
+            tabId: order.tab_id ?? null,
+            storeId: order.store_id ?? null,
+            orderType: order.order_type || (order.tab_id ? 'dine_in' : 'pickup'),
+            deliveryAddress: order.delivery_address || null,
+            deliveryFee: parseFloat(order.delivery_fee) || 0,
+            deliveryZoneId: order.delivery_zone_id ?? null,
+            estimatedReadyAt: order.estimated_ready_at || null,
+            estimatedDeliveryAt: order.estimated_delivery_at || null,
+            paymentStatus: order.payment_status || 'unpaid',
+            paidAt: order.paid_at || null,
+            status: order.status || 'pending',
+            createdAt: order.created_at || order.createdAt,
+            statusHistory,
+            stageDurations: stageDurations(statusHistory)
+        };
+    });
 }
 
-// Verificar autenticação
-function checkAuth(token) {
-    return token === "authenticated_admin_token";
+// Resultado no formato { data, error } para as rotas que tratam falha sem exceção
+async function attempt(promise) {
+    try {
+        return { data: await promise, error: null };
+    } catch (error) {
+        return { data: null, error };
+    }
+}
+
+// Formatar usuário admin para resposta (sem dados de senha)
+function publicAdminUser(credentials) {
+    return {
+        id: credentials.id,
+        username: credentials.username,
+        name: credentials.name || credentials.username,
+        role: credentials.role || 'owner',
+        active: credentials.active !== false,
+        // Lojas que o admin gerencia (null = todas)
+        storeIds: credentials.store_ids?.length ? credentials.store_ids : null
+    };
+}
+
+// Extrair token Bearer do cabeçalho (ou da query, para EventSource que não envia cabeçalhos)
+function getBearerToken(req, { allowQueryToken = false } = {}) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    if (allowQueryToken && typeof req.query.token === 'string') return req.query.token;
+    return null;
+}
+
+// Verificar autenticação: token assinado, sessão não revogada e usuário ativo
+async function authenticate(req, options) {
+    const payload = verifyToken(getBearerToken(req, options), authSecret);
+    if (!payload || !payload.jti) return null;
+
+    const session = await store.sessions.getActive(payload.jti);
+    if (!session || new Date(session.expires_at) <= new Date()) return null;
+
+    const credentials = await store.admins.getById(session.user_id);
+    if (!credentials || credentials.active === false) return null;
+
+    return { ...publicAdminUser(credentials), sessionId: session.id };
+}
+
+// Loja em que o admin trabalha nesta requisição: a da requisição, se ele a gerencia; fora do caminho
+// de uma loja, a primeira das suas. Retorna false se ele não tem acesso.
+async function scopeAdminStore(req, admin) {
+    if (canManageStore(admin, req.store.id)) return true;
+
+    const own = !req.storeExplicit && await store.stores.getById(adminStoreIds(admin)[0]);
+    if (own) req.store = own;
+    return Boolean(own);
+}
+
+// Middleware de autenticação; sem papéis informados, qualquer admin ativo passa
+function requireAuth(...roles) {
+    return async (req, res, next) => {
+        try {
+            const admin = await authenticate(req);
+
+            if (!admin) {
+                return sendError(res, 401, 'UNAUTHORIZED', "Não autorizado");
+            }
+
+            if (!hasRole(admin, roles)) {
+                return sendError(res, 403, 'FORBIDDEN', "Permissão insuficiente");
+            }
+
+            if (!(await scopeAdminStore(req, admin))) {
+                return sendError(res, 403, 'STORE_FORBIDDEN', "Sem acesso a esta loja");
+            }
+
+            req.admin = admin;
+            next();
+        } catch (error) {
+            console.error('❌ Erro ao verificar autenticação:', error);
+            sendError(res, 500, 'INTERNAL_ERROR', "Erro ao verificar autenticação");
+        }
+    };
+}
+
+// O que vale para todas as lojas (catálogo compartilhado em lote, importação, restauração, PIX,
+// impressão): só admin de todas as lojas altera
+function requireAllStores(req, res, next) {
+    if (adminStoreIds(req.admin)) {
+        return sendError(res, 403, 'STORE_FORBIDDEN', "Só um admin de todas as lojas altera o que vale para todas as lojas");
+    }
+    next();
+}
+
+// Descrever a alteração da requisição para o registro de auditoria: o registro antes e depois
+// (null na criação ou exclusão). Chamar com entity = false tira a requisição do registro (ex.: simulação).
+function auditChange(res, entity, entityId = null, before = null, after = null) {
+    res.locals.audit = entity === false ? false : { entity, entityId, before, after };
+}
+
+// Gravar a linha de auditoria da requisição (falha aqui não desfaz a alteração)
+async function recordAudit(req, res) {
+    const change = res.locals.audit || {};
+
+    try {
+        await store.auditLog.create({
+            admin_user_id: req.admin.id,
+            admin_username: req.admin.username,
+            method: req.method,
+            route: `${req.baseUrl}${req.route?.path || req.path}`,
+            path: req.originalUrl.split('?')[0],
+            status_code: res.statusCode,
+            entity_type: change.entity || null,
+            entity_id: change.entityId === null || change.entityId === undefined ? null : String(change.entityId),
+            before: change.before ?? null,
+            after: change.after ?? null,
+            diff: auditDiff(change.before, change.after),
+            ip: req.ip || null
+        });
+    } catch (error) {
+        console.error('❌ Erro ao gravar auditoria:', error);
+    }
+}
+
+// Middleware de idempotência (cabeçalho Idempotency-Key): a primeira requisição com a chave reserva-a
+// e, se der certo (2xx), a resposta fica guardada por IDEMPOTENCY_TTL_HOURS; as repetidas recebem a
+// mesma resposta com Idempotent-Replayed: true. Sem o cabeçalho a requisição segue normal.
+// Resposta de erro libera a chave, para o cliente poder tentar de novo com ela.
+// A chave vale por loja: a mesma chave em outra loja é outra requisição.
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const header = req.get('Idempotency-Key');
+        if (header === undefined) return next();
+
+        if (!/^[A-Za-z0-9_.:-]{8,128}$/.test(header)) {
+            return sendError(res, 400, 'INVALID_IDEMPOTENCY_KEY', "Idempotency-Key deve ter de 8 a 128 letras, números ou - _ . :");
+        }
+
+        const key = `${scope}:${req.store.id}:${header}`;
+        const requestHash = crypto.createHash('sha256').update(JSON.stringify(req.body ?? null)).digest('hex');
+
+        try {
+            const claim = await store.idempotencyKeys.claim(key, requestHash, IDEMPOTENCY_TTL_SECONDS);
+
+            if (!claim.claimed) {
+                if (claim.request_hash !== requestHash) {
+                    return sendError(res, 422, 'IDEMPOTENCY_KEY_REUSED', "Idempotency-Key já usada com outros dados");
+                }
+                if (claim.status_code === null || claim.status_code === undefined) {
+                    res.set('Retry-After', '1');
+                    return sendError(res, 409, 'IDEMPOTENCY_IN_PROGRESS', "Requisição com esta Idempotency-Key ainda em andamento");
+                }
+
+                console.log(`🔁 Resposta repetida para Idempotency-Key ${header}`);
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(claim.status_code).json(claim.response);
+            }
+        } catch (error) {
+            console.error('❌ Erro ao reservar Idempotency-Key:', error);
+            return sendError(res, 500, 'INTERNAL_ERROR', "Erro ao processar a requisição");
+        }
+
+        // Guardar (ou liberar) a chave antes de responder, para uma repetição logo em seguida já achar a resposta
+        const send = res.json.bind(res);
+        res.json = body => {
+            const ok = res.statusCode >= 200 && res.statusCode < 300;
+            const saved = ok ? store.idempotencyKeys.complete(key, res.statusCode, body) : store.idempotencyKeys.release(key);
+
+            saved
+                .catch(error => console.error('❌ Erro ao gravar Idempotency-Key:', error))
+                .finally(() => send(body));
+            return res;
+        };
+
+        next();
+    };
+}
+
+// Criar sessão e token assinado para o usuário
+async function createSession(credentials) {
+    const sessionId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + authTokenTtlSeconds * 1000).toISOString();
+
+    await store.sessions.create({
+        id: sessionId,
+        user_id: credentials.id,
+        expires_at: expiresAt
+    });
+
+    const token = signToken({
+        sub: String(credentials.id),
+        username: credentials.username,
+        role: credentials.role || 'owner',
+        jti: sessionId
+    }, authSecret, authTokenTtlSeconds);
+
+    return { token, expiresAt };
+}
+
+// Contar donos ativos (para nunca remover o último)
+async function countActiveOwners() {
+    return store.admins.count({ role: 'owner', active: true });
+}
+
+// Enviar push para as assinaturas que casam com o filtro; remove as expiradas.
+// Com "storeId", só vão as assinaturas de admins ativos que gerenciam essa loja.
+async function sendPush(filter, payload, { storeId } = {}) {
+    const sender = getPushSender();
+    if (!sender.enabled) return 0;
+
+    let subscriptions = await store.pushSubscriptions.list(filter);
+    if (storeId !== undefined) {
+        const admins = new Map((await store.admins.list()).map(row => [String(row.id), publicAdminUser(row)]));
+        subscriptions = (subscriptions || []).filter(row => {
+            const admin = admins.get(String(row.admin_user_id));
+            return Boolean(admin?.active) && canManageStore(admin, storeId);
+        });
+    }
+
+    let delivered = 0;
+    for (const row of subscriptions || []) {
+        try {
+            await sender.send({ endpoint: row.endpoint, keys: row.keys }, payload);
+            delivered++;
+        } catch (sendError) {
+            if (isGoneError(sendError)) {
+                console.log('🧹 Removendo assinatura push expirada:', row.id);
+                await store.pushSubscriptions.delete(row.id);
+            } else {
+                console.error('❌ Erro ao enviar push:', sendError.message);
+            }
+        }
+    }
+
+    return delivered;
+}
+
+// Avisar os admins da loja do pedido sobre um pedido novo (falha de push nunca derruba o pedido)
+async function notifyAdminsNewOrder(order) {
+    try {
+        const delivered = await sendPush({ audience: 'admin' }, {
+            type: 'order.created',
+            title: '🛎️ Novo pedido',
+            body: `${order.customer_name} - R$ ${Number(order.total).toFixed(2)}`,
+            orderId: order.id
+        }, { storeId: order.store_id });
+        console.log(`🔔 Push de novo pedido enviado para ${delivered} admin(s)`);
+    } catch (error) {
+        console.error('❌ Erro ao notificar admins:', error);
+    }
+}
+
+// Avisar o cliente que o status do pedido mudou
+async function notifyCustomerStatus(orderId, status) {
+    try {
+        const delivered = await sendPush({ audience: 'customer', order_id: orderId }, {
+            type: 'order.status',
+            title: 'Atualização do seu pedido',
+            body: `Seu pedido #${orderId} está: ${status}`,
+            orderId,
+            status
+        });
+        console.log(`🔔 Push de status enviado para ${delivered} assinatura(s) do pedido ${orderId}`);
+    } catch (error) {
+        console.error('❌ Erro ao notificar cliente:', error);
+    }
+}
+
+// Avisar os admins sobre sabores que ficaram com estoque baixo
+async function notifyLowStock(alerts) {
+    for (const alert of alerts) {
+        try {
+            console.log(`⚠️ Estoque baixo: ${alert.title} - ${alert.sabor} (${alert.quantity})`);
+            await sendPush({ audience: 'admin' }, {
+                type: 'inventory.low_stock',
+                title: '⚠️ Estoque baixo',
+                body: `${alert.title} - ${alert.sabor}: ${alert.quantity} restante(s)`,
+                productId: alert.productId,
+                sabor: alert.sabor
+            });
+        } catch (error) {
+            console.error('❌ Erro ao avisar estoque baixo:', error);
+        }
+    }
+}
+
+// Saldos do livro de estoque; sem o livro (tabela ausente, erro) vale a quantidade do produto.
+// Com os ajustes de uma loja, o estoque próprio dela vale no lugar do compartilhado.
+async function loadBalances(overrides = null) {
+    const { data, error } = await attempt(store.inventory.balances());
+    if (error) {
+        console.error('❌ Erro ao buscar saldos do estoque:', error.message);
+        return null;
+    }
+    return storeBalances(balanceMap(data), overrides);
+}
+
+// Ajustes dos produtos na loja (preço, disponibilidade, estoque próprio); com erro, o catálogo como está
+async function loadStoreProducts(storeId) {
+    const { data, error } = await attempt(store.storeProducts.list(storeId));
+    if (error) {
+        console.error('❌ Erro ao buscar ajustes da loja:', error.message);
+        return [];
+    }
+    return data;
+}
+
+// Promoções da loja; sem a tabela (ou com erro) o cardápio segue com o preço de tabela
+async function loadPromotions(storeId) {
+    const { data, error } = await attempt(store.promotions.list(storeId));
+    if (error) {
+        console.error('❌ Erro ao buscar promoções:', error.message);
+        return [];
+    }
+    return data || [];
+}
+
+// Loja aberta ou fechada agora (horário, dias fechados e fechamento manual dela). Sem as tabelas
+// (ou com erro) a loja é considerada aberta, para não barrar pedidos por falha na configuração.
+async function loadBusinessStatus(storeId, now = new Date()) {
+    const { data, error } = await attempt(Promise.all([
+        store.openingHours.list(storeId),
+        store.closures.list({ from: addDays(localClock(now).day, -1), storeId }),
+        store.settings.get(storeSettingsKey(MANUAL_CLOSURE_KEY, storeId))
+    ]));
+    if (error) {
+        console.error('❌ Erro ao buscar horário de funcionamento:', error.message);
+        return businessStatus({}, now);
+    }
+
+    const [hours, closures, manualClosure] = data;
+    return businessStatus({ hours, closures, manualClosure }, now);
+}
+
+// Configuração da impressão; com erro na tabela vale a padrão (impressão automática desligada)
+async function loadPrintingSettings() {
+    const { data, error } = await attempt(store.settings.get(PRINTING_SETTINGS_KEY));
+    if (error) console.error('❌ Erro ao buscar configuração de impressão:', error.message);
+    return printingSettings(error ? null : data);
+}
+
+// Colocar na fila a impressão automática do pedido que acabou de chegar em "status"
+// (falha aqui nunca derruba o pedido)
+async function queueAutoPrint(order, status) {
+    try {
+        const settings = await loadPrintingSettings();
+        if (!settings.autoPrint || settings.triggerStatus !== status) return;
+
+        const payload = normalizeOrders([order])[0];
+        const rows = [
+            ...printJobsFor(payload, settings, { kind: 'kitchen', trigger: 'auto' }),
+            ...(settings.autoPrintReceipt ? printJobsFor(payload, settings, { kind: 'receipt', trigger: 'auto' }) : [])
+        ];
+        if (rows.length === 0) return;
+
+        const saved = await store.printJobs.create(rows);
+        if (saved.length > 0) console.log(`🖨️ ${saved.length} impressão(ões) na fila para o pedido ${order.id}`);
+    } catch (error) {
+        console.error('❌ Erro ao colocar impressão na fila:', error);
+    }
+}
+
+// Linhas do cupom de um pedido normalizado: comanda (só da praça, se informada) ou recibo.
+// null quando a praça não tem itens no pedido.
+async function buildTicket(order, kind, settings, { station = null, reprint = false } = {}) {
+    if (kind === 'receipt') {
+        return customerReceipt(order, { header: settings.header, footer: settings.footer, reprint });
+    }
+    return kitchenTicket(order, { categories: await store.categories.list(), station, reprint });
+}
+
+// Apagar as imagens (e miniaturas) de produtos removidos que nenhum outro produto usa.
+// Imagens citadas por uma cópia do catálogo ficam, para a restauração da cópia não voltar sem foto.
+// Links de fora ficam como estão; falha aqui não desfaz a exclusão.
+async function removeProductImages(removed, remaining = null) {
+    try {
+        const keyOf = url => storage.keyFromUrl(url);
+        const [products, snapshots] = await Promise.all([
+            remaining || store.products.list(),
+            store.catalogSnapshots.listCatalogs()
+        ]);
+        const kept = new Set([...products, ...snapshots.flatMap(catalog => catalog?.products || [])]
+            .flatMap(productImageUrls).map(keyOf).filter(Boolean));
+        const keys = [...new Set(removed.flatMap(productImageUrls).map(keyOf).filter(key => key && !kept.has(key)))];
+
+        if (keys.length === 0) return;
+
+        await storage.delete(keys.flatMap(key => [key, thumbnailKeyFor(key)]));
+        console.log(`🗑️ ${keys.length} imagem(ns) de produto removida(s)`);
+    } catch (error) {
+        console.error('❌ Erro ao remover imagens de produto:', error);
+    }
+}
+
+// Registrar no livro as quantidades alteradas pela edição do catálogo (falha aqui não desfaz a edição)
+async function recordStockChanges(before, after, admin, note) {
+    try {
+        const rows = stockChanges(before, after).map(row => ({
+            ...row,
+            note,
+            admin_user_id: admin ? admin.id : null
+        }));
+        if (rows.length > 0) await store.inventory.log(rows);
+    } catch (error) {
+        console.error('❌ Erro ao registrar movimentos de estoque:', error);
+    }
+}
+
+// Acertar os pontos de um pedido entregue pelo valor líquido atual: credita na entrega e
+// tira de volta o que um estorno posterior reduziu (falha aqui não desfaz o pedido)
+async function settleOrderPoints(order, admin) {
+    if (!order.customer_id || !LOYALTY_EARNING_STATUSES.includes(order.status)) return;
+
+    try {
+        const transactions = await store.loyalty.listByOrder(order.id);
+        const earned = transactions
+            .filter(row => row.type === 'earn' || row.type === 'refund')
+            .reduce((sum, row) => sum + row.points, 0);
+        // Taxa de entrega não rende pontos
+        const normalized = normalizeOrders([order])[0];
+        const due = pointsFor(normalized.netTotal - normalized.deliveryFee);
+
+        if (due === earned) return;
+
+        await store.loyalty.apply({
+            customer_id: order.customer_id,
+            order_id: order.id,
+            type: due > earned ? 'earn' : 'refund',
+            points: due - earned,
+            note: `Pedido #${order.id}`,
+            admin_user_id: admin ? admin.id : null,
+            clamp: true
+        });
+        console.log(`⭐ ${due - earned} ponto(s) para o cliente ${order.customer_id} (pedido ${order.id})`);
+    } catch (error) {
+        console.error('❌ Erro ao lançar pontos do pedido:', error);
+    }
+}
+
+// Devolver ao cliente os pontos resgatados em um pedido cancelado
+async function restoreRedeemedPoints(order, admin) {
+    if (!order.customer_id || !(order.loyalty_points_redeemed > 0)) return;
+
+    try {
+        await store.loyalty.apply({
+            customer_id: order.customer_id,
+            order_id: order.id,
+            type: 'cancel',
+            points: order.loyalty_points_redeemed,
+            note: `Cancelamento do pedido #${order.id}`,
+            admin_user_id: admin ? admin.id : null
+        });
+    } catch (error) {
+        console.error('❌ Erro ao devolver pontos do pedido cancelado:', error);
+    }
+}
+
+// Salvar (ou atualizar) uma assinatura push
+async function savePushSubscription(subscription, fields) {
+    await store.pushSubscriptions.upsert({
+        endpoint: subscription.endpoint,
+        keys: subscription.keys,
+        ...fields
+    });
 }
 
-// Garantir que as credenciais admin existem
+// Garantir que existe ao menos um dono; criado a partir de ADMIN_USERNAME/ADMIN_PASSWORD
 async function ensureAdminCredentials() {
     try {
         console.log('🔐 Verificando credenciais admin...');
         
-        const { data: existingCreds, error: fetchError } = await supabase
-            .from('admin_credentials')
-            .select('*')
-            .eq('username', 'admin')
-            .single();
-
-        if (fetchError || !existingCreds) {
-            console.log('➕ Criando credenciais admin...');
-            const adminPassword = 'admin123';
-            const encryptedPassword = simpleEncrypt(adminPassword);
-            
-            const { data, error } = await supabase
-                .from('admin_credentials')
-                .insert([{
-                    username: 'admin',
-                    password: adminPassword,
-                    encrypted_password: encryptedPassword
-                }])
-                .select()
-                .single();
-
-            if (error) {
-                console.error('❌ Erro ao criar credenciais:', error);
-                return false;
-            } else {
-                console.log('✅ Credenciais admin criadas com sucesso!');
-                console.log('📋 Usuário: admin');
-                console.log('🔑 Senha: admin123');
-                return true;
-            }
-        } else {
+        const count = await store.admins.count();
+
+        if (count > 0) {
             console.log('✅ Credenciais admin já existem');
             return true;
         }
+
+        const username = process.env.ADMIN_USERNAME || 'admin';
+        const password = process.env.ADMIN_PASSWORD;
+
+        if (!password) {
+            console.warn('⚠️ Nenhum admin cadastrado. Defina ADMIN_PASSWORD (e opcionalmente ADMIN_USERNAME) para criar o dono');
+            return false;
+        }
+
+        console.log('➕ Criando usuário dono...');
+
+        await store.admins.create({
+            username,
+            name: username,
+            role: 'owner',
+            active: true,
+            password_hash: await hashPassword(password)
+        });
+
+        console.log('✅ Usuário dono criado com sucesso:', username);
+        return true;
     } catch (error) {
         console.error('❌ Erro ao verificar credenciais:', error);
         return false;
@@ -198,19 +863,15 @@ app.get("/", (req, res) => {
 // Buscar produtos - COM FALLBACK SE TABELA NÃO EXISTIR
 app.get("/api/products", async (req, res) => {
     try {
-        console.log('🔄 Buscando produtos do Supabase...');
+        console.log(`🔄 Buscando produtos (${store.name})...`);
         
-        const { data: products, error } = await supabase
-            .from('products')
-            .select('*')
-            .order('display_order', { ascending: true, nullsFirst: false })
-            .order('id');
+        const { data: products, error } = await attempt(store.products.list());
 
         if (error) {
             console.error('❌ Erro ao buscar produtos:', error.message);
             
             // Se tabela não existe, retornar produtos de exemplo
-            if (error.message.includes('does not exist')) {
+            if (error.message?.includes('does not exist')) {
                 console.log('📦 Tabela products não existe, retornando exemplo...');
                 const produtosExemplo = [
                     {
@@ -281,7 +942,16 @@ app.get("/api/products", async (req, res) => {
             return res.json({ products: produtosExemplo });
         }
 
-        const normalizedProducts = normalizeProducts(products);
+        // Cardápio da loja: compartilhados e os dela, com o preço e o estoque próprios
+        const overrides = await loadStoreProducts(req.store.id);
+        const menu = storeCatalog(products, overrides, req.store.id);
+
+        // Fora da faixa de horário o produto sai do cardápio (o painel pede ?unavailable=include)
+        const now = new Date();
+        const normalizedProducts = withCurrentPrices(normalizeProducts(menu, await loadBalances(overrides)), await loadPromotions(req.store.id), now)
+            .map(product => ({ ...product, availability: product.availability || null, availableNow: isAvailableNow(product, now) }))
+            .filter(product => req.query.unavailable === 'include' || product.availableNow);
+
         res.json({ products: normalizedProducts });
         
     } catch (error) {
@@ -290,21 +960,19 @@ app.get("/api/products", async (req, res) => {
     }
 });
 
-// Buscar categorias - COM FALLBACK SE TABELA NÃO EXISTIR
+// Buscar categorias na ordem do cardápio - COM FALLBACK SE TABELA NÃO EXISTIR.
+// Arquivadas só com ?archived=include (todas) ou ?archived=only
 app.get("/api/categories", async (req, res) => {
     try {
-        console.log('🔄 Buscando categorias do Supabase...');
+        console.log(`🔄 Buscando categorias (${store.name})...`);
         
-        const { data: categories, error } = await supabase
-            .from('categories')
-            .select('*')
-            .order('name');
+        const { data: allCategories, error } = await attempt(store.categories.list());
 
         if (error) {
             console.error('❌ Erro ao buscar categorias:', error.message);
             
             // Se tabela não existe, retornar categorias de exemplo
-            if (error.message.includes('does not exist')) {
+            if (error.message?.includes('does not exist')) {
                 console.log('🏷️ Tabela categories não existe, retornando exemplo...');
                 const categoriasExemplo = [
                     {
@@ -329,10 +997,10 @@ app.get("/api/categories", async (req, res) => {
             return res.json({ categories: [] });
         }
 
-        console.log(`✅ ${categories?.length || 0} categorias encontradas`);
+        console.log(`✅ ${allCategories?.length || 0} categorias encontradas`);
         
         // Se não há categorias, retornar exemplo
-        if (!categories || categories.length === 0) {
+        if (!allCategories || allCategories.length === 0) {
             console.log('🏷️ Nenhuma categoria no banco, retornando exemplo...');
             const categoriasExemplo = [
                 {
@@ -344,6 +1012,10 @@ app.get("/api/categories", async (req, res) => {
             return res.json({ categories: categoriasExemplo });
         }
 
+        const archived = req.query.archived;
+        const categories = allCategories.filter(category => belongsToStore(category, req.store.id)).filter(category => archived === 'include' ||
+            (archived === 'only' ? Boolean(category.archived_at) : !category.archived_at));
+
         const normalizedCategories = normalizeCategories(categories);
         res.json({ categories: normalizedCategories });
         
@@ -353,414 +1025,4017 @@ app.get("/api/categories", async (req, res) => {
     }
 });
 
-// Buscar pedidos
-app.get("/api/orders", async (req, res) => {
+// Status separados por vírgula, todos conhecidos (vazio = todos)
+const isStatusList = value => value.split(',').map(status => status.trim()).filter(Boolean)
+    .every(status => ORDER_STATUSES.includes(status));
+
+// Data pura (AAAA-MM-DD) ou data/hora ISO
+const isInstant = value => !value || isIsoDate(value) || !Number.isNaN(new Date(value).getTime());
+
+// Dia (AAAA-MM-DD) nos filtros de período dos relatórios e da conciliação
+const reportDate = () => t.string({ max: 10 }).optional()
+    .refine(value => !value || isIsoDate(value), "Data deve estar no formato AAAA-MM-DD", 'invalid_format');
+
+// Query de GET /api/orders
+const ordersQuerySchema = t.object({
+    status: t.string({ max: 200 }).optional()
+        .refine(isStatusList, `Status inválido. Use: ${ORDER_STATUSES.join(', ')}`, 'invalid_enum'),
+    from: t.string({ max: 40 }).optional().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    to: t.string({ max: 40 }).optional().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    phone: t.string({ max: 30 }).optional()
+        .refine(value => !value || /\d/.test(value), "Informe ao menos um dígito do telefone", 'invalid_format'),
+    paymentMethod: t.string({ max: 40 }).optional(),
+    paymentStatus: t.enum(PAYMENT_STATUSES).optional(),
+    orderType: t.enum(ORDER_TYPES).optional(),
+    minTotal: t.number({ coerce: true }).optional(),
+    cursor: t.string({ max: 500 }).optional()
+        .refine(value => !value || decodeCursor(value) !== null, "Cursor inválido", 'invalid_format'),
+    limit: t.integer({ min: 1, coerce: true }).optional()
+});
+
+// Montar os filtros de GET /api/orders a partir da query já validada
+function parseOrderFilters(query) {
+    const filters = {};
+
+    if (query.status) {
+        filters.statuses = query.status.split(',').map(status => status.trim()).filter(Boolean);
+    }
+
+    // Datas puras (AAAA-MM-DD) são dias locais; "to" inclui o dia inteiro
+    const toInstant = (value, endOfDay) => {
+        if (!isIsoDate(value)) return new Date(value).toISOString();
+        if (!endOfDay) return localDayStartIso(value);
+        const next = new Date(`${value}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        return localDayStartIso(next.toISOString().slice(0, 10));
+    };
+
+    filters.from = query.from ? toInstant(query.from, false) : null;
+    filters.toExclusive = query.to && isIsoDate(query.to) ? toInstant(query.to, true) : null;
+    filters.to = query.to && !isIsoDate(query.to) ? toInstant(query.to, false) : null;
+
+    // Os pedidos guardam o telefone normalizado (+55DDNNNNNNNNN): a busca é pelos dígitos, com ou sem máscara
+    if (query.phone) filters.phone = query.phone.replace(/\D/g, '');
+    if (query.paymentMethod) filters.paymentMethod = query.paymentMethod;
+    if (query.paymentStatus) filters.paymentStatus = query.paymentStatus;
+    if (query.orderType) filters.orderType = query.orderType;
+    if (query.minTotal !== undefined) filters.minTotal = query.minTotal;
+    if (query.cursor) filters.cursor = decodeCursor(query.cursor);
+
+    filters.limit = pageLimit(query.limit);
+
+    return filters;
+}
+
+// Buscar pedidos (filtros + paginação por cursor, do mais novo para o mais antigo)
+app.get("/api/orders", requireAuth(), validateQuery(ordersQuerySchema, "Filtros inválidos"), async (req, res) => {
     try {
-        console.log('🔄 Buscando pedidos do Supabase...');
-        
-        const { data: orders, error } = await supabase
-            .from('orders')
-            .select('*')
-            .order('created_at', { ascending: false });
+        const filters = { ...parseOrderFilters(req.query), storeId: req.store.id };
+
+        console.log(`🔄 Buscando pedidos (${store.name})...`);
+
+        // Um registro a mais para saber se existe próxima página
+        const { data: orders, error } = await attempt(
+            store.orders.list(filters, { cursor: filters.cursor, limit: filters.limit + 1 })
+        );
 
         if (error) {
             console.error('❌ Erro ao buscar pedidos:', error.message);
             
             // Se tabela não existe, retornar vazio
-            if (error.message.includes('does not exist')) {
+            if (error.message?.includes('does not exist')) {
                 console.log('📋 Tabela orders não existe, retornando vazio...');
-                return res.json({ orders: [] });
+                return res.json({ orders: [], total: 0, pageInfo: { hasMore: false, nextCursor: null, limit: filters.limit } });
             }
             
-            return res.json({ orders: [] });
+            throw error;
         }
 
-        console.log(`✅ ${orders?.length || 0} pedidos encontrados`);
+        const count = await store.orders.count(filters);
+
+        const hasMore = orders.length > filters.limit;
+        const page = hasMore ? orders.slice(0, filters.limit) : orders;
+
+        console.log(`✅ ${page.length} de ${count} pedidos encontrados`);
         
-        const normalizedOrders = normalizeOrders(orders || []);
-        res.json({ orders: normalizedOrders });
+        res.json({
+            orders: normalizeOrders(page),
+            total: count || 0,
+            pageInfo: {
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+                limit: filters.limit
+            }
+        });
         
     } catch (error) {
         console.error('❌ Erro geral em /api/orders:', error);
-        res.json({ orders: [] });
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar pedidos");
     }
 });
 
-// Salvar pedido
-app.post("/api/orders", async (req, res) => {
+// Pedido da loja da requisição (null se não existe ou é de outra loja)
+async function findOrder(req, id) {
+    const order = await store.orders.getById(id);
+    return order && belongsToStore(order, req.store.id) ? order : null;
+}
+
+// Gravar evento de pedido para o stream ao vivo (falha aqui nunca derruba o pedido)
+async function publishOrderEvent(type, order) {
     try {
-        const { orderData } = req.body;
-        
-        console.log('💾 Salvando pedido:', orderData?.customerName);
-        
-        if (!orderData || !orderData.customerName) {
-            return res.status(400).json({ error: "Dados do pedido inválidos" });
-        }
+        const payload = normalizeOrders([order])[0];
 
-        const orderToSave = {
-            date: orderData.date,
-            time: orderData.time,
-            customer_name: orderData.customerName,
-            customer_phone: orderData.customerPhone,
-            items: Array.isArray(orderData.items) ? orderData.items : [],
-            total: orderData.total || 0,
-            payment_method: orderData.paymentMethod,
-            status: orderData.status || 'pending'
-        };
+        const event = await store.orderEvents.create({
+            type,
+            order_id: order.id,
+            status: payload.status,
+            categories: orderCategories(payload),
+            payload
+        });
 
-        console.log('📦 Dados do pedido a serem salvos:', orderToSave);
+        orderEventBus.emit('event', event.id);
+    } catch (error) {
+        console.error('❌ Erro ao publicar evento do pedido:', error);
+    }
+}
 
-        const { data, error } = await supabase
-            .from('orders')
-            .insert([orderToSave])
-            .select();
+// Mensagem para a recusa do pedido pelo armazenamento (estoque, preço, produto)
+function placeOrderMessage({ code, productId, sabor }) {
+    const messages = {
+        PRODUCT_NOT_FOUND: `Produto ${productId} não encontrado`,
+        PRODUCT_INACTIVE: `Produto ${productId} não está disponível`,
+        PRICE_CHANGED: `O preço do produto ${productId} mudou, atualize o cardápio`,
+        SABOR_NOT_FOUND: `Sabor "${sabor}" não encontrado no produto ${productId}`,
+        OUT_OF_STOCK: `Sabor "${sabor}" do produto ${productId} esgotado ou sem estoque suficiente`
+    };
+    return messages[code];
+}
 
-        if (error) {
-            console.error('❌ Erro ao salvar pedido:', error);
-            throw error;
-        }
+// Item do pedido: produto, sabor e quantidade (preço vem sempre do catálogo)
+const orderItemSchema = t.object({
+    productId: t.id().optional(),
+    product_id: t.id().optional(),
+    id: t.id().optional(),
+    sabor: t.string({ max: 80 }).optional().nullable(),
+    saborName: t.string({ max: 80 }).optional().nullable(),
+    quantity: t.integer({ min: 1, max: 99, coerce: true }).default(1)
+}).refine(item => (item.productId ?? item.product_id ?? item.id) !== undefined, "Informe o produto", 'required');
 
-        console.log('✅ Pedido salvo com sucesso!');
-        res.json({ success: true, message: "Pedido registrado", orderId: data[0].id });
-        
-    } catch (error) {
-        console.error("❌ Erro ao salvar pedido:", error);
-        res.status(500).json({ error: "Erro ao salvar pedido: " + error.message });
-    }
+// Corpo de POST /api/orders
+const orderSchema = t.object({
+    orderData: t.object({
+        customerName: t.string({ min: 1, max: 80 }),
+        customerPhone: t.string({ max: 30 }).optional(),
+        paymentMethod: t.string({ max: 40 }).optional(),
+        date: t.string({ max: 20 }).optional(),
+        time: t.string({ max: 20 }).optional(),
+        redeemPoints: t.integer({ min: 1, coerce: true }).optional(),
+        couponCode: t.string({ max: 40 }).optional(),
+        orderType: t.enum(ORDER_TYPES).default('pickup'),
+        deliveryAddress: deliveryAddressSchema.optional(),
+        items: t.array(orderItemSchema, { min: 1, max: 50 })
+    }).refine(order => order.orderType !== 'delivery' || order.deliveryAddress, "Informe o endereço de entrega", 'required')
 });
 
-// Atualizar status do pedido
-app.post("/api/orders/update-status", async (req, res) => {
-    try {
-        const { orderId, status } = req.body;
-        
-        console.log(`🔄 Atualizando status do pedido ${orderId} para ${status}`);
-        
-        if (!orderId || !status) {
-            return res.status(400).json({ error: "ID do pedido e status são obrigatórios" });
-        }
+// Corpo de POST /api/orders/quote: itens, cupom e, para entrega, o endereço (para a taxa)
+const quoteSchema = t.object({
+    orderData: t.object({
+        couponCode: t.string({ max: 40 }).optional(),
+        orderType: t.enum(ORDER_TYPES).default('pickup'),
+        deliveryAddress: deliveryAddressSchema.optional(),
+        items: t.array(orderItemSchema, { min: 1, max: 50 })
+    }).refine(order => order.orderType !== 'delivery' || order.deliveryAddress, "Informe o endereço de entrega", 'required')
+});
+
+// Preço do pedido: linhas com o preço de tabela (conferido de novo na gravação) e as promoções
+// que valem agora. Responde 400 e retorna null se algum item ou o cupom for inválido.
+// "prefix" é o caminho dos itens no corpo da requisição, para o campo dos erros. Os produtos são os
+// do cardápio da loja "storeId", com o preço dela (produto de outra loja não é encontrado).
+async function priceOrder(res, { items, couponCode, storeId }, prefix = 'orderData') {
+    const productIds = [...new Set(items.map(item => item.productId ?? item.product_id ?? item.id))];
+    const products = storeCatalog(await store.products.getByIds(productIds), await loadStoreProducts(storeId), storeId);
+
+    const { lines, errors } = priceOrderItems(items, products);
+
+    // Produto com faixa de horário só é vendido dentro dela
+    const now = new Date();
+    items.forEach((item, index) => {
+        const product = products.find(row => String(row.id) === String(item.productId ?? item.product_id ?? item.id));
+        if (product && !isAvailableNow(product, now) && !errors.some(error => error.field === `items[${index}]`)) {
+            errors.push({ field: `items[${index}]`, code: 'PRODUCT_UNAVAILABLE_NOW', message: `Produto "${product.title}" não é vendido neste horário` });
+        }
+    });
+
+    if (errors.length > 0) {
+        console.log('❌ Pedido recusado:', errors);
+        sendError(res, 400, 'INVALID_ORDER_ITEMS', "Itens do pedido inválidos", {
+            details: errors.map(error => ({ ...error, field: prefix ? `${prefix}.${error.field}` : error.field }))
+        });
+        return null;
+    }
+
+    const pricing = applyPromotions(lines, await loadPromotions(storeId), { couponCode, now });
+
+    if (pricing.errors.length > 0) {
+        sendError(res, 400, 'INVALID_COUPON', pricing.errors[0].message, {
+            details: pricing.errors.map(error => ({ ...error, field: prefix ? `${prefix}.${error.field}` : error.field }))
+        });
+        return null;
+    }
+
+    return { products, lines, pricing };
+}
+
+// Configuração de tempos e tipos de pedido aceitos da loja; com erro na tabela vale a padrão
+async function loadDeliverySettings(storeId) {
+    const { data, error } = await attempt(store.settings.get(storeSettingsKey(DELIVERY_SETTINGS_KEY, storeId)));
+    if (error) console.error('❌ Erro ao buscar configuração de entrega:', error.message);
+    return deliverySettings(error ? null : data);
+}
+
+// Tipo do pedido, zona e taxa de entrega e horários previstos. "foodTotal" é o valor dos itens
+// com desconto, que precisa cobrir o pedido mínimo da zona. Responde 409 e retorna null se não
+// dá para atender (tipo desligado, endereço fora das zonas ou abaixo do mínimo). Configuração,
+// zonas e fila da previsão são os da loja "storeId".
+async function planFulfillment(res, { orderType, deliveryAddress, storeId }, foodTotal) {
+    const settings = await loadDeliverySettings(storeId);
+
+    if ((orderType === 'delivery' && !settings.deliveryEnabled) || (orderType === 'pickup' && !settings.pickupEnabled)) {
+        sendError(res, 409, 'ORDER_TYPE_UNAVAILABLE', orderType === 'delivery'
+            ? "Entregas suspensas no momento"
+            : "Retirada no balcão suspensa no momento");
+        return null;
+    }
+
+    let zone = null;
+    if (orderType === 'delivery') {
+        zone = matchZone(await store.deliveryZones.list(storeId), deliveryAddress);
+
+        if (!zone) {
+            sendError(res, 409, 'DELIVERY_UNAVAILABLE', "Não entregamos neste endereço");
+            return null;
+        }
+
+        const minOrder = Number(zone.min_order) || 0;
+        if (foodTotal < minOrder) {
+            sendError(res, 409, 'BELOW_MINIMUM_ORDER', `Pedido mínimo para ${zone.name}: R$ ${minOrder.toFixed(2)}`, {
+                minOrder,
+                missing: roundMoney(minOrder - foodTotal)
+            });
+            return null;
+        }
+    }
+
+    const queued = await store.orders.count({ storeId, statuses: ['pending', 'accepted', 'preparing'] });
+
+    return {
+        orderType,
+        zone,
+        address: orderType === 'delivery' ? deliveryAddress : null,
+        fee: zone ? roundMoney(Number(zone.fee) || 0) : 0,
+        ...estimateTimes({ orderType, zone, settings, queued })
+    };
+}
+
+// Simular o pedido: linhas, descontos e total que seriam cobrados agora
+app.post("/api/orders/quote", validateBody(quoteSchema, "Dados do pedido inválidos"), async (req, res) => {
+    try {
+        if (!req.store.active) {
+            return sendError(res, 409, 'STORE_INACTIVE', `${req.store.name} não está recebendo pedidos`);
+        }
+
+        const orderData = { ...req.body.orderData, storeId: req.store.id };
+        const priced = await priceOrder(res, orderData);
+        if (!priced) return;
+
+        const { lines, subtotal, discount, discounts, total } = priced.pricing;
+        const fulfillment = await planFulfillment(res, orderData, total);
+        if (!fulfillment) return;
+
+        res.json({
+            items: lines,
+            subtotal,
+            discount,
+            discounts,
+            orderType: fulfillment.orderType,
+            deliveryFee: fulfillment.fee,
+            deliveryZone: fulfillment.zone ? normalizeDeliveryZone(fulfillment.zone) : null,
+            total: roundMoney(total + fulfillment.fee),
+            estimatedReadyAt: fulfillment.estimatedReadyAt,
+            estimatedDeliveryAt: fulfillment.estimatedDeliveryAt
+        });
+    } catch (error) {
+        console.error("❌ Erro ao calcular pedido:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao calcular pedido");
+    }
+});
+
+// Salvar pedido (preço e estoque conferidos no servidor). Com Idempotency-Key, repetir o envio
+// (toque duplo, nova tentativa em conexão lenta) devolve o pedido já criado em vez de criar outro.
+app.post("/api/orders", rateLimit(limitStore, {
+    name: 'orders',
+    limit: RATE_LIMIT_ORDERS_PER_MINUTE,
+    windowMs: 60 * 1000,
+    message: "Muitos pedidos em pouco tempo, aguarde um instante"
+}), validateBody(orderSchema, "Dados do pedido inválidos"), idempotent('orders'), async (req, res) => {
+    try {
+        const { orderData } = req.body;
+        
+        console.log('💾 Salvando pedido:', orderData.customerName);
+
+        const status = await loadBusinessStatus(req.store.id);
+        if (!status.open) {
+            console.log('🚫 Pedido recusado: bar fechado');
+            return sendError(res, 409, 'STORE_CLOSED', status.message, { reason: status.reason, nextOpening: status.nextOpening });
+        }
+
+        if (!req.store.active) {
+            console.log(`🚫 Pedido recusado: loja ${req.store.slug} desativada`);
+            return sendError(res, 409, 'STORE_INACTIVE', `${req.store.name} não está recebendo pedidos`);
+        }
+
+        const priced = await priceOrder(res, { ...orderData, storeId: req.store.id });
+        if (!priced) return;
+
+        const { products, lines, pricing } = priced;
+
+        const fulfillment = await planFulfillment(res, { ...orderData, storeId: req.store.id }, pricing.total);
+        if (!fulfillment) return;
+
+        // Cliente pelo telefone normalizado; telefone que não dá para entender fica só como texto no pedido
+        const phone = normalizePhone(orderData.customerPhone);
+        let redeemed = { points: 0, discount: 0 };
+
+        if (orderData.redeemPoints) {
+            // Resgate só no caixa: o telefone sozinho não prova que os pontos são de quem está pedindo
+            if (!(await authenticate(req))) {
+                return sendError(res, 403, 'LOYALTY_REQUIRES_STAFF', "O resgate de pontos é feito no caixa");
+            }
+
+            if (!phone) {
+                return sendError(res, 400, 'INVALID_PHONE', "Informe um telefone válido para resgatar pontos");
+            }
+        }
+
+        const customer = phone ? await store.customers.findOrCreate({ phone, name: orderData.customerName }) : null;
+
+        if (orderData.redeemPoints) {
+            if (customer.points < orderData.redeemPoints) {
+                return sendError(res, 409, 'INSUFFICIENT_POINTS', `O cliente tem ${customer.points} ponto(s)`, { points: customer.points });
+            }
+            redeemed = redemption(orderData.redeemPoints, pricing.total);
+        }
+
+        const discounts = redeemed.points > 0
+            ? [...pricing.discounts, { type: 'loyalty', name: 'Resgate de pontos', points: redeemed.points, amount: redeemed.discount }]
+            : pricing.discounts;
+
+        const orderToSave = {
+            store_id: req.store.id,
+            date: orderData.date,
+            time: orderData.time,
+            customer_name: orderData.customerName,
+            customer_phone: phone || orderData.customerPhone,
+            customer_id: customer ? customer.id : null,
+            items: pricing.lines,
+            subtotal: pricing.subtotal,
+            // Total cobrado = itens com desconto + taxa de entrega (que fica também em delivery_fee)
+            total: roundMoney(pricing.total - redeemed.discount + fulfillment.fee),
+            discount: roundMoney(pricing.discount + redeemed.discount),
+            discounts,
+            coupon_code: pricing.discounts.find(entry => entry.type === 'coupon')?.code || null,
+            loyalty_points_redeemed: redeemed.points,
+            payment_method: orderData.paymentMethod,
+            order_type: fulfillment.orderType,
+            delivery_address: fulfillment.address,
+            delivery_fee: fulfillment.fee,
+            delivery_zone_id: fulfillment.zone ? fulfillment.zone.id : null,
+            estimated_ready_at: fulfillment.estimatedReadyAt,
+            estimated_delivery_at: fulfillment.estimatedDeliveryAt,
+            status: 'pending',
+            status_history: [historyEntry('pending', null)]
+        };
+
+        console.log('📦 Dados do pedido a serem salvos:', orderToSave);
+
+        let saved;
+        try {
+            saved = await store.orders.place(orderToSave, stockLinesFor(lines, req.store.id));
+        } catch (error) {
+            if (isPlaceOrderFailure(error)) {
+                console.log('❌ Pedido recusado pelo banco:', error.code);
+                return sendError(res, 409, error.code, placeOrderMessage(error), {
+                    productId: error.productId,
+                    sabor: error.sabor
+                });
+            }
+            if (isLoyaltyFailure(error)) {
+                console.log('❌ Resgate recusado pelo banco:', error.code);
+                return sendError(res, 409, 'INSUFFICIENT_POINTS', "Saldo de pontos insuficiente");
+            }
+            if (isPromotionFailure(error)) {
+                console.log('❌ Cupom recusado pelo banco:', error.couponCode);
+                return sendError(res, 409, 'COUPON_UNAVAILABLE', `Cupom "${error.couponCode}" não está mais disponível`);
+            }
+            throw error;
+        }
+
+        console.log('✅ Pedido salvo com sucesso!');
+        await publishOrderEvent('order.created', saved);
+        await queueAutoPrint(saved, saved.status);
+        await notifyAdminsNewOrder(saved);
+        await notifyLowStock(crossedLowStock(products, saleChanges(products, lines)));
+        res.json({
+            success: true,
+            message: "Pedido registrado",
+            orderId: saved.id,
+            // Chave para o cliente acessar o pedido depois (PIX)
+            accessToken: orderAccessToken(saved.id, authSecret),
+            subtotal: orderToSave.subtotal,
+            total: orderToSave.total,
+            discount: orderToSave.discount,
+            discounts,
+            orderType: orderToSave.order_type,
+            deliveryFee: orderToSave.delivery_fee,
+            estimatedReadyAt: orderToSave.estimated_ready_at,
+            estimatedDeliveryAt: orderToSave.estimated_delivery_at,
+            pointsRedeemed: redeemed.points,
+            customerId: orderToSave.customer_id,
+            items: pricing.lines
+        });
+        
+    } catch (error) {
+        console.error("❌ Erro ao salvar pedido:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao salvar pedido");
+    }
+});
+
+// Stream ao vivo de pedidos (Server-Sent Events) para as telas do bar e da cozinha.
+// Filtros: ?status=pending,accepted&category=cerveja. Reconexão com Last-Event-ID (ou ?lastEventId=).
+app.get("/api/orders/stream", async (req, res) => {
+    let admin;
+    let allowed = false;
+    try {
+        admin = await authenticate(req, { allowQueryToken: true });
+        allowed = Boolean(admin) && await scopeAdminStore(req, admin);
+    } catch (error) {
+        console.error('❌ Erro ao verificar autenticação do stream:', error);
+        return sendError(res, 500, 'INTERNAL_ERROR', "Erro ao verificar autenticação");
+    }
+
+    if (!admin) {
+        return sendError(res, 401, 'UNAUTHORIZED', "Não autorizado");
+    }
+
+    if (!allowed) {
+        return sendError(res, 403, 'STORE_FORBIDDEN', "Sem acesso a esta loja");
+    }
+
+    const statuses = parseListParam(req.query.status);
+    const categories = parseListParam(req.query.category);
+    const resumeFrom = parseInt(req.headers['last-event-id'] ?? req.query.lastEventId, 10);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    console.log(`📡 Stream de pedidos aberto (${admin.username}) status=${statuses || 'todos'} categorias=${categories || 'todas'}`);
+
+    let lastId = Number.isInteger(resumeFrom) ? resumeFrom : null;
+    let closed = false;
+    let fetching = false;
+    let pending = false;
+
+    // Enviar eventos novos desde o último enviado
+    const flush = async () => {
+        if (closed) return;
+        if (fetching) {
+            pending = true;
+            return;
+        }
+        fetching = true;
+
+        try {
+            // Sem Last-Event-ID começa do evento mais recente, sem reenviar o histórico
+            if (lastId === null) {
+                lastId = await store.orderEvents.latestId();
+            }
+
+            const events = await store.orderEvents.listAfter(lastId, 200);
+
+            // Eventos filtrados fora também avançam o cursor
+            for (const event of events || []) {
+                if (closed) break;
+                if (belongsToStore({ store_id: event.payload?.storeId }, req.store.id) && matchesStreamFilter(event, { statuses, categories })) {
+                    res.write(formatSseEvent({ id: event.id, event: event.type, data: event.payload }));
+                }
+                lastId = event.id;
+            }
+
+            if ((events || []).length === 200) pending = true;
+        } catch (error) {
+            console.error('❌ Erro no stream de pedidos:', error.message);
+        } finally {
+            fetching = false;
+            if (pending && !closed) {
+                pending = false;
+                flush();
+            }
+        }
+    };
+
+    const pollMs = parseInt(process.env.ORDER_STREAM_POLL_MS, 10) || 3000;
+    const heartbeatMs = parseInt(process.env.ORDER_STREAM_HEARTBEAT_MS, 10) || 15000;
+
+    const onEvent = () => flush();
+    orderEventBus.on('event', onEvent);
+    const pollTimer = setInterval(flush, pollMs);
+    const heartbeatTimer = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), heartbeatMs);
+
+    req.on('close', () => {
+        closed = true;
+        clearInterval(pollTimer);
+        clearInterval(heartbeatTimer);
+        orderEventBus.off('event', onEvent);
+        console.log(`📡 Stream de pedidos fechado (${admin.username})`);
+    });
+
+    flush();
+});
+
+// Status possíveis e transições permitidas
+app.get("/api/orders/statuses", (req, res) => {
+    res.json({ statuses: ORDER_STATUSES, transitions: ORDER_TRANSITIONS });
+});
+
+// Corpo de POST /api/orders/update-status
+const updateStatusSchema = t.object({
+    orderId: t.id(),
+    status: t.enum(ORDER_STATUSES),
+    reason: t.string({ max: 300 }).optional()
+}).refine(body => body.status !== 'cancelled' || Boolean(body.reason), "Informe o motivo do cancelamento", 'required');
+
+// Cancelar pedido: registra o motivo, devolve ao estoque o que não foi estornado e separa
+// o valor cancelado do total. Retorna o pedido atualizado ou null se ele mudou no meio do caminho.
+async function cancelOrder(order, reason, admin) {
+    const now = new Date().toISOString();
+    const { lines, cancelledAmount } = planCancellation(order);
+
+    const result = await store.orders.applyReturn(order.id, order.updated_at, {
+        updates: {
+            status: 'cancelled',
+            status_history: [...statusHistoryOf(order), { ...historyEntry('cancelled', admin), reason }],
+            cancel_reason: reason,
+            cancelled_at: now,
+            cancelled_amount: cancelledAmount,
+            updated_at: now
+        },
+        restock: restockLines(lines, `Cancelamento do pedido #${order.id}`, admin)
+    });
+
+    if (!result) return null;
+
+    await restoreRedeemedPoints(result.order, admin);
+    return result.order;
+}
+
+// Atualizar status do pedido (segue o ciclo de vida e registra no histórico)
+app.post("/api/orders/update-status", requireAuth(), validateBody(updateStatusSchema), async (req, res) => {
+    try {
+        const { orderId, status, reason } = req.body;
+        
+        console.log(`🔄 Atualizando status do pedido ${orderId} para ${status} (${req.admin.username})`);
+
+        const order = await findOrder(req, orderId);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        const currentStatus = order.status || 'pending';
+
+        if (!canTransition(currentStatus, status)) {
+            const allowed = ORDER_TRANSITIONS[currentStatus] || [];
+            return sendError(res, 409, 'INVALID_STATUS_TRANSITION',
+                `Não é possível mudar o pedido de "${currentStatus}" para "${status}"`,
+                { currentStatus, allowed });
+        }
+
+        // Só grava se ninguém mudou o status no meio do caminho
+        const updated = status === 'cancelled'
+            ? await cancelOrder(order, reason, req.admin)
+            : await store.orders.updateIfStatus(order.id, order.status, {
+                status: status,
+                status_history: [...statusHistoryOf(order), historyEntry(status, req.admin)],
+                updated_at: new Date().toISOString()
+            });
+
+        if (!updated) {
+            return sendError(res, 409, 'ORDER_CONFLICT', "O pedido foi alterado por outra pessoa, recarregue e tente novamente");
+        }
+
+        auditChange(res, 'order', order.id, { status: currentStatus }, { status: updated.status, reason: reason || null });
+
+        console.log('✅ Status do pedido atualizado com sucesso!');
+        await settleOrderPoints(updated, req.admin);
+        await publishOrderEvent('order.status', updated);
+        await queueAutoPrint(updated, updated.status);
+        await notifyCustomerStatus(order.id, status);
+        res.json({
+            success: true,
+            message: `Status do pedido atualizado para ${status}`,
+            order: normalizeOrders([updated])[0]
+        });
+        
+    } catch (error) {
+        console.error("❌ Erro ao atualizar status do pedido:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar status do pedido");
+    }
+});
+
+// Cancelar pedido com motivo (itens voltam ao estoque)
+app.post("/api/orders/:id/cancel", requireAuth(), validateBody(t.object({ reason: t.string({ min: 1, max: 300 }) }), "Informe o motivo do cancelamento"), async (req, res) => {
+    try {
+        const order = await findOrder(req, req.params.id);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        const currentStatus = order.status || 'pending';
+
+        if (!canTransition(currentStatus, 'cancelled')) {
+            return sendError(res, 409, 'INVALID_STATUS_TRANSITION',
+                `Não é possível cancelar um pedido "${currentStatus}"`,
+                { currentStatus, allowed: ORDER_TRANSITIONS[currentStatus] || [] });
+        }
+
+        console.log(`🚫 Cancelando pedido ${order.id} (${req.admin.username}): ${req.body.reason}`);
+
+        const updated = await cancelOrder(order, req.body.reason, req.admin);
+
+        if (!updated) {
+            return sendError(res, 409, 'ORDER_CONFLICT', "O pedido foi alterado por outra pessoa, recarregue e tente novamente");
+        }
+
+        auditChange(res, 'order', order.id, { status: currentStatus }, { status: updated.status, reason: req.body.reason });
+
+        console.log('✅ Pedido cancelado:', order.id);
+        await publishOrderEvent('order.status', updated);
+        await notifyCustomerStatus(order.id, 'cancelled');
+        res.json({ success: true, message: "Pedido cancelado", order: normalizeOrders([updated])[0] });
+    } catch (error) {
+        console.error("❌ Erro ao cancelar pedido:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao cancelar pedido");
+    }
+});
+
+// Estorno de itens: line é a posição do item no pedido; sem items, estorna tudo o que resta
+const refundSchema = t.object({
+    items: t.array(t.object({
+        line: t.integer({ min: 0 }),
+        quantity: t.integer({ min: 1 })
+    }), { min: 1, max: 100 }).optional(),
+    reason: t.string({ min: 1, max: 300 }),
+    restock: t.boolean().default(true)
+});
+
+// Estornar itens do pedido (total ou parcial), com registro do estorno
+app.post("/api/orders/:id/refunds", requireAuth('owner', 'manager'), validateBody(refundSchema, "Dados do estorno inválidos"), async (req, res) => {
+    try {
+        const { items, reason, restock } = req.body;
+        const order = await findOrder(req, req.params.id);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        if (order.status === 'cancelled') {
+            return sendError(res, 409, 'ORDER_CANCELLED', "Pedido cancelado não pode ser estornado");
+        }
+
+        const { lines, amount, errors } = planRefund(order, items ?? null);
+
+        if (errors.length > 0) {
+            return sendError(res, 400, 'INVALID_REFUND', "Estorno inválido", { details: errors });
+        }
+
+        console.log(`💸 Estornando R$ ${amount.toFixed(2)} do pedido ${order.id} (${req.admin.username})`);
+
+        const result = await store.orders.applyReturn(order.id, order.updated_at, {
+            updates: {
+                items: applyRefundToItems(order.items, lines),
+                refunded_amount: roundMoney((parseFloat(order.refunded_amount) || 0) + amount),
+                updated_at: new Date().toISOString()
+            },
+            restock: restock ? restockLines(lines, `Estorno do pedido #${order.id}`, req.admin) : [],
+            refund: { amount, items: lines, reason, restock, admin_user_id: req.admin.id }
+        });
+
+        if (!result) {
+            return sendError(res, 409, 'ORDER_CONFLICT', "O pedido foi alterado por outra pessoa, recarregue e tente novamente");
+        }
+
+        await settleOrderPoints(result.order, req.admin);
+        await publishOrderEvent('order.refunded', result.order);
+        res.status(201).json({
+            success: true,
+            message: `Estorno de R$ ${amount.toFixed(2)} registrado`,
+            refund: normalizeRefund(result.refund),
+            order: normalizeOrders([result.order])[0]
+        });
+    } catch (error) {
+        console.error("❌ Erro ao estornar pedido:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao estornar pedido");
+    }
+});
+
+// Estornos de um pedido
+app.get("/api/orders/:id/refunds", requireAuth(), async (req, res) => {
+    try {
+        const order = await findOrder(req, req.params.id);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        const refunds = await store.orderRefunds.listByOrder(order.id);
+        res.json({ refunds: refunds.map(normalizeRefund) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar estornos:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar estornos");
+    }
+});
+
+// Query dos cupons: formato, largura da bobina (padrão: a da configuração ou da praça), praça e 2ª via.
+// autoPrint abre a janela de impressão quando o HTML carrega.
+const ticketQuerySchema = t.object({
+    format: t.enum(PRINT_FORMATS).default('text'),
+    width: paperWidthSchema().optional(),
+    station: t.string({ max: 40 }).optional(),
+    reprint: t.boolean({ coerce: true }).default(false),
+    autoPrint: t.boolean({ coerce: true }).default(false)
+});
+
+// Enviar o cupom no formato pedido (ESC/POS vai como arquivo para o agente mandar direto à impressora)
+function sendTicket(res, lines, { format, width, title, autoPrint = false }) {
+    const { contentType, body } = renderTicket(lines, format, width, { title, autoPrint });
+    res.set('Content-Type', contentType);
+    if (format === 'escpos') res.set('Content-Disposition', `attachment; filename="${title.replace(/\W+/g, '-').toLowerCase()}.bin"`);
+    res.send(body);
+}
+
+// Comanda de produção (kitchen) ou recibo do cliente (receipt) de um pedido, para imprimir na hora
+function ticketRoute(kind) {
+    return async (req, res) => {
+        try {
+            const order = await findOrder(req, req.params.id);
+
+            if (!order) {
+                return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+            }
+
+            const settings = await loadPrintingSettings();
+            const { format, width, station: stationId, reprint, autoPrint } = req.query;
+            const station = kind === 'kitchen' && stationId ? settings.stations.find(item => item.id === stationId) || null : null;
+
+            if (kind === 'kitchen' && stationId && !station) {
+                return sendError(res, 404, 'PRINT_STATION_NOT_FOUND', `Praça de impressão "${stationId}" não cadastrada`);
+            }
+
+            const lines = await buildTicket(normalizeOrders([order])[0], kind, settings, { station, reprint });
+
+            if (!lines) {
+                return sendError(res, 409, 'NOTHING_TO_PRINT', "Nenhum item do pedido para imprimir nesta praça");
+            }
+
+            sendTicket(res, lines, {
+                format,
+                width: width || station?.width || settings.width,
+                title: kind === 'receipt' ? `Recibo ${order.id}` : `Comanda ${order.id}`,
+                autoPrint
+            });
+        } catch (error) {
+            console.error("❌ Erro ao montar cupom:", error);
+            sendError(res, 500, 'INTERNAL_ERROR', "Erro ao montar cupom");
+        }
+    };
+}
+
+app.get("/api/orders/:id/kitchen-ticket", requireAuth(), validateQuery(ticketQuerySchema, "Parâmetros do cupom inválidos"), ticketRoute('kitchen'));
+app.get("/api/orders/:id/receipt", requireAuth(), validateQuery(ticketQuerySchema, "Parâmetros do cupom inválidos"), ticketRoute('receipt'));
+
+// Mandar o pedido para a fila de impressão (reimpressão ou impressão manual); sem stationId a comanda
+// vai para todas as praças com itens do pedido
+const printRequestSchema = t.object({
+    kind: t.enum(PRINT_KINDS).default('kitchen'),
+    stationId: t.string({ max: 40 }).optional()
+});
+
+app.post("/api/orders/:id/print", requireAuth(), validateBody(printRequestSchema, "Dados da impressão inválidos"), async (req, res) => {
+    try {
+        const order = await findOrder(req, req.params.id);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        const { kind, stationId } = req.body;
+        const settings = await loadPrintingSettings();
+
+        if (kind === 'kitchen' && stationId && !settings.stations.some(station => station.id === stationId)) {
+            return sendError(res, 404, 'PRINT_STATION_NOT_FOUND', `Praça de impressão "${stationId}" não cadastrada`);
+        }
+
+        const rows = printJobsFor(normalizeOrders([order])[0], settings, { kind, stationId, requestedBy: req.admin.username });
+
+        if (rows.length === 0) {
+            return sendError(res, 409, 'NOTHING_TO_PRINT', "Nenhum item do pedido para imprimir nesta praça");
+        }
+
+        const jobs = await store.printJobs.create(rows);
+        auditChange(res, 'order', order.id, null, { print: kind, jobs: jobs.map(job => job.id) });
+
+        console.log(`🖨️ ${jobs.length} impressão(ões) pedidas para o pedido ${order.id} (${req.admin.username})`);
+        res.status(201).json({ success: true, message: "Impressão enviada para a fila", jobs: jobs.map(normalizePrintJob) });
+    } catch (error) {
+        console.error("❌ Erro ao pedir impressão:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao pedir impressão");
+    }
+});
+
+// Configuração da impressão (impressão automática, praças, largura da bobina, cabeçalho do recibo)
+app.get("/api/printing/settings", requireAuth(), async (req, res) => {
+    try {
+        const saved = await store.settings.get(PRINTING_SETTINGS_KEY);
+        res.json({ settings: printingSettings(saved) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar configuração de impressão:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar configuração de impressão");
+    }
+});
+
+app.put("/api/printing/settings", requireAuth('owner', 'manager'), requireAllStores, validateBody(printingSettingsSchema, "Configuração de impressão inválida"), async (req, res) => {
+    try {
+        const before = printingSettings(await store.settings.get(PRINTING_SETTINGS_KEY));
+        const settings = await store.settings.set(PRINTING_SETTINGS_KEY, req.body);
+        auditChange(res, 'settings', PRINTING_SETTINGS_KEY, before, settings);
+
+        console.log(`🖨️ Configuração de impressão atualizada (${req.admin.username}): automática ${settings.autoPrint ? `em "${settings.triggerStatus}"` : 'desligada'}`);
+        res.json({ success: true, message: "Configuração de impressão salva", settings });
+    } catch (error) {
+        console.error("❌ Erro ao salvar configuração de impressão:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao salvar configuração de impressão");
+    }
+});
+
+// Trabalho de impressão da loja da requisição (null se não existe ou é de outra loja)
+async function findPrintJob(req, id) {
+    const job = await store.printJobs.getById(id);
+    return job && belongsToStore(job, req.store.id) ? job : null;
+}
+
+// Fila de impressão, consultada pelo agente da impressora térmica: ?status=pending&station=bar
+// (sem station, todas as praças; recibos e comandas sem praça ficam em station=none)
+const printJobsQuerySchema = t.object({
+    status: t.string({ max: 100 }).optional(),
+    station: t.string({ max: 40 }).optional(),
+    orderId: t.id().optional(),
+    limit: t.integer({ min: 1, coerce: true }).optional()
+});
+
+const PRINT_JOB_STATUSES = ['pending', 'printing', 'printed', 'failed'];
+
+app.get("/api/print-jobs", requireAuth(), validateQuery(printJobsQuerySchema, "Filtros inválidos"), async (req, res) => {
+    const statuses = parseListParam(req.query.status) || ['pending'];
+    const invalid = statuses.filter(status => !PRINT_JOB_STATUSES.includes(status));
+
+    if (invalid.length > 0) {
+        return sendValidationError(res, [{
+            field: 'status',
+            code: 'invalid_enum',
+            message: `Status inválido: ${invalid.join(', ')}. Use: ${PRINT_JOB_STATUSES.join(', ')}`
+        }], "Filtros inválidos");
+    }
+
+    try {
+        const { station, orderId } = req.query;
+        const jobs = await store.printJobs.list({
+            statuses,
+            stationId: station === undefined ? undefined : station === 'none' ? null : station,
+            orderId,
+            storeId: req.store.id
+        }, { limit: pageLimit(req.query.limit) });
+
+        res.json({ jobs: jobs.map(normalizePrintJob) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar fila de impressão:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar fila de impressão");
+    }
+});
+
+// Reservar um trabalho para imprimir (dois agentes não imprimem o mesmo cupom). Trabalho reservado
+// há mais de PRINT_CLAIM_TIMEOUT_SECONDS sem resposta volta a poder ser reservado.
+app.post("/api/print-jobs/:id/claim", requireAuth(), async (req, res) => {
+    auditChange(res, false);
+
+    try {
+        const job = await findPrintJob(req, req.params.id);
+
+        if (!job) {
+            return sendError(res, 404, 'PRINT_JOB_NOT_FOUND', "Impressão não encontrada");
+        }
+
+        const staleBefore = new Date(Date.now() - PRINT_CLAIM_TIMEOUT_MS).toISOString();
+        const claimed = await store.printJobs.claim(job.id, { staleBefore });
+
+        if (!claimed) {
+            return sendError(res, 409, 'PRINT_JOB_UNAVAILABLE', "Esta impressão já foi reservada ou concluída", { status: job.status });
+        }
+
+        res.json({ success: true, job: normalizePrintJob(claimed) });
+    } catch (error) {
+        console.error("❌ Erro ao reservar impressão:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao reservar impressão");
+    }
+});
+
+// Conteúdo do trabalho no formato da impressora (padrão ESC/POS). Cupom já impresso antes sai como 2ª via.
+app.get("/api/print-jobs/:id/content", requireAuth(), validateQuery(t.object({
+    format: t.enum(PRINT_FORMATS).default('escpos'),
+    width: paperWidthSchema().optional()
+}), "Parâmetros do cupom inválidos"), async (req, res) => {
+    try {
+        const job = await findPrintJob(req, req.params.id);
+
+        if (!job) {
+            return sendError(res, 404, 'PRINT_JOB_NOT_FOUND', "Impressão não encontrada");
+        }
+
+        const order = await findOrder(req, job.order_id);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        const [settings, printed] = await Promise.all([
+            loadPrintingSettings(),
+            store.printJobs.list({ statuses: ['printed'], orderId: job.order_id })
+        ]);
+        const reprint = printed.some(other => other.id !== job.id && other.kind === job.kind &&
+            (other.station_id ?? null) === (job.station_id ?? null));
+        // Praça apagada da configuração depois do pedido: a comanda sai com todos os itens
+        const station = job.station_id ? settings.stations.find(item => item.id === job.station_id) || null : null;
+
+        const lines = await buildTicket(normalizeOrders([order])[0], job.kind, settings, { station, reprint });
+
+        if (!lines) {
+            return sendError(res, 409, 'NOTHING_TO_PRINT', "Nenhum item do pedido para imprimir nesta praça");
+        }
+
+        sendTicket(res, lines, {
+            format: req.query.format,
+            width: req.query.width || job.width || settings.width,
+            title: `${job.kind === 'receipt' ? 'Recibo' : 'Comanda'} ${order.id}-${job.id}`
+        });
+    } catch (error) {
+        console.error("❌ Erro ao montar cupom da fila:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao montar cupom");
+    }
+});
+
+// Resultado informado pelo agente: impresso, ou falha com o motivo (ex.: sem papel)
+const printResultSchema = t.object({
+    printed: t.boolean({ coerce: true }),
+    error: t.string({ max: 500 }).optional()
+});
+
+app.post("/api/print-jobs/:id/complete", requireAuth(), validateBody(printResultSchema, "Resultado da impressão inválido"), async (req, res) => {
+    auditChange(res, false);
+
+    try {
+        const { printed, error: reason } = req.body;
+
+        if (!(await findPrintJob(req, req.params.id))) {
+            return sendError(res, 404, 'PRINT_JOB_NOT_FOUND', "Impressão não encontrada");
+        }
+
+        const job = await store.printJobs.finish(req.params.id, {
+            status: printed ? 'printed' : 'failed',
+            error: printed ? null : reason || "Falha na impressora"
+        });
+
+        if (!job) {
+            const existing = await store.printJobs.getById(req.params.id);
+            return sendError(res, 409, 'PRINT_JOB_NOT_CLAIMED', "Esta impressão não está reservada", { status: existing.status });
+        }
+
+        console.log(printed
+            ? `🖨️ Impressão ${job.id} do pedido ${job.order_id} concluída`
+            : `⚠️ Impressão ${job.id} do pedido ${job.order_id} falhou: ${job.error}`);
+        res.json({ success: true, job: normalizePrintJob(job) });
+    } catch (error) {
+        console.error("❌ Erro ao registrar resultado da impressão:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao registrar resultado da impressão");
+    }
+});
+
+// Dados do recebedor PIX (chave, nome e cidade que aparecem no app do banco)
+app.get("/api/pix/settings", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const settings = await store.settings.get(PIX_SETTINGS_KEY);
+        res.json({ settings, webhookConfigured: Boolean(process.env.PIX_WEBHOOK_SECRET) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar configuração do PIX:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar configuração do PIX");
+    }
+});
+
+app.put("/api/pix/settings", requireAuth('owner'), requireAllStores, validateBody(pixSettingsSchema, "Configuração do PIX inválida"), async (req, res) => {
+    try {
+        const before = await store.settings.get(PIX_SETTINGS_KEY);
+        const settings = await store.settings.set(PIX_SETTINGS_KEY, req.body);
+        auditChange(res, 'settings', PIX_SETTINGS_KEY, before, settings);
+
+        console.log(`💠 Configuração do PIX atualizada (${req.admin.username}): ${settings.locationBaseUrl ? 'dinâmico' : 'estático'}`);
+        res.json({ success: true, message: "Configuração do PIX salva", settings });
+    } catch (error) {
+        console.error("❌ Erro ao salvar configuração do PIX:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao salvar configuração do PIX");
+    }
+});
+
+// Cobrança PIX em aberto do pedido no valor atual (total menos estornos), calculado aqui e nunca pelo
+// cliente. Reaproveita a cobrança em aberto; se venceu ou o valor mudou, cancela e gera outra.
+async function openPixCharge(order, settings) {
+    const amount = normalizeOrders([order])[0].netTotal;
+    const latest = await store.pixCharges.latestForOrder(order.id);
+
+    if (latest && latest.status === 'pending') {
+        const expired = latest.expires_at && new Date(latest.expires_at) <= new Date();
+        if (!expired && Number(latest.amount) === amount) return latest;
+        await store.pixCharges.cancel(latest.id);
+    }
+
+    const txid = newTxid(order.id);
+    const url = settings.locationBaseUrl ? `${settings.locationBaseUrl.replace(/\/+$/, '')}/${txid}` : null;
+
+    try {
+        return await store.pixCharges.create({
+            order_id: order.id,
+            txid,
+            amount,
+            mode: url ? 'dynamic' : 'static',
+            payload: buildPixPayload({ ...settings, amount, txid, description: settings.description || `Pedido ${order.id}`, url }),
+            expires_at: new Date(Date.now() + settings.expiresInMinutes * 60 * 1000).toISOString()
+        });
+    } catch (error) {
+        // Duas telas pedindo o PIX ao mesmo tempo: fica a cobrança que foi gravada primeiro
+        if (error.code === '23505') return store.pixCharges.latestForOrder(order.id);
+        throw error;
+    }
+}
+
+// Carregar o pedido e conferir se ainda dá para cobrar por PIX (responde o erro e retorna null se não)
+async function loadPayableOrder(req, res) {
+    const order = await findOrder(req, req.params.id);
+
+    if (!order) {
+        sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        return null;
+    }
+    if (order.payment_status === 'paid') {
+        sendError(res, 409, 'ORDER_ALREADY_PAID', "Este pedido já foi pago");
+        return null;
+    }
+    if (order.status === 'cancelled') {
+        sendError(res, 409, 'ORDER_CANCELLED', "Este pedido foi cancelado");
+        return null;
+    }
+    if (normalizeOrders([order])[0].netTotal <= 0) {
+        sendError(res, 409, 'NOTHING_TO_PAY', "Este pedido não tem valor a pagar");
+        return null;
+    }
+    return order;
+}
+
+async function loadPixSettings(res) {
+    const settings = await store.settings.get(PIX_SETTINGS_KEY);
+    if (!settings) sendError(res, 503, 'PIX_NOT_CONFIGURED', "Pagamento por PIX não está disponível");
+    return settings;
+}
+
+// Acesso ao pedido pelo cliente: a chave devolvida na criação do pedido vem no cabeçalho X-Order-Token
+// (ou em ?accessToken=, para <img>). Admin logado da loja também passa.
+async function requireOrderAccess(req, res, next) {
+    try {
+        const token = req.get('X-Order-Token') ?? req.query.accessToken;
+        if (verifyOrderAccessToken(token, req.params.id, authSecret)) return next();
+
+        const admin = await authenticate(req);
+        if (admin && canManageStore(admin, req.store.id)) return next();
+
+        sendError(res, 401, 'UNAUTHORIZED', "Chave de acesso do pedido inválida");
+    } catch (error) {
+        console.error('❌ Erro ao verificar acesso ao pedido:', error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao verificar acesso ao pedido");
+    }
+}
+
+// Gerar (ou reaproveitar) o PIX do pedido: "copia e cola" e QR Code (data URL PNG)
+app.post("/api/orders/:id/pix", requireOrderAccess, async (req, res) => {
+    try {
+        const settings = await loadPixSettings(res);
+        if (!settings) return;
+
+        const order = await loadPayableOrder(req, res);
+        if (!order) return;
+
+        const charge = await openPixCharge(order, settings);
+        const qrCode = await QRCode.toDataURL(charge.payload, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+
+        console.log(`💠 PIX do pedido ${order.id}: R$ ${Number(charge.amount).toFixed(2)} (${charge.txid})`);
+        res.status(201).json({ success: true, charge: normalizePixCharge(charge, qrCode) });
+    } catch (error) {
+        console.error("❌ Erro ao gerar PIX:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao gerar PIX");
+    }
+});
+
+// Situação do pagamento do pedido (a tela do cliente consulta até aparecer "paid")
+app.get("/api/orders/:id/pix", requireOrderAccess, async (req, res) => {
+    try {
+        const order = await findOrder(req, req.params.id);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        const charge = await store.pixCharges.latestForOrder(order.id);
+        res.json({
+            orderId: order.id,
+            paymentStatus: order.payment_status || 'unpaid',
+            paidAt: order.paid_at || null,
+            charge: charge ? normalizePixCharge(charge) : null
+        });
+    } catch (error) {
+        console.error("❌ Erro ao buscar PIX do pedido:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar PIX do pedido");
+    }
+});
+
+// QR Code da cobrança em aberto como imagem PNG (para <img> e para imprimir)
+app.get("/api/orders/:id/pix/qrcode.png", requireOrderAccess, async (req, res) => {
+    try {
+        const settings = await loadPixSettings(res);
+        if (!settings) return;
+
+        const order = await loadPayableOrder(req, res);
+        if (!order) return;
+
+        const charge = await openPixCharge(order, settings);
+        const image = await QRCode.toBuffer(charge.payload, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width: 320 });
+
+        res.set({ 'Content-Type': 'image/png', 'Cache-Control': 'no-store', 'X-Pix-Txid': charge.txid });
+        res.send(image);
+    } catch (error) {
+        console.error("❌ Erro ao gerar QR Code do PIX:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao gerar QR Code do PIX");
+    }
+});
+
+// Dar baixa num PIX avisado pelo PSP. Retorna o resultado gravado (ou "duplicate")
+async function receivePixPayment(entry) {
+    const result = await store.pixPayments.record({
+        end_to_end_id: entry.endToEndId,
+        txid: entry.txid || null,
+        amount: entry.valor,
+        paid_at: entry.horario && !Number.isNaN(new Date(entry.horario).getTime()) ? new Date(entry.horario).toISOString() : null,
+        payer: entry.pagador ?? (entry.infoPagador ? { info: entry.infoPagador } : null),
+        raw: entry
+    });
+
+    if (result.duplicate) {
+        console.log(`💠 PIX ${entry.endToEndId} já registrado`);
+        return { endToEndId: entry.endToEndId, outcome: 'duplicate' };
+    }
+
+    const { payment, order } = result;
+    if (order) {
+        console.log(`✅ Pedido ${order.id} pago por PIX (R$ ${Number(payment.amount).toFixed(2)})`);
+        await publishOrderEvent('order.paid', order);
+    } else {
+        console.warn(`⚠️ PIX ${payment.end_to_end_id} (txid ${payment.txid || '-'}) não deu baixa: ${payment.outcome}`);
+    }
+
+    return { endToEndId: payment.end_to_end_id, outcome: payment.outcome, orderId: payment.order_id ?? null };
+}
+
+// Webhook do PSP: o corpo vem assinado com PIX_WEBHOOK_SECRET no cabeçalho X-Pix-Signature
+app.post("/api/pix/webhook", async (req, res) => {
+    const secret = process.env.PIX_WEBHOOK_SECRET;
+
+    if (!secret) {
+        return sendError(res, 503, 'PIX_WEBHOOK_DISABLED', "Webhook do PIX não configurado");
+    }
+
+    if (!req.rawBody || !verifyPixSignature(req.rawBody.toString('utf8'), req.headers['x-pix-signature'], secret)) {
+        console.warn('⚠️ Webhook do PIX com assinatura inválida');
+        return sendError(res, 401, 'INVALID_SIGNATURE', "Assinatura inválida");
+    }
+
+    const { value, errors } = validate(pixWebhookSchema, req.body);
+
+    if (errors.length > 0) {
+        return sendValidationError(res, errors, "Notificação PIX inválida");
+    }
+
+    try {
+        const results = [];
+        for (const entry of value.pix) {
+            results.push(await receivePixPayment(entry));
+        }
+        res.json({ success: true, results });
+    } catch (error) {
+        // 5xx faz o PSP reenviar; o endToEndId repetido não dá baixa duas vezes
+        console.error("❌ Erro ao processar webhook do PIX:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao processar webhook do PIX");
+    }
+});
+
+// Conciliação do período (dias locais): cobranças geradas x PIX recebidos e o que não fechou.
+// Admin de uma loja (ou qualquer um em /api/stores/<loja>/...) vê só os pedidos da loja; sem loja,
+// a rede inteira, inclusive os PIX que não acharam pedido.
+app.get("/api/pix/reconciliation", requireAuth('owner', 'manager'), validateQuery(t.object({
+    from: reportDate(),
+    to: reportDate()
+}).refine(({ from, to }) => !from || !to || from <= to, "A data inicial deve ser anterior à final", 'invalid_range'), "Filtros inválidos"), async (req, res) => {
+    try {
+        const today = localClock(new Date()).day;
+        const from = req.query.from || today;
+        const to = req.query.to || today;
+        const period = { from: localDayStartIso(from), to: new Date(new Date(localDayStartIso(addDays(to, 1))).getTime() - 1).toISOString() };
+
+        const filters = { ...period, storeId: adminStoreIds(req.admin) || req.storeExplicit ? req.store.id : undefined };
+
+        const [charges, payments] = await Promise.all([store.pixCharges.list(filters), store.pixPayments.list(filters)]);
+        res.json({
+            from,
+            to,
+            store: filters.storeId === undefined ? null : normalizeStore(req.store),
+            ...pixReconciliation(charges, payments),
+            received: payments.map(normalizePixPayment)
+        });
+    } catch (error) {
+        console.error("❌ Erro na conciliação do PIX:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro na conciliação do PIX");
+    }
+});
+
+// PSP falso para testar o webhook sem banco (só com PIX_FAKE_PSP=true): paga a cobrança em aberto
+// do pedido, ou o valor informado, mandando a notificação assinada para o próprio webhook
+app.post("/api/pix/fake-psp/pay", requireAuth('owner', 'manager'), validateBody(t.object({
+    orderId: t.id(),
+    amount: t.number({ min: 0.01, coerce: true }).optional()
+}), "Dados do pagamento inválidos"), async (req, res) => {
+    if (process.env.PIX_FAKE_PSP !== 'true' || !process.env.PIX_WEBHOOK_SECRET) {
+        return sendError(res, 404, 'NOT_FOUND', "PSP de teste desativado");
+    }
+
+    try {
+        const charge = await store.pixCharges.latestForOrder(req.body.orderId);
+
+        if (!charge) {
+            return sendError(res, 404, 'PIX_CHARGE_NOT_FOUND', "Pedido sem cobrança PIX");
+        }
+
+        const psp = createFakePsp({
+            webhookUrl: `${req.protocol}://${req.get('host')}/api/pix/webhook`,
+            secret: process.env.PIX_WEBHOOK_SECRET
+        });
+        const result = await psp.pay({ txid: charge.txid, amount: req.body.amount ?? Number(charge.amount) });
+
+        res.json({ success: result.status === 200, webhookStatus: result.status, endToEndId: result.endToEndId, webhook: result.body });
+    } catch (error) {
+        console.error("❌ Erro no PSP de teste:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro no PSP de teste");
+    }
+});
+
+// Paginação por cursor das listas de clientes
+const pageQuerySchema = t.object({
+    cursor: t.string({ max: 500 }).optional()
+        .refine(value => !value || decodeCursor(value) !== null, "Cursor inválido", 'invalid_format'),
+    limit: t.integer({ min: 1, coerce: true }).optional()
+});
+
+// Query de GET /api/customers: busca por nome ou telefone, ou telefone exato em "phone"
+const customersQuerySchema = t.object({
+    ...pageQuerySchema.shape,
+    q: t.string({ max: 80 }).optional(),
+    phone: t.string({ max: 30 }).optional()
+});
+
+// Página de { rows, pageInfo } a partir de uma consulta que busca um registro a mais
+async function fetchPage(query, limit, cursor) {
+    const rows = await query({ cursor: cursor ? decodeCursor(cursor) : null, limit: limit + 1 });
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        rows: page,
+        pageInfo: { hasMore, nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null, limit }
+    };
+}
+
+// Buscar clientes (telefone exato leva também a cadastros mesclados)
+app.get("/api/customers", requireAuth(), validateQuery(customersQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const { q, phone, cursor } = req.query;
+        const limit = pageLimit(req.query.limit);
+
+        if (phone) {
+            const normalized = normalizePhone(phone);
+
+            if (!normalized) {
+                return sendError(res, 400, 'INVALID_PHONE', "Telefone inválido");
+            }
+
+            const customer = await store.customers.getByPhone(normalized);
+            return res.json({
+                customers: customer ? [normalizeCustomer(customer)] : [],
+                pageInfo: { hasMore: false, nextCursor: null, limit }
+            });
+        }
+
+        // Busca só com números (telefone com máscara) compara os dígitos
+        const search = q && !/\p{L}/u.test(q) ? q.replace(/\D/g, '') : q;
+
+        const { rows, pageInfo } = await fetchPage(
+            options => store.customers.list({ search: search || undefined }, options), limit, cursor);
+
+        res.json({ customers: rows.map(customer => normalizeCustomer(customer)), pageInfo });
+    } catch (error) {
+        console.error("❌ Erro ao buscar clientes:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar clientes");
+    }
+});
+
+// Montar o cadastro de clientes a partir dos pedidos antigos (telefones normalizados).
+// Pontos não são creditados para pedidos anteriores ao programa.
+app.post("/api/customers/backfill", requireAuth('owner'), async (req, res) => {
+    try {
+        console.log('👥 Montando clientes a partir dos pedidos...');
+
+        const orders = await store.orders.listBetween(null, null);
+        const byPhone = new Map();
+
+        for (const order of orders) {
+            if (order.customer_id) continue;
+
+            const phone = normalizePhone(order.customer_phone);
+            if (!phone) continue;
+
+            if (!byPhone.has(phone)) byPhone.set(phone, []);
+            byPhone.get(phone).push(order);
+        }
+
+        for (const [phone, phoneOrders] of byPhone) {
+            // Pedidos vêm do mais antigo para o mais novo: o nome fica o do último pedido
+            const name = phoneOrders[phoneOrders.length - 1].customer_name || null;
+            const customer = await store.customers.findOrCreate({ phone, name });
+            await store.orders.setCustomer(phoneOrders.map(order => order.id), customer.id);
+        }
+
+        const linked = [...byPhone.values()].reduce((sum, phoneOrders) => sum + phoneOrders.length, 0);
+        console.log(`✅ ${linked} pedido(s) vinculados a ${byPhone.size} cliente(s)`);
+        res.json({ success: true, message: `${linked} pedido(s) vinculados a ${byPhone.size} cliente(s)`, customers: byPhone.size, orders: linked });
+    } catch (error) {
+        console.error("❌ Erro ao montar clientes:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao montar clientes");
+    }
+});
+
+// Perfil do cliente com pedidos, gasto total e saldo de pontos
+app.get("/api/customers/:id", requireAuth(), async (req, res) => {
+    try {
+        const customer = await store.customers.getById(req.params.id);
+
+        if (!customer) {
+            return sendError(res, 404, 'CUSTOMER_NOT_FOUND', "Cliente não encontrado");
+        }
+
+        const orders = await store.orders.list({ customerId: customer.id });
+        res.json({ customer: normalizeCustomer(customer, customerStats(orders)), pointValue: LOYALTY_POINT_VALUE });
+    } catch (error) {
+        console.error("❌ Erro ao buscar cliente:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar cliente");
+    }
+});
+
+// Histórico de pedidos do cliente (do mais novo para o mais antigo)
+app.get("/api/customers/:id/orders", requireAuth(), validateQuery(pageQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const customer = await store.customers.getById(req.params.id);
+
+        if (!customer) {
+            return sendError(res, 404, 'CUSTOMER_NOT_FOUND', "Cliente não encontrado");
+        }
+
+        const { rows, pageInfo } = await fetchPage(
+            options => store.orders.list({ customerId: customer.id, storeId: req.store.id }, options), pageLimit(req.query.limit), req.query.cursor);
+
+        res.json({ orders: normalizeOrders(rows), pageInfo });
+    } catch (error) {
+        console.error("❌ Erro ao buscar pedidos do cliente:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar pedidos do cliente");
+    }
+});
+
+// Extrato de pontos do cliente
+app.get("/api/customers/:id/points", requireAuth(), validateQuery(pageQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const customer = await store.customers.getById(req.params.id);
+
+        if (!customer) {
+            return sendError(res, 404, 'CUSTOMER_NOT_FOUND', "Cliente não encontrado");
+        }
+
+        const { rows, pageInfo } = await fetchPage(
+            options => store.loyalty.listByCustomer(customer.id, options), pageLimit(req.query.limit), req.query.cursor);
+
+        res.json({
+            points: customer.points || 0,
+            transactions: rows.map(normalizeLoyaltyTransaction),
+            pageInfo
+        });
+    } catch (error) {
+        console.error("❌ Erro ao buscar extrato de pontos:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar extrato de pontos");
+    }
+});
+
+// Mesclar cliente duplicado (sourceId) neste: pedidos e pontos passam para cá
+app.post("/api/customers/:id/merge", requireAuth('owner', 'manager'), validateBody(t.object({ sourceId: t.id() }), "Informe o cliente a mesclar"), async (req, res) => {
+    try {
+        const { sourceId } = req.body;
+
+        if (String(sourceId) === String(req.params.id)) {
+            return sendError(res, 400, 'SAME_CUSTOMER', "Não é possível mesclar um cliente nele mesmo");
+        }
+
+        console.log(`👥 Mesclando cliente ${sourceId} em ${req.params.id} (${req.admin.username})`);
+
+        let customer;
+        try {
+            customer = await store.customers.merge(req.params.id, sourceId, req.admin.id);
+        } catch (error) {
+            if (isLoyaltyFailure(error) && error.code === 'CUSTOMER_NOT_FOUND') {
+                return sendError(res, 404, 'CUSTOMER_NOT_FOUND', `Cliente ${error.customerId} não encontrado`);
+            }
+            if (isLoyaltyFailure(error) && error.code === 'CUSTOMER_MERGED') {
+                return sendError(res, 409, 'CUSTOMER_MERGED', `Cliente ${error.customerId} já foi mesclado em outro`);
+            }
+            throw error;
+        }
+
+        const orders = await store.orders.list({ customerId: customer.id });
+        res.json({
+            success: true,
+            message: "Clientes mesclados",
+            customer: normalizeCustomer(customer, customerStats(orders))
+        });
+    } catch (error) {
+        console.error("❌ Erro ao mesclar clientes:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao mesclar clientes");
+    }
+});
+
+// Promoção da loja da requisição (de outra loja = não encontrada)
+async function findPromotion(req, id) {
+    const promotion = await store.promotions.getById(id);
+    return promotion && belongsToStore(promotion, req.store.id) ? promotion : null;
+}
+
+// Zona de entrega da loja da requisição
+async function findDeliveryZone(req, id) {
+    const zone = await store.deliveryZones.getById(id);
+    return zone && belongsToStore(zone, req.store.id) ? zone : null;
+}
+
+// Promoções que valem agora, para o cardápio (cupons ficam de fora: o código é do cliente que recebeu)
+app.get("/api/promotions/current", async (req, res) => {
+    try {
+        const now = new Date();
+        const promotions = (await loadPromotions(req.store.id))
+            .filter(promotion => promotion.type !== 'coupon' && isPromotionLive(promotion, now));
+
+        res.json({ promotions: promotions.map(promotion => normalizePromotion(promotion, now)) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar promoções:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar promoções");
+    }
+});
+
+// Todas as promoções da loja (painel)
+app.get("/api/promotions", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const now = new Date();
+        const promotions = await store.promotions.list(req.store.id);
+        res.json({ promotions: promotions.map(promotion => normalizePromotion(promotion, now)) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar promoções:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar promoções");
+    }
+});
+
+// Criar promoção na loja
+app.post("/api/promotions", requireAuth('owner', 'manager'), validateBody(promotionSchema, "Dados da promoção inválidos"), async (req, res) => {
+    try {
+        const fields = promotionRow(req.body);
+        const errors = promotionRuleErrors(fields);
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, "Dados da promoção inválidos");
+        }
+
+        console.log(`🏷️ Criando promoção "${fields.name}" (${req.admin.username})`);
+
+        const { data: promotion, error } = await attempt(
+            store.promotions.create({ ...fields, store_id: req.store.id, updated_at: new Date().toISOString() }));
+
+        if (error?.code === '23505') {
+            return sendError(res, 409, 'COUPON_CODE_TAKEN', `Já existe um cupom com o código "${fields.code}"`);
+        }
+        if (error) throw error;
+
+        auditChange(res, 'promotion', promotion.id, null, promotion);
+        res.status(201).json({ success: true, message: `Promoção "${promotion.name}" criada`, promotion: normalizePromotion(promotion) });
+    } catch (error) {
+        console.error("❌ Erro ao criar promoção:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao criar promoção");
+    }
+});
+
+// Alterar promoção (só os campos enviados; o resultado passa pelas mesmas regras da criação)
+app.patch("/api/promotions/:id", requireAuth('owner', 'manager'), validateBody(promotionSchema.partial(), "Dados da promoção inválidos"), async (req, res) => {
+    try {
+        const current = await findPromotion(req, req.params.id);
+
+        if (!current) {
+            return sendError(res, 404, 'PROMOTION_NOT_FOUND', "Promoção não encontrada");
+        }
+
+        const fields = promotionRow(req.body);
+        const errors = promotionRuleErrors({ ...current, ...fields });
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, "Dados da promoção inválidos");
+        }
+
+        const { data: promotion, error } = await attempt(
+            store.promotions.update(current.id, { ...fields, updated_at: new Date().toISOString() }));
+
+        if (error?.code === '23505') {
+            return sendError(res, 409, 'COUPON_CODE_TAKEN', `Já existe um cupom com o código "${fields.code}"`);
+        }
+        if (error) throw error;
+
+        if (!promotion) {
+            return sendError(res, 404, 'PROMOTION_NOT_FOUND', "Promoção não encontrada");
+        }
+
+        auditChange(res, 'promotion', promotion.id, current, promotion);
+        res.json({ success: true, message: `Promoção "${promotion.name}" atualizada`, promotion: normalizePromotion(promotion) });
+    } catch (error) {
+        console.error("❌ Erro ao atualizar promoção:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar promoção");
+    }
+});
+
+// Excluir promoção (pedidos antigos guardam o nome e o valor do desconto usado)
+app.delete("/api/promotions/:id", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const before = await findPromotion(req, req.params.id);
+        const deleted = before && await store.promotions.delete(req.params.id);
+
+        if (!deleted) {
+            return sendError(res, 404, 'PROMOTION_NOT_FOUND', "Promoção não encontrada");
+        }
+        auditChange(res, 'promotion', before.id, before, null);
+
+        res.json({ success: true, message: "Promoção excluída" });
+    } catch (error) {
+        console.error("❌ Erro ao excluir promoção:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao excluir promoção");
+    }
+});
+
+// Tipos de pedido aceitos e tempos de preparo da loja (público, para o cardápio mostrar as opções)
+app.get("/api/delivery/settings", async (req, res) => {
+    try {
+        res.json({ settings: await loadDeliverySettings(req.store.id) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar configuração de entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar configuração de entrega");
+    }
+});
+
+app.put("/api/delivery/settings", requireAuth('owner', 'manager'), validateBody(deliverySettingsSchema, "Configuração de entrega inválida"), async (req, res) => {
+    try {
+        const key = storeSettingsKey(DELIVERY_SETTINGS_KEY, req.store.id);
+        const before = await loadDeliverySettings(req.store.id);
+        const settings = await store.settings.set(key, req.body);
+        auditChange(res, 'settings', key, before, settings);
+
+        console.log(`🛵 Configuração de entrega atualizada (${req.admin.username}): preparo ${settings.prepMinutes} min, entrega ${settings.deliveryEnabled ? 'ligada' : 'desligada'}`);
+        res.json({ success: true, message: "Configuração de entrega salva", settings });
+    } catch (error) {
+        console.error("❌ Erro ao salvar configuração de entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao salvar configuração de entrega");
+    }
+});
+
+// Consultar se entregamos num endereço (público): ?cep=01310-100 ou ?neighborhood=Centro
+const deliveryLookupSchema = t.object({
+    cep: deliveryAddressSchema.shape.cep,
+    neighborhood: t.string({ max: 80 }).optional()
+}).refine(query => query.cep || query.neighborhood, "Informe o CEP ou o bairro", 'required');
+
+app.get("/api/delivery/quote", validateQuery(deliveryLookupSchema, "Endereço inválido"), async (req, res) => {
+    try {
+        const zone = matchZone(await store.deliveryZones.list(req.store.id), req.query);
+
+        if (!zone) {
+            return sendError(res, 404, 'DELIVERY_UNAVAILABLE', "Não entregamos neste endereço");
+        }
+
+        const { name, fee, minOrder, deliveryMinutes } = normalizeDeliveryZone(zone);
+        res.json({ zone: { name, fee, minOrder, deliveryMinutes } });
+    } catch (error) {
+        console.error("❌ Erro ao consultar entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao consultar entrega");
+    }
+});
+
+// Zonas de entrega da loja (painel)
+app.get("/api/delivery/zones", requireAuth(), async (req, res) => {
+    try {
+        const zones = await store.deliveryZones.list(req.store.id);
+        res.json({ zones: zones.map(normalizeDeliveryZone) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar zonas de entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar zonas de entrega");
+    }
+});
+
+app.post("/api/delivery/zones", requireAuth('owner', 'manager'), validateBody(deliveryZoneSchema, "Dados da zona inválidos"), async (req, res) => {
+    try {
+        const zone = await store.deliveryZones.create({ ...zoneRow(req.body), store_id: req.store.id });
+        auditChange(res, 'delivery_zone', zone.id, null, zone);
+
+        console.log(`🛵 Zona de entrega "${zone.name}" criada (${req.admin.username})`);
+        res.status(201).json({ success: true, message: `Zona "${zone.name}" criada`, zone: normalizeDeliveryZone(zone) });
+    } catch (error) {
+        console.error("❌ Erro ao criar zona de entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao criar zona de entrega");
+    }
+});
+
+// Alterar zona (só os campos enviados; o resultado passa pelas mesmas regras da criação)
+app.patch("/api/delivery/zones/:id", requireAuth('owner', 'manager'), validateBody(deliveryZoneSchema.partial(), "Dados da zona inválidos"), async (req, res) => {
+    try {
+        const current = await findDeliveryZone(req, req.params.id);
+
+        if (!current) {
+            return sendError(res, 404, 'DELIVERY_ZONE_NOT_FOUND', "Zona de entrega não encontrada");
+        }
+
+        const { id, createdAt, updatedAt, ...fields } = normalizeDeliveryZone(current);
+        const merged = { ...fields, ...req.body };
+
+        if (!zoneHasArea(merged)) {
+            return sendValidationError(res, [{ field: null, code: 'required', message: "Informe ao menos um bairro ou prefixo de CEP" }], "Dados da zona inválidos");
+        }
+
+        const zone = await store.deliveryZones.update(current.id, zoneRow(merged));
+
+        if (!zone) {
+            return sendError(res, 404, 'DELIVERY_ZONE_NOT_FOUND', "Zona de entrega não encontrada");
+        }
+
+        auditChange(res, 'delivery_zone', zone.id, current, zone);
+        res.json({ success: true, message: `Zona "${zone.name}" atualizada`, zone: normalizeDeliveryZone(zone) });
+    } catch (error) {
+        console.error("❌ Erro ao atualizar zona de entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar zona de entrega");
+    }
+});
+
+// Excluir zona (pedidos antigos guardam o endereço e a taxa cobrada)
+app.delete("/api/delivery/zones/:id", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const before = await findDeliveryZone(req, req.params.id);
+        const deleted = before && await store.deliveryZones.delete(req.params.id);
+
+        if (!deleted) {
+            return sendError(res, 404, 'DELIVERY_ZONE_NOT_FOUND', "Zona de entrega não encontrada");
+        }
+        auditChange(res, 'delivery_zone', before.id, before, null);
+
+        res.json({ success: true, message: "Zona de entrega excluída" });
+    } catch (error) {
+        console.error("❌ Erro ao excluir zona de entrega:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao excluir zona de entrega");
+    }
+});
+
+// Horário de funcionamento, próximos dias fechados e situação atual da loja (público, para o cardápio)
+app.get("/api/business-hours", async (req, res) => {
+    try {
+        const [hours, closures, status] = await Promise.all([
+            store.openingHours.list(req.store.id),
+            store.closures.list({ from: localClock(new Date()).day, storeId: req.store.id }),
+            loadBusinessStatus(req.store.id)
+        ]);
+
+        res.json({ hours: normalizeOpeningHours(hours), closures: closures.map(normalizeClosure), status });
+    } catch (error) {
+        console.error("❌ Erro ao buscar horário de funcionamento:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar horário de funcionamento");
+    }
+});
+
+// Aberto ou fechado agora, até quando e a próxima abertura (público)
+app.get("/api/business-hours/status", async (req, res) => {
+    try {
+        res.json(await loadBusinessStatus(req.store.id));
+    } catch (error) {
+        console.error("❌ Erro ao consultar se o bar está aberto:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao consultar se o bar está aberto");
+    }
+});
+
+// Trocar o horário da semana inteira da loja (lista vazia = sempre aberta)
+app.put("/api/business-hours", requireAuth('owner', 'manager'), validateBody(t.object({ hours: t.array(openingHoursSchema, { max: 50 }) }), "Horário de funcionamento inválido"), async (req, res) => {
+    try {
+        const before = await store.openingHours.list(req.store.id);
+        const hours = await store.openingHours.replace(req.store.id, req.body.hours);
+        auditChange(res, 'opening_hours', req.store.id, normalizeOpeningHours(before), normalizeOpeningHours(hours));
+
+        console.log(`🕒 Horário de funcionamento atualizado: ${hours.length} faixa(s) (${req.admin.username})`);
+        res.json({ success: true, message: "Horário de funcionamento atualizado", hours: normalizeOpeningHours(hours), status: await loadBusinessStatus(req.store.id) });
+    } catch (error) {
+        console.error("❌ Erro ao atualizar horário de funcionamento:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar horário de funcionamento");
+    }
+});
+
+// Fechar a loja um dia inteiro (feriado, evento)
+app.post("/api/business-hours/closures", requireAuth('owner', 'manager'), validateBody(closureSchema, "Dados do fechamento inválidos"), async (req, res) => {
+    try {
+        const { data: closure, error } = await attempt(store.closures.create({ ...req.body, store_id: req.store.id }));
+
+        if (error?.code === '23505') {
+            return sendError(res, 409, 'CLOSURE_EXISTS', `O dia ${req.body.date} já está fechado`);
+        }
+        if (error) throw error;
+        auditChange(res, 'business_closure', closure.id, null, normalizeClosure(closure));
+
+        console.log(`📅 Dia ${closure.date} fechado (${req.admin.username})`);
+        res.status(201).json({ success: true, message: `Dia ${req.body.date} fechado`, closure: normalizeClosure(closure) });
+    } catch (error) {
+        console.error("❌ Erro ao fechar dia:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao fechar dia");
+    }
+});
+
+// Desfazer o fechamento de um dia
+app.delete("/api/business-hours/closures/:id", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const before = (await store.closures.list({ storeId: req.store.id })).find(closure => String(closure.id) === String(req.params.id));
+        const deleted = before && await store.closures.delete(before.id, req.store.id);
+
+        if (!deleted) {
+            return sendError(res, 404, 'CLOSURE_NOT_FOUND', "Dia fechado não encontrado");
+        }
+        auditChange(res, 'business_closure', before.id, normalizeClosure(before), null);
+
+        res.json({ success: true, message: "Fechamento removido" });
+    } catch (error) {
+        console.error("❌ Erro ao remover dia fechado:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao remover dia fechado");
+    }
+});
+
+// Corpo de POST /api/business-hours/close: motivo e, opcionalmente, até quando (sem "until", até reabrir)
+const manualClosureSchema = t.object({
+    reason: t.string({ max: 200 }).optional(),
+    until: t.string({ max: 40 }).optional().nullable()
+        .refine(value => !value || new Date(value) > new Date(), "Informe um horário no futuro", 'invalid_value')
+});
+
+// Fechar a loja agora (cozinha lotada, falta de luz); qualquer admin da loja pode, as outras seguem abertas
+app.post("/api/business-hours/close", requireAuth(), validateBody(manualClosureSchema, "Dados do fechamento inválidos"), async (req, res) => {
+    try {
+        const { reason, until } = req.body;
+        const key = storeSettingsKey(MANUAL_CLOSURE_KEY, req.store.id);
+        const before = await store.settings.get(key);
+
+        const closure = await store.settings.set(key, {
+            reason: reason || null,
+            until: until ? new Date(until).toISOString() : null,
+            closedAt: new Date().toISOString(),
+            closedBy: req.admin.username
+        });
+        auditChange(res, 'settings', key, before, closure);
+
+        console.log(`🔒 ${req.store.name} fechado manualmente por ${req.admin.username}${until ? ` até ${until}` : ''}`);
+        res.json({ success: true, message: "Bar fechado para pedidos", status: await loadBusinessStatus(req.store.id) });
+    } catch (error) {
+        console.error("❌ Erro ao fechar o bar:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao fechar o bar");
+    }
+});
+
+// Desfazer o fechamento manual (volta a valer o horário de funcionamento)
+app.post("/api/business-hours/reopen", requireAuth(), async (req, res) => {
+    try {
+        const key = storeSettingsKey(MANUAL_CLOSURE_KEY, req.store.id);
+        const before = await store.settings.get(key);
+        await store.settings.set(key, null);
+        auditChange(res, 'settings', key, before, null);
+
+        console.log(`🔓 Fechamento manual de ${req.store.name} desfeito por ${req.admin.username}`);
+        res.json({ success: true, message: "Fechamento manual desfeito", status: await loadBusinessStatus(req.store.id) });
+    } catch (error) {
+        console.error("❌ Erro ao reabrir o bar:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao reabrir o bar");
+    }
+});
+
+// Mensagem para a recusa da comanda pelo armazenamento
+function sendTabFailure(res, error) {
+    if (error.code === 'TAB_NOT_FOUND') {
+        return sendError(res, 404, 'TAB_NOT_FOUND', `Comanda ${error.tabId} não encontrada`);
+    }
+    return sendError(res, 409, 'TAB_NOT_OPEN', `Comanda ${error.tabId} já foi fechada`);
+}
+
+// Buscar a comanda da rota; responde 404 e retorna null se não existir
+async function loadTab(req, res) {
+    const tab = await store.tabs.getById(req.params.id);
+
+    if (!tab || !belongsToStore(tab, req.store.id)) {
+        sendError(res, 404, 'TAB_NOT_FOUND', "Comanda não encontrada");
+        return null;
+    }
+    return tab;
+}
+
+const tabsQuerySchema = t.object({
+    status: t.enum(['open', 'closed', 'all']).default('open')
+});
+
+// Comandas (por padrão só as abertas, com o total corrente)
+app.get("/api/tabs", requireAuth(), validateQuery(tabsQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const tabs = await store.tabs.list({ status: status === 'all' ? null : status, storeId: req.store.id });
+        res.json({ tabs: tabs.map(normalizeTab) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar comandas:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar comandas");
+    }
+});
+
+// Abrir comanda de uma mesa ou de um cliente
+const tabSchema = t.object({
+    tableNumber: t.string({ min: 1, max: 20 }).optional(),
+    customerName: t.string({ min: 1, max: 80 }).optional(),
+    customerPhone: t.string({ max: 30 }).optional()
+}).refine(tab => tab.tableNumber || tab.customerName, "Informe a mesa ou o nome do cliente", 'required');
+
+app.post("/api/tabs", requireAuth(), validateBody(tabSchema, "Dados da comanda inválidos"), async (req, res) => {
+    try {
+        const { tableNumber, customerName, customerPhone } = req.body;
+        const phone = normalizePhone(customerPhone);
+        const customer = phone ? await store.customers.findOrCreate({ phone, name: customerName }) : null;
+
+        console.log(`🧾 Abrindo comanda ${tableNumber ? `da mesa ${tableNumber}` : `de ${customerName}`} (${req.admin.username})`);
+
+        const { data: tab, error } = await attempt(store.tabs.create({
+            table_number: tableNumber || null,
+            customer_name: customerName || null,
+            customer_phone: phone || customerPhone || null,
+            customer_id: customer ? customer.id : null,
+            opened_by: req.admin.id,
+            store_id: req.store.id
+        }));
+
+        if (error?.code === '23505') {
+            return sendError(res, 409, 'TABLE_HAS_OPEN_TAB', `A mesa ${tableNumber} já tem uma comanda aberta`);
+        }
+        if (error) throw error;
+
+        res.status(201).json({ success: true, message: "Comanda aberta", tab: normalizeTab(tab) });
+    } catch (error) {
+        console.error("❌ Erro ao abrir comanda:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao abrir comanda");
+    }
+});
+
+app.get("/api/tabs/:id", requireAuth(), async (req, res) => {
+    try {
+        const tab = await loadTab(req, res);
+        if (!tab) return;
+
+        res.json({ tab: normalizeTab(tab) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar comanda:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar comanda");
+    }
+});
+
+// Lançar itens na comanda: preço e promoções da hora do lançamento, estoque baixado na hora
+app.post("/api/tabs/:id/items", requireAuth(), validateBody(t.object({ items: t.array(orderItemSchema, { min: 1, max: 50 }) }), "Itens inválidos"), async (req, res) => {
+    try {
+        if (!(await loadTab(req, res))) return;
+
+        const priced = await priceOrder(res, { items: req.body.items, storeId: req.store.id }, null);
+        if (!priced) return;
+
+        const { products, lines, pricing } = priced;
+        const addedAt = new Date().toISOString();
+        const items = pricing.lines.map(line => ({
+            itemId: crypto.randomUUID(),
+            ...line,
+            addedAt,
+            addedBy: req.admin.username
+        }));
+
+        let tab;
+        try {
+            tab = await store.tabs.addItems(req.params.id, items, stockLinesFor(lines, req.store.id));
+        } catch (error) {
+            if (isTabFailure(error)) return sendTabFailure(res, error);
+            if (isPlaceOrderFailure(error)) {
+                console.log('❌ Lançamento recusado pelo banco:', error.code);
+                return sendError(res, 409, error.code, placeOrderMessage(error), {
+                    productId: error.productId,
+                    sabor: error.sabor
+                });
+            }
+            throw error;
+        }
+
+        console.log(`🧾 ${items.length} item(ns) lançado(s) na comanda ${tab.id} (${req.admin.username})`);
+        await notifyLowStock(crossedLowStock(products, saleChanges(products, lines)));
+        res.json({ success: true, message: "Itens lançados", items, tab: normalizeTab(tab) });
+    } catch (error) {
+        console.error("❌ Erro ao lançar itens na comanda:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao lançar itens na comanda");
+    }
+});
+
+// Transferir itens (inteiros ou parte das unidades) para outra comanda aberta
+const tabTransferSchema = t.object({
+    toTabId: t.id(),
+    items: t.array(t.object({
+        itemId: t.string({ min: 1, max: 60 }),
+        quantity: t.integer({ min: 1, max: 99, coerce: true }).optional()
+    }), { min: 1, max: 50 })
+});
+
+app.post("/api/tabs/:id/transfer", requireAuth(), validateBody(tabTransferSchema, "Dados da transferência inválidos"), async (req, res) => {
+    try {
+        const { toTabId, items } = req.body;
+
+        if (String(toTabId) === String(req.params.id)) {
+            return sendError(res, 400, 'SAME_TAB', "Escolha outra comanda para receber os itens");
+        }
+
+        const source = await loadTab(req, res);
+        if (!source) return;
+
+        const target = await store.tabs.getById(toTabId);
+        if (!target || !belongsToStore(target, req.store.id)) {
+            return sendError(res, 404, 'TAB_NOT_FOUND', `Comanda ${toTabId} não encontrada`);
+        }
+
+        const closed = [source, target].find(tab => tab.status !== 'open');
+        if (closed) {
+            return sendError(res, 409, 'TAB_NOT_OPEN', `Comanda ${closed.id} já foi fechada`);
+        }
+
+        const plan = planTransfer(source.items, target.items, items, () => crypto.randomUUID());
+
+        if (plan.errors.length > 0) {
+            return sendValidationError(res, plan.errors, "Itens da transferência inválidos");
+        }
+
+        let tabs;
+        try {
+            tabs = await store.tabs.replaceItems([
+                { id: source.id, expected_updated_at: source.updated_at, items: plan.sourceItems },
+                { id: target.id, expected_updated_at: target.updated_at, items: plan.targetItems }
+            ]);
+        } catch (error) {
+            if (isTabFailure(error)) return sendTabFailure(res, error);
+            throw error;
+        }
+
+        if (!tabs) {
+            return sendError(res, 409, 'TAB_CONFLICT', "A comanda foi alterada por outra pessoa, tente de novo");
+        }
+
+        console.log(`🔀 ${plan.moved.length} item(ns) da comanda ${source.id} para a ${target.id} (${req.admin.username})`);
+
+        const byId = new Map(tabs.map(tab => [String(tab.id), tab]));
+        res.json({
+            success: true,
+            message: "Itens transferidos",
+            moved: plan.moved,
+            from: normalizeTab(byId.get(String(source.id))),
+            to: normalizeTab(byId.get(String(target.id)))
+        });
+    } catch (error) {
+        console.error("❌ Erro ao transferir itens da comanda:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao transferir itens da comanda");
+    }
+});
+
+// Fechar a comanda: divide a conta e grava um pedido comum (já entregue) com os pagamentos
+const tabCloseSchema = t.object({
+    split: t.enum(TAB_SPLITS).default('even'),
+    payments: t.array(t.object({
+        method: t.string({ min: 1, max: 40 }),
+        items: t.array(t.object({
+            itemId: t.string({ min: 1, max: 60 }),
+            quantity: t.integer({ min: 1, max: 99, coerce: true }).optional()
+        }), { min: 1, max: 100 }).optional()
+    }), { min: 1, max: 20 })
+});
+
+app.post("/api/tabs/:id/close", requireAuth(), validateBody(tabCloseSchema, "Dados do fechamento inválidos"), async (req, res) => {
+    try {
+        const tab = await loadTab(req, res);
+        if (!tab) return;
+
+        if (tab.status !== 'open') {
+            return sendError(res, 409, 'TAB_NOT_OPEN', `Comanda ${tab.id} já foi fechada`);
+        }
+
+        const items = Array.isArray(tab.items) ? tab.items : [];
+        if (items.length === 0) {
+            return sendError(res, 400, 'EMPTY_TAB', "A comanda não tem itens");
+        }
+
+        const { payments, errors } = planPayments(items, req.body);
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, "Divisão da conta inválida");
+        }
+
+        const totals = tabTotals(items);
+        const methods = [...new Set(payments.map(payment => payment.method))];
+        const now = new Date();
+
+        const orderToSave = {
+            store_id: tab.store_id ?? req.store.id,
+            date: now.toLocaleDateString('pt-BR', { timeZone: REPORT_TIMEZONE }),
+            time: now.toLocaleTimeString('pt-BR', { timeZone: REPORT_TIMEZONE, hour: '2-digit', minute: '2-digit' }),
+            customer_name: tab.customer_name || `Mesa ${tab.table_number}`,
+            customer_phone: tab.customer_phone || null,
+            customer_id: tab.customer_id ?? null,
+            items,
+            subtotal: totals.subtotal,
+            total: totals.total,
+            discount: totals.discount,
+            discounts: totals.discount > 0
+                ? [{ type: 'tab', name: 'Promoções lançadas na comanda', amount: totals.discount }]
+                : [],
+            payment_method: methods.length === 1 ? methods[0] : 'multiple',
+            payments,
+            payment_status: 'paid',
+            paid_at: now.toISOString(),
+            tab_id: tab.id,
+            order_type: 'dine_in',
+            status: 'delivered',
+            status_history: [historyEntry('delivered', req.admin)]
+        };
+
+        let saved;
+        try {
+            saved = await store.tabs.close(tab.id, tab.updated_at, orderToSave, req.admin.id);
+        } catch (error) {
+            if (isTabFailure(error)) return sendTabFailure(res, error);
+            throw error;
+        }
+
+        if (!saved) {
+            return sendError(res, 409, 'TAB_CONFLICT', "A comanda foi alterada por outra pessoa, confira e tente de novo");
+        }
+
+        console.log(`✅ Comanda ${tab.id} fechada no pedido ${saved.id} (${req.admin.username})`);
+        await publishOrderEvent('order.created', saved);
+        await queueAutoPrint(saved, saved.status);
+        await settleOrderPoints(saved, req.admin);
+
+        res.json({
+            success: true,
+            message: "Comanda fechada",
+            orderId: saved.id,
+            total: orderToSave.total,
+            payments,
+            order: normalizeOrders([saved])[0]
+        });
+    } catch (error) {
+        console.error("❌ Erro ao fechar comanda:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao fechar comanda");
+    }
+});
+
+// Senhas não passam por trim: espaços fazem parte da senha
+const passwordField = options => t.string({ max: 200, trim: false, ...options });
+
+const loginSchema = t.object({
+    username: t.string({ min: 1, max: 80 }),
+    password: passwordField({ min: 1 })
+});
+
+// Chave dos contadores de senha errada (o mesmo usuário com maiúsculas ou espaços conta junto)
+const loginKey = username => username.trim().toLowerCase();
+
+// Fim do bloqueio do usuário por senhas erradas (null se não está bloqueado)
+async function loginLockedUntil(username) {
+    const { data: lock, error } = await attempt(limitStore.get(`login-lock:${loginKey(username)}`));
+    if (error) {
+        console.error('❌ Erro ao consultar bloqueio de login:', error.message);
+        return null;
+    }
+    return lock ? lock.resetAt : null;
+}
+
+// Contar uma senha errada; ao chegar em LOGIN_MAX_FAILURES o usuário fica bloqueado
+async function recordLoginFailure(username) {
+    const key = loginKey(username);
+    try {
+        const failures = await limitStore.hit(`login-fail:${key}`, LOGIN_LOCKOUT_MS);
+        if (failures.count < LOGIN_MAX_FAILURES) return;
+
+        await limitStore.hit(`login-lock:${key}`, LOGIN_LOCKOUT_MS);
+        await limitStore.reset(`login-fail:${key}`);
+        console.warn(`🔒 Login de "${key}" bloqueado após ${failures.count} senhas erradas`);
+    } catch (error) {
+        console.error('❌ Erro ao registrar falha de login:', error);
+    }
+}
+
+// Autenticação (limite por IP e bloqueio temporário do usuário após senhas erradas seguidas)
+app.post("/api/auth/login", rateLimit(limitStore, {
+    name: 'login',
+    limit: RATE_LIMIT_LOGIN_PER_15_MINUTES,
+    windowMs: 15 * 60 * 1000,
+    message: "Muitas tentativas de login, tente novamente mais tarde"
+}), validateBody(loginSchema, "Usuário e senha são obrigatórios"), async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        console.log('🔐 Tentativa de login:', username);
+
+        const lockedUntil = await loginLockedUntil(username);
+        if (lockedUntil) {
+            console.log('🔒 Login bloqueado para:', username);
+            res.set('Retry-After', String(secondsUntil(lockedUntil)));
+            return sendError(res, 429, 'ACCOUNT_LOCKED', "Muitas senhas erradas, tente novamente mais tarde", {
+                retryAfter: secondsUntil(lockedUntil)
+            });
+        }
+
+        const { data: credentials, error } = await attempt(store.admins.getByUsername(username));
+
+        if (error) {
+            console.log('❌ Erro ao buscar credenciais:', error.message);
+            return sendError(res, 500, 'INTERNAL_ERROR', "Erro no sistema");
+        }
+
+        if (!credentials || credentials.active === false) {
+            console.log('❌ Credenciais não encontradas ou usuário inativo');
+            await verifyDummyPassword(password);
+            await recordLoginFailure(username);
+            return sendError(res, 401, 'INVALID_CREDENTIALS', "Credenciais inválidas");
+        }
+
+        let isPasswordValid = await verifyPassword(password, credentials.password_hash);
+
+        // Migrar senha antiga para hash na primeira entrada bem-sucedida
+        if (!isPasswordValid && !credentials.password_hash && matchesLegacyPassword(password, credentials)) {
+            console.log('🔄 Migrando senha antiga para hash:', username);
+
+            await store.admins.update(credentials.id, {
+                password_hash: await hashPassword(password),
+                password: null,
+                encrypted_password: null,
+                role: credentials.role || 'owner'
+            });
+            isPasswordValid = true;
+        }
+
+        if (!isPasswordValid) {
+            console.log('❌ Senha incorreta para:', username);
+            await recordLoginFailure(username);
+            return sendError(res, 401, 'INVALID_CREDENTIALS', "Credenciais inválidas");
+        }
+
+        await attempt(limitStore.reset(`login-fail:${loginKey(username)}`));
+        const { token, expiresAt } = await createSession(credentials);
+
+        console.log('✅ Login bem-sucedido para:', username);
+        res.json({ 
+            success: true, 
+            token, 
+            expiresAt,
+            user: publicAdminUser(credentials) 
+        });
+    } catch (error) {
+        console.error("❌ Erro no login:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro no processo de login");
+    }
+});
+
+// Verificar autenticação
+app.get("/api/auth/verify", async (req, res) => {
+    try {
+        const admin = await authenticate(req);
+        
+        if (admin) {
+            const { sessionId, ...user } = admin;
+            res.json({ valid: true, user });
+        } else {
+            res.json({ valid: false });
+        }
+    } catch (error) {
+        console.error("Erro ao verificar autenticação:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao verificar autenticação");
+    }
+});
+
+// Encerrar sessão atual (revoga o token)
+app.post("/api/auth/logout", requireAuth(), async (req, res) => {
+    try {
+        await store.sessions.revoke(req.admin.sessionId);
+
+        console.log('👋 Logout:', req.admin.username);
+        res.json({ success: true, message: "Sessão encerrada" });
+    } catch (error) {
+        console.error("❌ Erro no logout:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao encerrar sessão");
+    }
+});
+
+const changePasswordSchema = t.object({
+    currentPassword: passwordField({ min: 1 }),
+    newPassword: passwordField({ min: 8 })
+});
+
+// Trocar a própria senha (encerra as outras sessões)
+app.post("/api/auth/change-password", requireAuth(), validateBody(changePasswordSchema), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const credentials = await store.admins.getById(req.admin.id);
+
+        if (!(await verifyPassword(currentPassword, credentials.password_hash))) {
+            return sendError(res, 401, 'INVALID_CURRENT_PASSWORD', "Senha atual incorreta");
+        }
+
+        await store.admins.update(req.admin.id, {
+            password_hash: await hashPassword(newPassword),
+            updated_at: new Date().toISOString()
+        });
+
+        await store.sessions.revokeAllForUser(req.admin.id);
+        const { token, expiresAt } = await createSession(credentials);
+
+        console.log('🔑 Senha alterada:', req.admin.username);
+        res.json({ success: true, message: "Senha alterada", token, expiresAt });
+    } catch (error) {
+        console.error("❌ Erro ao trocar senha:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao trocar senha");
+    }
+});
+
+// Lojas abertas ao público (para o cliente escolher onde pedir)
+app.get("/api/stores", async (req, res) => {
+    try {
+        const stores = await listStores();
+        res.json({ stores: stores.filter(row => row.active !== false).map(normalizeStore) });
+    } catch (error) {
+        console.error("❌ Erro ao listar lojas:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao listar lojas");
+    }
+});
+
+// Loja desta requisição (pelo caminho, pelo domínio ou a padrão)
+app.get("/api/store", (req, res) => {
+    res.json({ store: normalizeStore(req.store) });
+});
+
+// Gravar loja nova ou alterada; slug e domínio repetidos respondem 409. Retorna a linha ou null.
+async function saveStore(res, row, current = null) {
+    const taken = takenHosts(await store.stores.list(), row, current?.id);
+    if (taken.length > 0) {
+        sendError(res, 409, 'STORE_HOST_TAKEN', `Domínio já usado por outra loja: ${taken.join(', ')}`, { hosts: taken });
+        return null;
+    }
+
+    const { data, error } = await attempt(current ? store.stores.update(current.id, row) : store.stores.create(row));
+    storesCache = null;
+    if (error?.code === '23505') {
+        sendError(res, 409, 'STORE_SLUG_TAKEN', `Já existe uma loja "${row.slug}"`);
+        return null;
+    }
+    if (error) throw error;
+    return data;
+}
+
+// Criar loja (só dono de todas as lojas)
+app.post("/api/stores", requireAuth('owner'), requireAllStores, validateBody(storeSchema, "Dados da loja inválidos"), async (req, res) => {
+    try {
+        const saved = await saveStore(res, storeRow(req.body));
+        if (!saved) return;
+
+        auditChange(res, 'store', saved.id, null, saved);
+
+        console.log(`🏪 Loja "${saved.slug}" criada (${req.admin.username})`);
+        res.status(201).json({ success: true, message: `Loja "${saved.name}" criada`, store: normalizeStore(saved) });
+    } catch (error) {
+        console.error("❌ Erro ao criar loja:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao criar loja");
+    }
+});
+
+// Alterar loja (só os campos enviados; o resultado passa pelas mesmas regras da criação)
+app.patch("/api/stores/:id", requireAuth('owner'), validateBody(storeSchema.partial(), "Dados da loja inválidos"), async (req, res) => {
+    try {
+        const current = await store.stores.getById(req.params.id);
+
+        if (!current || !canManageStore(req.admin, current.id)) {
+            return sendError(res, 404, 'STORE_NOT_FOUND', "Loja não encontrada");
+        }
+
+        const { id, createdAt, updatedAt, ...fields } = normalizeStore(current);
+        const saved = await saveStore(res, storeRow({ ...fields, ...req.body }), current);
+        if (!saved) return;
+
+        auditChange(res, 'store', saved.id, current, saved);
+        res.json({ success: true, message: `Loja "${saved.name}" atualizada`, store: normalizeStore(saved) });
+    } catch (error) {
+        console.error("❌ Erro ao atualizar loja:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar loja");
+    }
+});
+
+// Listar usuários admin
+app.get("/api/admin/users", requireAuth('owner'), async (req, res) => {
+    try {
+        const users = await store.admins.list();
+        res.json({ users: users.filter(user => managesAdmin(req.admin, user)).map(publicAdminUser) });
+    } catch (error) {
+        console.error("❌ Erro ao listar usuários:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao listar usuários");
+    }
+});
+
+const adminUserSchema = t.object({
+    username: t.string({ min: 3, max: 40, pattern: /^[a-zA-Z0-9._-]+$/, format: "Use letras, números, ponto, hífen ou sublinhado" }),
+    password: passwordField({ min: 8 }),
+    name: t.string({ max: 80 }).optional(),
+    role: t.enum(ADMIN_ROLES),
+    // Lojas que o usuário gerencia (vazio ou null = todas)
+    storeIds: t.array(t.id(), { max: 50 }).optional().nullable()
+});
+
+const adminUserUpdateSchema = t.object({
+    name: t.string({ max: 80 }).optional(),
+    role: t.enum(ADMIN_ROLES).optional(),
+    active: t.boolean().optional(),
+    password: passwordField({ min: 8 }).optional(),
+    storeIds: t.array(t.id(), { max: 50 }).optional().nullable()
+});
+
+// O dono gerencia este usuário? Dono limitado só gerencia usuários limitados às lojas dele
+function managesAdmin(owner, credentials) {
+    const ownIds = adminStoreIds(owner);
+    const userIds = adminStoreIds(publicAdminUser(credentials));
+    return !ownIds || (userIds !== null && userIds.every(id => ownIds.includes(id)));
+}
+
+// Lojas pedidas para um usuário admin (id ou slug): todas existentes e, para dono limitado, só as dele
+// (que também não dá acesso a todas). Responde o erro e retorna undefined se não der.
+async function assignableStoreIds(req, res, requested) {
+    const ownIds = adminStoreIds(req.admin);
+    const wanted = requested?.length ? requested : null;
+
+    if (!wanted) {
+        if (!ownIds) return null;
+        sendError(res, 403, 'STORE_FORBIDDEN', "Só um dono de todas as lojas cria usuários de todas as lojas");
+        return undefined;
+    }
+
+    const stores = await store.stores.list();
+    const found = wanted.map(ref => findStore(stores, ref));
+    const errors = wanted
+        .map((ref, index) => ({ ref, index }))
+        .filter(({ index }) => !found[index])
+        .map(({ ref, index }) => ({ field: `storeIds[${index}]`, code: 'STORE_NOT_FOUND', message: `Loja ${ref} não existe` }));
+
+    if (errors.length > 0) {
+        sendValidationError(res, errors, "Lojas inválidas");
+        return undefined;
+    }
+    if (ownIds && !found.every(row => ownIds.includes(String(row.id)))) {
+        sendError(res, 403, 'STORE_FORBIDDEN', "Sem acesso a uma das lojas informadas");
+        return undefined;
+    }
+
+    return [...new Set(found.map(row => row.id))];
+}
+
+// Criar usuário admin
+app.post("/api/admin/users", requireAuth('owner'), validateBody(adminUserSchema), async (req, res) => {
+    try {
+        const { username, password, name, role } = req.body;
+
+        // Sem lojas informadas, o usuário fica com as do dono que o criou
+        const storeIds = await assignableStoreIds(req, res, req.body.storeIds ?? adminStoreIds(req.admin));
+        if (storeIds === undefined) return;
+
+        console.log(`➕ Criando usuário ${username} (${role})`);
+
+        const { data, error } = await attempt(store.admins.create({
+            username,
+            name: name || username,
+            role,
+            active: true,
+            store_ids: storeIds,
+            password_hash: await hashPassword(password)
+        }));
+
+        if (error) {
+            if (error.code === '23505') {
+                return sendError(res, 409, 'USERNAME_TAKEN', "Usuário já existe");
+            }
+            throw error;
+        }
+
+        auditChange(res, 'admin_user', data.id, null, publicAdminUser(data));
+        res.status(201).json({ success: true, user: publicAdminUser(data) });
+    } catch (error) {
+        console.error("❌ Erro ao criar usuário:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao criar usuário");
+    }
+});
+
+// Atualizar usuário admin (nome, papel, ativo, senha)
+app.put("/api/admin/users/:id", requireAuth('owner'), validateBody(adminUserUpdateSchema), async (req, res) => {
+    try {
+        const { name, role, active, password } = req.body;
+
+        const existing = await store.admins.getById(req.params.id);
+
+        if (!existing || !managesAdmin(req.admin, existing)) {
+            return sendError(res, 404, 'USER_NOT_FOUND', "Usuário não encontrado");
+        }
+
+        const storeIds = req.body.storeIds === undefined ? undefined : await assignableStoreIds(req, res, req.body.storeIds);
+        if (req.body.storeIds !== undefined && storeIds === undefined) return;
+
+        const losesOwner = existing.role === 'owner' && existing.active !== false &&
+            ((role !== undefined && role !== 'owner') || active === false);
+
+        if (losesOwner && await countActiveOwners() <= 1) {
+            return sendError(res, 409, 'LAST_OWNER', "Não é possível remover o último dono");
+        }
+
+        const updates = { updated_at: new Date().toISOString() };
+        if (name !== undefined) updates.name = name;
+        if (role !== undefined) updates.role = role;
+        if (active !== undefined) updates.active = active;
+        if (storeIds !== undefined) updates.store_ids = storeIds;
+        if (password !== undefined) updates.password_hash = await hashPassword(password);
+
+        const data = await store.admins.update(existing.id, updates);
+
+        // Troca de senha ou desativação derrubam as sessões abertas
+        if (password !== undefined || active === false) {
+            await store.sessions.revokeAllForUser(existing.id);
+        }
+
+        // Senha nunca vai para a auditoria, só o aviso de que mudou
+        auditChange(res, 'admin_user', existing.id, publicAdminUser(existing),
+            password !== undefined ? { ...publicAdminUser(data), passwordChanged: true } : publicAdminUser(data));
+
+        console.log('✅ Usuário atualizado:', existing.username);
+        res.json({ success: true, user: publicAdminUser(data) });
+    } catch (error) {
+        console.error("❌ Erro ao atualizar usuário:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar usuário");
+    }
+});
+
+// Excluir usuário admin
+app.delete("/api/admin/users/:id", requireAuth('owner'), async (req, res) => {
+    try {
+        const existing = await store.admins.getById(req.params.id);
+
+        if (!existing || !managesAdmin(req.admin, existing)) {
+            return sendError(res, 404, 'USER_NOT_FOUND', "Usuário não encontrado");
+        }
+
+        if (existing.role === 'owner' && existing.active !== false && await countActiveOwners() <= 1) {
+            return sendError(res, 409, 'LAST_OWNER', "Não é possível remover o último dono");
+        }
+
+        await store.sessions.revokeAllForUser(existing.id);
+
+        await store.admins.delete(existing.id);
+
+        auditChange(res, 'admin_user', existing.id, publicAdminUser(existing), null);
+
+        console.log('🗑️ Usuário excluído:', existing.username);
+        res.json({ success: true, message: `Usuário "${existing.username}" excluído` });
+    } catch (error) {
+        console.error("❌ Erro ao excluir usuário:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao excluir usuário");
+    }
+});
+
+// Revogar todas as sessões de um usuário
+app.post("/api/admin/users/:id/revoke-sessions", requireAuth('owner'), async (req, res) => {
+    try {
+        const existing = await store.admins.getById(req.params.id);
+
+        if (!existing || !managesAdmin(req.admin, existing)) {
+            return sendError(res, 404, 'USER_NOT_FOUND', "Usuário não encontrado");
+        }
+
+        const revoked = await store.sessions.revokeAllForUser(existing.id);
+        auditChange(res, 'admin_user', existing.id, publicAdminUser(existing), { ...publicAdminUser(existing), sessionsRevoked: revoked });
+        res.json({ success: true, message: "Sessões revogadas" });
+    } catch (error) {
+        console.error("❌ Erro ao revogar sessões:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao revogar sessões");
+    }
+});
+
+// Query de GET /api/audit-log
+const auditQuerySchema = t.object({
+    entityType: t.string({ max: 40 }).optional(),
+    entityId: t.string({ max: 80 }).optional(),
+    adminUserId: t.id().optional(),
+    from: t.string({ max: 40 }).optional().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    to: t.string({ max: 40 }).optional().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    cursor: t.string({ max: 500 }).optional()
+        .refine(value => !value || decodeCursor(value) !== null, "Cursor inválido", 'invalid_format'),
+    limit: t.integer({ min: 1, coerce: true }).optional()
+});
+
+// Registro de auditoria, do mais novo para o mais antigo (filtros por entidade, admin e período)
+app.get("/api/audit-log", requireAuth('owner', 'manager'), validateQuery(auditQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const { entityType, entityId, adminUserId, from, to, cursor } = req.query;
+        const limit = pageLimit(req.query.limit);
+        const filters = {
+            entityType,
+            entityId,
+            adminUserId,
+            from: from ? new Date(from).toISOString() : null,
+            to: to ? new Date(to).toISOString() : null
+        };
+
+        const rows = await store.auditLog.list(filters, { cursor: cursor ? decodeCursor(cursor) : null, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const page = hasMore ? rows.slice(0, limit) : rows;
+
+        res.json({
+            entries: page.map(normalizeAuditEntry),
+            pageInfo: {
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error("❌ Erro ao buscar registro de auditoria:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar registro de auditoria");
+    }
+});
+
+// Agrupamentos aceitos no parâmetro groupBy do CSV
+const REPORT_GROUPS = {
+    day: 'byDay',
+    hour: 'byHour',
+    payment: 'byPaymentMethod',
+    orderType: 'byOrderType',
+    category: 'byCategory',
+    product: 'byProduct'
+};
+
+const reportQuerySchema = t.object({
+    from: reportDate(),
+    to: reportDate(),
+    format: t.enum(['json', 'csv']).default('json'),
+    groupBy: t.enum(Object.keys(REPORT_GROUPS)).default('day'),
+    top: t.integer({ min: 1, max: 100, coerce: true }).default(10)
+}).refine(({ from, to }) => !from || !to || from <= to, "A data inicial deve ser anterior à final", 'invalid_range');
+
+// Relatório de vendas por período (JSON ou CSV)
+app.get("/api/reports/sales", requireAuth('owner', 'manager'), validateQuery(reportQuerySchema, "Parâmetros do relatório inválidos"), async (req, res) => {
+    try {
+        const { from, to, format, groupBy, top } = req.query;
+
+        console.log(`📊 Gerando relatório de vendas ${from || 'início'} → ${to || 'hoje'}`);
+
+        // Margem de um dia em cada ponta por causa do fuso; o corte exato é feito no relatório
+        const dayMs = 24 * 60 * 60 * 1000;
+        const fromIso = from ? new Date(new Date(`${from}T00:00:00Z`).getTime() - dayMs).toISOString() : null;
+        const toIso = to ? new Date(new Date(`${to}T00:00:00Z`).getTime() + 2 * dayMs).toISOString() : null;
+
+        const orders = normalizeOrders(await store.orders.listBetween(fromIso, toIso, { storeId: req.store.id }));
+        const report = buildSalesReport(orders, { from, to, top });
+
+        if (format === 'csv') {
+            const key = REPORT_GROUPS[groupBy];
+            const filename = `vendas-${groupBy}-${from || 'inicio'}-${to || 'hoje'}.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.send(toCsv(report[key], REPORT_CSV_COLUMNS[key]));
+        }
+
+        res.json({ report, store: normalizeStore(req.store) });
+    } catch (error) {
+        console.error("❌ Erro ao gerar relatório:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao gerar relatório");
+    }
+});
+
+// Chave pública VAPID para o navegador assinar
+app.get("/api/push/public-key", (req, res) => {
+    const sender = getPushSender();
+    if (!sender.enabled) {
+        return sendError(res, 503, 'PUSH_DISABLED', "Notificações push não configuradas");
+    }
+    res.json({ publicKey: sender.publicKey });
+});
+
+const adminSubscribeSchema = t.object({ subscription: pushSubscriptionSchema });
+
+const customerSubscribeSchema = t.object({
+    subscription: pushSubscriptionSchema,
+    orderId: t.id()
+});
+
+const unsubscribeSchema = t.object({
+    endpoint: t.string({ max: 2000 }).optional(),
+    subscription: t.object({ endpoint: t.string({ max: 2000 }) }).optional()
+}).refine(body => Boolean(body.endpoint || body.subscription), "Endpoint da assinatura é obrigatório", 'required');
+
+// Registrar assinatura push do admin logado
+app.post("/api/push/admin/subscribe", requireAuth(), validateBody(adminSubscribeSchema, "Assinatura push inválida"), async (req, res) => {
+    try {
+        const { subscription } = req.body;
+
+        await savePushSubscription(subscription, {
+            audience: 'admin',
+            admin_user_id: req.admin.id,
+            order_id: null
+        });
+
+        console.log('🔔 Assinatura push registrada para admin:', req.admin.username);
+        res.json({ success: true, message: "Notificações ativadas" });
+    } catch (error) {
+        console.error("❌ Erro ao registrar assinatura push:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao registrar assinatura push");
+    }
+});
+
+// Registrar assinatura push do cliente para acompanhar um pedido
+app.post("/api/push/customer/subscribe", validateBody(customerSubscribeSchema, "Assinatura push e ID do pedido são obrigatórios"), async (req, res) => {
+    try {
+        const { subscription, orderId } = req.body;
+
+        const order = await findOrder(req, orderId);
+
+        if (!order) {
+            return sendError(res, 404, 'ORDER_NOT_FOUND', "Pedido não encontrado");
+        }
+
+        await savePushSubscription(subscription, {
+            audience: 'customer',
+            admin_user_id: null,
+            order_id: order.id
+        });
+
+        console.log('🔔 Assinatura push registrada para o pedido:', order.id);
+        res.json({ success: true, message: "Você será avisado sobre o pedido" });
+    } catch (error) {
+        console.error("❌ Erro ao registrar assinatura push:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao registrar assinatura push");
+    }
+});
+
+// Remover assinatura push (admin ou cliente)
+app.post("/api/push/unsubscribe", validateBody(unsubscribeSchema), async (req, res) => {
+    try {
+        const endpoint = req.body.endpoint || req.body.subscription.endpoint;
+
+        await store.pushSubscriptions.deleteByEndpoint(endpoint);
+
+        res.json({ success: true, message: "Notificações desativadas" });
+    } catch (error) {
+        console.error("❌ Erro ao remover assinatura push:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao remover assinatura push");
+    }
+});
+
+// Atualizar produto somente se a versão bater (evita sobrescrever edição de outro admin).
+// Quantidades de sabor alteradas entram no livro de estoque como correção.
+async function updateProductVersioned(id, version, updates, admin = null) {
+    const before = await store.products.getById(id);
+    if (!before) return { notFound: true };
+    if (before.version !== version) return { conflict: before };
+
+    const product = await store.products.updateIfVersion(id, version, {
+        ...updates,
+        version: version + 1,
+        updated_at: new Date().toISOString()
+    });
+
+    if (product) {
+        await recordStockChanges(before, product, admin, "Edição do produto");
+        return { product, before };
+    }
+
+    const current = await store.products.getById(id);
+    return current ? { conflict: current } : { notFound: true };
+}
+
+// Conferir as categorias dos produtos (entries: [{ category, field, current }]) entre as que a loja
+// "storeId" enxerga. Responde 400 e retorna false se alguma não existir ou estiver arquivada.
+async function checkProductCategories(res, entries, storeId) {
+    const categories = (await store.categories.list()).filter(category => belongsToStore(category, storeId));
+    const errors = categoryReferenceErrors(entries, categories);
+    if (errors.length === 0) return true;
+
+    sendValidationError(res, errors, "Categoria do produto inválida");
+    return false;
+}
+
+// Conferir a categoria de uma edição de produto (só quando o campo vem no corpo)
+async function checkProductUpdateCategory(res, id, fields, storeId) {
+    if (fields.category === undefined) return true;
+
+    const current = await store.products.getById(id);
+    return checkProductCategories(res, [{ category: fields.category, field: 'category', current: current?.category ?? null }], storeId);
+}
+
+// Produto ou categoria que o admin pode alterar: os da loja da requisição e, para admin de todas as
+// lojas, também os do catálogo compartilhado. Responde o erro e retorna false se não puder.
+function checkCatalogStore(req, res, row, [code, message]) {
+    if (!row || !belongsToStore(row, req.store.id)) {
+        sendError(res, 404, code, message);
+        return false;
+    }
+    if ((row.store_id === null || row.store_id === undefined) && adminStoreIds(req.admin)) {
+        sendError(res, 403, 'STORE_FORBIDDEN', "Item do catálogo compartilhado: só um admin de todas as lojas altera");
+        return false;
+    }
+    return true;
+}
+
+const checkProductStore = (req, res, product) =>
+    checkCatalogStore(req, res, product, ['PRODUCT_NOT_FOUND', "Produto não encontrado"]);
+
+const checkCategoryStore = (req, res, category) =>
+    checkCatalogStore(req, res, category, ['CATEGORY_NOT_FOUND', "Categoria não encontrada"]);
+
+// Loja dona do produto enviado: a da requisição ou nenhuma (compartilhado, só admin de todas as lojas).
+// Admin limitado cria sempre na loja dele. Responde o erro e retorna false se não der.
+function resolveProductStore(req, res, fields, { creating = false } = {}) {
+    if (fields.store_id === undefined) {
+        if (creating && adminStoreIds(req.admin)) fields.store_id = req.store.id;
+        return true;
+    }
+    if (fields.store_id !== null && String(fields.store_id) !== String(req.store.id)) {
+        sendValidationError(res, [{ field: 'store_id', code: 'STORE_MISMATCH', message: "O produto só pode ser desta loja ou do catálogo compartilhado" }], "Dados do produto inválidos");
+        return false;
+    }
+    if (fields.store_id === null && adminStoreIds(req.admin)) {
+        sendError(res, 403, 'STORE_FORBIDDEN', "Só um admin de todas as lojas cria produtos do catálogo compartilhado");
+        return false;
+    }
+    fields.store_id = fields.store_id === null ? null : req.store.id;
+    return true;
+}
+
+// Responder resultado de updateProductVersioned
+function sendVersionedResult(res, result, message) {
+    if (result.notFound) {
+        return sendError(res, 404, 'PRODUCT_NOT_FOUND', "Produto não encontrado");
+    }
+
+    if (result.conflict) {
+        return sendError(res, 409, 'VERSION_CONFLICT', "O produto foi alterado por outra pessoa, recarregue e tente novamente", {
+            currentVersion: result.conflict.version,
+            product: normalizeProducts([result.conflict])[0]
+        });
+    }
+
+    auditChange(res, 'product', result.product.id, result.before, result.product);
+
+    const product = normalizeProducts([result.product])[0];
+    res.set('ETag', `"${product.version}"`);
+    res.json({ success: true, message, product });
+}
+
+// Buscar produto e conferir a versão enviada pelo cliente
+async function loadProductForWrite(req, res) {
+    const version = expectedVersion(req);
+
+    if (version === null) {
+        sendError(res, 428, 'VERSION_REQUIRED', "Informe a versão do produto (campo version ou cabeçalho If-Match)");
+        return null;
+    }
+
+    const product = await store.products.getById(req.params.id);
+
+    if (!checkProductStore(req, res, product)) return null;
+
+    if (product.version !== version) {
+        sendVersionedResult(res, { conflict: product });
+        return null;
+    }
+
+    return { product, version };
+}
+
+// Catálogo compartilhado atual no formato de exportação (saldos do livro de estoque nos sabores).
+// Produtos e categorias de uma loja só ficam de fora da exportação e da importação; as cópias
+// do catálogo pedem allStores e levam tudo.
+async function loadCatalog({ allStores = false } = {}) {
+    const [allCategories, allProducts, balances] = await Promise.all([
+        store.categories.list(),
+        store.products.list(),
+        loadBalances()
+    ]);
+    const shared = row => allStores || row.store_id === null || row.store_id === undefined;
+    const categories = allCategories.filter(shared);
+    const products = allProducts.filter(shared);
+    return { categories, products, catalog: exportCatalog(categories, products, balances) };
+}
+
+// Ajustes de produto de todas as lojas (store_products)
+async function loadAllStoreProducts() {
+    const stores = await store.stores.list();
+    return (await Promise.all(stores.map(row => store.storeProducts.list(row.id)))).flat();
+}
+
+// Voltar os ajustes das lojas guardados numa cópia (preço, disponibilidade e estoque próprio) para
+// os produtos restaurados (productIds: id na cópia -> id atual); os que não estão na cópia são removidos.
+// Como nos sabores, o estoque próprio atual é mantido e só os sabores que voltam recebem o saldo da cópia.
+async function restoreStoreProducts(saved, productIds, admin) {
+    const current = await loadAllStoreProducts();
+    const currentByKey = new Map(current.map(row => [`${row.store_id}:${row.product_id}`, row]));
+    const stores = new Set((await store.stores.list()).map(row => String(row.id)));
+    const kept = new Set();
+    let restored = 0;
+
+    for (const override of saved) {
+        const productId = productIds.get(String(override.product_id));
+        if (productId === undefined || !stores.has(String(override.store_id))) continue;
+
+        const key = `${override.store_id}:${productId}`;
+        const live = currentByKey.get(key);
+        const stock = Object.fromEntries(Object.entries(override.stock || {})
+            .map(([sabor, quantity]) => [sabor, live?.stock?.[sabor] ?? quantity]));
+
+        kept.add(key);
+        await store.storeProducts.save(storeProductRow(override.store_id, productId, {
+            price: override.price,
+            available: override.available !== false,
+            stock
+        }), admin ? admin.id : null);
+        restored++;
+    }
+
+    const removed = current.filter(row => !kept.has(`${row.store_id}:${row.product_id}`));
+    for (const row of removed) {
+        await store.storeProducts.delete(row.store_id, row.product_id);
+    }
+
+    return { restored, removed: removed.length };
+}
+
+// Gravar um plano de importação já conferido (planCatalogImport): categorias, produtos e, no fim,
+// os movimentos de estoque das quantidades alteradas. O segundo argumento é o catálogo usado no plano
+// (o de loadCatalog, mais "current" com as versões dos produtos). Retorna { created, updated, removedIds }
+async function applyCatalogPlan(plan, { categories, products, current }, admin, note) {
+    const now = new Date().toISOString();
+    const nextOrder = Math.max(-1, ...categories.map(category => category.display_order || 0)) + 1;
+    const categoryRows = [
+        ...plan.categories.create.map((category, index) => ({ ...category, display_order: nextOrder + index })),
+        ...plan.categories.update.map(({ from, ...category }) => category)
+    ];
+    if (categoryRows.length > 0) await store.categories.upsertMany(categoryRows);
+
+    const updated = await store.products.upsertMany(plan.products.update.map(product => ({
+        id: product.id,
+        ...pickProductFields(product.fields),
+        version: product.version + 1,
+        updated_at: now
+    })));
+    const created = await store.products.createMany(plan.products.create.map(product => ({
+        ...pickProductFields(product.fields),
+        version: 1
+    })));
+
+    const removedIds = plan.products.remove.map(product => product.id);
+    if (removedIds.length > 0) {
+        await store.products.deleteMany(removedIds);
+        // Sem a lista do que ficou: as imagens são conferidas contra o catálogo inteiro já gravado,
+        // inclusive os produtos que a importação não mexeu e os de cada loja
+        await removeProductImages(products.filter(product => removedIds.some(id => String(id) === String(product.id))));
+    }
+
+    for (const category of plan.categories.archive) {
+        await store.categories.update(category.id, { archived_at: now });
+    }
+
+    const before = new Map(current.products.map(product => [String(product.id), product]));
+    for (const product of [...updated, ...created]) {
+        await recordStockChanges(before.get(String(product.id)) || null, product, admin, note);
+    }
+
+    return { created, updated, removedIds };
+}
+
+// Guardar uma cópia do catálogo atual antes de uma gravação em massa. Lança erro se não conseguir:
+// quem chama não segue sem a cópia. As mais antigas que CATALOG_SNAPSHOT_LIMIT são apagadas.
+// A cópia leva o catálogo inteiro: produtos compartilhados e de cada loja e os ajustes das lojas.
+async function snapshotCatalog(reason, admin) {
+    const [{ catalog }, overrides] = await Promise.all([loadCatalog({ allStores: true }), loadAllStoreProducts()]);
+    catalog.storeProducts = overrides.map(row => ({
+        store_id: row.store_id,
+        product_id: row.product_id,
+        price: row.price === null || row.price === undefined ? null : Number(row.price),
+        available: row.available !== false,
+        stock: row.stock || {}
+    }));
+    const snapshot = await store.catalogSnapshots.create({
+        reason,
+        admin_user_id: admin ? admin.id : null,
+        admin_username: admin ? admin.username : null,
+        product_count: catalog.products.length,
+        category_count: catalog.categories.length,
+        catalog
+    });
+
+    const { error } = await attempt(store.catalogSnapshots.prune(CATALOG_SNAPSHOT_LIMIT));
+    if (error) console.error('❌ Erro ao apagar cópias antigas do catálogo:', error.message);
+
+    console.log(`📸 Cópia do catálogo #${snapshot.id} guardada (${reason})`);
+    return snapshot;
+}
+
+// Exportar o catálogo completo (categorias, produtos, sabores e estoque) em JSON ou CSV
+app.get("/api/catalog/export", requireAuth('owner', 'manager'), validateQuery(t.object({ format: t.enum(['json', 'csv']).default('json') }), "Formato inválido"), async (req, res) => {
+    try {
+        const { catalog } = await loadCatalog();
+        const filename = `catalogo-${catalog.exportedAt.slice(0, 10)}.${req.query.format}`;
+
+        console.log(`📤 Exportando catálogo (${catalog.products.length} produtos, ${req.query.format})`);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            return res.send(toCsv(catalogCsvRows(catalog), CATALOG_CSV_COLUMNS));
+        }
+
+        res.json(catalog);
+    } catch (error) {
+        console.error("❌ Erro ao exportar catálogo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao exportar catálogo");
+    }
+});
+
+const catalogImportQuerySchema = t.object({
+    mode: t.enum(CATALOG_IMPORT_MODES).default('merge'),
+    confirm: t.string({ max: 64 }).optional()
+});
+
+// Importar o catálogo (JSON do export ou CSV, text/csv). Sem ?confirm é só simulação: responde o que
+// seria criado, alterado e removido e o confirmToken. A gravação exige ?confirm=<confirmToken> e só
+// acontece se o arquivo e o catálogo ainda forem os mesmos da simulação.
+app.post("/api/catalog/import", requireAuth('owner', 'manager'), requireAllStores, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), validateQuery(catalogImportQuerySchema, "Parâmetros da importação inválidos"), async (req, res) => {
+    try {
+        const { mode, confirm } = req.query;
+
+        let incoming;
+        let rows = null;
+
+        if (typeof req.body === 'string') {
+            ({ rows, ...incoming } = catalogFromCsv(parseCsv(req.body)));
+        } else {
+            const body = req.body?.catalog || req.body || {};
+            incoming = { categories: body.categories, products: body.products };
+        }
+
+        if (!Array.isArray(incoming.products) || incoming.products.length === 0) {
+            return sendError(res, 400, 'EMPTY_CATALOG', "O arquivo não tem produtos");
+        }
+
+        const { categories, products, catalog } = await loadCatalog();
+        const versions = new Map(products.map(product => [String(product.id), product.version || 1]));
+        const current = {
+            categories,
+            products: catalog.products.map(product => ({ ...product, version: versions.get(String(product.id)) }))
+        };
+
+        const plan = planCatalogImport(current, incoming, { mode, rows });
+        const report = catalogImportReport(plan);
+
+        if (!confirm) {
+            auditChange(res, false);
+            console.log(`📥 Simulação de importação do catálogo (${mode}): ${JSON.stringify(report.summary.products)}`);
+            return res.json({ success: true, dryRun: true, report });
+        }
+
+        if (!report.valid) {
+            return sendValidationError(res, plan.errors, "O arquivo tem erros, corrija e simule de novo");
+        }
+
+        if (confirm !== plan.token) {
+            return sendError(res, 409, 'IMPORT_PLAN_CHANGED', "O arquivo ou o catálogo mudou desde a simulação, simule de novo", { report });
+        }
+
+        console.log(`📥 Importando catálogo (${mode}) por ${req.admin.username}`);
+
+        const snapshot = await snapshotCatalog("Antes da importação do catálogo", req.admin);
+        const { created, updated, removedIds } = await applyCatalogPlan(plan, { categories, products, current }, req.admin, "Importação do catálogo");
+        auditChange(res, 'catalog', null, null, { mode, snapshotId: snapshot.id, summary: report.summary });
+
+        console.log(`✅ Catálogo importado: ${created.length} criados, ${updated.length} atualizados, ${removedIds.length} removidos`);
+        res.json({ success: true, dryRun: false, message: "Catálogo importado", report, snapshotId: snapshot.id });
+    } catch (error) {
+        console.error("❌ Erro ao importar catálogo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao importar catálogo");
+    }
+});
+
+// Cópias do catálogo, da mais nova para a mais antiga (sem o conteúdo)
+app.get("/api/catalog/snapshots", requireAuth('owner', 'manager'), validateQuery(pageQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const limit = pageLimit(req.query.limit);
+        const rows = await store.catalogSnapshots.list({ cursor: req.query.cursor ? decodeCursor(req.query.cursor) : null, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const page = hasMore ? rows.slice(0, limit) : rows;
+
+        res.json({
+            snapshots: page.map(snapshot => normalizeCatalogSnapshot(snapshot)),
+            pageInfo: {
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error("❌ Erro ao buscar cópias do catálogo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar cópias do catálogo");
+    }
+});
+
+// Uma cópia com o catálogo guardado
+app.get("/api/catalog/snapshots/:id", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const snapshot = await store.catalogSnapshots.getById(req.params.id);
+
+        if (!snapshot) {
+            return sendError(res, 404, 'SNAPSHOT_NOT_FOUND', "Cópia do catálogo não encontrada");
+        }
+
+        res.json({ snapshot: normalizeCatalogSnapshot(snapshot, { includeCatalog: true }) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar cópia do catálogo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar cópia do catálogo");
+    }
+});
+
+// Guardar uma cópia agora (ex.: antes de mexer no cardápio pelo celular)
+app.post("/api/catalog/snapshots", requireAuth('owner', 'manager'), validateBody(t.object({ reason: t.string({ max: 200 }).optional() }), "Dados da cópia inválidos"), async (req, res) => {
+    try {
+        const snapshot = await snapshotCatalog(req.body.reason || "Cópia manual", req.admin);
+        auditChange(res, 'catalog_snapshot', snapshot.id, null, normalizeCatalogSnapshot(snapshot));
+
+        res.status(201).json({ success: true, message: "Cópia do catálogo guardada", snapshot: normalizeCatalogSnapshot(snapshot) });
+    } catch (error) {
+        console.error("❌ Erro ao guardar cópia do catálogo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao guardar cópia do catálogo");
+    }
+});
+
+// Voltar o catálogo para uma cópia: produtos e categorias ficam como estavam (produtos que não
+// existiam são removidos, os removidos voltam com um novo id), inclusive os de cada loja e os ajustes
+// das lojas. O estoque atual dos sabores que ainda existem é mantido; só os sabores que voltam recebem
+// o saldo da cópia. Antes, o catálogo atual vira uma nova cópia, então a restauração também pode ser
+// desfeita. Com ?dryRun=true só mostra o que mudaria.
+app.post("/api/catalog/snapshots/:id/restore", requireAuth('owner', 'manager'), requireAllStores, validateQuery(t.object({ dryRun: t.boolean({ coerce: true }).default(false) }), "Parâmetros inválidos"), async (req, res) => {
+    try {
+        const snapshot = await store.catalogSnapshots.getById(req.params.id);
+
+        if (!snapshot) {
+            return sendError(res, 404, 'SNAPSHOT_NOT_FOUND', "Cópia do catálogo não encontrada");
+        }
+
+        // Cópias de antes das lojas só têm o catálogo compartilhado: os produtos das lojas ficam como estão
+        const allStores = Array.isArray(snapshot.catalog.storeProducts);
+        const { categories, products, catalog } = await loadCatalog({ allStores });
+        const versions = new Map(products.map(product => [String(product.id), product.version || 1]));
+        const current = {
+            categories,
+            products: catalog.products.map(product => ({ ...product, version: versions.get(String(product.id)) }))
+        };
+
+        // Saldo atual para os sabores que continuam existindo
+        const liveProducts = new Map(catalog.products.map(product => [String(product.id), product]));
+        const incoming = {
+            categories: snapshot.catalog.categories,
+            products: snapshot.catalog.products.map(product => {
+                const live = liveProducts.get(String(product.id));
+                if (!live) return product;
+                return {
+                    ...product,
+                    sabores: product.sabores.map(sabor => {
+                        const liveSabor = live.sabores.find(item => item.name === sabor.name);
+                        return liveSabor ? { ...sabor, quantity: liveSabor.quantity } : sabor;
+                    })
+                };
+            })
+        };
+
+        const plan = planCatalogImport(current, incoming, { mode: 'replace' });
+        const report = catalogImportReport(plan);
+
+        if (req.query.dryRun) {
+            auditChange(res, false);
+            return res.json({ success: true, dryRun: true, report });
+        }
+
+        if (!report.valid) {
+            return sendValidationError(res, plan.errors, "A cópia não pode ser restaurada sobre o catálogo atual");
+        }
+
+        console.log(`⏪ Restaurando catálogo da cópia #${snapshot.id} por ${req.admin.username}`);
+
+        const backup = await snapshotCatalog(`Antes de restaurar a cópia #${snapshot.id}`, req.admin);
+        const { created, updated, removedIds } = await applyCatalogPlan(plan, { categories, products, current }, req.admin, `Restauração da cópia #${snapshot.id}`);
+
+        let storeProducts = null;
+        if (allStores) {
+            const productIds = new Map(plan.products.matched.map(({ index, id }) => [String(incoming.products[index].id), id]));
+            plan.products.create.forEach((product, position) => productIds.set(String(incoming.products[product.index].id), created[position].id));
+            storeProducts = await restoreStoreProducts(snapshot.catalog.storeProducts, productIds, req.admin);
+        }
+        auditChange(res, 'catalog', snapshot.id, null, { restoredSnapshotId: snapshot.id, snapshotId: backup.id, summary: report.summary, storeProducts });
+
+        console.log(`✅ Catálogo restaurado: ${created.length} criados, ${updated.length} atualizados, ${removedIds.length} removidos`);
+        res.json({
+            success: true,
+            dryRun: false,
+            message: `Catálogo restaurado da cópia de ${new Date(snapshot.created_at).toLocaleString('pt-BR', { timeZone: REPORT_TIMEZONE })}`,
+            report,
+            storeProducts,
+            snapshotId: backup.id
+        });
+    } catch (error) {
+        console.error("❌ Erro ao restaurar cópia do catálogo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao restaurar cópia do catálogo");
+    }
+});
+
+// Sabores de um produto que já existe com o estoque do banco; sabor novo começa zerado
+// (a entrada de estoque é um movimento, não a edição do catálogo)
+function withStoredStock(sabores, stored) {
+    const quantities = new Map((stored?.sabores || []).map(sabor => [sabor.name, sabor.quantity || 0]));
+    return sabores.map(sabor => ({ ...sabor, quantity: quantities.get(sabor.name) ?? 0 }));
+}
 
-        const { error } = await supabase
-            .from('orders')
-            .update({ 
-                status: status,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', orderId);
+// Corpo de POST /api/products: um produto ou o catálogo inteiro.
+// Lista vazia é recusada: apagaria o cardápio todo de uma vez.
+const productsSaveSchema = t.object({
+    product: productSchema.optional(),
+    products: t.array(catalogItemSchema, { min: 1, max: 1000 }).optional()
+}).refine(body => body.product !== undefined || body.products !== undefined, "Envie product ou products", 'required');
 
-        if (error) {
-            console.error('❌ Erro ao atualizar status do pedido:', error);
-            throw error;
+// Criar um produto ou salvar o catálogo inteiro
+app.post("/api/products", requireAuth('owner', 'manager'), validateBody(productsSaveSchema, "Dados do produto inválidos"), async (req, res) => {
+    try {
+        // Produto único: { product }
+        if (req.body.product) {
+            const fields = productFields(req.body.product);
+
+            if (!resolveProductStore(req, res, fields, { creating: true })) return;
+            if (!(await checkProductCategories(res, [{ category: fields.category, field: 'category' }], req.store.id))) return;
+
+            console.log('➕ Criando produto:', fields.title);
+
+            const data = await store.products.create({ ...fields, version: 1 });
+            await recordStockChanges(null, data, req.admin, "Cadastro do produto");
+            auditChange(res, 'product', data.id, null, data);
+
+            const product = normalizeProducts([data])[0];
+            res.set('ETag', `"${product.version}"`);
+            return res.status(201).json({ success: true, message: `Produto "${product.title}" criado`, product });
         }
 
-        console.log('✅ Status do pedido atualizado com sucesso!');
-        res.json({ success: true, message: `Status do pedido atualizado para ${status}` });
-        
+        // Catálogo inteiro: { products }. Produtos com id são atualizados (id preservado, com a versão
+        // lida pelo cliente), sem id são criados, e só depois os produtos compartilhados que sumiram da
+        // lista são removidos. O estoque dos sabores que já existem fica o do banco: só muda pelos
+        // movimentos de estoque. Mexe no catálogo compartilhado, então é só para admin de todas as lojas;
+        // os produtos de uma loja só são atualizados se vierem na lista, mas nunca removidos por faltarem nela.
+        if (adminStoreIds(req.admin)) {
+            return sendError(res, 403, 'STORE_FORBIDDEN', "Só um admin de todas as lojas salva o catálogo inteiro");
+        }
+
+        const { products } = req.body;
+        console.log(`💾 Salvando ${products.length} produtos...`);
+
+        const normalizedProducts = products.map(product => ({ ...productFields(product), id: product.id }));
+
+        const existing = (await store.products.list()).filter(product => belongsToStore(product, req.store.id));
+        const existingById = new Map(existing.map(product => [String(product.id), product]));
+        const existingVersions = new Map(existing.map(product => [String(product.id), product.version || 1]));
+        const now = new Date().toISOString();
+
+        // Produto que já existe vem com a versão que o cliente leu; versão velha recusa o envio todo
+        const missingVersions = [];
+        const conflicts = [];
+        normalizedProducts.forEach((product, index) => {
+            const current = existingVersions.get(String(product.id));
+            if (product.id === undefined || current === undefined) return;
+
+            const version = Number(products[index].version);
+            if (!Number.isInteger(version)) missingVersions.push(`products[${index}].version`);
+            else if (version !== current) conflicts.push({ productId: product.id, currentVersion: current });
+        });
+
+        if (missingVersions.length > 0) {
+            return sendError(res, 428, 'VERSION_REQUIRED', "Informe a versão de cada produto que já existe (campo version)", { fields: missingVersions });
+        }
+        if (conflicts.length > 0) {
+            return sendError(res, 409, 'VERSION_CONFLICT', "Produtos alterados por outra pessoa, recarregue e tente novamente", { conflicts });
+        }
+
+        const categoriesOk = await checkProductCategories(res, normalizedProducts.map((product, index) => ({
+            category: product.category,
+            field: `products[${index}].category`,
+            current: existingById.get(String(product.id))?.category ?? null
+        })), req.store.id);
+        if (!categoriesOk) return;
+
+        const toUpdate = normalizedProducts
+            .filter(product => product.id !== undefined && existingVersions.has(String(product.id)))
+            .map(product => ({
+                id: product.id,
+                ...pickProductFields(product),
+                sabores: withStoredStock(product.sabores, existingById.get(String(product.id))),
+                display_order: product.display_order || 0,
+                version: existingVersions.get(String(product.id)) + 1,
+                updated_at: now
+            }));
+
+        const toInsert = normalizedProducts
+            .filter(product => product.id === undefined || !existingVersions.has(String(product.id)))
+            .map(product => ({
+                ...pickProductFields(product),
+                display_order: product.display_order || 0,
+                version: 1
+            }));
+
+        const keptIds = new Set(toUpdate.map(product => String(product.id)));
+        const toDelete = existing
+            .filter(product => product.store_id === null || product.store_id === undefined)
+            .map(product => product.id)
+            .filter(id => !keptIds.has(String(id)));
+
+        // Cópia do catálogo antes de gravar: um envio errado (ex.: lista vazia do celular) pode ser desfeito
+        const snapshot = await snapshotCatalog("Antes de salvar o catálogo", req.admin);
+
+        const updated = await store.products.upsertMany(toUpdate);
+        const created = await store.products.createMany(toInsert);
+        await store.products.deleteMany(toDelete);
+        await removeProductImages(existing.filter(product => toDelete.includes(product.id)));
+
+        for (const product of [...updated, ...created]) {
+            await recordStockChanges(existingById.get(String(product.id)) || null, product, req.admin, "Catálogo salvo");
+        }
+
+        auditChange(res, 'catalog', null, null, {
+            snapshotId: snapshot.id,
+            updated: updated.map(product => product.id),
+            created: created.map(product => product.id),
+            removed: toDelete
+        });
+
+        console.log(`✅ Produtos salvos: ${toUpdate.length} atualizados, ${toInsert.length} criados, ${toDelete.length} removidos`);
+        res.json({ 
+            success: true, 
+            message: `${normalizedProducts.length} produtos salvos`,
+            updated: toUpdate.length,
+            created: toInsert.length,
+            removed: toDelete.length,
+            snapshotId: snapshot.id
+        });
     } catch (error) {
-        console.error("❌ Erro ao atualizar status do pedido:", error);
-        res.status(500).json({ error: "Erro ao atualizar status do pedido: " + error.message });
+        console.error("❌ Erro ao salvar produtos:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao salvar produtos");
     }
 });
 
-// Autenticação - COM FALLBACK SE TABELA NÃO EXISTIR
-app.post("/api/auth/login", async (req, res) => {
+// Buscar um produto
+app.get("/api/products/:id", async (req, res) => {
     try {
-        const { username, password } = req.body;
-        
-        console.log('🔐 Tentativa de login:', username);
+        const found = await store.products.getById(req.params.id);
+        const overrides = found ? await loadStoreProducts(req.store.id) : [];
+        const [product] = found ? storeCatalog([found], overrides, req.store.id) : [];
+
+        if (!product) {
+            return sendError(res, 404, 'PRODUCT_NOT_FOUND', "Produto não encontrado");
+        }
+
+        const normalized = normalizeProducts([product], await loadBalances(overrides))[0];
+        res.set('ETag', `"${normalized.version}"`);
+        res.json({ product: withCurrentPrices([normalized], await loadPromotions(req.store.id))[0] });
+    } catch (error) {
+        console.error("❌ Erro ao buscar produto:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar produto");
+    }
+});
 
-        if (!username || !password) {
-            return res.status(400).json({ error: "Usuário e senha são obrigatórios" });
+// Corpo no formato antigo, com os campos dentro de "field" ({ product: {...}, version }): solta os
+// campos no corpo antes do validateBody
+function unwrapBody(field) {
+    return (req, res, next) => {
+        const inner = req.body?.[field];
+        if (inner && typeof inner === 'object' && !Array.isArray(inner)) {
+            req.body = { ...inner, version: req.body.version ?? inner.version };
         }
+        next();
+    };
+}
 
-        // Tenta buscar credenciais no Supabase
-        const { data: credentials, error } = await supabase
-            .from('admin_credentials')
-            .select('*')
-            .eq('username', username)
-            .single();
+// Substituir um produto inteiro
+app.put("/api/products/:id", requireAuth('owner', 'manager'), unwrapBody('product'), validateBody(productUpdateSchema, "Dados do produto inválidos"), async (req, res) => {
+    try {
+        const version = expectedVersion(req);
+        if (version === null) {
+            return sendError(res, 428, 'VERSION_REQUIRED', "Informe a versão do produto (campo version ou cabeçalho If-Match)");
+        }
 
-        if (error) {
-            console.log('❌ Erro ao buscar credenciais:', error.message);
-            
-            // Se tabela não existe ou não tem credenciais, usar padrão
-            if (error.message.includes('does not exist') || error.code === 'PGRST116') {
-                console.log('👤 Usando credenciais padrão...');
-                
-                // Credenciais padrão de fallback
-                if (username === "admin" && password === "admin123") {
-                    console.log('✅ Login bem-sucedido com credenciais padrão');
-                    return res.json({ 
-                        success: true, 
-                        token: "authenticated_admin_token", 
-                        user: { username: "admin" } 
-                    });
-                } else {
-                    console.log('❌ Credenciais padrão incorretas');
-                    return res.status(401).json({ error: "Credenciais inválidas" });
-                }
+        const fields = productFields(req.body);
+
+        if (!checkProductStore(req, res, await store.products.getById(req.params.id))) return;
+        if (!resolveProductStore(req, res, fields)) return;
+        if (!(await checkProductUpdateCategory(res, req.params.id, fields, req.store.id))) return;
+
+        console.log(`✏️ Substituindo produto ${req.params.id} (versão ${version})`);
+
+        const result = await updateProductVersioned(req.params.id, version, fields, req.admin);
+        sendVersionedResult(res, result, "Produto atualizado");
+    } catch (error) {
+        console.error("❌ Erro ao atualizar produto:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar produto");
+    }
+});
+
+// Atualizar só alguns campos do produto
+app.patch("/api/products/:id", requireAuth('owner', 'manager'), unwrapBody('product'), validateBody(productUpdateSchema.partial(), "Dados do produto inválidos"), async (req, res) => {
+    try {
+        const version = expectedVersion(req);
+        if (version === null) {
+            return sendError(res, 428, 'VERSION_REQUIRED', "Informe a versão do produto (campo version ou cabeçalho If-Match)");
+        }
+
+        const fields = productFields(req.body);
+
+        if (!checkProductStore(req, res, await store.products.getById(req.params.id))) return;
+        if (!resolveProductStore(req, res, fields)) return;
+        if (!(await checkProductUpdateCategory(res, req.params.id, fields, req.store.id))) return;
+
+        console.log(`✏️ Atualizando produto ${req.params.id}:`, Object.keys(fields).join(', '));
+
+        const result = await updateProductVersioned(req.params.id, version, fields, req.admin);
+        sendVersionedResult(res, result, "Produto atualizado");
+    } catch (error) {
+        console.error("❌ Erro ao atualizar produto:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar produto");
+    }
+});
+
+// Excluir um produto
+app.delete("/api/products/:id", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const loaded = await loadProductForWrite(req, res);
+        if (!loaded) return;
+
+        const deleted = await store.products.deleteIfVersion(loaded.product.id, loaded.version);
+
+        if (!deleted) {
+            return sendError(res, 409, 'VERSION_CONFLICT', "O produto foi alterado por outra pessoa, recarregue e tente novamente");
+        }
+
+        console.log('🗑️ Produto excluído:', loaded.product.title);
+        await removeProductImages([loaded.product]);
+        auditChange(res, 'product', loaded.product.id, loaded.product, null);
+        res.json({ success: true, message: `Produto "${loaded.product.title}" excluído` });
+    } catch (error) {
+        console.error("❌ Erro ao excluir produto:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao excluir produto");
+    }
+});
+
+// Receber a imagem do upload; responde o erro do multipart (arquivo grande, campo errado) e retorna false
+function receiveImage(req, res) {
+    return new Promise(resolve => {
+        imageUpload(req, res, error => {
+            if (!error) return resolve(true);
+
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                sendError(res, 413, 'IMAGE_TOO_LARGE', `A imagem deve ter no máximo ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`);
+            } else if (error instanceof multer.MulterError) {
+                sendError(res, 400, 'INVALID_UPLOAD', "Envie um único arquivo no campo \"image\"");
+            } else {
+                console.error('❌ Erro ao receber upload:', error);
+                sendError(res, 400, 'INVALID_UPLOAD', "Não foi possível ler o arquivo enviado");
             }
-            
-            return res.status(401).json({ error: "Erro no sistema" });
+            resolve(false);
+        });
+    });
+}
+
+// Enviar foto de produto ou sabor (multipart, campo "image"): grava a imagem e a miniatura
+// e retorna a URL para usar em sabores[].image
+app.post("/api/uploads/images", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        if (!(await receiveImage(req, res))) return;
+
+        if (!req.file) {
+            return sendError(res, 400, 'IMAGE_REQUIRED', "Envie a imagem no campo \"image\"");
         }
 
-        if (!credentials) {
-            console.log('❌ Credenciais não encontradas');
-            return res.status(401).json({ error: "Credenciais inválidas" });
+        const contentType = detectImageType(req.file.buffer);
+
+        if (!contentType) {
+            return sendError(res, 415, 'UNSUPPORTED_IMAGE_TYPE', `Formato não aceito (use ${Object.values(IMAGE_TYPES).join(', ')})`);
         }
 
-        console.log('🔍 Credencial encontrada:', credentials.username);
-        
-        // Verificar senha (texto plano para simplificar)
-        const isPlainPasswordValid = password === credentials.password;
-        const encryptedInput = simpleEncrypt(password);
-        const isPasswordValid = encryptedInput === credentials.encrypted_password;
-
-        if (isPasswordValid || isPlainPasswordValid) {
-            console.log('✅ Login bem-sucedido para:', username);
-            res.json({ 
-                success: true, 
-                token: "authenticated_admin_token", 
-                user: { username: username } 
-            });
-        } else {
-            console.log('❌ Senha incorreta para:', username);
-            res.status(401).json({ error: "Credenciais inválidas" });
+        let image;
+        try {
+            image = await prepareImage(req.file.buffer, contentType);
+        } catch (error) {
+            console.log('❌ Imagem recusada:', error.message);
+            return sendError(res, 400, 'INVALID_IMAGE', "Não foi possível abrir a imagem, o arquivo pode estar corrompido");
         }
+
+        const url = await storage.put(image.key, req.file.buffer, contentType);
+        const thumbnailUrl = await storage.put(image.thumbnailKey, image.thumbnail, 'image/webp');
+
+        console.log(`🖼️ Imagem enviada: ${image.key} (${req.admin.username})`);
+        res.status(201).json({
+            success: true,
+            message: "Imagem enviada",
+            url,
+            thumbnailUrl,
+            contentType,
+            size: req.file.size,
+            width: image.width,
+            height: image.height
+        });
     } catch (error) {
-        console.error("❌ Erro no login:", error);
-        res.status(500).json({ error: "Erro no processo de login" });
+        console.error("❌ Erro ao enviar imagem:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao enviar imagem");
     }
 });
 
-// Verificar autenticação
-app.get("/api/auth/verify", async (req, res) => {
+// Adicionar sabor a um produto
+app.post("/api/products/:id/sabores", requireAuth('owner', 'manager'), validateBody(saborCreateSchema, "Dados do sabor inválidos"), async (req, res) => {
     try {
-        const token = req.headers.authorization?.replace("Bearer ", "");
-        
-        if (token && checkAuth(token)) {
-            res.json({ valid: true, user: { username: "admin" } });
-        } else {
-            res.json({ valid: false });
+        const { sabor } = req.body;
+
+        const loaded = await loadProductForWrite(req, res);
+        if (!loaded) return;
+
+        const sabores = Array.isArray(loaded.product.sabores) ? loaded.product.sabores : [];
+        if (sabores.some(existing => existing.name === sabor.name)) {
+            return sendError(res, 409, 'SABOR_EXISTS', `Sabor "${sabor.name}" já existe neste produto`);
         }
+
+        const result = await updateProductVersioned(loaded.product.id, loaded.version, {
+            sabores: [...sabores, { image: '', description: '', ...sabor }]
+        }, req.admin);
+        sendVersionedResult(res, result, `Sabor "${sabor.name}" adicionado`);
     } catch (error) {
-        console.error("Erro ao verificar autenticação:", error);
-        res.status(500).json({ error: "Erro ao verificar autenticação" });
+        console.error("❌ Erro ao adicionar sabor:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao adicionar sabor");
     }
 });
 
-// Salvar produtos
-app.post("/api/products", async (req, res) => {
+// Atualizar um sabor (quantidade, imagem, descrição ou nome)
+app.patch("/api/products/:id/sabores/:name", requireAuth('owner', 'manager'), unwrapBody('sabor'), validateBody(saborUpdateSchema, "Dados do sabor inválidos"), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-            return res.status(401).json({ error: "Não autorizado" });
+        const { version, ...changes } = req.body;
+
+        const loaded = await loadProductForWrite(req, res);
+        if (!loaded) return;
+
+        const sabores = Array.isArray(loaded.product.sabores) ? loaded.product.sabores : [];
+        const index = sabores.findIndex(existing => existing.name === req.params.name);
+
+        if (index === -1) {
+            return sendError(res, 404, 'SABOR_NOT_FOUND', `Sabor "${req.params.name}" não encontrado`);
+        }
+
+        if (changes.name && changes.name !== req.params.name && sabores.some(existing => existing.name === changes.name)) {
+            return sendError(res, 409, 'SABOR_EXISTS', `Sabor "${changes.name}" já existe neste produto`);
         }
-        
-        const { products } = req.body;
-        console.log(`💾 Salvando ${products?.length || 0} produtos...`);
-        
-        const normalizedProducts = normalizeProducts(products);
-
-        const { error: deleteError } = await supabase
-            .from('products')
-            .delete()
-            .neq('id', 0);
-
-        if (deleteError) {
-            console.error('❌ Erro ao deletar produtos:', deleteError);
-            throw deleteError;
-        }
-
-        if (normalizedProducts.length > 0) {
-            const productsToInsert = normalizedProducts.map(product => ({
-                title: product.title,
-                category: product.category,
-                price: product.price,
-                description: product.description,
-                status: product.status,
-                sabores: product.sabores,
-                display_order: product.display_order || 0
-            }));
 
-            const { error: insertError } = await supabase
-                .from('products')
-                .insert(productsToInsert);
+        const updatedSabores = sabores.map((existing, i) => i === index ? { ...existing, ...changes } : existing);
 
-            if (insertError) {
-                console.error('❌ Erro ao inserir produtos:', insertError);
-                throw insertError;
-            }
+        console.log(`✏️ Atualizando sabor "${req.params.name}" do produto ${loaded.product.id}`);
+
+        const result = await updateProductVersioned(loaded.product.id, loaded.version, { sabores: updatedSabores }, req.admin);
+        sendVersionedResult(res, result, "Sabor atualizado");
+    } catch (error) {
+        console.error("❌ Erro ao atualizar sabor:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao atualizar sabor");
+    }
+});
+
+// Remover um sabor do produto
+app.delete("/api/products/:id/sabores/:name", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const loaded = await loadProductForWrite(req, res);
+        if (!loaded) return;
+
+        const sabores = Array.isArray(loaded.product.sabores) ? loaded.product.sabores : [];
+        if (!sabores.some(existing => existing.name === req.params.name)) {
+            return sendError(res, 404, 'SABOR_NOT_FOUND', `Sabor "${req.params.name}" não encontrado`);
         }
 
-        console.log('✅ Produtos salvos com sucesso!');
-        res.json({ success: true, message: `${normalizedProducts.length} produtos salvos` });
+        const result = await updateProductVersioned(loaded.product.id, loaded.version, {
+            sabores: sabores.filter(existing => existing.name !== req.params.name)
+        }, req.admin);
+        sendVersionedResult(res, result, `Sabor "${req.params.name}" removido`);
     } catch (error) {
-        console.error("❌ Erro ao salvar produtos:", error);
-        res.status(500).json({ error: "Erro ao salvar produtos: " + error.message });
+        console.error("❌ Erro ao remover sabor:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao remover sabor");
+    }
+});
+
+// Buscar o produto da rota entre os que a loja enxerga; responde 404 e retorna null se não achar
+async function loadStoreProduct(req, res) {
+    const product = await store.products.getById(req.params.id);
+
+    if (!product || !belongsToStore(product, req.store.id)) {
+        sendError(res, 404, 'PRODUCT_NOT_FOUND', "Produto não encontrado");
+        return null;
+    }
+    return product;
+}
+
+// Ajuste do produto na loja da requisição (preço, disponibilidade e estoque próprios)
+app.get("/api/products/:id/store", requireAuth(), async (req, res) => {
+    try {
+        const product = await loadStoreProduct(req, res);
+        if (!product) return;
+
+        const override = await store.storeProducts.get(req.store.id, product.id);
+        res.json({ store: normalizeStore(req.store), override: override ? normalizeStoreProduct(override) : null });
+    } catch (error) {
+        console.error("❌ Erro ao buscar ajuste do produto na loja:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar ajuste do produto na loja");
     }
 });
 
-// Adicionar categoria
-app.post("/api/categories/add", async (req, res) => {
+// Gravar o ajuste do produto na loja. Sabores em "stock" passam a vender do estoque próprio da loja
+// (o saldo informado entra no livro como correção); os demais continuam no compartilhado.
+app.put("/api/products/:id/store", requireAuth('owner', 'manager'), validateBody(storeProductSchema, "Dados do ajuste inválidos"), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-            return res.status(401).json({ error: "Não autorizado" });
+        const product = await loadStoreProduct(req, res);
+        if (!product) return;
+
+        const saborNames = (product.sabores || []).map(sabor => sabor.name);
+        const errors = Object.keys(req.body.stock)
+            .filter(name => !saborNames.includes(name))
+            .map(name => ({ field: `stock.${name}`, code: 'SABOR_NOT_FOUND', message: `Sabor "${name}" não encontrado no produto` }));
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, "Dados do ajuste inválidos");
         }
-        
-        const { category } = req.body;
-        
-        if (!category || !category.id || !category.name) {
-            return res.status(400).json({ error: "Dados da categoria inválidos" });
+
+        const before = await store.storeProducts.get(req.store.id, product.id);
+        const saved = await store.storeProducts.save(storeProductRow(req.store.id, product.id, req.body), req.admin.id);
+
+        auditChange(res, 'store_product', `${req.store.id}:${product.id}`,
+            before ? normalizeStoreProduct(before) : null, normalizeStoreProduct(saved));
+
+        console.log(`🏪 Ajuste do produto ${product.id} na loja ${req.store.slug} gravado (${req.admin.username})`);
+        res.json({ success: true, message: "Ajuste da loja gravado", override: normalizeStoreProduct(saved) });
+    } catch (error) {
+        console.error("❌ Erro ao gravar ajuste do produto na loja:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao gravar ajuste do produto na loja");
+    }
+});
+
+// Remover o ajuste: a loja volta a vender pelo preço e pelo estoque compartilhados
+app.delete("/api/products/:id/store", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const product = await loadStoreProduct(req, res);
+        if (!product) return;
+
+        const before = await store.storeProducts.get(req.store.id, product.id);
+        if (!before || !(await store.storeProducts.delete(req.store.id, product.id))) {
+            return sendError(res, 404, 'STORE_PRODUCT_NOT_FOUND', "O produto não tem ajuste nesta loja");
         }
 
-        console.log(`➕ Adicionando categoria: ${category.name} (ID: ${category.id})`);
+        auditChange(res, 'store_product', `${req.store.id}:${product.id}`, normalizeStoreProduct(before), null);
+        res.json({ success: true, message: "Ajuste da loja removido" });
+    } catch (error) {
+        console.error("❌ Erro ao remover ajuste do produto na loja:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao remover ajuste do produto na loja");
+    }
+});
 
-        const { data, error } = await supabase
-            .from('categories')
-            .upsert([{
-                id: category.id,
-                name: category.name,
-                description: category.description || `Categoria de ${category.name}`
-            }], {
-                onConflict: 'id',
-                ignoreDuplicates: false
-            });
+// Estoque da loja por sabor (o próprio dela onde houver, senão o compartilhado)
+async function loadStoreInventory(storeId) {
+    const overrides = await loadStoreProducts(storeId);
+    return inventoryItems(storeCatalog(await store.products.list(), overrides, storeId), await loadBalances(overrides));
+}
 
-        if (error) {
-            console.error('❌ Erro ao adicionar categoria:', error);
-            throw error;
+// Estoque por sabor com saldo do livro e limite de estoque baixo
+app.get("/api/inventory", requireAuth(), async (req, res) => {
+    try {
+        res.json({ items: await loadStoreInventory(req.store.id) });
+    } catch (error) {
+        console.error("❌ Erro ao buscar estoque:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar estoque");
+    }
+});
+
+// Sabores no limite de estoque baixo ou abaixo dele
+app.get("/api/inventory/low-stock", requireAuth(), async (req, res) => {
+    try {
+        const items = (await loadStoreInventory(req.store.id))
+            .filter(item => item.low)
+            .sort((a, b) => a.quantity - b.quantity);
+
+        res.json({ items, total: items.length });
+    } catch (error) {
+        console.error("❌ Erro ao buscar estoque baixo:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar estoque baixo");
+    }
+});
+
+const movementsQuerySchema = t.object({
+    productId: t.id().optional(),
+    sabor: t.string({ max: 80 }).optional(),
+    type: t.enum(MOVEMENT_TYPES).optional(),
+    from: t.string({ max: 40 }).optional().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    to: t.string({ max: 40 }).optional().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    cursor: t.string({ max: 500 }).optional()
+        .refine(value => !value || decodeCursor(value) !== null, "Cursor inválido", 'invalid_format'),
+    limit: t.integer({ min: 1, coerce: true }).optional()
+});
+
+// Livro de movimentos (do mais novo para o mais antigo, paginação por cursor)
+app.get("/api/inventory/movements", requireAuth('owner', 'manager'), validateQuery(movementsQuerySchema, "Filtros inválidos"), async (req, res) => {
+    try {
+        const { productId, sabor, type, from, to, cursor } = req.query;
+        const limit = pageLimit(req.query.limit);
+        const filters = {
+            productId,
+            sabor,
+            type,
+            from: from ? new Date(from).toISOString() : null,
+            to: to ? new Date(to).toISOString() : null,
+            storeId: req.store.id
+        };
+
+        const rows = await store.inventory.list(filters, { cursor: cursor ? decodeCursor(cursor) : null, limit: limit + 1 });
+        const hasMore = rows.length > limit;
+        const page = hasMore ? rows.slice(0, limit) : rows;
+
+        res.json({
+            movements: page.map(normalizeMovement),
+            pageInfo: {
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error("❌ Erro ao buscar movimentos de estoque:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao buscar movimentos de estoque");
+    }
+});
+
+// Entrada, perda/quebra ou correção; correção recebe a contagem e perda/correção exigem motivo
+const movementSchema = t.object({
+    productId: t.id(),
+    sabor: t.string({ min: 1, max: 80 }),
+    type: t.enum(MANUAL_MOVEMENT_TYPES),
+    quantity: t.integer({ min: 0, max: 100000, coerce: true }),
+    note: t.string({ max: 200 }).optional()
+})
+    .refine(body => body.type === 'correction' || body.quantity > 0, "Quantidade deve ser maior que zero", 'too_small')
+    .refine(body => body.type === 'restock' || Boolean(body.note), "Informe o motivo da perda ou correção", 'required');
+
+// Registrar movimento manual de estoque
+app.post("/api/inventory/movements", requireAuth('owner', 'manager'), validateBody(movementSchema, "Dados do movimento inválidos"), async (req, res) => {
+    try {
+        const { productId, sabor, type, quantity } = req.body;
+
+        console.log(`📦 Movimento de estoque (${type}) ${productId}/${sabor}: ${quantity} (${req.admin.username})`);
+
+        // O movimento cai no estoque próprio da loja, se ela tiver um para o sabor; o compartilhado
+        // é de todas as lojas e só um admin de todas as lojas mexe nele
+        const target = await store.products.getById(productId);
+        if (!target || !belongsToStore(target, req.store.id)) {
+            return sendError(res, 404, 'PRODUCT_NOT_FOUND', "Produto não encontrado");
+        }
+        const override = await store.storeProducts.get(req.store.id, target.id);
+        if (override?.stock?.[sabor] === undefined && (target.store_id ?? null) === null && adminStoreIds(req.admin)) {
+            return sendError(res, 403, 'STORE_FORBIDDEN', "Estoque compartilhado: só um admin de todas as lojas registra movimentos nele");
+        }
+
+        let movement;
+        try {
+            movement = await store.inventory.record({ ...manualMovement(req.body, req.admin), store_id: req.store.id });
+        } catch (error) {
+            if (!isInventoryFailure(error)) throw error;
+
+            const messages = {
+                PRODUCT_NOT_FOUND: ["Produto não encontrado", 404],
+                SABOR_NOT_FOUND: [`Sabor "${sabor}" não encontrado`, 404],
+                INSUFFICIENT_STOCK: [`Estoque insuficiente de "${sabor}" para esta saída`, 409]
+            };
+            const [message, status] = messages[error.code];
+            return sendError(res, status, error.code, message);
         }
 
+        // Produto com o estoque que a loja enxerga (o próprio dela, se o movimento caiu nele)
+        const product = applyStoreProduct(await store.products.getById(movement.product_id),
+            await store.storeProducts.get(req.store.id, movement.product_id));
+        await notifyLowStock(crossedLowStock([product], [{
+            productId: movement.product_id,
+            sabor: movement.sabor,
+            before: movement.balance - movement.quantity,
+            after: movement.balance
+        }]));
+
+        res.status(201).json({
+            success: true,
+            message: "Movimento registrado",
+            movement: normalizeMovement(movement),
+            product: normalizeProducts([product])[0]
+        });
+    } catch (error) {
+        console.error("❌ Erro ao registrar movimento de estoque:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao registrar movimento de estoque");
+    }
+});
+
+// Categoria como o admin envia
+const categorySchema = t.object({
+    id: t.string({ min: 1, max: 60 }),
+    name: t.string({ min: 1, max: 80 }),
+    description: t.string({ max: 500 }).optional()
+});
+
+// Próxima posição livre no fim da lista de categorias
+function nextCategoryOrder(categories) {
+    return Math.max(-1, ...categories.map(category => category.display_order || 0)) + 1;
+}
+
+// Adicionar categoria (no fim da lista; se o id já existir, atualiza e reativa)
+app.post("/api/categories/add", requireAuth('owner', 'manager'), validateBody(t.object({ category: categorySchema }), "Dados da categoria inválidos"), async (req, res) => {
+    try {
+        const { category } = req.body;
+
+        console.log(`➕ Adicionando categoria: ${category.name} (ID: ${category.id})`);
+
+        const categories = await store.categories.list();
+        const existing = categories.find(row => row.id === category.id);
+        if (existing && !checkCategoryStore(req, res, existing)) return;
+
+        // Categoria nova de admin limitado é só da loja dele; a de admin de todas as lojas é compartilhada
+        const [saved] = await store.categories.upsertMany([{
+            id: category.id,
+            name: category.name,
+            description: category.description || `Categoria de ${category.name}`,
+            display_order: existing ? existing.display_order || 0 : nextCategoryOrder(categories),
+            archived_at: null,
+            store_id: existing ? existing.store_id ?? null : adminStoreIds(req.admin) ? req.store.id : null
+        }]);
+        auditChange(res, 'category', category.id, existing || null, saved || null);
+
         console.log('✅ Categoria adicionada com sucesso:', category.name);
         res.json({ success: true, message: `Categoria "${category.name}" adicionada` });
     } catch (error) {
         console.error("❌ Erro ao adicionar categoria:", error);
-        res.status(500).json({ error: "Erro ao adicionar categoria: " + error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao adicionar categoria");
     }
 });
 
-// Excluir categoria
-app.post("/api/categories/delete", async (req, res) => {
+// Reordenar categorias: as informadas vão para o topo, na ordem enviada; as demais seguem depois
+app.post("/api/categories/reorder", requireAuth('owner', 'manager'), requireAllStores, validateBody(t.object({ ids: t.array(t.string({ min: 1, max: 60 }), { min: 1, max: 200 }) }), "Informe a ordem das categorias"), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-            return res.status(401).json({ error: "Não autorizado" });
+        const categories = await store.categories.list();
+        const { ids, errors } = reorderedIds(categories, req.body.ids);
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, "Ordem das categorias inválida");
         }
-        
-        const { categoryId } = req.body;
-        
-        if (!categoryId) {
-            return res.status(400).json({ error: "ID da categoria é obrigatório" });
+
+        await store.categories.reorder(ids);
+        auditChange(res, 'categories', null, { order: categories.map(category => category.id) }, { order: ids });
+
+        console.log(`↕️ Categorias reordenadas (${req.admin.username})`);
+        res.json({ success: true, message: "Categorias reordenadas", categories: normalizeCategories(await store.categories.list()) });
+    } catch (error) {
+        console.error("❌ Erro ao reordenar categorias:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao reordenar categorias");
+    }
+});
+
+// Arquivar categoria: some do cardápio, mas os produtos e o histórico continuam apontando para ela
+app.post("/api/categories/:id/archive", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const before = await store.categories.getById(req.params.id);
+        if (before && !checkCategoryStore(req, res, before)) return;
+        const category = before && await store.categories.update(req.params.id, { archived_at: new Date().toISOString() });
+
+        if (!category) {
+            return sendError(res, 404, 'CATEGORY_NOT_FOUND', "Categoria não encontrada");
         }
+        auditChange(res, 'category', category.id, before, category);
 
-        console.log(`🗑️ Excluindo categoria: ${categoryId}`);
+        console.log(`📦 Categoria arquivada: ${category.id} (${req.admin.username})`);
+        res.json({ success: true, message: `Categoria "${category.name}" arquivada`, category: normalizeCategories([category])[0] });
+    } catch (error) {
+        console.error("❌ Erro ao arquivar categoria:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao arquivar categoria");
+    }
+});
 
-        // Primeiro, verificar se existem produtos nesta categoria
-        const { data: productsInCategory, error: productsError } = await supabase
-            .from('products')
-            .select('id, title')
-            .eq('category', categoryId);
+app.post("/api/categories/:id/unarchive", requireAuth('owner', 'manager'), async (req, res) => {
+    try {
+        const before = await store.categories.getById(req.params.id);
+        if (before && !checkCategoryStore(req, res, before)) return;
+        const category = before && await store.categories.update(req.params.id, { archived_at: null });
 
-        if (productsError) {
-            console.error('❌ Erro ao verificar produtos da categoria:', productsError);
-            throw productsError;
+        if (!category) {
+            return sendError(res, 404, 'CATEGORY_NOT_FOUND', "Categoria não encontrada");
         }
+        auditChange(res, 'category', category.id, before, category);
 
-        // Se existem produtos nesta categoria, mover para categoria padrão ou deixar sem categoria
-        if (productsInCategory && productsInCategory.length > 0) {
-            console.log(`📦 Movendo ${productsInCategory.length} produtos para categoria padrão...`);
-            
-            const { error: updateError } = await supabase
-                .from('products')
-                .update({ category: 'default' })
-                .eq('category', categoryId);
+        console.log(`📦 Categoria reativada: ${category.id} (${req.admin.username})`);
+        res.json({ success: true, message: `Categoria "${category.name}" reativada`, category: normalizeCategories([category])[0] });
+    } catch (error) {
+        console.error("❌ Erro ao reativar categoria:", error);
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao reativar categoria");
+    }
+});
 
-            if (updateError) {
-                console.error('❌ Erro ao mover produtos:', updateError);
-                throw updateError;
-            }
+// Excluir categoria. Se ainda tiver produtos, exige targetCategoryId (categoria ativa) para onde eles vão
+const categoryDeleteSchema = t.object({
+    categoryId: t.string({ min: 1, max: 60 }),
+    targetCategoryId: t.string({ min: 1, max: 60 }).optional()
+});
+
+app.post("/api/categories/delete", requireAuth('owner', 'manager'), validateBody(categoryDeleteSchema, "ID da categoria é obrigatório"), async (req, res) => {
+    try {
+        const { categoryId, targetCategoryId } = req.body;
 
-            console.log(`✅ ${productsInCategory.length} produtos movidos para categoria padrão`);
+        if (targetCategoryId === categoryId) {
+            return sendError(res, 400, 'SAME_CATEGORY', "Escolha outra categoria para receber os produtos");
         }
 
-        // Agora excluir a categoria
-        const { error: deleteError } = await supabase
-            .from('categories')
-            .delete()
-            .eq('id', categoryId);
+        console.log(`🗑️ Excluindo categoria: ${categoryId}${targetCategoryId ? ` (produtos para ${targetCategoryId})` : ''}`);
+
+        const before = await store.categories.getById(categoryId);
+        if (before && !checkCategoryStore(req, res, before)) return;
+
+        const target = targetCategoryId ? await store.categories.getById(targetCategoryId) : null;
+        if (target && !belongsToStore(target, req.store.id)) {
+            return sendError(res, 404, 'CATEGORY_NOT_FOUND', `Categoria de destino "${targetCategoryId}" não existe ou está arquivada`);
+        }
 
-        if (deleteError) {
-            console.error('❌ Erro ao excluir categoria:', deleteError);
-            throw deleteError;
+        let moved;
+        try {
+            moved = await store.categories.remove(categoryId, targetCategoryId ?? null);
+        } catch (error) {
+            if (isCategoryFailure(error) && error.code === 'CATEGORY_IN_USE') {
+                const products = await store.products.listByCategory(categoryId);
+                return sendError(res, 409, 'CATEGORY_IN_USE', `A categoria tem ${products.length} produto(s); informe targetCategoryId para movê-los ou arquive a categoria`, {
+                    productCount: products.length
+                });
+            }
+            if (isCategoryFailure(error)) {
+                const message = error.categoryId === categoryId
+                    ? "Categoria não encontrada"
+                    : `Categoria de destino "${error.categoryId}" não existe ou está arquivada`;
+                return sendError(res, 404, 'CATEGORY_NOT_FOUND', message);
+            }
+            throw error;
         }
 
+        auditChange(res, 'category', categoryId, before, null);
+
         console.log('✅ Categoria excluída com sucesso:', categoryId);
-        res.json({ 
-            success: true, 
-            message: `Categoria excluída com sucesso! ${productsInCategory?.length || 0} produtos foram movidos para categoria padrão.` 
+        res.json({
+            success: true,
+            message: moved > 0
+                ? `Categoria excluída! ${moved} produto(s) movido(s) para "${targetCategoryId}".`
+                : "Categoria excluída!",
+            movedProducts: moved
         });
     } catch (error) {
         console.error("❌ Erro ao excluir categoria:", error);
-        res.status(500).json({ error: "Erro ao excluir categoria: " + error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao excluir categoria");
     }
 });
 
-// Salvar categorias
-app.post("/api/categories", async (req, res) => {
+// Salvar categorias: a lista enviada define a ordem; as que ficaram de fora são arquivadas (não excluídas).
+// É a lista compartilhada: as categorias só de uma loja não são arquivadas.
+app.post("/api/categories", requireAuth('owner', 'manager'), requireAllStores, validateBody(t.object({ categories: t.array(t.any(), { min: 1, max: 200 }) }), "Nenhuma categoria fornecida"), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-            return res.status(401).json({ error: "Não autorizado" });
-        }
-        
         const { categories } = req.body;
-        console.log(`💾 Salvando ${categories?.length || 0} categorias...`);
-        
-        const normalizedCategories = normalizeCategories(categories);
+        console.log(`💾 Salvando ${categories.length} categorias...`);
 
-        if (normalizedCategories.length === 0) {
-            return res.status(400).json({ error: "Nenhuma categoria fornecida" });
+        // Aceita ids soltos ("cerveja") ou objetos; o resultado passa pelo mesmo schema
+        const { value: normalizedCategories, errors } = validate(
+            t.array(categorySchema, { min: 1 }),
+            normalizeCategories(categories)
+        );
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors.map(error => ({ ...error, field: `categories${error.field || ''}` })), "Dados da categoria inválidos");
         }
 
         const categoryIds = normalizedCategories.map(cat => cat.id);
-        
-        const { error: deleteError } = await supabase
-            .from('categories')
-            .delete()
-            .not('id', 'in', `(${categoryIds.map(id => `'${id}'`).join(',')})`);
 
-        if (deleteError && !deleteError.message.includes('No rows found')) {
-            console.error('❌ Erro ao deletar categorias antigas:', deleteError);
-            throw deleteError;
+        if (new Set(categoryIds).size !== categoryIds.length) {
+            return sendError(res, 400, 'DUPLICATE_CATEGORY', "Categorias repetidas na lista");
         }
 
-        const categoriesToUpsert = normalizedCategories.map(category => ({
+        const categoriesToUpsert = normalizedCategories.map((category, index) => ({
             id: category.id,
             name: category.name,
-            description: category.description
+            description: category.description,
+            display_order: index,
+            archived_at: null
         }));
 
-        const { error: upsertError } = await supabase
-            .from('categories')
-            .upsert(categoriesToUpsert, { 
-                onConflict: 'id'
-            });
+        const snapshot = await snapshotCatalog("Antes de salvar as categorias", req.admin);
+        const before = await store.categories.list();
 
-        if (upsertError) {
-            console.error('❌ Erro ao salvar categorias:', upsertError);
-            throw upsertError;
-        }
+        const storeOnlyIds = before.filter(category => category.store_id !== null && category.store_id !== undefined)
+            .map(category => category.id);
 
-        console.log('✅ Categorias salvas com sucesso!');
-        res.json({ success: true, message: `${normalizedCategories.length} categorias salvas` });
+        await store.categories.upsertMany(categoriesToUpsert);
+        const archived = await store.categories.archiveNotIn([...new Set([...categoryIds, ...storeOnlyIds])]);
+        auditChange(res, 'categories', null,
+            { snapshotId: snapshot.id, categories: before },
+            { snapshotId: snapshot.id, categories: await store.categories.list() });
+
+        console.log(`✅ Categorias salvas com sucesso! (${archived.length} arquivadas)`);
+        res.json({ success: true, message: `${normalizedCategories.length} categorias salvas`, archived: archived.map(category => category.id) });
     } catch (error) {
         console.error("❌ Erro ao salvar categorias:", error);
-        res.status(500).json({ error: "Erro ao salvar categorias: " + error.message });
+        sendError(res, 500, 'INTERNAL_ERROR', "Erro ao salvar categorias");
     }
 });
 
+// Erros que escaparam das rotas (JSON malformado, corpo grande demais, falhas inesperadas)
+app.use(errorHandler);
+
 // Inicializar servidor
 console.log('✅ Backend Bar do Vaqueiro carregado com sucesso!');
 console.log('🔧 Inicializando credenciais admin...');
@@ -0,0 +1,1092 @@
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import { createMemoryPushSender, setPushSender } from "../lib/push.js";
+import { localClock, addDays } from "../lib/businessHours.js";
+import { localDayStartIso } from "../lib/reports.js";
+
+// API inteira sobre o armazenamento local, sem rede (sem o log de cada requisição na saída dos testes)
+mock.method(console, 'log', () => {});
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vaqueiro-uploads-'));
+Object.assign(process.env, {
+    DATA_STORE: 'local',
+    LOCAL_DATA_FILE: '',
+    FILE_STORAGE: 'local',
+    UPLOADS_DIR: uploadsDir,
+    ADMIN_USERNAME: 'admin',
+    ADMIN_PASSWORD: 'senha-de-teste',
+    AUTH_SECRET: 'segredo-de-teste-com-32-caracteres!!',
+    PIX_WEBHOOK_SECRET: 'segredo-do-webhook',
+    PIX_FAKE_PSP: 'true',
+    RATE_LIMIT_PER_MINUTE: '10000',
+    RATE_LIMIT_ORDERS_PER_MINUTE: '1000',
+    RATE_LIMIT_LOGIN_PER_15_MINUTES: '1000'
+});
+
+const { default: app, store } = await import("./index.js");
+
+let server;
+let baseUrl;
+
+// Chamada JSON à API; devolve status e corpo
+async function call(method, url, body, token = null, headers = {}) {
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+// Assinatura push de teste
+const pushSubscription = endpoint => ({ endpoint, keys: { p256dh: 'chave', auth: 'segredo' } });
+
+async function login(username = 'admin', password = 'senha-de-teste') {
+    const response = await call('POST', '/api/auth/login', { username, password });
+    assert.equal(response.status, 200);
+    return response.body.token;
+}
+
+// Produto compartilhado com estoque, para os pedidos dos testes
+async function createProduct(token, { title, category, price = 10, quantity = 50 }) {
+    await call('POST', '/api/categories', { categories: [category] }, token);
+    const created = await call('POST', '/api/products', {
+        product: { title, category, price, sabores: [{ name: 'Único', quantity }] }
+    }, token);
+    assert.equal(created.status, 201);
+    return created.body.product;
+}
+
+// Loja nova e um gerente limitado a ela (já logado)
+async function createBranch(token, slug) {
+    const created = await call('POST', '/api/stores', { slug, name: `Filial ${slug}` }, token);
+    assert.equal(created.status, 201);
+    const username = `gerente-${slug}`;
+    const user = await call('POST', '/api/admin/users', {
+        username, password: 'senha-do-gerente', role: 'manager', storeIds: [created.body.store.id]
+    }, token);
+    assert.equal(user.status, 201);
+    return { branch: created.body.store, managerToken: await login(username, 'senha-do-gerente') };
+}
+
+test.before(async () => {
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // O usuário dono é criado em segundo plano ao carregar a API
+    for (let attempt = 0; attempt < 50 && !(await store.admins.getByUsername('admin')); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+test('rotas do painel exigem login', async () => {
+    const response = await call('POST', '/api/products', { product: { title: 'X', category: 'cerveja', price: 1 } });
+    assert.equal(response.status, 401);
+});
+
+test('pedido pelo cardápio baixa o estoque e recusa o que falta', async () => {
+    const token = await login();
+    await call('POST', '/api/categories', { categories: ['cerveja'] }, token);
+    const created = await call('POST', '/api/products', {
+        product: { title: 'Heineken', category: 'cerveja', price: 12, sabores: [{ name: 'Long Neck', quantity: 3 }] }
+    }, token);
+    assert.equal(created.status, 201);
+    const productId = created.body.product.id;
+
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Ana', items: [{ productId, sabor: 'Long Neck', quantity: 2 }] }
+    });
+    assert.equal(order.status, 200);
+    assert.equal(order.body.total, 24);
+
+    const product = await call('GET', `/api/products/${productId}`);
+    assert.equal(product.body.product.sabores[0].quantity, 1);
+
+    const tooMany = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Bia', items: [{ productId, sabor: 'Long Neck', quantity: 2 }] }
+    });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.details[0].code, 'OUT_OF_STOCK');
+});
+
+test('push avisa os admins do pedido novo e o cliente da mudança de status', async () => {
+    const sender = createMemoryPushSender({ failFor: ['https://push.example/expirada'] });
+    setPushSender(sender);
+
+    const token = await login();
+    await call('POST', '/api/categories', { categories: ['petisco'] }, token);
+    const created = await call('POST', '/api/products', {
+        product: { title: 'Batata', category: 'petisco', price: 25, sabores: [{ name: 'Grande', quantity: 10 }] }
+    }, token);
+    const productId = created.body.product.id;
+
+    for (const endpoint of ['https://push.example/admin', 'https://push.example/expirada']) {
+        const subscribed = await call('POST', '/api/push/admin/subscribe', { subscription: pushSubscription(endpoint) }, token);
+        assert.equal(subscribed.status, 200);
+    }
+
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Caio', items: [{ productId, sabor: 'Grande', quantity: 1 }] }
+    });
+    assert.equal(order.status, 200);
+    assert.deepEqual(sender.sent.map(push => [push.subscription.endpoint, push.payload.type, push.payload.orderId]),
+        [['https://push.example/admin', 'order.created', order.body.orderId]]);
+
+    // A assinatura expirada foi apagada no envio
+    const subscriptions = await store.pushSubscriptions.list({ audience: 'admin' });
+    assert.deepEqual(subscriptions.map(row => row.endpoint), ['https://push.example/admin']);
+
+    const customer = await call('POST', '/api/push/customer/subscribe', {
+        subscription: pushSubscription('https://push.example/cliente'),
+        orderId: order.body.orderId
+    });
+    assert.equal(customer.status, 200);
+
+    sender.sent.length = 0;
+    const accepted = await call('POST', '/api/orders/update-status', { orderId: order.body.orderId, status: 'accepted' }, token);
+    assert.equal(accepted.status, 200);
+    assert.deepEqual(sender.sent.map(push => [push.subscription.endpoint, push.payload.status]),
+        [['https://push.example/cliente', 'accepted']]);
+});
+
+test('PIX: cobrança do pedido paga pelo PSP falso entra na conciliação', async () => {
+    const token = await login();
+    const settings = await call('PUT', '/api/pix/settings', {
+        key: '+5511999998888', merchantName: 'Bar do Vaqueiro', merchantCity: 'Sao Paulo'
+    }, token);
+    assert.equal(settings.status, 200);
+
+    await call('POST', '/api/categories', { categories: ['drinks'] }, token);
+    const created = await call('POST', '/api/products', {
+        product: { title: 'Caipirinha', category: 'drinks', price: 18.5, sabores: [{ name: 'Limão', quantity: 10 }] }
+    }, token);
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Duda', paymentMethod: 'pix', items: [{ productId: created.body.product.id, sabor: 'Limão', quantity: 2 }] }
+    });
+    const orderId = order.body.orderId;
+    const access = { 'X-Order-Token': order.body.accessToken };
+
+    // Sem a chave do pedido (ou login) não se vê nem se gera o PIX
+    assert.equal((await call('POST', `/api/orders/${orderId}/pix`)).status, 401);
+    assert.equal((await call('GET', `/api/orders/${orderId}/pix`, undefined, null, { 'X-Order-Token': 'chave-errada' })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/api/orders/${orderId}/pix/qrcode.png`)).status, 401);
+
+    const charge = await call('POST', `/api/orders/${orderId}/pix`, undefined, null, access);
+    assert.equal(charge.status, 201);
+    const image = await fetch(`${baseUrl}/api/orders/${orderId}/pix/qrcode.png?accessToken=${order.body.accessToken}`);
+    assert.equal(image.headers.get('content-type'), 'image/png');
+    assert.equal(charge.body.charge.amount, 37);
+    assert.equal(charge.body.charge.status, 'pending');
+
+    const paid = await call('POST', '/api/pix/fake-psp/pay', { orderId }, token);
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.webhookStatus, 200);
+
+    const status = await call('GET', `/api/orders/${orderId}/pix`, undefined, null, access);
+    assert.equal(status.body.charge.status, 'paid');
+    assert.equal((await call('GET', `/api/orders/${orderId}/pix`, undefined, token)).body.paymentStatus, 'paid');
+    assert.equal(status.body.charge.paidAmount, 37);
+
+    const reconciliation = await call('GET', '/api/pix/reconciliation', undefined, token);
+    assert.equal(reconciliation.status, 200);
+    assert.equal(reconciliation.body.charges.paidAmount, 37);
+    assert.equal(reconciliation.body.payments.matched, 1);
+    assert.equal(reconciliation.body.payments.issues, 0);
+});
+
+test('lojas: fechamento, horário, promoções e zonas de entrega são de cada loja', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Pastel', category: 'salgados', price: 20 });
+    const { managerToken } = await createBranch(token, 'centro');
+    const orderData = { customerName: 'Eva', items: [{ productId: product.id, sabor: 'Único', quantity: 1 }] };
+
+    // O gerente da filial fecha a loja dele; a matriz segue recebendo pedidos
+    const closed = await call('POST', '/api/business-hours/close', { reason: 'Falta de luz' }, managerToken);
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.status.open, false);
+
+    const branchOrder = await call('POST', '/api/stores/centro/orders', { orderData });
+    assert.equal(branchOrder.status, 409);
+    assert.equal(branchOrder.body.code, 'STORE_CLOSED');
+    assert.equal((await call('POST', '/api/orders', { orderData })).status, 200);
+    assert.equal((await call('GET', '/api/business-hours/status')).body.open, true);
+
+    // ...e não mexe nas outras
+    assert.equal((await call('POST', '/api/stores/vaqueiro/business-hours/close', {}, managerToken)).status, 403);
+    assert.equal((await call('POST', '/api/business-hours/reopen', undefined, managerToken)).status, 200);
+    assert.equal((await call('POST', '/api/stores/centro/orders', { orderData })).status, 200);
+
+    // Horário e dia fechado da filial não valem para a matriz
+    const allDay = [0, 1, 2, 3, 4, 5, 6].map(weekday => ({ weekday, opens_at: '00:00', closes_at: '00:00' }));
+    assert.equal((await call('PUT', '/api/business-hours', { hours: allDay }, managerToken)).status, 200);
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Sao_Paulo' });
+    assert.equal((await call('POST', '/api/business-hours/closures', { date: today }, managerToken)).status, 201);
+    assert.equal((await call('GET', '/api/stores/centro/business-hours/status')).body.open, false);
+    const main = await call('GET', '/api/business-hours');
+    assert.deepEqual([main.body.hours.length, main.body.closures.length, main.body.status.open], [0, 0, true]);
+
+    // Cupom da filial: a matriz não vê, não aceita e pode ter um com o mesmo código
+    const coupon = { name: 'Dez', type: 'coupon', discountType: 'fixed', discountValue: 10, code: 'dez' };
+    assert.equal((await call('POST', '/api/promotions', coupon, managerToken)).status, 201);
+    assert.equal((await call('POST', '/api/promotions', coupon, managerToken)).status, 409);
+    assert.deepEqual((await call('GET', '/api/promotions', undefined, token)).body.promotions, []);
+    const quote = await call('POST', '/api/orders/quote', { orderData: { ...orderData, couponCode: 'DEZ' } });
+    assert.equal(quote.status, 400);
+    assert.equal(quote.body.code, 'INVALID_COUPON');
+    assert.equal((await call('POST', '/api/stores/centro/orders/quote', { orderData: { ...orderData, couponCode: 'DEZ' } })).body.discount, 10);
+    assert.equal((await call('POST', '/api/promotions', coupon, token)).status, 201);
+
+    // Zona de entrega da filial: a matriz não entrega lá e não altera a zona
+    const zone = await call('POST', '/api/delivery/zones', { name: 'Centro', neighborhoods: ['Centro'], fee: 5 }, managerToken);
+    assert.equal(zone.status, 201);
+    assert.equal((await call('GET', '/api/delivery/quote?neighborhood=Centro')).status, 404);
+    assert.equal((await call('GET', '/api/stores/centro/delivery/quote?neighborhood=Centro')).body.zone.fee, 5);
+    assert.equal((await call('PATCH', `/api/delivery/zones/${zone.body.zone.id}`, { fee: 1 }, token)).status, 404);
+
+    // Configuração de entrega da filial
+    const delivery = await call('PUT', '/api/delivery/settings', { deliveryEnabled: false }, managerToken);
+    assert.equal(delivery.status, 200);
+    assert.equal((await call('GET', '/api/stores/centro/delivery/settings')).body.settings.deliveryEnabled, false);
+    assert.equal((await call('GET', '/api/delivery/settings')).body.settings.deliveryEnabled, true);
+});
+
+test('lojas: push do pedido só para os admins da loja e Idempotency-Key separada por loja', async () => {
+    const sender = createMemoryPushSender();
+    setPushSender(sender);
+
+    const token = await login();
+    const product = await createProduct(token, { title: 'Coxinha', category: 'salgados', price: 8 });
+    const { managerToken } = await createBranch(token, 'bairro');
+    await call('POST', '/api/push/admin/subscribe', { subscription: pushSubscription('https://push.example/dono') }, token);
+    await call('POST', '/api/push/admin/subscribe', { subscription: pushSubscription('https://push.example/gerente') }, managerToken);
+    const orderData = { customerName: 'Gil', items: [{ productId: product.id, sabor: 'Único', quantity: 1 }] };
+    const pushedToManager = () => sender.sent.some(push => push.subscription.endpoint === 'https://push.example/gerente');
+
+    const main = await call('POST', '/api/orders', { orderData }, null, { 'Idempotency-Key': 'pedido-gil-0001' });
+    assert.equal(main.status, 200);
+    assert.equal(pushedToManager(), false);
+    assert.ok(sender.sent.some(push => push.subscription.endpoint === 'https://push.example/dono'));
+
+    sender.sent.length = 0;
+    const branch = await call('POST', '/api/stores/bairro/orders', { orderData }, null, { 'Idempotency-Key': 'pedido-gil-0001' });
+    assert.equal(branch.status, 200);
+    assert.notEqual(branch.body.orderId, main.body.orderId);
+    assert.equal(pushedToManager(), true);
+
+    // Na mesma loja, a mesma chave repete a resposta
+    const again = await call('POST', '/api/stores/bairro/orders', { orderData }, null, { 'Idempotency-Key': 'pedido-gil-0001' });
+    assert.equal(again.body.orderId, branch.body.orderId);
+});
+
+test('catálogo inteiro: exige a versão de cada produto e não mexe no estoque', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Empada', category: 'salgados', price: 9, quantity: 5 });
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Ivo', items: [{ productId: product.id, sabor: 'Único', quantity: 1 }] }
+    });
+    assert.equal(order.status, 200);
+
+    // Envia o catálogo compartilhado como está, com a Empada alterada e um estoque inventado
+    const shared = (await store.products.list()).filter(row => row.store_id === null || row.store_id === undefined);
+    const catalog = version => shared.map(row => row.id !== product.id ? row : {
+        ...row,
+        version,
+        price: 10,
+        sabores: [{ name: 'Único', quantity: 99 }, { name: 'Frango', quantity: 7 }]
+    });
+    const { version } = shared.find(row => row.id === product.id);
+
+    const missing = await call('POST', '/api/products', { products: catalog(undefined) }, token);
+    assert.equal(missing.status, 428);
+    assert.equal(missing.body.code, 'VERSION_REQUIRED');
+
+    const stale = await call('POST', '/api/products', { products: catalog(version - 1) }, token);
+    assert.equal(stale.status, 409);
+    assert.deepEqual(stale.body.conflicts, [{ productId: product.id, currentVersion: version }]);
+
+    const saved = await call('POST', '/api/products', { products: catalog(version) }, token);
+    assert.equal(saved.status, 200);
+
+    const current = (await call('GET', `/api/products/${product.id}`)).body.product;
+    assert.equal(current.price, 10);
+    assert.equal(current.version, version + 1);
+    assert.deepEqual(current.sabores.map(sabor => [sabor.name, sabor.quantity]), [['Único', 4], ['Frango', 0]]);
+
+    // Só o cadastro e a venda no livro de estoque: salvar o catálogo não lança correção
+    const movements = await call('GET', `/api/inventory/movements?productId=${product.id}`, undefined, token);
+    assert.deepEqual(movements.body.movements.map(movement => movement.type), ['sale', 'correction']);
+    assert.equal(movements.body.movements[1].note, 'Cadastro do produto');
+});
+
+test('auditoria registra horário, dias fechados, fechar/reabrir e revogação de sessões', async () => {
+    const token = await login();
+    const { branch } = await createBranch(token, 'auditada');
+    const base = '/api/stores/auditada/business-hours';
+    const lastEntry = async () => (await call('GET', '/api/audit-log?limit=1', undefined, token)).body.entries[0];
+
+    assert.equal((await call('PUT', base, { hours: [{ weekday: 1, opens_at: '18:00', closes_at: '23:00' }] }, token)).status, 200);
+    let entry = await lastEntry();
+    assert.deepEqual([entry.entityType, entry.entityId, entry.before], ['opening_hours', String(branch.id), []]);
+    assert.deepEqual(entry.after, [{ weekday: 1, opensAt: '18:00', closesAt: '23:00' }]);
+
+    const closure = await call('POST', `${base}/closures`, { date: '2026-12-25', reason: 'Natal' }, token);
+    entry = await lastEntry();
+    assert.deepEqual([entry.entityType, entry.entityId, entry.before, entry.after.date], ['business_closure', String(closure.body.closure.id), null, '2026-12-25']);
+
+    assert.equal((await call('DELETE', `${base}/closures/${closure.body.closure.id}`, undefined, token)).status, 200);
+    entry = await lastEntry();
+    assert.deepEqual([entry.entityType, entry.before.reason, entry.after], ['business_closure', 'Natal', null]);
+
+    await call('POST', `${base}/close`, { reason: 'Reforma' }, token);
+    entry = await lastEntry();
+    assert.deepEqual([entry.entityType, entry.entityId, entry.before, entry.after.reason], ['settings', `manual_closure:${branch.id}`, null, 'Reforma']);
+
+    await call('POST', `${base}/reopen`, undefined, token);
+    entry = await lastEntry();
+    assert.deepEqual([entry.before.reason, entry.after], ['Reforma', null]);
+
+    const manager = await store.admins.getByUsername('gerente-auditada');
+    assert.equal((await call('POST', `/api/admin/users/${manager.id}/revoke-sessions`, undefined, token)).status, 200);
+    entry = await lastEntry();
+    assert.deepEqual([entry.entityType, entry.entityId, entry.after.sessionsRevoked], ['admin_user', String(manager.id), 1]);
+});
+
+test('busca de pedidos por telefone aceita o número com máscara ou só parte dele', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Pão de queijo', category: 'salgados', price: 6 });
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Lia', customerPhone: '(11) 98765-4321', items: [{ productId: product.id, sabor: 'Único', quantity: 1 }] }
+    });
+    assert.equal(order.status, 200);
+
+    for (const phone of ['(11) 98765-4321', '+55 11 98765-4321', '98765-4321', '4321']) {
+        const found = await call('GET', `/api/orders?phone=${encodeURIComponent(phone)}`, undefined, token);
+        assert.equal(found.status, 200);
+        assert.deepEqual(found.body.orders.map(row => row.id), [order.body.orderId], phone);
+    }
+
+    assert.equal((await call('GET', '/api/orders?phone=abc', undefined, token)).status, 400);
+});
+
+test('produtos, sabores, zonas e lojas validam o corpo antes de gravar', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Quibe', category: 'salgados', price: 7 });
+    const fieldsOf = response => response.body.details.map(detail => detail.field);
+
+    // Catálogo inteiro: item inválido é recusado com o caminho do campo, sem erro interno
+    const bulk = await call('POST', '/api/products', { products: [null, { title: 'Sem preço', category: 'salgados' }] }, token);
+    assert.equal(bulk.status, 400);
+    assert.deepEqual(fieldsOf(bulk), ['products[0]', 'products[1].price']);
+
+    const put = await call('PUT', `/api/products/${product.id}`, { product: { ...product, price: -1 }, version: product.version }, token);
+    assert.deepEqual([put.status, fieldsOf(put)], [400, ['price']]);
+
+    // PATCH só confere o que veio; o formato antigo ({ product }) continua aceito
+    const patched = await call('PATCH', `/api/products/${product.id}`, { product: { price: 7.555 }, version: product.version }, token);
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.product.price, 7.56);
+    assert.equal(patched.body.product.title, 'Quibe');
+    const version = patched.body.product.version;
+
+    const sabor = await call('POST', `/api/products/${product.id}/sabores`, { sabor: { name: '' }, version }, token);
+    assert.deepEqual([sabor.status, fieldsOf(sabor)], [400, ['sabor.name']]);
+    const saborPatch = await call('PATCH', `/api/products/${product.id}/sabores/Único`, { quantity: -3, version }, token);
+    assert.deepEqual([saborPatch.status, fieldsOf(saborPatch)], [400, ['quantity']]);
+    const renamed = await call('PATCH', `/api/products/${product.id}/sabores/Único`, { sabor: { name: 'Carne' }, version }, token);
+    assert.deepEqual(renamed.body.product.sabores.map(item => item.name), ['Carne']);
+
+    const zone = await call('POST', '/api/delivery/zones', { name: 'Vila', neighborhoods: ['Vila'], fee: 5 }, token);
+    assert.equal(zone.status, 201);
+    const badFee = await call('PATCH', `/api/delivery/zones/${zone.body.zone.id}`, { fee: 'grátis' }, token);
+    assert.deepEqual([badFee.status, fieldsOf(badFee)], [400, ['fee']]);
+    assert.equal((await call('PATCH', `/api/delivery/zones/${zone.body.zone.id}`, { neighborhoods: [] }, token)).status, 400);
+    const zonePatch = await call('PATCH', `/api/delivery/zones/${zone.body.zone.id}`, { fee: 6 }, token);
+    assert.deepEqual([zonePatch.body.zone.fee, zonePatch.body.zone.neighborhoods], [6, ['Vila']]);
+
+    const { branch } = await createBranch(token, 'validada');
+    const badSlug = await call('PATCH', `/api/stores/${branch.id}`, { slug: 'Com Espaço' }, token);
+    assert.deepEqual([badSlug.status, fieldsOf(badSlug)], [400, ['slug']]);
+    const storePatch = await call('PATCH', `/api/stores/${branch.id}`, { name: 'Filial Validada' }, token);
+    assert.deepEqual([storePatch.body.store.name, storePatch.body.store.slug], ['Filial Validada', 'validada']);
+});
+
+test('status do pedido segue o ciclo de vida e fica no histórico', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Esfiha', category: 'salgados', price: 5 });
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Nina', items: [{ productId: product.id, sabor: 'Único', quantity: 1 }] }
+    });
+    const update = status => call('POST', '/api/orders/update-status', { orderId: order.body.orderId, status }, token);
+
+    const skipped = await update('delivered');
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.code, 'INVALID_STATUS_TRANSITION');
+    assert.deepEqual(skipped.body.allowed, ['accepted', 'cancelled']);
+
+    for (const status of ['accepted', 'preparing', 'ready', 'picked_up']) {
+        assert.equal((await update(status)).status, 200, status);
+    }
+    assert.equal((await update('preparing')).status, 409);
+
+    const listed = await call('GET', '/api/orders?status=picked_up', undefined, token);
+    const saved = listed.body.orders.find(row => row.id === order.body.orderId);
+    assert.deepEqual(saved.statusHistory.map(entry => entry.status), ['pending', 'accepted', 'preparing', 'ready', 'picked_up']);
+    assert.equal(saved.statusHistory[1].by.username, 'admin');
+    assert.deepEqual(Object.keys(saved.stageDurations), ['pending', 'accepted', 'preparing', 'ready']);
+});
+
+test('relatório de vendas da loja conta pedidos novos e antigos e exporta CSV', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Suco', category: 'bebidas', price: 8 });
+    const { branch } = await createBranch(token, 'relatorio');
+
+    const order = await call('POST', '/api/stores/relatorio/orders', {
+        orderData: { customerName: 'Otto', paymentMethod: 'dinheiro', items: [{ productId: product.id, sabor: 'Único', quantity: 2 }] }
+    });
+    assert.equal(order.status, 200);
+    // Pedido gravado no formato antigo (camelCase), antes da API normalizar os campos
+    await store.orders.place({
+        customerName: 'Antigo', paymentMethod: 'dinheiro', total: 10, store_id: branch.id,
+        items: [{ title: 'Suco', sabor: 'Único', category: 'bebidas', quantity: 1, price: 10 }]
+    }, []);
+
+    const report = await call('GET', '/api/stores/relatorio/reports/sales', undefined, token);
+    assert.equal(report.status, 200);
+    assert.deepEqual([report.body.report.summary.orderCount, report.body.report.summary.revenue], [2, 26]);
+    assert.deepEqual(report.body.report.byPaymentMethod.map(bucket => [bucket.key, bucket.orders]), [['dinheiro', 2]]);
+    assert.deepEqual(report.body.report.topSellers.map(seller => [seller.productId, seller.title, seller.quantity]),
+        [[product.id, 'Suco', 2], [null, 'Suco', 1]]);
+
+    const csv = await fetch(`${baseUrl}/api/stores/relatorio/reports/sales?format=csv&groupBy=payment`, { headers: { Authorization: `Bearer ${token}` } });
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    const [header, row] = (await csv.text()).split('\r\n');
+    assert.equal(header, 'forma_pagamento,pedidos,receita,receita_itens,taxas_entrega,ticket_medio');
+    assert.equal(row, 'dinheiro,2,26,26,0,13');
+
+    assert.equal((await call('GET', '/api/reports/sales?from=2026-10-18&to=2026-10-01', undefined, token)).status, 400);
+});
+
+test('lista de pedidos exige login, filtra e pagina por cursor', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Guaraná', category: 'bebidas', price: 6 });
+    await createBranch(token, 'paginada');
+    const ids = [];
+    for (const [quantity, paymentMethod] of [[1, 'pix'], [2, 'dinheiro'], [3, 'pix'], [4, 'pix']]) {
+        const order = await call('POST', '/api/stores/paginada/orders', {
+            orderData: { customerName: 'Rui', paymentMethod, items: [{ productId: product.id, sabor: 'Único', quantity }] }
+        });
+        ids.push(order.body.orderId);
+    }
+
+    assert.equal((await call('GET', '/api/stores/paginada/orders')).status, 401);
+
+    const first = await call('GET', '/api/stores/paginada/orders?limit=3', undefined, token);
+    assert.deepEqual(first.body.orders.map(order => order.id), ids.slice(1).reverse());
+    assert.equal(first.body.total, 4);
+    assert.equal(first.body.pageInfo.hasMore, true);
+
+    const second = await call('GET', `/api/stores/paginada/orders?limit=3&cursor=${first.body.pageInfo.nextCursor}`, undefined, token);
+    assert.deepEqual(second.body.orders.map(order => order.id), [ids[0]]);
+    assert.deepEqual([second.body.pageInfo.hasMore, second.body.pageInfo.nextCursor], [false, null]);
+
+    const filtered = await call('GET', '/api/stores/paginada/orders?paymentMethod=pix&minTotal=15', undefined, token);
+    assert.deepEqual(filtered.body.orders.map(order => order.id), [ids[3], ids[2]]);
+    assert.equal(filtered.body.total, 2);
+
+    assert.equal((await call('GET', '/api/orders?cursor=quebrado', undefined, token)).status, 400);
+});
+
+test('stream de pedidos filtra por categoria e retoma do Last-Event-ID', async () => {
+    const token = await login();
+    const drink = await createProduct(token, { title: 'Caipirinha de caju', category: 'drinks', price: 20 });
+    const snack = await createProduct(token, { title: 'Torresmo', category: 'petiscos', price: 22 });
+    await createBranch(token, 'ao-vivo');
+    const order = product => call('POST', '/api/stores/ao-vivo/orders', {
+        orderData: { customerName: 'Téo', items: [{ productId: product.id, sabor: 'Único', quantity: 1 }] }
+    });
+
+    assert.equal((await fetch(`${baseUrl}/api/stores/ao-vivo/orders/stream`)).status, 401);
+
+    // Pedidos feitos com a tela desligada chegam quando ela reconecta com o último id que viu
+    const lastSeen = await store.orderEvents.latestId();
+    await order(snack);
+    const drinkOrder = await order(drink);
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 5000);
+    try {
+        const response = await fetch(`${baseUrl}/api/stores/ao-vivo/orders/stream?category=drinks&token=${token}`, {
+            headers: { 'Last-Event-ID': String(lastSeen) },
+            signal: controller.signal
+        });
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        while (!text.includes('event: order.created')) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            text += decoder.decode(value);
+        }
+
+        const events = text.split('\n\n').filter(block => block.includes('event: '));
+        assert.equal(events.length, 1);
+        assert.equal(JSON.parse(events[0].split('data: ')[1]).id, drinkOrder.body.orderId);
+    } finally {
+        clearTimeout(timeout);
+        controller.abort();
+    }
+});
+
+test('estoque: entradas, perdas e correções no livro, com lista de estoque baixo', async () => {
+    const token = await login();
+    await call('POST', '/api/categories', { categories: ['cerveja'] }, token);
+    const created = await call('POST', '/api/products', {
+        product: { title: 'Original', category: 'cerveja', price: 14, sabores: [{ name: 'Lata', quantity: 0 }, { name: 'Garrafa', quantity: 6 }] }
+    }, token);
+    const productId = created.body.product.id;
+    const move = body => call('POST', '/api/inventory/movements', { productId, sabor: 'Garrafa', ...body }, token);
+    const lowStock = async () => (await call('GET', '/api/inventory/low-stock', undefined, token)).body.items
+        .filter(item => item.productId === productId).map(item => [item.sabor, item.quantity]);
+
+    // Esgotado depois dos disponíveis
+    assert.deepEqual(created.body.product.sabores.map(sabor => sabor.name), ['Garrafa', 'Lata']);
+
+    assert.equal((await move({ type: 'loss', quantity: 2 })).status, 400);
+    const loss = await move({ type: 'loss', quantity: 2, note: 'Quebrou' });
+    assert.equal(loss.status, 201);
+    assert.deepEqual([loss.body.movement.quantity, loss.body.movement.balance], [-2, 4]);
+    assert.deepEqual(await lowStock(), [['Lata', 0], ['Garrafa', 4]]);
+
+    const tooMuch = await move({ type: 'loss', quantity: 10, note: 'Sumiu' });
+    assert.deepEqual([tooMuch.status, tooMuch.body.code], [409, 'INSUFFICIENT_STOCK']);
+
+    assert.equal((await move({ type: 'restock', quantity: 20 })).body.movement.balance, 24);
+    const counted = await move({ type: 'correction', quantity: 21, note: 'Contagem' });
+    assert.deepEqual([counted.body.movement.quantity, counted.body.movement.balance], [-3, 21]);
+    assert.deepEqual(await lowStock(), [['Lata', 0]]);
+
+    const ledger = await call('GET', `/api/inventory/movements?productId=${productId}&sabor=Garrafa`, undefined, token);
+    assert.deepEqual(ledger.body.movements.map(movement => movement.type), ['correction', 'restock', 'loss', 'correction']);
+});
+
+test('estorno parcial devolve ao estoque e não passa do que resta no pedido', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Porção de Fritas', category: 'petisco', price: 20, quantity: 10 });
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Caio', items: [{ productId: product.id, sabor: 'Único', quantity: 3 }] }
+    });
+    const orderId = order.body.orderId;
+    const stock = async () => (await call('GET', `/api/products/${product.id}`)).body.product.sabores[0].quantity;
+    assert.equal(await stock(), 7);
+
+    const refund = await call('POST', `/api/orders/${orderId}/refunds`, { items: [{ line: 0, quantity: 1 }], reason: 'Veio fria' }, token);
+    assert.equal(refund.status, 201);
+    assert.equal(refund.body.refund.amount, 20);
+    assert.equal(refund.body.order.refundedAmount, 20);
+    assert.equal(await stock(), 8);
+
+    const tooMuch = await call('POST', `/api/orders/${orderId}/refunds`, { items: [{ line: 0, quantity: 3 }], reason: 'De novo' }, token);
+    assert.equal(tooMuch.status, 400);
+    assert.equal(tooMuch.body.details[0].code, 'REFUND_EXCEEDS_QUANTITY');
+
+    // Sem devolver ao estoque, o restante fecha o pedido
+    const rest = await call('POST', `/api/orders/${orderId}/refunds`, { reason: 'Cliente desistiu', restock: false }, token);
+    assert.equal(rest.body.refund.amount, 40);
+    assert.equal(await stock(), 8);
+
+    const refunds = await call('GET', `/api/orders/${orderId}/refunds`, undefined, token);
+    assert.deepEqual(refunds.body.refunds.map(entry => [entry.amount, entry.restock]).sort(), [[20, true], [40, false]]);
+});
+
+test('cliente pelo telefone ganha pontos quando o pedido é retirado', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Coxinha', category: 'salgados', price: 20 });
+    const order = await call('POST', '/api/orders', {
+        orderData: { customerName: 'Rui', customerPhone: '31 8888-7777', items: [{ productId: product.id, sabor: 'Único', quantity: 2 }] }
+    });
+    const orderId = order.body.orderId;
+    const customer = async () => (await call('GET', `/api/customers?phone=${encodeURIComponent('+55 (31) 98888-7777')}`, undefined, token)).body.customers[0];
+
+    const created = await customer();
+    assert.deepEqual([created.phone, created.points], ['+5531988887777', 0]);
+
+    for (const status of ['accepted', 'preparing', 'ready', 'picked_up']) {
+        assert.equal((await call('POST', '/api/orders/update-status', { orderId, status }, token)).status, 200);
+    }
+
+    const { id, points } = await customer();
+    assert.equal(points, 40);
+    const ledger = await call('GET', `/api/customers/${id}/points`, undefined, token);
+    assert.deepEqual(ledger.body.transactions.map(entry => [entry.type, entry.points, entry.orderId]), [['earn', 40, orderId]]);
+
+    assert.equal((await call('GET', '/api/customers?phone=123', undefined, token)).body.code, 'INVALID_PHONE');
+});
+
+test('promoções: happy hour do dia todo no cardápio e no pedido, cupom com limite de usos', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Caipirinha', category: 'caipirinha', price: 18 });
+    const { managerToken } = await createBranch(token, 'promocional');
+    const promote = body => call('POST', '/api/promotions', body, managerToken);
+
+    // Início igual ao fim vale o dia todo
+    const happyHour = await promote({
+        name: 'Caipi pela metade', type: 'happy_hour', category: 'caipirinha',
+        discountType: 'percentage', discountValue: 50, startTime: '00:00', endTime: '00:00'
+    });
+    assert.equal(happyHour.status, 201);
+    assert.equal(happyHour.body.promotion.live, true);
+    const current = await call('GET', '/api/stores/promocional/promotions/current');
+    assert.deepEqual(current.body.promotions.map(promotion => promotion.name), ['Caipi pela metade']);
+
+    const invalid = await call('PATCH', `/api/promotions/${happyHour.body.promotion.id}`, { endTime: null }, managerToken);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(error => error.field), ['endTime']);
+
+    assert.equal((await promote({ name: 'Uma vez', type: 'coupon', discountType: 'fixed', discountValue: 3, code: 'umavez', usageLimit: 1 })).status, 201);
+    const orderData = { customerName: 'Iara', couponCode: 'UMAVEZ', items: [{ productId: product.id, sabor: 'Único', quantity: 2 }] };
+
+    const first = await call('POST', '/api/stores/promocional/orders', { orderData });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.total, 15);
+
+    const second = await call('POST', '/api/stores/promocional/orders', { orderData });
+    assert.equal(second.status, 400);
+    assert.equal(second.body.details[0].code, 'COUPON_EXHAUSTED');
+
+    // A matriz segue com o preço de tabela
+    const main = await call('POST', '/api/orders/quote', { orderData: { ...orderData, couponCode: undefined } });
+    assert.equal(main.body.total, 36);
+});
+
+test('comandas: lança, transfere entre mesas e fecha dividindo por item', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Chopp', category: 'chopp', price: 10, quantity: 20 });
+    const { managerToken } = await createBranch(token, 'comandas');
+    const open = tableNumber => call('POST', '/api/tabs', { tableNumber }, managerToken);
+
+    const seven = (await open('7')).body.tab;
+    const duplicated = await open('7');
+    assert.deepEqual([duplicated.status, duplicated.body.code], [409, 'TABLE_HAS_OPEN_TAB']);
+    const eight = (await open('8')).body.tab;
+
+    const added = await call('POST', `/api/tabs/${seven.id}/items`, { items: [{ productId: product.id, sabor: 'Único', quantity: 3 }] }, managerToken);
+    assert.equal(added.status, 200);
+    assert.deepEqual([added.body.tab.total, added.body.tab.itemCount], [30, 3]);
+    assert.equal((await call('GET', `/api/products/${product.id}`)).body.product.sabores[0].quantity, 17);
+
+    const [item] = added.body.items;
+    const moved = await call('POST', `/api/tabs/${seven.id}/transfer`, { toTabId: eight.id, items: [{ itemId: item.itemId, quantity: 1 }] }, managerToken);
+    assert.equal(moved.status, 200);
+    assert.deepEqual([moved.body.from.total, moved.body.to.total], [20, 10]);
+
+    const uncovered = await call('POST', `/api/tabs/${seven.id}/close`, {
+        split: 'items', payments: [{ method: 'pix', items: [{ itemId: item.itemId, quantity: 1 }] }]
+    }, managerToken);
+    assert.deepEqual([uncovered.status, uncovered.body.details[0].code], [400, 'ITEMS_NOT_COVERED']);
+
+    const closed = await call('POST', `/api/tabs/${seven.id}/close`, {
+        split: 'items',
+        payments: [{ method: 'pix', items: [{ itemId: item.itemId, quantity: 1 }] }, { method: 'cartao', items: [{ itemId: item.itemId }] }]
+    }, managerToken);
+    assert.equal(closed.status, 200);
+    assert.deepEqual(closed.body.payments.map(payment => [payment.method, payment.amount]), [['pix', 10], ['cartao', 10]]);
+    assert.deepEqual([closed.body.order.total, closed.body.order.status, closed.body.order.paymentMethod], [20, 'delivered', 'multiple']);
+
+    assert.equal((await call('POST', `/api/tabs/${seven.id}/close`, { payments: [{ method: 'pix' }] }, managerToken)).body.code, 'TAB_NOT_OPEN');
+    const tabs = await call('GET', '/api/tabs', undefined, managerToken);
+    assert.deepEqual(tabs.body.tabs.map(tab => tab.tableNumber), ['8']);
+
+    // A mesa fechada pode abrir de novo; comanda de outra loja não aparece
+    assert.equal((await open('7')).status, 201);
+    assert.equal((await call('GET', `/api/tabs/${eight.id}`, undefined, token)).status, 404);
+});
+
+test('upload de imagem: confere o formato, grava a miniatura e apaga com o produto', async () => {
+    const token = await login();
+    const upload = (content, name) => {
+        const form = new FormData();
+        if (content) form.append('image', new Blob([content]), name);
+        return fetch(`${baseUrl}/api/uploads/images`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form })
+            .then(async response => ({ status: response.status, body: await response.json() }));
+    };
+    const png = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#f1c40f' } }).png().toBuffer();
+
+    // O nome do arquivo não engana a checagem do conteúdo
+    const text = await upload(Buffer.from('isto não é uma imagem'), 'foto.png');
+    assert.deepEqual([text.status, text.body.code], [415, 'UNSUPPORTED_IMAGE_TYPE']);
+    assert.equal((await upload(null)).body.code, 'IMAGE_REQUIRED');
+    assert.equal((await upload(png.subarray(0, 64), 'cortada.png')).body.code, 'INVALID_IMAGE');
+
+    const sent = await upload(png, 'caipirinha.jpg');
+    assert.equal(sent.status, 201);
+    assert.deepEqual([sent.body.contentType, sent.body.width, sent.body.height], ['image/png', 640, 480]);
+    assert.match(sent.body.url, /^\/uploads\/images\/.+\.png$/);
+    assert.equal((await fetch(baseUrl + sent.body.thumbnailUrl)).status, 200);
+
+    await call('POST', '/api/categories', { categories: ['fotos'] }, token);
+    const created = await call('POST', '/api/products', {
+        product: { title: 'Com foto', category: 'fotos', price: 5, sabores: [{ name: 'Único', quantity: 1, image: sent.body.url }] }
+    }, token);
+    const { id, version } = created.body.product;
+    assert.equal((await call('DELETE', `/api/products/${id}`, undefined, token, { 'If-Match': String(version) })).status, 200);
+
+    assert.equal((await fetch(baseUrl + sent.body.url)).status, 404);
+    assert.equal((await fetch(baseUrl + sent.body.thumbnailUrl)).status, 404);
+});
+
+test('catálogo: exporta CSV, simula a importação e só grava com o token da simulação', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Importada', category: 'importacao', price: 10 });
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const exported = await fetch(`${baseUrl}/api/catalog/export?format=csv`, { headers: auth });
+    assert.match(exported.headers.get('content-type'), /^text\/csv/);
+    assert.match(await exported.text(), new RegExp(`^${product.id},Importada,importacao,`, 'm'));
+
+    const importCsv = (csv, query = '') => fetch(`${baseUrl}/api/catalog/import${query}`, {
+        method: 'POST', headers: { ...auth, 'Content-Type': 'text/csv' }, body: csv
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+    const csv = 'title;category;price;sabor;quantity\nImportada;importacao;12,50;Único;50\nNova importada;importacao;7;Lata;3\n';
+
+    const dryRun = await importCsv(csv);
+    assert.equal(dryRun.status, 200);
+    assert.deepEqual(dryRun.body.report.summary.products, { create: 1, update: 1, remove: 0, unchanged: 0 });
+    assert.deepEqual(dryRun.body.report.products.update[0].changes, [{ field: 'price', from: 10, to: 12.5 }]);
+    assert.equal((await call('GET', `/api/products/${product.id}`)).body.product.price, 10);
+
+    const stale = await importCsv(csv, '?confirm=token-antigo');
+    assert.deepEqual([stale.status, stale.body.code], [409, 'IMPORT_PLAN_CHANGED']);
+
+    const invalid = await importCsv('title;category;price\nSem preço;importacao;caro\n');
+    assert.deepEqual([invalid.body.report.valid, invalid.body.report.errors[0].field], [false, 'linha 2: price']);
+
+    const imported = await importCsv(csv, `?confirm=${dryRun.body.report.confirmToken}`);
+    assert.equal(imported.status, 200);
+    assert.ok(imported.body.snapshotId);
+    assert.equal((await call('GET', `/api/products/${product.id}`)).body.product.price, 12.5);
+
+    // O mesmo arquivo de novo não muda nada
+    assert.deepEqual((await importCsv(csv)).body.report.summary.products, { create: 0, update: 0, remove: 0, unchanged: 2 });
+});
+
+test('categorias: arquivar tira do cardápio e excluir com produtos exige para onde movê-los', async () => {
+    const token = await login();
+    const { managerToken } = await createBranch(token, 'categorias');
+    const add = (id, name) => call('POST', '/api/categories/add', { category: { id, name } }, managerToken);
+    const listed = async (query = '') => (await call('GET', `/api/stores/categorias/categories${query}`)).body.categories
+        .filter(category => category.storeId !== null).map(category => category.id);
+
+    assert.equal((await add('sobremesa', 'Sobremesas')).status, 200);
+    assert.equal((await add('doces', 'Doces')).status, 200);
+    const created = await call('POST', '/api/products', { product: { title: 'Pudim', category: 'sobremesa', price: 9 } }, managerToken);
+    assert.equal(created.status, 201);
+
+    // Categoria da filial: a matriz não vê nem mexe
+    assert.equal((await call('POST', '/api/categories/sobremesa/archive', undefined, token)).status, 404);
+    assert.ok(!(await call('GET', '/api/categories')).body.categories.some(category => category.id === 'sobremesa'));
+
+    assert.equal((await call('POST', '/api/categories/sobremesa/archive', undefined, managerToken)).body.category.archived, true);
+    assert.deepEqual(await listed(), ['doces']);
+    assert.deepEqual(await listed('?archived=only'), ['sobremesa']);
+
+    const archived = await call('POST', '/api/products', { product: { title: 'Mousse', category: 'sobremesa', price: 9 } }, managerToken);
+    assert.deepEqual([archived.status, archived.body.details[0].code], [400, 'CATEGORY_ARCHIVED']);
+
+    const inUse = await call('POST', '/api/categories/delete', { categoryId: 'sobremesa' }, managerToken);
+    assert.deepEqual([inUse.status, inUse.body.code, inUse.body.productCount], [409, 'CATEGORY_IN_USE', 1]);
+    assert.equal((await call('POST', '/api/categories/delete', { categoryId: 'sobremesa', targetCategoryId: 'sobremesa' }, managerToken)).body.code, 'SAME_CATEGORY');
+
+    const deleted = await call('POST', '/api/categories/delete', { categoryId: 'sobremesa', targetCategoryId: 'doces' }, managerToken);
+    assert.deepEqual([deleted.status, deleted.body.movedProducts], [200, 1]);
+    assert.equal((await call('GET', `/api/stores/categorias/products/${created.body.product.id}`)).body.product.category, 'doces');
+    assert.deepEqual(await listed('?archived=include'), ['doces']);
+
+    // Reordenar a lista compartilhada é só para admin de todas as lojas
+    assert.equal((await call('POST', '/api/categories/reorder', { ids: ['doces'] }, managerToken)).status, 403);
+});
+
+test('horário: fora do expediente não aceita pedido e produto só sai na faixa de venda', async () => {
+    const token = await login();
+    const { managerToken } = await createBranch(token, 'expediente');
+    await call('POST', '/api/categories/add', { category: { id: 'cafe', name: 'Café da manhã' } }, managerToken);
+    const { weekday } = localClock(new Date());
+    const otherDay = (weekday + 3) % 7;
+    const allDay = { opens_at: '00:00', closes_at: '00:00' };
+
+    const product = await call('POST', '/api/products', {
+        product: { title: 'Tapioca', category: 'cafe', price: 8, availability: [{ weekdays: [otherDay], start: '00:00', end: '00:00' }], sabores: [{ name: 'Queijo', quantity: 5 }] }
+    }, managerToken);
+    assert.equal(product.status, 201);
+    const orderData = { customerName: 'Gil', items: [{ productId: product.body.product.id, sabor: 'Queijo', quantity: 1 }] };
+
+    const menu = async query => (await call('GET', `/api/stores/expediente/products${query}`)).body.products
+        .filter(item => item.id === product.body.product.id).map(item => item.availableNow);
+    assert.deepEqual(await menu(''), []);
+    assert.deepEqual(await menu('?unavailable=include'), [false]);
+    const unavailable = await call('POST', '/api/stores/expediente/orders', { orderData });
+    assert.equal(unavailable.body.details[0].code, 'PRODUCT_UNAVAILABLE_NOW');
+
+    const invalid = await call('PUT', '/api/business-hours', { hours: [{ weekday: 1, opens_at: '25:00', closes_at: '02:00' }] }, managerToken);
+    assert.deepEqual([invalid.status, invalid.body.details[0].field], [400, 'hours[0].opens_at']);
+
+    // Só abre daqui a três dias: fechado agora, com a próxima abertura no início daquele dia
+    const saved = await call('PUT', '/api/business-hours', { hours: [{ weekday: otherDay, ...allDay }] }, managerToken);
+    assert.deepEqual([saved.body.status.open, saved.body.status.reason], [false, 'schedule']);
+    const opensOn = addDays(localClock(new Date()).day, 3);
+    assert.equal(saved.body.status.nextOpening, localDayStartIso(opensOn));
+
+    const coffee = await createProduct(token, { title: 'Café coado', category: 'cafe-coado', price: 4 });
+    const closed = await call('POST', '/api/stores/expediente/orders', {
+        orderData: { customerName: 'Gil', items: [{ productId: coffee.id, sabor: 'Único', quantity: 1 }] }
+    });
+    assert.deepEqual([closed.status, closed.body.code], [409, 'STORE_CLOSED']);
+
+    // Aberto todos os dias, mas com o dia de hoje fechado; desfazer o fechamento reabre
+    await call('PUT', '/api/business-hours', { hours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ weekday: day, ...allDay })) }, managerToken);
+    const closure = await call('POST', '/api/business-hours/closures', { date: localClock(new Date()).day, reason: 'Inventário' }, managerToken);
+    assert.equal((await call('GET', '/api/stores/expediente/business-hours/status')).body.message, 'Fechado hoje: Inventário');
+    assert.equal((await call('POST', '/api/business-hours/closures', { date: localClock(new Date()).day }, managerToken)).body.code, 'CLOSURE_EXISTS');
+    assert.equal((await call('DELETE', `/api/business-hours/closures/${closure.body.closure.id}`, undefined, managerToken)).status, 200);
+    assert.equal((await call('GET', '/api/stores/expediente/business-hours/status')).body.open, true);
+});
+
+test('login bloqueia o usuário depois de senhas erradas seguidas', async () => {
+    const token = await login();
+    await call('POST', '/api/admin/users', { username: 'caixa-bloqueado', password: 'senha-do-caixa', role: 'cashier' }, token);
+    const attemptLogin = password => call('POST', '/api/auth/login', { username: 'caixa-bloqueado', password });
+
+    // Acertar no meio zera a contagem
+    for (let i = 0; i < 4; i++) assert.equal((await attemptLogin('errada')).status, 401);
+    assert.equal((await attemptLogin('senha-do-caixa')).status, 200);
+    for (let i = 0; i < 5; i++) assert.equal((await attemptLogin('errada')).status, 401);
+
+    const locked = await attemptLogin('senha-do-caixa');
+    assert.deepEqual([locked.status, locked.body.code], [429, 'ACCOUNT_LOCKED']);
+    assert.ok(locked.body.retryAfter > 0);
+    // Maiúsculas e espaços no nome contam como o mesmo usuário
+    assert.equal((await call('POST', '/api/auth/login', { username: ' Caixa-Bloqueado ', password: 'senha-do-caixa' })).status, 429);
+
+    // Os outros usuários seguem entrando
+    assert.ok(await login());
+});
+
+test('Idempotency-Key repete a resposta do pedido sem baixar o estoque de novo', async () => {
+    const product = await createProduct(await login(), { title: 'Espetinho', category: 'espetinho', price: 7, quantity: 10 });
+    const orderData = { customerName: 'Tom', items: [{ productId: product.id, sabor: 'Único', quantity: 2 }] };
+    const order = (body, key) => fetch(`${baseUrl}/api/orders`, {
+        method: 'POST', headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key }, body: JSON.stringify(body)
+    }).then(async response => ({ status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() }));
+
+    const first = await order({ orderData }, 'pedido-tom-0001');
+    const again = await order({ orderData }, 'pedido-tom-0001');
+    assert.deepEqual([first.status, first.replayed], [200, null]);
+    assert.deepEqual([again.status, again.replayed, again.body.orderId], [200, 'true', first.body.orderId]);
+    assert.equal((await call('GET', `/api/products/${product.id}`)).body.product.sabores[0].quantity, 8);
+
+    const reused = await order({ orderData: { ...orderData, customerName: 'Outro' } }, 'pedido-tom-0001');
+    assert.deepEqual([reused.status, reused.body.code], [422, 'IDEMPOTENCY_KEY_REUSED']);
+    assert.equal((await order({ orderData }, 'curta')).body.code, 'INVALID_IDEMPOTENCY_KEY');
+
+    // Resposta de erro libera a chave
+    const tooMany = { orderData: { ...orderData, items: [{ productId: product.id, sabor: 'Único', quantity: 50 }] } };
+    assert.equal((await order(tooMany, 'pedido-tom-0002')).status, 400);
+    assert.equal((await order(tooMany, 'pedido-tom-0002')).replayed, null);
+});
+
+test('auditoria: edição do produto com diff e volta do catálogo pela cópia', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Torresmo', category: 'torresmo', price: 22 });
+
+    const snapshot = await call('POST', '/api/catalog/snapshots', { reason: 'Antes do reajuste' }, token);
+    assert.equal(snapshot.status, 201);
+
+    const patched = await call('PATCH', `/api/products/${product.id}`, { price: 26, version: product.version }, token);
+    assert.equal(patched.status, 200);
+    const log = await call('GET', `/api/audit-log?entityType=product&entityId=${product.id}`, undefined, token);
+    assert.deepEqual(log.body.entries[0].diff, [{ field: 'price', from: 22, to: 26 }]);
+    assert.equal(log.body.entries[0].adminUsername, 'admin');
+    assert.deepEqual(log.body.entries.map(entry => entry.method), ['PATCH', 'POST']);
+
+    const restoreUrl = `/api/catalog/snapshots/${snapshot.body.snapshot.id}/restore`;
+    const dryRun = await call('POST', `${restoreUrl}?dryRun=true`, undefined, token);
+    assert.deepEqual(dryRun.body.report.products.update, [{ id: product.id, title: 'Torresmo', changes: [{ field: 'price', from: 26, to: 22 }] }]);
+    assert.equal((await call('GET', `/api/products/${product.id}`)).body.product.price, 26);
+
+    const restored = await call('POST', restoreUrl, undefined, token);
+    assert.equal(restored.status, 200);
+    assert.equal((await call('GET', `/api/products/${product.id}`)).body.product.price, 22);
+
+    // A restauração guarda uma cópia de antes dela e fica no registro
+    const entry = (await call('GET', '/api/audit-log?entityType=catalog&limit=1', undefined, token)).body.entries[0];
+    assert.deepEqual([entry.after.restoredSnapshotId, entry.after.snapshotId], [snapshot.body.snapshot.id, restored.body.snapshotId]);
+});
+
+test('impressão: comanda automática por praça, fila com reserva e 2ª via', async () => {
+    const token = await login();
+    const chopp = await createProduct(token, { title: 'Chopp escuro', category: 'impressao-bar', price: 12 });
+    const porcao = await createProduct(token, { title: 'Calabresa', category: 'impressao-cozinha', price: 30 });
+    const { managerToken } = await createBranch(token, 'impressao');
+
+    const settings = await call('PUT', '/api/printing/settings', {
+        autoPrint: true,
+        triggerStatus: 'accepted',
+        stations: [
+            { id: 'bar', name: 'Bar', categories: ['impressao-bar'], width: 58 },
+            { id: 'cozinha', name: 'Cozinha', categories: ['impressao-cozinha'] }
+        ]
+    }, token);
+    assert.equal(settings.status, 200);
+
+    try {
+        const order = await call('POST', '/api/stores/impressao/orders', {
+            orderData: { customerName: 'Lu', items: [{ productId: chopp.id, sabor: 'Único', quantity: 2 }, { productId: porcao.id, sabor: 'Único', quantity: 1 }] }
+        });
+        const orderId = order.body.orderId;
+        const queue = async query => (await call('GET', `/api/print-jobs${query}`, undefined, managerToken)).body.jobs;
+
+        assert.deepEqual(await queue(`?orderId=${orderId}`), []);
+        await call('POST', '/api/orders/update-status', { orderId, status: 'accepted' }, managerToken);
+        const jobs = await queue(`?orderId=${orderId}`);
+        assert.deepEqual(jobs.map(job => [job.stationId, job.width, job.trigger]).sort(), [['bar', 58, 'auto'], ['cozinha', 80, 'auto']]);
+        // A fila é da loja: a matriz não vê
+        assert.deepEqual((await call('GET', `/api/print-jobs?orderId=${orderId}`, undefined, token)).body.jobs, []);
+
+        const bar = jobs.find(job => job.stationId === 'bar');
+        assert.equal((await call('POST', `/api/print-jobs/${bar.id}/claim`, undefined, managerToken)).body.job.status, 'printing');
+        assert.equal((await call('POST', `/api/print-jobs/${bar.id}/claim`, undefined, managerToken)).body.code, 'PRINT_JOB_UNAVAILABLE');
+
+        const content = async id => (await fetch(`${baseUrl}/api/print-jobs/${id}/content?format=text`, { headers: { Authorization: `Bearer ${managerToken}` } })).text();
+        const ticket = await content(bar.id);
+        assert.match(ticket, /2x Chopp escuro/);
+        assert.doesNotMatch(ticket, /Calabresa|REIMPRESSÃO/);
+        assert.ok(ticket.split('\n').every(line => line.length <= 32));
+        assert.equal((await call('POST', `/api/print-jobs/${bar.id}/complete`, { printed: true }, managerToken)).body.job.status, 'printed');
+
+        // Pedir de novo para o bar sai como reimpressão
+        const again = await call('POST', `/api/orders/${orderId}/print`, { kind: 'kitchen', stationId: 'bar' }, managerToken);
+        assert.equal(again.status, 201);
+        assert.match(await content(again.body.jobs[0].id), /REIMPRESSÃO/);
+        assert.equal((await call('POST', `/api/orders/${orderId}/print`, { stationId: 'sobremesa' }, managerToken)).body.code, 'PRINT_STATION_NOT_FOUND');
+
+        const receipt = await fetch(`${baseUrl}/api/orders/${orderId}/receipt?format=html`, { headers: { Authorization: `Bearer ${managerToken}` } });
+        assert.match(receipt.headers.get('content-type'), /^text\/html/);
+        assert.match(await receipt.text(), /R\$ 54,00/);
+    } finally {
+        await call('PUT', '/api/printing/settings', {}, token);
+    }
+});
+
+test('entrega: taxa e pedido mínimo da zona, endereço no pedido e retirada desligável', async () => {
+    const token = await login();
+    const product = await createProduct(token, { title: 'Marmita', category: 'entrega-pratos', price: 25 });
+    const { managerToken } = await createBranch(token, 'entrega');
+    const base = '/api/stores/entrega';
+    const deliveryAddress = { street: 'Rua Augusta', number: '10', neighborhood: 'Consolação', cep: '01305-000' };
+    const order = (quantity, fields = {}) => call('POST', `${base}/orders`, {
+        orderData: { customerName: 'Téo', items: [{ productId: product.id, sabor: 'Único', quantity }], orderType: 'delivery', deliveryAddress, ...fields }
+    });
+
+    assert.equal((await order(1)).body.code, 'DELIVERY_UNAVAILABLE');
+    const zone = await call('POST', '/api/delivery/zones', { name: 'Consolação', cepPrefixes: ['0130'], fee: 7.5, minOrder: 40, deliveryMinutes: 25 }, managerToken);
+    assert.equal(zone.status, 201);
+    assert.deepEqual((await call('GET', `${base}/delivery/quote?cep=01305000`)).body.zone, { name: 'Consolação', fee: 7.5, minOrder: 40, deliveryMinutes: 25 });
+
+    const below = await order(1);
+    assert.deepEqual([below.status, below.body.code, below.body.missing], [409, 'BELOW_MINIMUM_ORDER', 15]);
+    assert.equal((await order(1, { deliveryAddress: undefined })).body.code, 'VALIDATION_ERROR');
+
+    const placed = await order(2);
+    assert.equal(placed.status, 200);
+    assert.deepEqual([placed.body.orderType, placed.body.deliveryFee, placed.body.total], ['delivery', 7.5, 57.5]);
+    const ready = Date.parse(placed.body.estimatedReadyAt);
+    assert.equal(Date.parse(placed.body.estimatedDeliveryAt) - ready, 25 * 60 * 1000);
+
+    const saved = (await call('GET', `${base}/orders`, undefined, managerToken)).body.orders.find(row => row.id === placed.body.orderId);
+    assert.deepEqual([saved.deliveryAddress.street, saved.deliveryZoneId, saved.deliveryFee], ['Rua Augusta', zone.body.zone.id, 7.5]);
+
+    // Retirada no balcão suspensa: entrega segue normal
+    assert.equal((await call('PUT', '/api/delivery/settings', { pickupEnabled: false }, managerToken)).status, 200);
+    const pickup = await order(1, { orderType: 'pickup', deliveryAddress: undefined });
+    assert.deepEqual([pickup.status, pickup.body.code], [409, 'ORDER_TYPE_UNAVAILABLE']);
+    assert.equal((await order(2)).status, 200);
+
+    // Zona desativada deixa de atender
+    assert.equal((await call('PATCH', `/api/delivery/zones/${zone.body.zone.id}`, { active: false }, managerToken)).status, 200);
+    assert.equal((await call('GET', `${base}/delivery/quote?cep=01305000`)).status, 404);
+});
+
+test('lojas: produto, categoria, preço e pedidos de uma filial não vazam para a outra', async () => {
+    const token = await login();
+    const shared = await createProduct(token, { title: 'Guaraná', category: 'lojas-bebidas', price: 6 });
+    const norte = await createBranch(token, 'norte');
+    const sul = await createBranch(token, 'sul');
+    const menu = async (slug, query = '') => (await call('GET', `/api/stores/${slug}/products${query}`)).body.products;
+
+    // Categoria e produto criados pelo gerente ficam só na loja dele
+    assert.equal((await call('POST', '/api/categories/add', { category: { id: 'norte-lanches', name: 'Lanches do Norte' } }, norte.managerToken)).status, 200);
+    const own = await call('POST', '/api/products', {
+        product: { title: 'Baurú', category: 'norte-lanches', price: 18, sabores: [{ name: 'Único', quantity: 10 }] }
+    }, norte.managerToken);
+    assert.equal(own.status, 201);
+    assert.equal(own.body.product.store_id, norte.branch.id);
+
+    assert.ok((await menu('norte')).some(product => product.id === own.body.product.id));
+    assert.ok(!(await menu('sul')).some(product => product.id === own.body.product.id));
+    assert.ok(!(await call('GET', '/api/products')).body.products.some(product => product.id === own.body.product.id));
+    assert.equal((await call('GET', `/api/stores/sul/products/${own.body.product.id}`)).status, 404);
+    assert.ok((await call('GET', '/api/stores/norte/categories')).body.categories.some(category => category.id === 'norte-lanches'));
+    assert.ok(!(await call('GET', '/api/stores/sul/categories')).body.categories.some(category => category.id === 'norte-lanches'));
+
+    // Gerente não entra na outra filial nem altera o catálogo compartilhado
+    const foreign = await call('GET', '/api/stores/norte/orders', undefined, sul.managerToken);
+    assert.deepEqual([foreign.status, foreign.body.code], [403, 'STORE_FORBIDDEN']);
+    const sharedEdit = await call('PATCH', `/api/products/${shared.id}`, { price: 1 }, norte.managerToken, { 'If-Match': `"${shared.version}"` });
+    assert.deepEqual([sharedEdit.status, sharedEdit.body.code], [403, 'STORE_FORBIDDEN']);
+
+    // Preço próprio da filial no produto compartilhado
+    assert.equal((await call('PUT', `/api/products/${shared.id}/store`, { price: 5 }, norte.managerToken)).status, 200);
+    assert.equal((await menu('norte')).find(product => product.id === shared.id).price, 5);
+    assert.equal((await menu('sul')).find(product => product.id === shared.id).price, 6);
+
+    const order = (slug, productId) => call('POST', `/api/stores/${slug}/orders`, {
+        orderData: { customerName: 'Rui', items: [{ productId, sabor: 'Único', quantity: 2 }] }
+    });
+    const inNorte = await order('norte', shared.id);
+    assert.deepEqual([inNorte.status, inNorte.body.total], [200, 10]);
+    assert.equal((await order('sul', shared.id)).body.total, 12);
+    assert.notEqual((await order('sul', own.body.product.id)).status, 200);
+
+    // Cada gerente só vê os pedidos da loja dele
+    const listed = async managerToken => (await call('GET', '/api/orders', undefined, managerToken)).body.orders.map(row => row.total);
+    assert.deepEqual(await listed(norte.managerToken), [10]);
+    assert.deepEqual(await listed(sul.managerToken), [12]);
+});
+
+test('corpo e filtros inválidos respondem 400 com o código e os campos', async () => {
+    const token = await login();
+
+    const order = await call('POST', '/api/orders', { orderData: { customerName: ' ', items: [{ productId: 1, quantity: 0 }] } });
+    assert.deepEqual([order.status, order.body.code], [400, 'VALIDATION_ERROR']);
+    assert.deepEqual(order.body.details.map(detail => [detail.field, detail.code]),
+        [['orderData.customerName', 'required'], ['orderData.items[0].quantity', 'too_small']]);
+
+    const filters = await call('GET', '/api/orders?limit=0&paymentStatus=fiado', undefined, token);
+    assert.deepEqual(filters.body.details.map(detail => [detail.field, detail.code]), [['paymentStatus', 'invalid_enum'], ['limit', 'too_small']]);
+
+    const status = await call('POST', '/api/orders/update-status', { orderId: 1, status: 'sumiu' }, token);
+    assert.deepEqual([status.status, status.body.details[0].field], [400, 'status']);
+
+    const malformed = await fetch(`${baseUrl}/api/orders`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"orderData":' });
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(await malformed.json(), { error: "Corpo da requisição não é um JSON válido", code: 'INVALID_JSON' });
+});
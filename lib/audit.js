@@ -0,0 +1,53 @@
+// Campos que mudam em toda gravação e não dizem nada no diff
+const IGNORED_FIELDS = ['created_at', 'updated_at', 'version'];
+
+// Métodos que alteram dados (os que entram no registro de auditoria)
+export const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Campos que mudaram entre o antes e o depois: [{ field, from, to }].
+// Objetos e listas (ex.: sabores) são comparados inteiros; null quando falta um dos lados.
+export function auditDiff(before, after) {
+    if (!before || !after || typeof before !== 'object' || typeof after !== 'object') return null;
+
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => !IGNORED_FIELDS.includes(field));
+
+    return fields
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+// Formatar linha do registro de auditoria para resposta
+export function normalizeAuditEntry(row) {
+    return {
+        id: row.id,
+        adminUserId: row.admin_user_id ?? null,
+        adminUsername: row.admin_username || null,
+        method: row.method,
+        route: row.route,
+        path: row.path,
+        statusCode: row.status_code,
+        entityType: row.entity_type || null,
+        entityId: row.entity_id ?? null,
+        before: row.before ?? null,
+        after: row.after ?? null,
+        diff: row.diff ?? null,
+        ip: row.ip || null,
+        createdAt: row.created_at
+    };
+}
+
+// Formatar cópia do catálogo para resposta (com includeCatalog, os produtos e categorias guardados)
+export function normalizeCatalogSnapshot(row, { includeCatalog = false } = {}) {
+    const snapshot = {
+        id: row.id,
+        reason: row.reason,
+        adminUserId: row.admin_user_id ?? null,
+        adminUsername: row.admin_username || null,
+        productCount: row.product_count ?? (Array.isArray(row.catalog?.products) ? row.catalog.products.length : 0),
+        categoryCount: row.category_count ?? (Array.isArray(row.catalog?.categories) ? row.catalog.categories.length : 0),
+        createdAt: row.created_at
+    };
+    if (includeCatalog) snapshot.catalog = row.catalog;
+    return snapshot;
+}
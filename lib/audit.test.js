@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { auditDiff, normalizeCatalogSnapshot } from "./audit.js";
+
+test('diff lista só os campos que mudaram, sem datas e versão', () => {
+    const before = { title: 'Heineken', price: 12, version: 3, updated_at: 'ontem', sabores: [{ name: 'Lata', quantity: 5 }] };
+    const after = { title: 'Heineken', price: 13, version: 4, updated_at: 'hoje', sabores: [{ name: 'Lata', quantity: 5 }], description: 'Gelada' };
+
+    assert.deepEqual(auditDiff(before, after), [
+        { field: 'price', from: 12, to: 13 },
+        { field: 'description', from: null, to: 'Gelada' }
+    ]);
+});
+
+test('listas são comparadas inteiras; criação e exclusão não têm diff', () => {
+    const sabores = [{ name: 'Lata', quantity: 5 }];
+    assert.deepEqual(auditDiff({ sabores }, { sabores: [{ name: 'Lata', quantity: 4 }] }),
+        [{ field: 'sabores', from: sabores, to: [{ name: 'Lata', quantity: 4 }] }]);
+
+    assert.equal(auditDiff(null, { id: 1 }), null);
+    assert.equal(auditDiff({ id: 1 }, null), null);
+    assert.deepEqual(auditDiff({ price: 1 }, { price: 1 }), []);
+});
+
+test('cópia do catálogo conta produtos e categorias e só leva o conteúdo quando pedido', () => {
+    const row = { id: 4, reason: 'Antes da importação', catalog: { products: [{}, {}], categories: [{}] }, created_at: '2026-10-17T20:00:00Z' };
+
+    const summary = normalizeCatalogSnapshot(row);
+    assert.deepEqual([summary.productCount, summary.categoryCount, summary.catalog], [2, 1, undefined]);
+    assert.equal(normalizeCatalogSnapshot(row, { includeCatalog: true }).catalog, row.catalog);
+    assert.equal(normalizeCatalogSnapshot({ ...row, product_count: 9 }).productCount, 9);
+});
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Papéis de administrador, do mais para o menos privilegiado
+export const ADMIN_ROLES = ['owner', 'manager', 'cashier'];
+
+// Parâmetros do scrypt (custo alto de propósito para dificultar força bruta)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+// Gerar hash da senha no formato scrypt$N$r$p$salt$hash
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+// Conferir senha contra o hash salvo
+export async function verifyPassword(password, stored) {
+    if (typeof stored !== 'string') return false;
+
+    const [algorithm, N, r, p, salt, hash] = stored.split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Hash que não corresponde a nenhuma senha, nos mesmos parâmetros do hashPassword
+const DUMMY_HASH = ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, 'JkPMDRPD+/tEmF96FjY+VA==',
+    'jIL5vzmZqXv2LWVyZ6nehUgb7MmenpYJb7UR+sin5zgVUHE4ZE0l8hPxAIkfXb2DIav3jG5+V8PFxSwuGFEgYA=='].join('$');
+
+// Gastar o mesmo scrypt de uma conferência de senha quando o usuário não existe ou está inativo,
+// para o tempo de resposta não revelar quais usuários existem. Sempre retorna false.
+export async function verifyDummyPassword(password) {
+    await verifyPassword(password, DUMMY_HASH);
+    return false;
+}
+
+// Assinar token no formato JWT (HS256)
+export function signToken(payload, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+}
+
+// Validar assinatura e expiração do token; retorna o payload ou null
+export function verifyToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest();
+    const received = Buffer.from(signature, 'base64url');
+
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) return null;
+        return payload;
+    } catch {
+        return null;
+    }
+}
+
+// Verificar se o papel do usuário está entre os permitidos
+export function hasRole(user, roles) {
+    if (!user) return false;
+    if (!roles || roles.length === 0) return true;
+    return roles.includes(user.role);
+}
+
+// Chave de acesso do cliente a um pedido (ex.: PIX): HMAC do id, nada a guardar no banco
+export function orderAccessToken(orderId, secret) {
+    return crypto.createHmac('sha256', secret).update(`order:${orderId}`).digest('base64url');
+}
+
+// Conferir a chave de acesso do pedido
+export function verifyOrderAccessToken(token, orderId, secret) {
+    if (typeof token !== 'string') return false;
+
+    const expected = Buffer.from(orderAccessToken(orderId, secret));
+    const received = Buffer.from(token);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
@@ -0,0 +1,31 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { hashPassword, verifyPassword, verifyDummyPassword } from "./auth.js";
+
+// Mediana do tempo (ms) de N execuções
+async function medianMs(fn, runs = 3) {
+    const times = [];
+    for (let run = 0; run < runs; run++) {
+        const start = process.hrtime.bigint();
+        await fn();
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return times.sort((a, b) => a - b)[Math.floor(runs / 2)];
+}
+
+test('senha confere só com o hash dela', async () => {
+    const hash = await hashPassword('segredo-do-bar');
+    assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+    assert.equal(await verifyPassword('segredo-do-bar', hash), true);
+    assert.equal(await verifyPassword('outra', hash), false);
+    assert.equal(await verifyPassword('segredo-do-bar', null), false);
+});
+
+test('usuário inexistente gasta o mesmo scrypt de uma senha errada', async () => {
+    const hash = await hashPassword('segredo-do-bar');
+    assert.equal(await verifyDummyPassword('segredo-do-bar'), false);
+
+    const wrong = await medianMs(() => verifyPassword('outra', hash));
+    const dummy = await medianMs(() => verifyDummyPassword('outra'));
+    assert.ok(dummy > wrong / 3, `senha errada ${wrong.toFixed(1)} ms, usuário inexistente ${dummy.toFixed(1)} ms`);
+});
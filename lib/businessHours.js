@@ -0,0 +1,186 @@
+import { t } from "./schema.js";
+import { REPORT_TIMEZONE, isIsoDate, localDayStartIso } from "./reports.js";
+
+// Quantos dias à frente procurar a próxima abertura (feriados seguidos, férias coletivas)
+const LOOKAHEAD_DAYS = 60;
+
+// Chave, nas configurações, do fechamento manual ("fechar agora"); cada loja tem a sua (storeSettingsKey)
+export const MANUAL_CLOSURE_KEY = 'manual_closure';
+
+// Horário HH:MM (vazio é aceito; campos obrigatórios são conferidos à parte)
+export const isClock = value => value === undefined || value === null || /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// Faixa de horário: dias da semana (0 = domingo; vazio = todos) e início/fim em HH:MM no fuso local.
+// Fim antes do início passa da meia-noite e conta para o dia em que começou.
+export const timeWindowSchema = t.object({
+    weekdays: t.array(t.integer({ min: 0, max: 6 }), { max: 7 }).optional().nullable(),
+    start: t.string({ max: 5 }).refine(isClock, "Use o formato HH:MM", 'invalid_format'),
+    end: t.string({ max: 5 }).refine(isClock, "Use o formato HH:MM", 'invalid_format')
+});
+
+// Horário de funcionamento de um dia da semana (pode haver mais de uma faixa no mesmo dia).
+// Fechamento igual ou antes da abertura passa da meia-noite (18:00-02:00; 00:00-00:00 é o dia todo).
+export const openingHoursSchema = t.object({
+    weekday: t.integer({ min: 0, max: 6, coerce: true }),
+    opens_at: t.string({ max: 5 }).refine(isClock, "Use o formato HH:MM", 'invalid_format'),
+    closes_at: t.string({ max: 5 }).refine(isClock, "Use o formato HH:MM", 'invalid_format')
+});
+
+// Dia fechado (feriado, evento, manutenção)
+export const closureSchema = t.object({
+    date: t.string({ max: 10 }).refine(isIsoDate, "Use o formato AAAA-MM-DD", 'invalid_format'),
+    reason: t.string({ max: 200 }).default('')
+});
+
+const clockFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: REPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Data (AAAA-MM-DD), dia da semana (0 = domingo) e minutos desde a meia-noite no fuso local
+export function localClock(now) {
+    const parts = Object.fromEntries(clockFormatter.formatToParts(now).map(part => [part.type, part.value]));
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+export const toMinutes = clock => Number(String(clock).slice(0, 2)) * 60 + Number(String(clock).slice(3, 5));
+
+// Agora está dentro da faixa? Faixa que passa da meia-noite (22:00-02:00) conta para o dia em que começou;
+// início igual ao fim (00:00-00:00) é o dia todo
+export function inTimeWindow({ weekdays, start, end }, now = new Date()) {
+    const { weekday, minutes } = localClock(now);
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    const days = Array.isArray(weekdays) && weekdays.length > 0 ? weekdays : null;
+
+    if (from === to) return !days || days.includes(weekday);
+    if (from < to) {
+        return minutes >= from && minutes < to && (!days || days.includes(weekday));
+    }
+    if (minutes >= from) return !days || days.includes(weekday);
+    if (minutes < to) return !days || days.includes((weekday + 6) % 7);
+    return false;
+}
+
+// Produto à venda agora? Sem faixas, vale o dia todo
+export function isAvailableNow(product, now = new Date()) {
+    const windows = Array.isArray(product?.availability) ? product.availability : [];
+    return windows.length === 0 || windows.some(window => inTimeWindow(window, now));
+}
+
+// Dia local somado de N dias (AAAA-MM-DD)
+export function addDays(day, days) {
+    const date = new Date(`${day}T12:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Faixas de funcionamento (instantes de abertura e fechamento) dos dias locais de "day" em diante,
+// pulando os dias fechados. Começa na véspera para pegar a faixa que passou da meia-noite.
+function openingWindows(hours, closedDays, day, days) {
+    const windows = [];
+
+    for (let offset = -1; offset <= days; offset++) {
+        const current = addDays(day, offset);
+        if (closedDays.has(current)) continue;
+
+        const weekday = new Date(`${current}T12:00:00Z`).getUTCDay();
+        const dayStart = new Date(localDayStartIso(current)).getTime();
+
+        for (const row of hours) {
+            if (Number(row.weekday) !== weekday) continue;
+            const opens = toMinutes(row.opens_at);
+            const closes = toMinutes(row.closes_at) + (toMinutes(row.closes_at) <= opens ? 24 * 60 : 0);
+            windows.push({ start: new Date(dayStart + opens * 60000), end: new Date(dayStart + closes * 60000) });
+        }
+    }
+
+    return windows.sort((a, b) => a.start - b.start);
+}
+
+// Fechamento manual ainda valendo agora?
+function manualClosureActive(manualClosure, now) {
+    return Boolean(manualClosure) && (!manualClosure.until || new Date(manualClosure.until) > now);
+}
+
+// Aberto ou fechado agora, e até quando. Sem horário cadastrado o bar é considerado sempre aberto
+// (só o fechamento manual fecha). Retorna { open, reason, message, closesAt, nextOpening, manualClosure, timezone }
+export function businessStatus({ hours = [], closures = [], manualClosure = null } = {}, now = new Date()) {
+    const { day } = localClock(now);
+    const closedDays = new Map((closures || []).map(closure => [String(closure.date).slice(0, 10), closure]));
+    const scheduled = (hours || []).length > 0;
+    const manual = manualClosureActive(manualClosure, now) ? manualClosure : null;
+
+    const windows = scheduled ? openingWindows(hours, closedDays, day, LOOKAHEAD_DAYS) : [];
+    const current = windows.find(window => window.start <= now && window.end > now);
+    const open = !manual && (!scheduled || Boolean(current));
+
+    // Próxima abertura: primeiro instante depois do fechamento manual em que o horário está aberto
+    let nextOpening = null;
+    if (!open) {
+        const from = manual?.until ? new Date(Math.max(now.getTime(), new Date(manual.until).getTime())) : now;
+
+        if (!scheduled) {
+            nextOpening = manual?.until ? from : null;
+        } else if (!manual || manual.until) {
+            const window = windows.find(item => item.end > from);
+            if (window) nextOpening = window.start > from ? window.start : from;
+        }
+    }
+
+    let reason = null;
+    let message = "Aberto";
+    if (manual) {
+        reason = 'manual';
+        message = manual.reason ? `Fechado: ${manual.reason}` : "Fechado no momento";
+    } else if (!open && closedDays.has(day)) {
+        reason = 'closure';
+        message = closedDays.get(day).reason ? `Fechado hoje: ${closedDays.get(day).reason}` : "Fechado hoje";
+    } else if (!open) {
+        reason = 'schedule';
+        message = "Fora do horário de funcionamento";
+    }
+
+    // Fechamento: fim da faixa atual, emendando com a seguinte se começar na mesma hora
+    let closesAt = null;
+    if (open && current) {
+        closesAt = current.end;
+        for (const window of windows) {
+            if (window.start <= closesAt && window.end > closesAt) closesAt = window.end;
+        }
+    }
+
+    return {
+        open,
+        reason,
+        message,
+        closesAt: closesAt ? closesAt.toISOString() : null,
+        nextOpening: nextOpening ? nextOpening.toISOString() : null,
+        manualClosure: manual ? { reason: manual.reason || null, until: manual.until || null, closedAt: manual.closedAt || null } : null,
+        timezone: REPORT_TIMEZONE
+    };
+}
+
+// Formatar horário de funcionamento para resposta, por dia da semana e hora de abertura
+export function normalizeOpeningHours(rows) {
+    return [...(rows || [])]
+        .map(row => ({ weekday: Number(row.weekday), opensAt: String(row.opens_at).slice(0, 5), closesAt: String(row.closes_at).slice(0, 5) }))
+        .sort((a, b) => a.weekday - b.weekday || a.opensAt.localeCompare(b.opensAt));
+}
+
+// Formatar dia fechado para resposta
+export function normalizeClosure(row) {
+    return { id: row.id, date: String(row.date).slice(0, 10), reason: row.reason || '', createdAt: row.created_at };
+}
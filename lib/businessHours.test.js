@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { businessStatus, isAvailableNow, localClock, addDays, normalizeOpeningHours } from "./businessHours.js";
+
+// De terça a domingo, das 18:00 às 02:00 (segunda fechado). Horários locais de São Paulo (UTC-3):
+// sábado, 17/10/2026, 20:00 = 23:00Z
+const hours = [0, 2, 3, 4, 5, 6].map(weekday => ({ weekday, opens_at: '18:00', closes_at: '02:00' }));
+const at = iso => new Date(iso);
+
+test('relógio local e soma de dias', () => {
+    assert.deepEqual(localClock(at('2026-10-18T02:30:00Z')), { day: '2026-10-17', weekday: 6, minutes: 23 * 60 + 30 });
+    assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
+
+test('aberto na faixa que passa da meia-noite, até o fim dela', () => {
+    const evening = businessStatus({ hours }, at('2026-10-17T23:00:00Z'));
+    assert.deepEqual([evening.open, evening.reason, evening.closesAt], [true, null, '2026-10-18T05:00:00.000Z']);
+
+    // Domingo, 01:00: ainda é a faixa de sábado
+    const lateNight = businessStatus({ hours }, at('2026-10-18T04:00:00Z'));
+    assert.deepEqual([lateNight.open, lateNight.closesAt], [true, '2026-10-18T05:00:00.000Z']);
+});
+
+test('fora do horário mostra a próxima abertura, pulando o dia sem expediente', () => {
+    const afternoon = businessStatus({ hours }, at('2026-10-17T18:00:00Z'));
+    assert.deepEqual([afternoon.open, afternoon.reason, afternoon.nextOpening], [false, 'schedule', '2026-10-17T21:00:00.000Z']);
+
+    // Segunda, 10:00: abre só na terça, 18:00
+    assert.equal(businessStatus({ hours }, at('2026-10-19T13:00:00Z')).nextOpening, '2026-10-20T21:00:00.000Z');
+});
+
+test('dia fechado tira a faixa do dia e mostra o motivo', () => {
+    const status = businessStatus({ hours, closures: [{ date: '2026-10-17', reason: 'Feriado' }] }, at('2026-10-17T23:00:00Z'));
+    assert.deepEqual([status.open, status.reason, status.message, status.nextOpening],
+        [false, 'closure', 'Fechado hoje: Feriado', '2026-10-18T21:00:00.000Z']);
+});
+
+test('fechamento manual: com prazo volta no fim dele; sem prazo, não tem previsão', () => {
+    const until = { reason: 'Falta de luz', until: '2026-10-18T00:00:00Z', closedAt: '2026-10-17T22:30:00Z' };
+    const closed = businessStatus({ hours, manualClosure: until }, at('2026-10-17T23:00:00Z'));
+    assert.deepEqual([closed.open, closed.reason, closed.message, closed.nextOpening],
+        [false, 'manual', 'Fechado: Falta de luz', '2026-10-18T00:00:00.000Z']);
+    assert.equal(closed.manualClosure.until, until.until);
+
+    assert.equal(businessStatus({ hours, manualClosure: until }, at('2026-10-18T00:30:00Z')).open, true);
+    assert.equal(businessStatus({ hours, manualClosure: { reason: '' } }, at('2026-10-17T23:00:00Z')).nextOpening, null);
+});
+
+test('sem horário cadastrado fica sempre aberto, salvo o fechamento manual', () => {
+    assert.deepEqual([businessStatus({}, at('2026-10-19T13:00:00Z')).open, businessStatus({}).closesAt], [true, null]);
+    assert.equal(businessStatus({ manualClosure: {} }).open, false);
+});
+
+test('faixas emendadas fecham no fim da última', () => {
+    const split = [{ weekday: 6, opens_at: '12:00', closes_at: '18:00' }, { weekday: 6, opens_at: '18:00', closes_at: '23:00' }];
+    assert.equal(businessStatus({ hours: split }, at('2026-10-17T16:00:00Z')).closesAt, '2026-10-18T02:00:00.000Z');
+});
+
+test('produto com faixas de venda só aparece dentro delas', () => {
+    const breakfast = { availability: [{ weekdays: [6, 0], start: '08:00', end: '11:00' }] };
+    assert.equal(isAvailableNow(breakfast, at('2026-10-17T12:00:00Z')), true);
+    assert.equal(isAvailableNow(breakfast, at('2026-10-17T15:00:00Z')), false);
+    assert.equal(isAvailableNow({ availability: [] }), true);
+});
+
+test('horário formatado por dia da semana e abertura', () => {
+    assert.deepEqual(normalizeOpeningHours([
+        { weekday: '6', opens_at: '18:00:00', closes_at: '02:00:00' },
+        { weekday: 0, opens_at: '12:00', closes_at: '16:00' }
+    ]), [{ weekday: 0, opensAt: '12:00', closesAt: '16:00' }, { weekday: 6, opensAt: '18:00', closesAt: '02:00' }]);
+});
@@ -0,0 +1,392 @@
+import crypto from "crypto";
+import { t, validate } from "./schema.js";
+import { validateProductInput } from "./products.js";
+import { saborBalance } from "./inventory.js";
+import { categoryReferenceErrors } from "./categories.js";
+
+// Modos de importação: merge cria e atualiza; replace também remove os produtos e arquiva as categorias
+// que não estão no arquivo
+export const CATALOG_IMPORT_MODES = ['merge', 'replace'];
+
+// Colunas do CSV do catálogo: uma linha por sabor (produto sem sabores ocupa uma linha com o sabor vazio).
+// O cabeçalho é o próprio nome da coluna, para o arquivo exportado voltar na importação sem ajustes.
+export const CATALOG_CSV_COLUMNS = [
+    'product_id', 'title', 'category', 'category_name', 'category_description', 'price', 'description',
+    'status', 'display_order', 'sabor', 'quantity', 'image', 'sabor_description', 'low_stock_threshold'
+].map(key => ({ key }));
+
+const categorySchema = t.object({
+    id: t.string({ min: 1, max: 60 }),
+    name: t.string({ min: 1, max: 80 }),
+    description: t.string({ max: 500 }).optional(),
+    // Só nas cópias do catálogo: categoria de uma loja (sem = compartilhada)
+    store_id: t.id().optional().nullable()
+});
+
+// Campos comparados no diff, com o valor que vale quando o campo está vazio
+// (sabores são comparados à parte, por nome)
+const PRODUCT_DIFF_FIELDS = { title: null, category: null, price: 0, description: '', status: 'active', display_order: 0 };
+const SABOR_DIFF_FIELDS = { quantity: 0, image: '', description: '', low_stock_threshold: null };
+
+// Catálogo completo para exportação: categorias ativas e produtos com sabores e o saldo atual do estoque.
+// Categorias e produtos de uma loja só (nas cópias do catálogo) levam o store_id.
+export function exportCatalog(categories, products, balances = null) {
+    return {
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        categories: (categories || []).filter(category => !category.archived_at).map(category => ({
+            id: category.id,
+            name: category.name,
+            description: category.description || '',
+            ...(category.store_id ? { store_id: category.store_id } : {})
+        })),
+        products: (products || []).map(product => ({
+            id: product.id,
+            ...(product.store_id ? { store_id: product.store_id } : {}),
+            title: product.title,
+            category: product.category,
+            price: Number(product.price) || 0,
+            description: product.description || '',
+            status: product.status || 'active',
+            display_order: product.display_order || 0,
+            availability: product.availability || null,
+            sabores: (Array.isArray(product.sabores) ? product.sabores : []).map(sabor => ({
+                name: sabor.name,
+                quantity: saborBalance(balances, product.id, sabor),
+                image: sabor.image || '',
+                description: sabor.description || '',
+                low_stock_threshold: sabor.low_stock_threshold ?? null
+            }))
+        }))
+    };
+}
+
+// Linhas do CSV a partir do catálogo exportado
+export function catalogCsvRows(catalog) {
+    const categoriesById = new Map(catalog.categories.map(category => [category.id, category]));
+
+    return catalog.products.flatMap(product => {
+        const category = categoriesById.get(product.category);
+        const base = {
+            product_id: product.id,
+            title: product.title,
+            category: product.category,
+            category_name: category?.name || '',
+            category_description: category?.description || '',
+            price: product.price,
+            description: product.description,
+            status: product.status,
+            display_order: product.display_order
+        };
+
+        if (product.sabores.length === 0) return [base];
+
+        return product.sabores.map(sabor => ({
+            ...base,
+            sabor: sabor.name,
+            quantity: sabor.quantity,
+            image: sabor.image,
+            sabor_description: sabor.description,
+            low_stock_threshold: sabor.low_stock_threshold
+        }));
+    });
+}
+
+// Número da planilha: vazio vira "não informado" e aceita vírgula decimal ("12,50")
+function sheetNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return /^-?\d+,\d+$/.test(value) ? value.replace(',', '.') : value;
+}
+
+// Montar o catálogo a partir das linhas do CSV (parseCsv). Linhas do mesmo produto são
+// agrupadas pelo product_id ou, sem ele, por título + categoria; vale o que vier na primeira linha.
+export function catalogFromCsv(rows) {
+    const categories = new Map();
+    const products = new Map();
+
+    rows.forEach((row, index) => {
+        const key = row.product_id ? `id:${row.product_id}` : `${(row.title || '').toLowerCase()}|${(row.category || '').toLowerCase()}`;
+
+        if (row.category && !categories.has(row.category) && row.category_name) {
+            categories.set(row.category, {
+                id: row.category,
+                name: row.category_name,
+                description: row.category_description || undefined
+            });
+        }
+
+        if (!products.has(key)) {
+            products.set(key, {
+                row: index,
+                product: {
+                    ...(row.product_id ? { id: row.product_id } : {}),
+                    title: row.title,
+                    category: row.category,
+                    price: sheetNumber(row.price),
+                    description: row.description || undefined,
+                    status: row.status || undefined,
+                    display_order: sheetNumber(row.display_order),
+                    sabores: []
+                }
+            });
+        }
+
+        if (row.sabor) {
+            products.get(key).product.sabores.push({
+                name: row.sabor,
+                quantity: sheetNumber(row.quantity),
+                image: row.image || undefined,
+                description: row.sabor_description || undefined,
+                low_stock_threshold: sheetNumber(row.low_stock_threshold) ?? null
+            });
+        }
+    });
+
+    return {
+        categories: [...categories.values()],
+        products: [...products.values()].map(entry => entry.product),
+        rows: [...products.values()].map(entry => entry.row)
+    };
+}
+
+// Produto no formato antigo (colors/sizes) convertido para sabores; null se já estiver no formato novo
+function fromLegacyColors(product) {
+    if (!product || !Array.isArray(product.colors) || Array.isArray(product.sabores)) return null;
+
+    const { colors, ...rest } = product;
+    return {
+        ...rest,
+        sabores: colors.map(color => ({
+            name: color.name || 'Sem nome',
+            image: color.image || '',
+            quantity: color.sizes ? color.sizes.reduce((total, size) => total + (size.stock || 0), 0) : (color.quantity || 0),
+            description: color.description || ''
+        }))
+    };
+}
+
+const productKey = product => `${String(product.title).trim().toLowerCase()}|${String(product.category).trim().toLowerCase()}`;
+
+// Diferenças campo a campo: [{ field, from, to }]
+function fieldChanges(before, after, defaults, prefix = '') {
+    return Object.entries(defaults)
+        .map(([field, empty]) => ({ field: `${prefix}${field}`, from: before[field] ?? empty, to: after[field] ?? empty }))
+        .filter(change => change.from !== change.to);
+}
+
+// Diferenças entre o produto atual e o importado, incluindo sabores incluídos, removidos e alterados
+function productChanges(current, next) {
+    const changes = fieldChanges(current, next, PRODUCT_DIFF_FIELDS);
+
+    // Faixas de horário só entram quando vêm no arquivo (o CSV não tem essa coluna)
+    if (next.availability !== undefined && JSON.stringify(current.availability || null) !== JSON.stringify(next.availability || null)) {
+        changes.push({ field: 'availability', from: current.availability || null, to: next.availability || null });
+    }
+
+    const before = new Map((current.sabores || []).map(sabor => [sabor.name, sabor]));
+    const after = new Map((next.sabores || []).map(sabor => [sabor.name, sabor]));
+
+    const added = [...after.keys()].filter(name => !before.has(name));
+    const removed = [...before.keys()].filter(name => !after.has(name));
+    if (added.length > 0 || removed.length > 0) changes.push({ field: 'sabores', added, removed });
+
+    for (const [name, sabor] of after) {
+        if (!before.has(name)) continue;
+        changes.push(...fieldChanges(before.get(name), sabor, SABOR_DIFF_FIELDS, `sabores[${name}].`));
+    }
+
+    // Só a ordem dos sabores mudou
+    if (changes.length === 0 && [...before.keys()].join('\n') !== [...after.keys()].join('\n')) {
+        changes.push({ field: 'sabores', reordered: true });
+    }
+
+    return changes;
+}
+
+// Planejar a importação do catálogo contra o que está gravado (categorias como no banco, produtos com
+// o saldo atual nos sabores). Produtos casam pelo id e, sem ele, por título + categoria. Categorias
+// citadas pelos produtos e ausentes do arquivo e do banco são criadas com o próprio id como nome;
+// categorias arquivadas que vêm no arquivo voltam a ficar ativas.
+// Retorna o plano com os campos a gravar, erros, avisos e um token que muda se o arquivo ou o catálogo mudar.
+export function planCatalogImport(current, incoming, { mode = 'merge', rows = null } = {}) {
+    const errors = [];
+    const warnings = [];
+    // Erro aponta a linha da planilha (cabeçalho é a linha 1) ou a posição no JSON
+    const field = (index, name) => rows
+        ? `linha ${rows[index] + 2}${name ? `: ${name}` : ''}`
+        : `products[${index}]${name ? `.${name}` : ''}`;
+
+    // Categorias
+    const currentCategories = new Map((current.categories || []).map(category => [category.id, category]));
+    const { value: fileCategories, errors: categoryErrors } = validate(t.array(categorySchema), incoming.categories || []);
+    errors.push(...categoryErrors.map(error => ({ ...error, field: `categories${error.field || ''}` })));
+
+    const categoryPlan = { create: [], update: [], archive: [] };
+    const fileCategoryIds = new Set();
+
+    for (const category of fileCategories || []) {
+        if (fileCategoryIds.has(category.id)) {
+            errors.push({ field: 'categories', code: 'DUPLICATE_CATEGORY', message: `Categoria "${category.id}" repetida no arquivo` });
+            continue;
+        }
+        fileCategoryIds.add(category.id);
+
+        const existing = currentCategories.get(category.id);
+        const fields = { id: category.id, name: category.name, description: category.description ?? existing?.description ?? '' };
+
+        if (!existing) categoryPlan.create.push(category.store_id ? { ...fields, store_id: category.store_id } : fields);
+        else if (existing.archived_at || existing.name !== fields.name || (existing.description || '') !== fields.description) {
+            categoryPlan.update.push({
+                ...fields,
+                ...(existing.archived_at ? { archived_at: null } : {}),
+                from: { name: existing.name, description: existing.description || '', archived: Boolean(existing.archived_at) }
+            });
+        }
+    }
+
+    // Produtos
+    const currentById = new Map((current.products || []).map(product => [String(product.id), product]));
+    const currentByKey = new Map();
+    for (const product of current.products || []) {
+        const key = productKey(product);
+        currentByKey.set(key, currentByKey.has(key) ? null : product);
+    }
+
+    // matched: posição no arquivo -> id do produto do catálogo que ela atualiza ou mantém
+    const productPlan = { create: [], update: [], remove: [], unchanged: 0, matched: [] };
+    const matched = new Set();
+
+    (incoming.products || []).forEach((raw, index) => {
+        const legacy = fromLegacyColors(raw);
+        if (legacy) warnings.push({ field: field(index), code: 'LEGACY_FORMAT', message: `Produto "${raw.title}" no formato antigo (colors/sizes) convertido para sabores` });
+
+        const input = legacy || raw;
+        const { fields, errors: productErrors } = validateProductInput(input);
+
+        if (productErrors.length > 0) {
+            errors.push(...productErrors.map(error => ({ ...error, field: field(index, error.field) })));
+            return;
+        }
+
+        let existing = input?.id !== undefined && input?.id !== null && input?.id !== '' ? currentById.get(String(input.id)) : undefined;
+
+        if (!existing) {
+            const byKey = currentByKey.get(productKey(fields));
+            if (byKey === null) {
+                errors.push({ field: field(index), code: 'AMBIGUOUS_PRODUCT', message: `Há mais de um produto "${fields.title}" em "${fields.category}"; informe o id` });
+                return;
+            }
+            existing = byKey;
+        }
+
+        if (existing && matched.has(String(existing.id))) {
+            errors.push({ field: field(index), code: 'DUPLICATE_PRODUCT', message: `Produto "${fields.title}" aparece mais de uma vez no arquivo` });
+            return;
+        }
+
+        if (!existing) {
+            if (productPlan.create.some(product => productKey(product.fields) === productKey(fields))) {
+                errors.push({ field: field(index), code: 'DUPLICATE_PRODUCT', message: `Produto "${fields.title}" aparece mais de uma vez no arquivo` });
+                return;
+            }
+            productPlan.create.push({ index, title: fields.title, category: fields.category, fields });
+            return;
+        }
+
+        matched.add(String(existing.id));
+        productPlan.matched.push({ index, id: existing.id });
+        const changes = productChanges(existing, fields);
+
+        if (changes.length === 0) productPlan.unchanged++;
+        else productPlan.update.push({ index, id: existing.id, title: fields.title, version: existing.version || 1, changes, fields, before: existing });
+    });
+
+    if (mode === 'replace') {
+        productPlan.remove = (current.products || [])
+            .filter(product => !matched.has(String(product.id)))
+            .map(product => ({ id: product.id, title: product.title, category: product.category, version: product.version || 1 }));
+    }
+
+    // Categorias usadas pelos produtos que ficam: as que faltam são criadas, e no replace só some quem ficou sem uso
+    const remainingProducts = [
+        ...productPlan.create.map(product => product.fields),
+        ...productPlan.update.map(product => product.fields),
+        ...(current.products || []).filter(product => matched.has(String(product.id)) && !productPlan.update.some(update => String(update.id) === String(product.id))),
+        ...(mode === 'replace' ? [] : (current.products || []).filter(product => !matched.has(String(product.id))))
+    ];
+    const usedCategories = new Set(remainingProducts.map(product => product.category));
+
+    for (const id of usedCategories) {
+        if (!fileCategoryIds.has(id) && !currentCategories.has(id)) {
+            categoryPlan.create.push({ id, name: id.charAt(0).toUpperCase() + id.slice(1), description: '' });
+            fileCategoryIds.add(id);
+            warnings.push({ field: 'categories', code: 'CATEGORY_CREATED', message: `Categoria "${id}" não existe e será criada` });
+        }
+    }
+
+    // Produto só entra em categoria ativa (quem já estava numa arquivada pode continuar nela)
+    const restored = new Set(categoryPlan.update.filter(category => category.archived_at === null).map(category => category.id));
+    const effectiveCategories = [
+        ...(current.categories || []).map(category => restored.has(category.id) ? { ...category, archived_at: null } : category),
+        ...categoryPlan.create
+    ];
+    errors.push(...categoryReferenceErrors([
+        ...productPlan.create.map(product => ({ category: product.fields.category, field: field(product.index, 'category') })),
+        ...productPlan.update.map(product => ({ category: product.fields.category, field: field(product.index, 'category'), current: product.before.category }))
+    ], effectiveCategories));
+
+    if (mode === 'replace') {
+        categoryPlan.archive = (current.categories || [])
+            .filter(category => !fileCategoryIds.has(category.id) && !category.archived_at)
+            .filter(category => {
+                if (!usedCategories.has(category.id)) return true;
+                warnings.push({ field: 'categories', code: 'CATEGORY_KEPT', message: `Categoria "${category.id}" não está no arquivo, mas ainda tem produtos` });
+                return false;
+            })
+            .map(category => ({ id: category.id, name: category.name }));
+    }
+
+    const plan = { mode, categories: categoryPlan, products: productPlan, errors, warnings };
+    plan.token = planToken(plan);
+    return plan;
+}
+
+// Token do plano: o mesmo arquivo contra o mesmo catálogo gera sempre o mesmo token
+function planToken(plan) {
+    const fingerprint = JSON.stringify({
+        mode: plan.mode,
+        categories: plan.categories,
+        create: plan.products.create.map(product => product.fields),
+        update: plan.products.update.map(product => ({ id: product.id, version: product.version, fields: product.fields })),
+        remove: plan.products.remove
+    });
+    return crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 32);
+}
+
+// Relatório do plano para resposta (sem os campos completos a gravar)
+export function catalogImportReport(plan) {
+    const { categories, products } = plan;
+
+    return {
+        mode: plan.mode,
+        valid: plan.errors.length === 0,
+        confirmToken: plan.errors.length === 0 ? plan.token : null,
+        summary: {
+            categories: { create: categories.create.length, update: categories.update.length, archive: categories.archive.length },
+            products: {
+                create: products.create.length,
+                update: products.update.length,
+                remove: products.remove.length,
+                unchanged: products.unchanged
+            }
+        },
+        categories,
+        products: {
+            create: products.create.map(({ title, category, fields }) => ({ title, category, price: fields.price, sabores: fields.sabores.length })),
+            update: products.update.map(({ id, title, changes }) => ({ id, title, changes })),
+            remove: products.remove.map(({ id, title, category }) => ({ id, title, category }))
+        },
+        errors: plan.errors,
+        warnings: plan.warnings
+    };
+}
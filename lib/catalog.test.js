@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "./csv.js";
+import { balanceMap } from "./inventory.js";
+import {
+    exportCatalog, catalogCsvRows, catalogFromCsv, planCatalogImport, catalogImportReport, CATALOG_CSV_COLUMNS
+} from "./catalog.js";
+
+const current = {
+    categories: [
+        { id: 'cerveja', name: 'Cervejas', description: '' },
+        { id: 'petisco', name: 'Petiscos', description: '' },
+        { id: 'antiga', name: 'Antiga', description: '', archived_at: '2026-01-01T00:00:00Z' }
+    ],
+    products: [
+        { id: 1, title: 'Heineken', category: 'cerveja', price: 12, version: 3, sabores: [{ name: 'Long Neck', quantity: 10 }] },
+        { id: 2, title: 'Batata', category: 'petisco', price: 25, version: 1, sabores: [] }
+    ]
+};
+
+const incoming = {
+    products: [
+        { title: 'heineken', category: 'cerveja', price: 13, sabores: [{ name: 'Long Neck', quantity: 10 }, { name: 'Lata', quantity: 6 }] },
+        { title: 'Pastel', category: 'salgado', price: 8, sabores: [] }
+    ]
+};
+
+test('exportação leva as categorias ativas e o saldo do livro nos sabores', () => {
+    const catalog = exportCatalog(current.categories, current.products, balanceMap([{ product_id: 1, sabor: 'Long Neck', balance: 4 }]));
+
+    assert.deepEqual(catalog.categories.map(category => category.id), ['cerveja', 'petisco']);
+    assert.deepEqual(catalog.products[0].sabores, [{ name: 'Long Neck', quantity: 4, image: '', description: '', low_stock_threshold: null }]);
+    assert.equal(catalog.products[1].status, 'active');
+});
+
+test('CSV exportado volta na importação sem mudanças', () => {
+    const catalog = exportCatalog(current.categories, current.products);
+    const rows = parseCsv(toCsv(catalogCsvRows(catalog), CATALOG_CSV_COLUMNS));
+
+    // Produto sem sabores ocupa uma linha com o sabor vazio
+    assert.deepEqual(rows.map(row => [row.product_id, row.sabor]), [['1', 'Long Neck'], ['2', '']]);
+
+    const fromCsv = catalogFromCsv(rows);
+    assert.deepEqual(fromCsv.categories.map(category => [category.id, category.name]), [['cerveja', 'Cervejas'], ['petisco', 'Petiscos']]);
+    assert.deepEqual(fromCsv.rows, [0, 1]);
+
+    const plan = planCatalogImport(current, fromCsv, { rows: fromCsv.rows });
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(catalogImportReport(plan).summary.products, { create: 0, update: 0, remove: 0, unchanged: 2 });
+});
+
+test('planilha agrupa os sabores por produto e aceita vírgula decimal', () => {
+    const { products } = catalogFromCsv(parseCsv([
+        'title;category;price;sabor;quantity',
+        'Caipirinha;drinks;18,50;Limão;10',
+        'caipirinha;DRINKS;99;Morango;4',
+        'Água;drinks;4;;'
+    ].join('\n')));
+
+    assert.deepEqual(products.map(product => [product.title, product.price, product.sabores.map(sabor => sabor.name)]),
+        [['Caipirinha', '18.50', ['Limão', 'Morango']], ['Água', '4', []]]);
+});
+
+test('merge atualiza pelo título e categoria, cria o que falta e mostra o diff', () => {
+    const plan = planCatalogImport(current, incoming);
+    const report = catalogImportReport(plan);
+
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(report.summary, {
+        categories: { create: 1, update: 0, archive: 0 },
+        products: { create: 1, update: 1, remove: 0, unchanged: 0 }
+    });
+    assert.deepEqual(report.products.update, [{
+        id: 1,
+        title: 'heineken',
+        changes: [{ field: 'title', from: 'Heineken', to: 'heineken' }, { field: 'price', from: 12, to: 13 }, { field: 'sabores', added: ['Lata'], removed: [] }]
+    }]);
+    assert.equal(plan.products.update[0].version, 3);
+    assert.deepEqual(plan.warnings.map(warning => warning.code), ['CATEGORY_CREATED']);
+
+    // O mesmo arquivo contra o mesmo catálogo dá o mesmo token; o catálogo mudou, o token muda
+    assert.equal(planCatalogImport(current, incoming).token, plan.token);
+    const changed = { ...current, products: [{ ...current.products[0], version: 4 }, current.products[1]] };
+    assert.notEqual(planCatalogImport(changed, incoming).token, plan.token);
+});
+
+test('replace remove os produtos fora do arquivo e arquiva as categorias sem uso', () => {
+    const plan = planCatalogImport(current, incoming, { mode: 'replace' });
+
+    assert.deepEqual(plan.products.remove, [{ id: 2, title: 'Batata', category: 'petisco', version: 1 }]);
+    assert.deepEqual(plan.categories.archive, [{ id: 'petisco', name: 'Petiscos' }]);
+});
+
+test('erros apontam a linha da planilha ou a posição no JSON', () => {
+    const plan = planCatalogImport(current, {
+        products: [
+            { title: 'Suco', category: 'bebida', price: -1 },
+            { id: 1, title: 'Heineken', category: 'cerveja', price: 12 },
+            { title: 'Heineken', category: 'cerveja', price: 12 },
+            { title: 'Velha', category: 'antiga', price: 5 }
+        ]
+    });
+    assert.deepEqual(plan.errors.map(error => [error.field, error.code]), [
+        ['products[0].price', 'too_small'],
+        ['products[2]', 'DUPLICATE_PRODUCT'],
+        ['products[3].category', 'CATEGORY_ARCHIVED']
+    ]);
+    assert.equal(catalogImportReport(plan).confirmToken, null);
+
+    const fromCsv = { products: [{ title: 'Suco', category: 'cerveja', price: 'caro' }], rows: [4] };
+    assert.deepEqual(planCatalogImport(current, fromCsv, { rows: fromCsv.rows }).errors.map(error => error.field), ['linha 6: price']);
+});
+
+test('produto no formato antigo (colors/sizes) vira sabores com aviso', () => {
+    const plan = planCatalogImport(current, {
+        products: [{ title: 'Camiseta', category: 'cerveja', price: 50, colors: [{ name: 'Preta', sizes: [{ stock: 2 }, { stock: 3 }] }] }]
+    });
+
+    assert.deepEqual(plan.products.create[0].fields.sabores.map(sabor => [sabor.name, sabor.quantity]), [['Preta', 5]]);
+    assert.deepEqual(plan.warnings.map(warning => warning.code), ['LEGACY_FORMAT']);
+});
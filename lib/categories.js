@@ -0,0 +1,36 @@
+// Erros de produtos que apontam para categoria inexistente ou arquivada.
+// entries: [{ category, field, current }]; "current" é a categoria que o produto já tinha
+// (ele pode continuar em uma categoria arquivada, só não pode entrar em uma).
+export function categoryReferenceErrors(entries, categories) {
+    const byId = new Map((categories || []).map(category => [category.id, category]));
+
+    return entries.flatMap(({ category, field, current = null }) => {
+        const found = byId.get(category);
+
+        if (!found) {
+            return [{ field, code: 'CATEGORY_NOT_FOUND', message: `Categoria "${category}" não existe` }];
+        }
+        if (found.archived_at && category !== current) {
+            return [{ field, code: 'CATEGORY_ARCHIVED', message: `Categoria "${found.name}" está arquivada` }];
+        }
+        return [];
+    });
+}
+
+// Nova ordem das categorias: as informadas primeiro, na ordem pedida, e as demais depois, na ordem atual.
+// Retorna { ids, errors }
+export function reorderedIds(categories, requested) {
+    const known = new Set(categories.map(category => category.id));
+    const errors = [];
+
+    requested.forEach((id, index) => {
+        if (!known.has(id)) {
+            errors.push({ field: `ids[${index}]`, code: 'CATEGORY_NOT_FOUND', message: `Categoria "${id}" não existe` });
+        } else if (requested.indexOf(id) !== index) {
+            errors.push({ field: `ids[${index}]`, code: 'duplicate', message: `Categoria "${id}" repetida` });
+        }
+    });
+
+    const listed = new Set(requested);
+    return { ids: [...requested, ...categories.map(category => category.id).filter(id => !listed.has(id))], errors };
+}
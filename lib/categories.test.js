@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { categoryReferenceErrors, reorderedIds } from "./categories.js";
+
+const categories = [
+    { id: 'cerveja', name: 'Cervejas' },
+    { id: 'petisco', name: 'Petiscos' },
+    { id: 'antiga', name: 'Antiga', archived_at: '2026-01-01T00:00:00Z' }
+];
+
+test('produto só entra em categoria que existe e está ativa', () => {
+    assert.deepEqual(categoryReferenceErrors([
+        { category: 'cerveja', field: 'a' },
+        { category: 'vinho', field: 'b' },
+        { category: 'antiga', field: 'c' }
+    ], categories).map(error => [error.field, error.code]), [['b', 'CATEGORY_NOT_FOUND'], ['c', 'CATEGORY_ARCHIVED']]);
+});
+
+test('quem já estava na categoria arquivada pode continuar nela', () => {
+    assert.deepEqual(categoryReferenceErrors([{ category: 'antiga', field: 'category', current: 'antiga' }], categories), []);
+    assert.equal(categoryReferenceErrors([{ category: 'antiga', field: 'category', current: 'cerveja' }], categories)[0].message,
+        'Categoria "Antiga" está arquivada');
+});
+
+test('reordenar põe as informadas no topo e mantém a ordem das demais', () => {
+    assert.deepEqual(reorderedIds(categories, ['antiga']), { ids: ['antiga', 'cerveja', 'petisco'], errors: [] });
+    assert.deepEqual(reorderedIds(categories, ['petisco', 'cerveja']).ids, ['petisco', 'cerveja', 'antiga']);
+});
+
+test('reordenar recusa categoria desconhecida ou repetida', () => {
+    assert.deepEqual(reorderedIds(categories, ['cerveja', 'vinho', 'cerveja']).errors.map(error => [error.field, error.code]),
+        [['ids[1]', 'CATEGORY_NOT_FOUND'], ['ids[2]', 'duplicate']]);
+});
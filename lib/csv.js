@@ -0,0 +1,66 @@
+// Escapar um valor para CSV (RFC 4180)
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Gerar CSV a partir de uma lista de objetos e das colunas desejadas
+export function toCsv(rows, columns) {
+    const header = columns.map(column => escapeCsvValue(column.label || column.key)).join(',');
+    const body = rows.map(row => columns
+        .map(column => escapeCsvValue(typeof column.value === 'function' ? column.value(row) : row[column.key]))
+        .join(','));
+    return [header, ...body].join('\r\n') + '\r\n';
+}
+
+// Ler CSV (RFC 4180) em uma lista de objetos pelas colunas do cabeçalho.
+// Aceita BOM, CRLF e o ponto e vírgula das planilhas em português (detectado no cabeçalho).
+export function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let value = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+
+        if (quoted) {
+            if (char === '"' && source[index + 1] === '"') {
+                value += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[index + 1] === '\n') index++;
+            record.push(value);
+            records.push(record);
+            record = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== '' || record.length > 0) {
+        record.push(value);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter(row => row.some(cell => cell.trim() !== ''));
+    const keys = header.map(key => key.trim());
+
+    return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()])));
+}
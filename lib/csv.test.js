@@ -0,0 +1,24 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, parseCsv } from "./csv.js";
+
+test('valores com vírgula, aspas e quebra de linha vão entre aspas e voltam iguais', () => {
+    const rows = [{ name: 'Batata, média', note: 'a "especial"\ncom cheddar', price: 25 }, { name: 'Suco', note: null, price: 8 }];
+    const csv = toCsv(rows, [{ key: 'name', label: 'Nome' }, { key: 'note' }, { key: 'price', value: row => row.price.toFixed(2) }]);
+
+    assert.equal(csv, 'Nome,note,price\r\n"Batata, média","a ""especial""\ncom cheddar",25.00\r\nSuco,,8.00\r\n');
+    assert.deepEqual(parseCsv(csv), [
+        { Nome: 'Batata, média', note: 'a "especial"\ncom cheddar', price: '25.00' },
+        { Nome: 'Suco', note: '', price: '8.00' }
+    ]);
+});
+
+test('planilha em português: BOM, ponto e vírgula e linhas em branco', () => {
+    const text = '﻿title;price\n\nBatata;25,50\r\n ; \nSuco;8\n';
+    assert.deepEqual(parseCsv(text), [{ title: 'Batata', price: '25,50' }, { title: 'Suco', price: '8' }]);
+});
+
+test('linha curta fica com as colunas que faltam vazias', () => {
+    assert.deepEqual(parseCsv('a,b,c\n1,2'), [{ a: '1', b: '2', c: '' }]);
+    assert.deepEqual(parseCsv(''), []);
+});
@@ -0,0 +1,118 @@
+import { roundMoney } from "./pricing.js";
+
+// DDD usado quando o cliente informa só o número local (ex.: "98765-4321")
+export const DEFAULT_PHONE_DDD = /^[1-9]{2}$/.test(process.env.DEFAULT_PHONE_DDD || '') ? process.env.DEFAULT_PHONE_DDD : null;
+
+// Programa de pontos: pontos ganhos por real gasto e valor em reais de cada ponto no resgate
+export const LOYALTY_POINTS_PER_REAL = parseFloat(process.env.LOYALTY_POINTS_PER_REAL) || 1;
+export const LOYALTY_POINT_VALUE = parseFloat(process.env.LOYALTY_POINT_VALUE) || 0.05;
+
+// Tipos de lançamento de pontos
+export const LOYALTY_TYPES = ['earn', 'redeem', 'refund', 'cancel', 'merge'];
+
+// Status em que o pedido foi entregue e passa a render pontos
+export const LOYALTY_EARNING_STATUSES = ['delivered', 'picked_up'];
+
+// Normalizar telefone brasileiro para +55DDNNNNNNNNN.
+// Aceita máscara, +55, 0055, zero de DDD e número sem DDD (usa DEFAULT_PHONE_DDD).
+// Celular antigo de 8 dígitos ganha o 9 na frente. Retorna null se não der para entender.
+export function normalizePhone(raw, defaultDdd = DEFAULT_PHONE_DDD) {
+    if (raw === null || raw === undefined) return null;
+
+    let digits = String(raw).replace(/\D/g, '');
+    const international = String(raw).trim().startsWith('+') || digits.startsWith('00');
+
+    digits = digits.replace(/^0+/, '');
+
+    if ((international || digits.length >= 12) && digits.startsWith('55')) {
+        digits = digits.slice(2);
+    } else if (international) {
+        return null;
+    }
+
+    if (digits.length === 8 || digits.length === 9) {
+        if (!defaultDdd) return null;
+        digits = `${defaultDdd}${digits}`;
+    }
+
+    const ddd = digits.slice(0, 2);
+    let local = digits.slice(2);
+
+    if (!/^[1-9]{2}$/.test(ddd)) return null;
+
+    if (local.length === 8 && /^[6-9]/.test(local)) local = `9${local}`;
+
+    if (local.length === 9 && local.startsWith('9')) return `+55${ddd}${local}`;
+    if (local.length === 8 && /^[2-5]/.test(local)) return `+55${ddd}${local}`;
+
+    return null;
+}
+
+// Telefone normalizado no formato de exibição: (11) 98765-4321
+export function formatPhone(phone) {
+    const match = /^\+55(\d{2})(\d{4,5})(\d{4})$/.exec(phone || '');
+    return match ? `(${match[1]}) ${match[2]}-${match[3]}` : phone || null;
+}
+
+// Pontos ganhos por um valor gasto
+export function pointsFor(amount) {
+    return Math.max(0, Math.floor(roundMoney(amount) * LOYALTY_POINTS_PER_REAL));
+}
+
+// Resgate de pontos em um pedido: o desconto nunca passa do total e
+// só são debitados os pontos necessários para cobri-lo
+export function redemption(points, total) {
+    if (!points || points <= 0 || total <= 0) return { points: 0, discount: 0 };
+
+    const discount = roundMoney(Math.min(points * LOYALTY_POINT_VALUE, total));
+    return { points: Math.min(points, Math.ceil(roundMoney(discount / LOYALTY_POINT_VALUE))), discount };
+}
+
+// Pedidos, gasto total (líquido de estornos e cancelamentos) e datas do primeiro e último pedido
+export function customerStats(orders) {
+    const stats = { orderCount: 0, lifetimeSpend: 0, firstOrderAt: null, lastOrderAt: null };
+
+    for (const order of orders || []) {
+        const createdAt = order.created_at;
+        if (!stats.firstOrderAt || createdAt < stats.firstOrderAt) stats.firstOrderAt = createdAt;
+        if (!stats.lastOrderAt || createdAt > stats.lastOrderAt) stats.lastOrderAt = createdAt;
+
+        if (order.status === 'cancelled') continue;
+
+        stats.orderCount += 1;
+        stats.lifetimeSpend += (parseFloat(order.total) || 0) - (parseFloat(order.refunded_amount) || 0);
+    }
+
+    stats.lifetimeSpend = roundMoney(stats.lifetimeSpend);
+    return stats;
+}
+
+// Formatar cliente para resposta (stats opcionais, do perfil)
+export function normalizeCustomer(row, stats = null) {
+    return {
+        id: row.id,
+        phone: row.phone,
+        formattedPhone: formatPhone(row.phone),
+        name: row.name || null,
+        points: row.points || 0,
+        pointsValue: roundMoney((row.points || 0) * LOYALTY_POINT_VALUE),
+        mergedInto: row.merged_into ?? null,
+        createdAt: row.created_at,
+        ...(stats || {})
+    };
+}
+
+// Formatar lançamento de pontos para resposta
+export function normalizeLoyaltyTransaction(row) {
+    return {
+        id: row.id,
+        customerId: row.customer_id,
+        orderId: row.order_id ?? null,
+        type: row.type,
+        points: row.points,
+        balance: row.balance,
+        note: row.note || null,
+        adminUserId: row.admin_user_id ?? null,
+        createdAt: row.created_at
+    };
+}
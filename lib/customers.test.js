@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { roundMoney } from "./pricing.js";
+import { normalizePhone, formatPhone, redemption, customerStats, LOYALTY_POINT_VALUE } from "./customers.js";
+
+test('telefone com máscara, +55, 0055 ou zero do DDD vira o mesmo número', () => {
+    for (const raw of ['(11) 98765-4321', '+55 11 98765-4321', '0055 11 98765 4321', '011987654321', '5511987654321']) {
+        assert.equal(normalizePhone(raw), '+5511987654321', raw);
+    }
+});
+
+test('celular antigo ganha o 9 e fixo fica com 8 dígitos', () => {
+    assert.equal(normalizePhone('11 8765-4321'), '+5511987654321');
+    assert.equal(normalizePhone('(21) 3333-4444'), '+552133334444');
+});
+
+test('número sem DDD usa o DDD padrão; sem padrão, não dá para entender', () => {
+    assert.equal(normalizePhone('98765-4321', '31'), '+5531987654321');
+    assert.equal(normalizePhone('98765-4321', null), null);
+});
+
+test('telefone estrangeiro, DDD inválido ou número curto vira null', () => {
+    assert.equal(normalizePhone('+1 415 555 0100'), null);
+    assert.equal(normalizePhone('(10) 98765-4321'), null);
+    assert.equal(normalizePhone('1234'), null);
+    assert.equal(normalizePhone(null), null);
+});
+
+test('telefone formatado para exibição', () => {
+    assert.equal(formatPhone('+5511987654321'), '(11) 98765-4321');
+    assert.equal(formatPhone('+552133334444'), '(21) 3333-4444');
+    assert.equal(formatPhone(null), null);
+});
+
+test('resgate não passa do total e debita só os pontos necessários', () => {
+    assert.deepEqual(redemption(0, 50), { points: 0, discount: 0 });
+    assert.deepEqual(redemption(100, 50), { points: 100, discount: roundMoney(100 * LOYALTY_POINT_VALUE) });
+
+    const capped = redemption(1_000_000, 12);
+    assert.equal(capped.discount, 12);
+    assert.equal(capped.points, Math.ceil(12 / LOYALTY_POINT_VALUE));
+});
+
+test('gasto do cliente desconta estornos e ignora cancelados', () => {
+    assert.deepEqual(customerStats([
+        { created_at: '2026-10-10T20:00:00Z', status: 'delivered', total: '50', refunded_amount: '10' },
+        { created_at: '2026-10-01T20:00:00Z', status: 'cancelled', total: '30' },
+        { created_at: '2026-10-15T20:00:00Z', status: 'pending', total: 25.5 }
+    ]), {
+        orderCount: 2,
+        lifetimeSpend: 65.5,
+        firstOrderAt: '2026-10-01T20:00:00Z',
+        lastOrderAt: '2026-10-15T20:00:00Z'
+    });
+});
@@ -0,0 +1,147 @@
+import { t, validate } from "./schema.js";
+import { roundMoney } from "./pricing.js";
+
+// Tipos de pedido: consumo no bar, retirada no balcão e entrega
+export const ORDER_TYPES = ['dine_in', 'pickup', 'delivery'];
+
+// Nome do tipo de pedido nos cupons impressos
+export const ORDER_TYPE_LABELS = { dine_in: 'Consumo no local', pickup: 'Retirada', delivery: 'Entrega' };
+
+// Chave, nas configurações, dos tempos de preparo e de entrega; cada loja tem a sua (storeSettingsKey)
+export const DELIVERY_SETTINGS_KEY = 'delivery';
+
+// CEP só com os 8 dígitos (ou null se não for um CEP)
+export function normalizeCep(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    return digits.length === 8 ? digits : null;
+}
+
+// Bairro para comparação: sem acentos, minúsculo e com espaços simples
+export function normalizeNeighborhood(value) {
+    return String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Endereço de entrega
+export const deliveryAddressSchema = t.object({
+    street: t.string({ min: 1, max: 120 }),
+    number: t.string({ min: 1, max: 20 }),
+    complement: t.string({ max: 80 }).optional(),
+    neighborhood: t.string({ min: 1, max: 80 }),
+    city: t.string({ max: 80 }).optional(),
+    cep: t.string({ max: 9 }).optional().refine(value => !value || normalizeCep(value) !== null, "CEP deve ter 8 dígitos", 'invalid_format'),
+    reference: t.string({ max: 200 }).optional()
+});
+
+// Zona atende algum lugar? (ao menos um bairro ou prefixo de CEP; conferido também depois de um PATCH)
+export const zoneHasArea = zone => zone.neighborhoods.length > 0 || zone.cepPrefixes.length > 0;
+
+// Zona de entrega: atende os bairros e os CEPs que começam com um dos prefixos
+export const deliveryZoneSchema = t.object({
+    name: t.string({ min: 1, max: 80 }),
+    neighborhoods: t.array(t.string({ min: 1, max: 80 }), { max: 200 }).default(() => []),
+    cepPrefixes: t.array(t.string({ min: 1, max: 8, pattern: /^\d+$/, format: "Prefixo de CEP só com dígitos" }), { max: 200 }).default(() => []),
+    fee: t.number({ min: 0, coerce: true }),
+    minOrder: t.number({ min: 0, coerce: true }).default(0),
+    // Tempo de entrega depois que o pedido fica pronto
+    deliveryMinutes: t.integer({ min: 0, max: 600, coerce: true }).default(30),
+    active: t.boolean({ coerce: true }).default(true)
+}).refine(zoneHasArea, "Informe ao menos um bairro ou prefixo de CEP", 'required');
+
+// Tempos usados na previsão: preparo base mais um acréscimo por pedido na fila da cozinha
+export const deliverySettingsSchema = t.object({
+    prepMinutes: t.integer({ min: 0, max: 600, coerce: true }).default(20),
+    queueMinutesPerOrder: t.integer({ min: 0, max: 60, coerce: true }).default(2),
+    pickupEnabled: t.boolean({ coerce: true }).default(true),
+    deliveryEnabled: t.boolean({ coerce: true }).default(true)
+});
+
+// Configuração gravada com os padrões no que faltar (ou só os padrões, se nunca foi gravada)
+export function deliverySettings(saved) {
+    return validate(deliverySettingsSchema, saved || {}).value || validate(deliverySettingsSchema, {}).value;
+}
+
+// Endereço numa linha: "Rua X, 10 - apto 2 - Centro - Cidade - CEP 01310-100"
+export function formatAddress(address) {
+    if (!address) return '';
+    const cep = normalizeCep(address.cep);
+    return [
+        [address.street, address.number].filter(Boolean).join(', '),
+        address.complement,
+        address.neighborhood,
+        address.city,
+        cep ? `CEP ${cep.slice(0, 5)}-${cep.slice(5)}` : null
+    ].filter(Boolean).join(' - ');
+}
+
+// Campos da zona como o admin envia -> colunas do banco
+export function zoneRow(zone) {
+    return {
+        name: zone.name,
+        neighborhoods: zone.neighborhoods,
+        cep_prefixes: zone.cepPrefixes,
+        fee: roundMoney(zone.fee),
+        min_order: roundMoney(zone.minOrder),
+        delivery_minutes: zone.deliveryMinutes,
+        active: zone.active
+    };
+}
+
+// Zona que atende o endereço: o prefixo de CEP mais longo ganha; sem CEP que bata, vale o bairro.
+// Zonas inativas não atendem. Retorna null se nenhuma atende.
+export function matchZone(zones, address) {
+    const active = (zones || []).filter(zone => zone.active !== false);
+    const cep = normalizeCep(address?.cep);
+
+    if (cep) {
+        let best = null;
+        let bestLength = 0;
+        for (const zone of active) {
+            for (const prefix of zone.cep_prefixes || []) {
+                if (cep.startsWith(prefix) && prefix.length > bestLength) {
+                    best = zone;
+                    bestLength = prefix.length;
+                }
+            }
+        }
+        if (best) return best;
+    }
+
+    const neighborhood = normalizeNeighborhood(address?.neighborhood);
+    if (!neighborhood) return null;
+    return active.find(zone => (zone.neighborhoods || []).some(name => normalizeNeighborhood(name) === neighborhood)) || null;
+}
+
+// Previsão de pronto (e de entrega, para delivery) a partir de agora e dos pedidos já na fila
+export function estimateTimes({ orderType, zone = null, settings, queued = 0, now = new Date() }) {
+    const prepMinutes = settings.prepMinutes + queued * settings.queueMinutesPerOrder;
+    const readyAt = new Date(now.getTime() + prepMinutes * 60 * 1000);
+    const deliveryAt = orderType === 'delivery'
+        ? new Date(readyAt.getTime() + (Number(zone?.delivery_minutes) || 0) * 60 * 1000)
+        : null;
+
+    return {
+        estimatedReadyAt: readyAt.toISOString(),
+        estimatedDeliveryAt: deliveryAt ? deliveryAt.toISOString() : null
+    };
+}
+
+// Formatar zona de entrega para resposta
+export function normalizeDeliveryZone(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        neighborhoods: row.neighborhoods || [],
+        cepPrefixes: row.cep_prefixes || [],
+        fee: Number(row.fee) || 0,
+        minOrder: Number(row.min_order) || 0,
+        deliveryMinutes: row.delivery_minutes ?? 0,
+        active: row.active !== false,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || null
+    };
+}
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "./schema.js";
+import {
+    normalizeCep, normalizeNeighborhood, deliveryZoneSchema, deliverySettings, formatAddress, matchZone, estimateTimes, ORDER_TYPE_LABELS
+} from "./delivery.js";
+
+// Zonas como vêm do banco
+const zones = [
+    { id: 1, name: 'Centro', neighborhoods: ['Centro', 'São Bento'], cep_prefixes: ['013'], fee: 5, delivery_minutes: 20 },
+    { id: 2, name: 'Paulista', neighborhoods: [], cep_prefixes: ['01310'], fee: 8, delivery_minutes: 30 },
+    { id: 3, name: 'Fechada', neighborhoods: ['Vila Nova'], cep_prefixes: [], fee: 3, active: false }
+];
+
+test('CEP só com 8 dígitos; bairro comparado sem acento nem caixa', () => {
+    assert.equal(normalizeCep('01310-100'), '01310100');
+    assert.equal(normalizeCep('1310-100'), null);
+    assert.equal(normalizeNeighborhood('  SÃO   bento '), 'sao bento');
+});
+
+test('prefixo de CEP mais longo ganha; sem CEP que bata, vale o bairro', () => {
+    assert.equal(matchZone(zones, { cep: '01310-100', neighborhood: 'Centro' }).name, 'Paulista');
+    assert.equal(matchZone(zones, { cep: '01302-000' }).name, 'Centro');
+    assert.equal(matchZone(zones, { cep: '04000-000', neighborhood: 'sao bento' }).name, 'Centro');
+});
+
+test('zona inativa ou endereço de fora não são atendidos', () => {
+    assert.equal(matchZone(zones, { neighborhood: 'Vila Nova' }), null);
+    assert.equal(matchZone(zones, { cep: '04000-000' }), null);
+    assert.equal(matchZone(null, { neighborhood: 'Centro' }), null);
+});
+
+test('zona precisa atender ao menos um bairro ou prefixo de CEP', () => {
+    const empty = validate(deliveryZoneSchema, { name: 'Vazia', fee: 5 });
+    assert.deepEqual(empty.errors.map(error => error.code), ['required']);
+
+    const zone = validate(deliveryZoneSchema, { name: 'Centro', neighborhoods: ['Centro'], fee: '5' }).value;
+    assert.deepEqual([zone.fee, zone.minOrder, zone.deliveryMinutes, zone.active], [5, 0, 30, true]);
+});
+
+test('previsão soma a fila da cozinha e, na entrega, o tempo da zona', () => {
+    const settings = deliverySettings({ prepMinutes: 15, queueMinutesPerOrder: 5 });
+    const now = new Date('2026-10-17T23:00:00Z');
+
+    assert.deepEqual(estimateTimes({ orderType: 'delivery', zone: zones[0], settings, queued: 2, now }), {
+        estimatedReadyAt: '2026-10-17T23:25:00.000Z',
+        estimatedDeliveryAt: '2026-10-17T23:45:00.000Z'
+    });
+    assert.equal(estimateTimes({ orderType: 'pickup', settings, now }).estimatedDeliveryAt, null);
+});
+
+test('configuração sem gravar usa os padrões', () => {
+    assert.deepEqual(deliverySettings(null), { prepMinutes: 20, queueMinutesPerOrder: 2, pickupEnabled: true, deliveryEnabled: true });
+    assert.equal(deliverySettings({ prepMinutes: -1 }).prepMinutes, 20);
+});
+
+test('endereço numa linha e nome do tipo de pedido', () => {
+    assert.equal(formatAddress({ street: 'Rua Augusta', number: '10', complement: 'apto 2', neighborhood: 'Centro', cep: '01310100' }),
+        'Rua Augusta, 10 - apto 2 - Centro - CEP 01310-100');
+    assert.equal(formatAddress(null), '');
+    assert.equal(ORDER_TYPE_LABELS.delivery, 'Entrega');
+});
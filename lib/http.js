@@ -0,0 +1,53 @@
+import { validate } from "./schema.js";
+
+// Respostas de erro seguem sempre o formato { error, code, details? }:
+// "error" é a mensagem para exibir, "code" é estável para o front tratar
+// (ex.: VALIDATION_ERROR, UNAUTHORIZED, ORDER_NOT_FOUND, OUT_OF_STOCK, INTERNAL_ERROR)
+// e "details" lista os problemas por campo ({ field, code, message }).
+export function sendError(res, status, code, message, extra = {}) {
+    return res.status(status).json({ error: message, code, ...extra });
+}
+
+// Erros de validação por campo
+export function sendValidationError(res, details, message = "Dados inválidos") {
+    return sendError(res, 400, 'VALIDATION_ERROR', message, { details });
+}
+
+// Middleware: valida req[source] com o schema e troca pelo valor limpo
+function validateRequest(schema, source, message) {
+    return (req, res, next) => {
+        const { value, errors } = validate(schema, req[source] ?? {});
+
+        if (errors.length > 0) {
+            return sendValidationError(res, errors, message);
+        }
+
+        req[source] = value;
+        next();
+    };
+}
+
+export function validateBody(schema, message) {
+    return validateRequest(schema, 'body', message);
+}
+
+export function validateQuery(schema, message) {
+    return validateRequest(schema, 'query', message);
+}
+
+// Último middleware: JSON malformado, corpo grande demais e erros não tratados.
+// Detalhes internos (mensagens do banco, stack) ficam só no log.
+export function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', "Corpo da requisição não é um JSON válido");
+    }
+
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', "Corpo da requisição grande demais");
+    }
+
+    console.error(`❌ Erro não tratado em ${req.method} ${req.path}:`, error);
+    sendError(res, 500, 'INTERNAL_ERROR', "Erro interno do servidor");
+}
@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import sharp from "sharp";
+
+// Formatos aceitos no upload (o tipo vem do conteúdo do arquivo, não do nome nem do cabeçalho)
+export const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+// Tamanho máximo do arquivo enviado (MAX_IMAGE_MB, padrão 5 MB)
+export const MAX_IMAGE_BYTES = (parseFloat(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024;
+
+// Lado maior da miniatura, em pixels
+export const THUMBNAIL_SIZE = 320;
+
+// Reconhecer o formato pelos primeiros bytes do arquivo; null se não for um dos aceitos
+export function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+
+    return null;
+}
+
+// Chave da miniatura de uma imagem: images/abc.jpg -> images/abc-thumb.webp
+export function thumbnailKeyFor(key) {
+    return key.replace(/\.[^./]+$/, '') + '-thumb.webp';
+}
+
+// Preparar o upload: confere que a imagem abre, gera a miniatura e escolhe as chaves.
+// Retorna { key, thumbnailKey, thumbnail, width, height }; lança erro se o arquivo estiver corrompido.
+export async function prepareImage(buffer, contentType) {
+    const metadata = await sharp(buffer).metadata();
+
+    const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    const key = `images/${crypto.randomUUID()}.${IMAGE_TYPES[contentType]}`;
+
+    return { key, thumbnailKey: thumbnailKeyFor(key), thumbnail, width: metadata.width, height: metadata.height };
+}
+
+// URLs de imagem usadas por um produto (sabores)
+export function productImageUrls(product) {
+    return (Array.isArray(product?.sabores) ? product.sabores : [])
+        .map(sabor => sabor.image)
+        .filter(Boolean);
+}
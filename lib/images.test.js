@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { detectImageType, thumbnailKeyFor, prepareImage, productImageUrls, THUMBNAIL_SIZE } from "./images.js";
+
+const picture = (format, width = 800, height = 400) =>
+    sharp({ create: { width, height, channels: 3, background: '#c0392b' } })[format]().toBuffer();
+
+test('formato vem dos primeiros bytes, não do nome do arquivo', async () => {
+    assert.equal(detectImageType(await picture('jpeg')), 'image/jpeg');
+    assert.equal(detectImageType(await picture('png')), 'image/png');
+    assert.equal(detectImageType(await picture('webp')), 'image/webp');
+
+    assert.equal(detectImageType(Buffer.from('GIF89a-não-aceito')), null);
+    assert.equal(detectImageType(Buffer.from([0xff, 0xd8])), null);
+    assert.equal(detectImageType(null), null);
+});
+
+test('miniatura em webp com o lado maior no limite, sem ampliar imagem pequena', async () => {
+    const image = await prepareImage(await picture('png'), 'image/png');
+
+    assert.match(image.key, /^images\/[0-9a-f-]{36}\.png$/);
+    assert.equal(image.thumbnailKey, image.key.replace('.png', '-thumb.webp'));
+    assert.deepEqual([image.width, image.height], [800, 400]);
+    const thumbnail = await sharp(image.thumbnail).metadata();
+    assert.deepEqual([thumbnail.format, thumbnail.width, thumbnail.height], ['webp', THUMBNAIL_SIZE, THUMBNAIL_SIZE / 2]);
+
+    const small = await prepareImage(await picture('jpeg', 100, 60), 'image/jpeg');
+    assert.deepEqual([(await sharp(small.thumbnail).metadata()).width, small.key.endsWith('.jpg')], [100, true]);
+});
+
+test('arquivo corrompido não vira imagem', async () => {
+    const broken = (await picture('png')).subarray(0, 40);
+    await assert.rejects(prepareImage(broken, 'image/png'));
+});
+
+test('chave da miniatura e URLs de imagem dos sabores', () => {
+    assert.equal(thumbnailKeyFor('images/abc.jpeg'), 'images/abc-thumb.webp');
+    assert.deepEqual(productImageUrls({ sabores: [{ image: '/uploads/a.png' }, { image: '' }, {}] }), ['/uploads/a.png']);
+    assert.deepEqual(productImageUrls(null), []);
+});
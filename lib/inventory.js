@@ -0,0 +1,132 @@
+// Tipos de movimento do estoque; "sale" e "return" só são gerados pelos pedidos (venda, cancelamento e estorno)
+export const MOVEMENT_TYPES = ['restock', 'sale', 'loss', 'correction', 'return'];
+export const MANUAL_MOVEMENT_TYPES = ['restock', 'loss', 'correction'];
+
+// Limite padrão de estoque baixo para sabores sem low_stock_threshold
+export const DEFAULT_LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+
+// Chave de um sabor de um produto
+export function stockKey(productId, sabor) {
+    return `${productId}::${sabor}`;
+}
+
+// Mapa chave -> saldo a partir das linhas de store.inventory.balances()
+export function balanceMap(rows) {
+    return new Map((rows || []).map(row => [stockKey(row.product_id, row.sabor), Number(row.balance) || 0]));
+}
+
+// Saldo do sabor: o do livro de movimentos quando houver, senão a quantidade gravada no produto
+export function saborBalance(balances, productId, sabor) {
+    const key = stockKey(productId, sabor.name);
+    return balances && balances.has(key) ? balances.get(key) : (sabor.quantity || 0);
+}
+
+// Limite de estoque baixo do sabor (ou o padrão)
+export function lowStockThreshold(sabor) {
+    const threshold = sabor.low_stock_threshold;
+    return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+// Movimento manual no formato da função record_inventory_movement:
+// entrada e perda recebem a quantidade movimentada; correção recebe a contagem do sabor
+export function manualMovement({ productId, sabor, type, quantity, note }, admin) {
+    const movement = {
+        product_id: productId,
+        sabor,
+        type,
+        note: note || null,
+        admin_user_id: admin ? admin.id : null
+    };
+
+    if (type === 'correction') movement.set_quantity = quantity;
+    else movement.quantity = type === 'loss' ? -quantity : quantity;
+
+    return movement;
+}
+
+// Correções geradas pela edição do catálogo: um movimento por sabor cuja quantidade mudou
+// (sabor novo sem estoque não gera movimento)
+export function stockChanges(before, after) {
+    const previous = new Map((before?.sabores || []).map(sabor => [sabor.name, sabor.quantity || 0]));
+
+    return (after?.sabores || [])
+        .filter(sabor => (sabor.quantity || 0) !== (previous.get(sabor.name) || 0))
+        .map(sabor => ({
+            product_id: after.id,
+            sabor: sabor.name,
+            type: 'correction',
+            quantity: (sabor.quantity || 0) - (previous.get(sabor.name) || 0),
+            balance: sabor.quantity || 0
+        }));
+}
+
+// Itens do estoque (um por sabor) com saldo, limite e se está baixo
+export function inventoryItems(products, balances) {
+    return (products || []).flatMap(product => (Array.isArray(product.sabores) ? product.sabores : [])
+        .map(sabor => {
+            const quantity = saborBalance(balances, product.id, sabor);
+            const threshold = lowStockThreshold(sabor);
+            return {
+                productId: product.id,
+                title: product.title,
+                category: product.category,
+                sabor: sabor.name,
+                quantity,
+                threshold,
+                low: quantity <= threshold
+            };
+        }));
+}
+
+// Saldo antes e depois de cada sabor vendido em um pedido (produtos lidos antes da gravação)
+export function saleChanges(products, lines) {
+    const byId = new Map((products || []).map(product => [String(product.id), product]));
+    const changes = new Map();
+
+    for (const line of lines) {
+        if (line.sabor === null || line.sabor === undefined) continue;
+        const key = stockKey(line.productId, line.sabor);
+        if (!changes.has(key)) {
+            const sabor = byId.get(String(line.productId))?.sabores?.find(item => item.name === line.sabor);
+            const before = sabor?.quantity || 0;
+            changes.set(key, { productId: line.productId, sabor: line.sabor, before, after: before });
+        }
+        changes.get(key).after -= line.quantity;
+    }
+
+    return [...changes.values()];
+}
+
+// Sabores que ficaram baixos com uma saída: saldo antes acima do limite e depois no limite ou abaixo
+export function crossedLowStock(products, changes) {
+    const byId = new Map((products || []).map(product => [String(product.id), product]));
+
+    return changes.flatMap(({ productId, sabor: saborName, before, after }) => {
+        const product = byId.get(String(productId));
+        const sabor = product?.sabores?.find(item => item.name === saborName);
+        if (!sabor) return [];
+
+        const threshold = lowStockThreshold(sabor);
+        return before > threshold && after <= threshold
+            ? [{ productId: product.id, title: product.title, sabor: saborName, quantity: after, threshold }]
+            : [];
+    });
+}
+
+// Formatar movimento para resposta
+export function normalizeMovement(row) {
+    return {
+        id: row.id,
+        productId: row.product_id,
+        sabor: row.sabor,
+        type: row.type,
+        quantity: row.quantity,
+        balance: row.balance,
+        note: row.note || null,
+        orderId: row.order_id ?? null,
+        adminUserId: row.admin_user_id ?? null,
+        // Loja do estoque próprio movimentado (null = estoque compartilhado)
+        storeId: row.store_id ?? null,
+        createdAt: row.created_at
+    };
+}
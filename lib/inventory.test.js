@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+    balanceMap, saborBalance, lowStockThreshold, manualMovement, stockChanges, inventoryItems, saleChanges, crossedLowStock,
+    DEFAULT_LOW_STOCK_THRESHOLD
+} from "./inventory.js";
+
+const product = {
+    id: 1,
+    title: 'Heineken',
+    category: 'cerveja',
+    sabores: [{ name: 'Long Neck', quantity: 10, low_stock_threshold: 3 }, { name: 'Lata', quantity: 2 }]
+};
+
+test('saldo vem do livro quando há movimentos; senão, da quantidade do produto', () => {
+    const balances = balanceMap([{ product_id: 1, sabor: 'Long Neck', balance: '4' }]);
+
+    assert.equal(saborBalance(balances, 1, product.sabores[0]), 4);
+    assert.equal(saborBalance(balances, 1, product.sabores[1]), 2);
+    assert.equal(saborBalance(null, 1, product.sabores[0]), 10);
+});
+
+test('limite de estoque baixo é o do sabor ou o padrão', () => {
+    assert.equal(lowStockThreshold(product.sabores[0]), 3);
+    assert.equal(lowStockThreshold(product.sabores[1]), DEFAULT_LOW_STOCK_THRESHOLD);
+    assert.equal(lowStockThreshold({ low_stock_threshold: 0 }), 0);
+});
+
+test('movimento manual: perda sai do estoque e correção leva a contagem', () => {
+    const admin = { id: 7 };
+
+    assert.deepEqual(manualMovement({ productId: 1, sabor: 'Lata', type: 'restock', quantity: 12 }, admin),
+        { product_id: 1, sabor: 'Lata', type: 'restock', note: null, admin_user_id: 7, quantity: 12 });
+    assert.equal(manualMovement({ productId: 1, sabor: 'Lata', type: 'loss', quantity: 2, note: 'Quebrou' }, admin).quantity, -2);
+
+    const correction = manualMovement({ productId: 1, sabor: 'Lata', type: 'correction', quantity: 5, note: 'Contagem' }, null);
+    assert.equal(correction.set_quantity, 5);
+    assert.equal(correction.quantity, undefined);
+    assert.equal(correction.admin_user_id, null);
+});
+
+test('edição do catálogo vira correção só nos sabores que mudaram', () => {
+    const after = { id: 1, sabores: [{ name: 'Long Neck', quantity: 8 }, { name: 'Lata', quantity: 2 }, { name: 'Garrafa', quantity: 0 }] };
+
+    assert.deepEqual(stockChanges(product, after), [
+        { product_id: 1, sabor: 'Long Neck', type: 'correction', quantity: -2, balance: 8 }
+    ]);
+    assert.deepEqual(stockChanges(null, { id: 2, sabores: [{ name: 'Único', quantity: 5 }] }), [
+        { product_id: 2, sabor: 'Único', type: 'correction', quantity: 5, balance: 5 }
+    ]);
+});
+
+test('itens do estoque marcam os sabores no limite ou abaixo', () => {
+    const items = inventoryItems([product], balanceMap([{ product_id: 1, sabor: 'Long Neck', balance: 3 }]));
+
+    assert.deepEqual(items.map(item => [item.sabor, item.quantity, item.threshold, item.low]),
+        [['Long Neck', 3, 3, true], ['Lata', 2, DEFAULT_LOW_STOCK_THRESHOLD, true]]);
+});
+
+test('venda que cruza o limite gera um aviso de estoque baixo por sabor', () => {
+    const changes = saleChanges([product], [
+        { productId: 1, sabor: 'Long Neck', quantity: 4 },
+        { productId: 1, sabor: 'Long Neck', quantity: 3 },
+        { productId: 1, sabor: null, quantity: 1 }
+    ]);
+    assert.deepEqual(changes, [{ productId: 1, sabor: 'Long Neck', before: 10, after: 3 }]);
+
+    assert.deepEqual(crossedLowStock([product], changes), [
+        { productId: 1, title: 'Heineken', sabor: 'Long Neck', quantity: 3, threshold: 3 }
+    ]);
+    // Já estava abaixo do limite: não avisa de novo
+    assert.deepEqual(crossedLowStock([product], [{ productId: 1, sabor: 'Lata', before: 2, after: 1 }]), []);
+});
@@ -0,0 +1,31 @@
+import { EventEmitter } from "events";
+
+// Aviso interno de "evento novo gravado" para acordar os streams desta instância.
+// Streams de outras instâncias descobrem o evento consultando a tabela order_events.
+export const orderEventBus = new EventEmitter();
+orderEventBus.setMaxListeners(0);
+
+// Categorias presentes nos itens do pedido (para filtrar bar x cozinha)
+export function orderCategories(order) {
+    const items = Array.isArray(order.items) ? order.items : [];
+    return [...new Set(items.map(item => item.category).filter(Boolean))];
+}
+
+// Ler lista separada por vírgula da query string
+export function parseListParam(value) {
+    if (!value) return null;
+    const list = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return list.length > 0 ? list : null;
+}
+
+// Evento passa nos filtros do stream? (status exato e ao menos uma categoria em comum)
+export function matchesStreamFilter(event, { statuses, categories }) {
+    if (statuses && !statuses.includes(event.status)) return false;
+    if (categories && !(event.categories || []).some(category => categories.includes(category))) return false;
+    return true;
+}
+
+// Formatar um evento no protocolo Server-Sent Events
+export function formatSseEvent({ id, event, data }) {
+    return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
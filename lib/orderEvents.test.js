@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { orderCategories, parseListParam, matchesStreamFilter, formatSseEvent } from "./orderEvents.js";
+
+test('categorias do pedido sem repetir', () => {
+    assert.deepEqual(orderCategories({ items: [{ category: 'cerveja' }, { category: 'petisco' }, { category: 'cerveja' }, {}] }), ['cerveja', 'petisco']);
+    assert.deepEqual(orderCategories({}), []);
+});
+
+test('lista da query separada por vírgula', () => {
+    assert.deepEqual(parseListParam('pending, accepted,,'), ['pending', 'accepted']);
+    assert.equal(parseListParam(''), null);
+    assert.equal(parseListParam(' , '), null);
+});
+
+test('filtro do stream: status exato e ao menos uma categoria em comum', () => {
+    const event = { status: 'pending', categories: ['cerveja', 'petisco'] };
+
+    assert.equal(matchesStreamFilter(event, { statuses: null, categories: null }), true);
+    assert.equal(matchesStreamFilter(event, { statuses: ['pending'], categories: ['petisco'] }), true);
+    assert.equal(matchesStreamFilter(event, { statuses: ['ready'], categories: null }), false);
+    assert.equal(matchesStreamFilter(event, { statuses: null, categories: ['drinks'] }), false);
+    assert.equal(matchesStreamFilter({ status: 'pending' }, { statuses: null, categories: ['cerveja'] }), false);
+});
+
+test('evento no formato Server-Sent Events', () => {
+    assert.equal(formatSseEvent({ id: 7, event: 'order.created', data: { id: 1 } }),
+        'id: 7\nevent: order.created\ndata: {"id":1}\n\n');
+});
@@ -0,0 +1,66 @@
+// Ciclo de vida do pedido
+export const ORDER_STATUSES = ['pending', 'accepted', 'preparing', 'ready', 'delivered', 'picked_up', 'cancelled'];
+
+// Transições permitidas a partir de cada status
+export const ORDER_TRANSITIONS = {
+    pending: ['accepted', 'cancelled'],
+    accepted: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['delivered', 'picked_up', 'cancelled'],
+    delivered: [],
+    picked_up: [],
+    cancelled: []
+};
+
+// Status finais: o relógio da etapa para aqui
+export const FINAL_STATUSES = ['delivered', 'picked_up', 'cancelled'];
+
+// Verificar se a transição é permitida.
+// Pedidos antigos com status fora do ciclo podem ir para qualquer status válido.
+export function canTransition(from, to) {
+    if (!ORDER_STATUSES.includes(to)) return false;
+    if (!ORDER_TRANSITIONS[from]) return true;
+    return ORDER_TRANSITIONS[from].includes(to);
+}
+
+// Entrada do histórico de status
+export function historyEntry(status, admin) {
+    return {
+        status,
+        at: new Date().toISOString(),
+        by: admin ? { id: admin.id, username: admin.username } : null
+    };
+}
+
+// Histórico do pedido; pedidos antigos sem histórico ganham uma entrada a partir da criação
+export function statusHistoryOf(order) {
+    const history = order.status_history || order.statusHistory;
+    if (Array.isArray(history) && history.length > 0) return history;
+
+    const createdAt = order.created_at || order.createdAt;
+    return createdAt ? [{ status: order.status || 'pending', at: createdAt, by: null }] : [];
+}
+
+// Tempo (em segundos) gasto em cada etapa; a etapa atual conta até agora se não for final
+export function stageDurations(history, now = new Date()) {
+    const durations = {};
+
+    history.forEach((entry, index) => {
+        const start = new Date(entry.at).getTime();
+        const next = history[index + 1];
+        let end;
+
+        if (next) {
+            end = new Date(next.at).getTime();
+        } else if (FINAL_STATUSES.includes(entry.status)) {
+            return;
+        } else {
+            end = now.getTime();
+        }
+
+        if (Number.isNaN(start) || Number.isNaN(end)) return;
+        durations[entry.status] = (durations[entry.status] || 0) + Math.max(0, Math.round((end - start) / 1000));
+    });
+
+    return durations;
+}
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { canTransition, historyEntry, statusHistoryOf, stageDurations } from "./orderStatus.js";
+
+test('ciclo de vida: só avança pelas etapas e cancela até ficar pronto', () => {
+    assert.equal(canTransition('pending', 'accepted'), true);
+    assert.equal(canTransition('ready', 'picked_up'), true);
+    assert.equal(canTransition('ready', 'cancelled'), true);
+
+    assert.equal(canTransition('pending', 'delivered'), false);
+    assert.equal(canTransition('accepted', 'pending'), false);
+    assert.equal(canTransition('cancelled', 'accepted'), false);
+    assert.equal(canTransition('delivered', 'cancelled'), false);
+    assert.equal(canTransition('pending', 'qualquer'), false);
+});
+
+test('pedido antigo com status fora do ciclo vai para qualquer status válido', () => {
+    assert.equal(canTransition('em preparo', 'ready'), true);
+    assert.equal(canTransition('em preparo', 'inventado'), false);
+});
+
+test('histórico registra quem mudou; pedido antigo ganha a entrada da criação', () => {
+    const entry = historyEntry('accepted', { id: 3, username: 'caixa', role: 'cashier' });
+    assert.equal(entry.status, 'accepted');
+    assert.deepEqual(entry.by, { id: 3, username: 'caixa' });
+    assert.ok(!Number.isNaN(Date.parse(entry.at)));
+    assert.equal(historyEntry('accepted', null).by, null);
+
+    assert.deepEqual(statusHistoryOf({ status: 'ready', created_at: '2026-10-17T20:00:00Z' }),
+        [{ status: 'ready', at: '2026-10-17T20:00:00Z', by: null }]);
+    assert.deepEqual(statusHistoryOf({ createdAt: '2026-10-17T20:00:00Z' }),
+        [{ status: 'pending', at: '2026-10-17T20:00:00Z', by: null }]);
+    assert.deepEqual(statusHistoryOf({}), []);
+});
+
+test('tempo por etapa: a atual conta até agora e a final não conta', () => {
+    const history = [
+        { status: 'pending', at: '2026-10-17T20:00:00Z' },
+        { status: 'accepted', at: '2026-10-17T20:02:00Z' },
+        { status: 'preparing', at: '2026-10-17T20:05:00Z' }
+    ];
+    const now = new Date('2026-10-17T20:15:30Z');
+
+    assert.deepEqual(stageDurations(history, now), { pending: 120, accepted: 180, preparing: 630 });
+    assert.deepEqual(stageDurations([...history, { status: 'cancelled', at: '2026-10-17T20:06:00Z' }], now),
+        { pending: 120, accepted: 180, preparing: 60 });
+});
@@ -0,0 +1,23 @@
+// Cursor opaco para paginação por (created_at, id), do mais novo para o mais antigo
+export function encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ createdAt: row.created_at, id: row.id })).toString('base64url');
+}
+
+// Ler o cursor; retorna null se estiver corrompido
+export function decodeCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!value || typeof value.createdAt !== 'string' || value.id === undefined) return null;
+        if (Number.isNaN(new Date(value.createdAt).getTime())) return null;
+        return value;
+    } catch {
+        return null;
+    }
+}
+
+// Tamanho de página dentro dos limites
+export function pageLimit(value, { fallback = 50, max = 200 } = {}) {
+    const limit = parseInt(value, 10);
+    if (!Number.isInteger(limit) || limit < 1) return fallback;
+    return Math.min(limit, max);
+}
@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { encodeCursor, decodeCursor, pageLimit } from "./pagination.js";
+
+test('cursor guarda data e id da última linha e volta igual', () => {
+    const cursor = encodeCursor({ created_at: '2026-10-17T22:00:00.000Z', id: 42, customer_name: 'Ana' });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { createdAt: '2026-10-17T22:00:00.000Z', id: 42 });
+});
+
+test('cursor corrompido ou incompleto vira null', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    assert.equal(decodeCursor('não-é-cursor'), null);
+    assert.equal(decodeCursor(encode({ id: 1 })), null);
+    assert.equal(decodeCursor(encode({ createdAt: 'ontem', id: 1 })), null);
+    assert.equal(decodeCursor(encode(null)), null);
+});
+
+test('tamanho da página fica entre 1 e o máximo', () => {
+    assert.equal(pageLimit(undefined), 50);
+    assert.equal(pageLimit('0'), 50);
+    assert.equal(pageLimit('20'), 20);
+    assert.equal(pageLimit('5000'), 200);
+    assert.equal(pageLimit('5', { fallback: 10, max: 3 }), 3);
+});
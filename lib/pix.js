@@ -0,0 +1,215 @@
+import crypto from "crypto";
+import { t } from "./schema.js";
+import { roundMoney } from "./pricing.js";
+
+// Chave, nas configurações, dos dados do recebedor PIX
+export const PIX_SETTINGS_KEY = 'pix';
+
+// Situação do pagamento do pedido
+export const PAYMENT_STATUSES = ['unpaid', 'paid'];
+
+// Resultado de cada PIX recebido pelo webhook, para a conciliação
+export const PIX_PAYMENT_OUTCOMES = ['paid', 'amount_mismatch', 'already_paid', 'unmatched'];
+
+// Quanto tempo (segundos) a assinatura do webhook vale, contra reenvio de uma notificação antiga
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Chave PIX: CPF, CNPJ, e-mail, telefone (+55 e DDD) ou chave aleatória (EVP)
+export function isPixKey(value) {
+    const key = String(value || '');
+    return /^\d{11}$/.test(key) ||
+        /^\d{14}$/.test(key) ||
+        /^\+55\d{10,11}$/.test(key) ||
+        /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key) && key.length <= 77 ||
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key);
+}
+
+// Dados do recebedor. Com locationBaseUrl (endereço de cobranças do PSP, sem https://) o código é
+// dinâmico, apontando para a cobrança; sem ele, estático com a chave e o valor do pedido.
+export const pixSettingsSchema = t.object({
+    key: t.string({ min: 1, max: 77 })
+        .refine(isPixKey, "Chave PIX inválida: use CPF, CNPJ, e-mail, telefone com +55 ou chave aleatória", 'invalid_format'),
+    merchantName: t.string({ min: 1, max: 25 }),
+    merchantCity: t.string({ min: 1, max: 15 }),
+    description: t.string({ max: 40 }).default(''),
+    locationBaseUrl: t.string({ max: 60 }).optional().nullable()
+        .refine(value => !value || !/^https?:\/\//i.test(value), "Informe o endereço sem https://", 'invalid_format'),
+    expiresInMinutes: t.integer({ min: 1, max: 1440, coerce: true }).default(30)
+});
+
+// Notificação do PSP no formato da API PIX do Banco Central: { pix: [{ endToEndId, txid, valor, horario }] }
+export const pixWebhookSchema = t.object({
+    pix: t.array(t.object({
+        endToEndId: t.string({ min: 1, max: 64 }),
+        txid: t.string({ max: 35 }).optional().nullable(),
+        valor: t.number({ min: 0, coerce: true }),
+        horario: t.string({ max: 40 }).optional(),
+        infoPagador: t.string({ max: 200 }).optional().nullable(),
+        pagador: t.any().optional()
+    }), { min: 1, max: 100 })
+});
+
+// Texto aceito no BR Code: sem acentos e só caracteres imprimíveis, cortado no tamanho do campo
+function emvText(value, max) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\x20-\x7e]/g, '')
+        .trim()
+        .slice(0, max);
+}
+
+// Maior valor de um campo EMV (o tamanho vai em 2 dígitos)
+const EMV_FIELD_MAX = 99;
+
+// Campo EMV: id de 2 dígitos, tamanho de 2 dígitos e valor
+function emvField(id, value) {
+    return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+// CRC16-CCITT (polinômio 0x1021, início 0xFFFF), como pede o padrão do BR Code
+export function crc16(text) {
+    let crc = 0xffff;
+    for (const byte of Buffer.from(text, 'utf8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// PIX "copia e cola" (BR Code). Estático: chave, valor e txid; dinâmico: url da cobrança no PSP.
+// A descrição vai no campo da conta (26) junto com a chave: é cortada no que sobra dos 99 caracteres.
+export function buildPixPayload({ key, merchantName, merchantCity, amount = null, txid = null, description = '', url = null }) {
+    const gui = emvField('00', 'br.gov.bcb.pix');
+    const target = url ? emvField('25', emvText(url, 77)) : emvField('01', key);
+    const room = EMV_FIELD_MAX - gui.length - target.length - 4;
+    const info = !url && room > 0 ? emvText(description, Math.min(40, room)) : '';
+    const account = gui + target + (info ? emvField('02', info) : '');
+
+    const payload = [
+        emvField('00', '01'),
+        // Dinâmico é de uso único; estático pode ser pago mais de uma vez
+        url ? emvField('01', '12') : '',
+        emvField('26', account),
+        emvField('52', '0000'),
+        emvField('53', '986'),
+        amount ? emvField('54', roundMoney(amount).toFixed(2)) : '',
+        emvField('58', 'BR'),
+        emvField('59', emvText(merchantName, 25)),
+        emvField('60', emvText(merchantCity, 15)),
+        emvField('62', emvField('05', url ? '***' : emvText(txid, 25).replace(/[^A-Za-z0-9]/g, '') || '***')),
+        '6304'
+    ].join('');
+
+    return payload + crc16(payload);
+}
+
+// Identificador da cobrança (txid): só letras e números, 25 caracteres, com o número do pedido no começo
+export function newTxid(orderId) {
+    const prefix = `P${orderId}X`;
+    const random = crypto.randomBytes(20).toString('hex').toUpperCase();
+    return (prefix + random).slice(0, 25);
+}
+
+// Assinatura do webhook: "t=<segundos>,v1=<HMAC-SHA256 de "<t>.<corpo>">" (mesmo esquema do PSP falso)
+export function signPixWebhook(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// Conferir a assinatura do corpo recebido, recusando as antigas demais
+export function verifyPixSignature(rawBody, header, secret, now = Date.now()) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = Buffer.from(signPixWebhook(rawBody, secret, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// PSP falso para testes locais: manda ao webhook a notificação assinada de um PIX pago
+export function createFakePsp({ webhookUrl, secret }) {
+    return {
+        async pay({ txid, amount, endToEndId = `E${crypto.randomBytes(15).toString('hex').toUpperCase()}`, payer = null }) {
+            const body = JSON.stringify({
+                pix: [{ endToEndId, txid, valor: roundMoney(amount).toFixed(2), horario: new Date().toISOString(), pagador: payer }]
+            });
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Pix-Signature': signPixWebhook(body, secret) },
+                body
+            });
+            return { status: response.status, body: await response.json().catch(() => null), endToEndId };
+        }
+    };
+}
+
+// Totais da conciliação: cobranças geradas x PIX recebidos, e os recebidos que não fecham
+export function pixReconciliation(charges, payments) {
+    const sum = rows => roundMoney(rows.reduce((total, row) => total + (Number(row.amount) || 0), 0));
+    const paid = charges.filter(charge => charge.status === 'paid');
+    const pending = charges.filter(charge => charge.status === 'pending');
+    const issues = payments.filter(payment => payment.outcome !== 'paid');
+
+    return {
+        charges: {
+            count: charges.length,
+            amount: sum(charges),
+            paid: paid.length,
+            paidAmount: sum(paid),
+            pending: pending.length,
+            pendingAmount: sum(pending)
+        },
+        payments: {
+            count: payments.length,
+            amount: sum(payments),
+            matched: payments.length - issues.length,
+            issues: issues.length,
+            issuesAmount: sum(issues)
+        },
+        // Pago a mais numa cobrança (o pedido fica pago, a diferença aparece aqui)
+        overpaid: paid
+            .filter(charge => Number(charge.paid_amount) > Number(charge.amount))
+            .map(charge => ({ txid: charge.txid, orderId: charge.order_id, amount: Number(charge.amount), paidAmount: Number(charge.paid_amount) })),
+        issues: issues.map(normalizePixPayment)
+    };
+}
+
+// Formatar cobrança PIX para resposta (qrCode é o data URL da imagem, quando gerada)
+export function normalizePixCharge(row, qrCode = undefined) {
+    return {
+        id: row.id,
+        orderId: row.order_id,
+        txid: row.txid,
+        amount: Number(row.amount),
+        mode: row.mode,
+        payload: row.payload,
+        ...(qrCode !== undefined ? { qrCode } : {}),
+        status: row.status,
+        expiresAt: row.expires_at || null,
+        paidAt: row.paid_at || null,
+        paidAmount: row.paid_amount === null || row.paid_amount === undefined ? null : Number(row.paid_amount),
+        endToEndId: row.end_to_end_id || null,
+        createdAt: row.created_at
+    };
+}
+
+// Formatar PIX recebido para resposta
+export function normalizePixPayment(row) {
+    return {
+        id: row.id,
+        endToEndId: row.end_to_end_id,
+        txid: row.txid || null,
+        amount: Number(row.amount),
+        paidAt: row.paid_at || null,
+        payer: row.payer || null,
+        chargeId: row.charge_id ?? null,
+        orderId: row.order_id ?? null,
+        outcome: row.outcome,
+        createdAt: row.created_at
+    };
+}
@@ -0,0 +1,138 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import {
+    crc16, buildPixPayload, isPixKey, signPixWebhook, verifyPixSignature, createFakePsp, pixReconciliation
+} from "./pix.js";
+
+// Campos EMV de primeiro nível: { id: valor }
+function emvFields(text) {
+    const fields = {};
+    for (let index = 0; index < text.length;) {
+        const id = text.slice(index, index + 2);
+        const length = Number(text.slice(index + 2, index + 4));
+        fields[id] = text.slice(index + 4, index + 4 + length);
+        index += 4 + length;
+    }
+    return fields;
+}
+
+const merchant = { key: '+5511999998888', merchantName: 'Bar do Vaqueiro', merchantCity: 'São Paulo' };
+
+test('crc16 é o CRC16-CCITT do BR Code', () => {
+    assert.equal(crc16('123456789'), '29B1');
+    assert.equal(crc16(''), 'FFFF');
+});
+
+test('isPixKey aceita os tipos de chave do PIX', () => {
+    for (const key of ['12345678901', '12345678000199', '+5511999998888', 'pix@bardovaqueiro.com.br', '123e4567-e89b-12d3-a456-426614174000']) {
+        assert.equal(isPixKey(key), true, key);
+    }
+    for (const key of ['abc', '1199999888', '+1555123456', '']) {
+        assert.equal(isPixKey(key), false, key);
+    }
+});
+
+test('BR Code estático: chave, valor, txid e CRC conferem', () => {
+    const payload = buildPixPayload({ ...merchant, amount: 25.5, txid: 'P1X-ABC', description: 'Pedido 1' });
+    const fields = emvFields(payload);
+
+    assert.equal(fields['00'], '01');
+    assert.equal(fields['01'], undefined);
+    assert.deepEqual(emvFields(fields['26']), { '00': 'br.gov.bcb.pix', '01': merchant.key, '02': 'Pedido 1' });
+    assert.equal(fields['54'], '25.50');
+    assert.equal(fields['59'], 'Bar do Vaqueiro');
+    assert.equal(fields['60'], 'Sao Paulo');
+    assert.deepEqual(emvFields(fields['62']), { '05': 'P1XABC' });
+    assert.equal(payload.slice(-4), crc16(payload.slice(0, -4)));
+});
+
+test('BR Code dinâmico aponta para a cobrança e é de uso único', () => {
+    const payload = buildPixPayload({ ...merchant, url: 'pix.psp.example/cob/123', description: 'ignorada' });
+    const fields = emvFields(payload);
+
+    assert.equal(fields['01'], '12');
+    assert.deepEqual(emvFields(fields['26']), { '00': 'br.gov.bcb.pix', '25': 'pix.psp.example/cob/123' });
+    assert.equal(fields['54'], undefined);
+    assert.deepEqual(emvFields(fields['62']), { '05': '***' });
+});
+
+test('campo da conta (26) não passa de 99 caracteres com chave e descrição longas', () => {
+    // Chave de 77 caracteres (o máximo): não sobra espaço para a descrição
+    const longest = `${'a'.repeat(56)}@bardovaqueiro.com.br`;
+    // Chave de 40: a descrição é cortada no que sobra
+    const medium = `${'a'.repeat(19)}@bardovaqueiro.com.br`;
+
+    for (const [key, info] of [[longest, undefined], [medium, 'x'.repeat(33)]]) {
+        const payload = buildPixPayload({ ...merchant, key, amount: 10, description: 'x'.repeat(40) });
+        const account = emvFields(payload)['26'];
+
+        assert.ok(account.length <= 99, `${account.length} caracteres`);
+        assert.equal(emvFields(account)['01'], key);
+        assert.equal(emvFields(account)['02'], info);
+        assert.equal(payload.slice(-4), crc16(payload.slice(0, -4)));
+    }
+});
+
+test('assinatura do webhook: confere corpo, segredo e horário', () => {
+    const body = JSON.stringify({ pix: [{ endToEndId: 'E1', txid: 'T1', valor: '10.00' }] });
+    const now = Date.now();
+    const header = signPixWebhook(body, 'segredo', Math.floor(now / 1000));
+
+    assert.equal(verifyPixSignature(body, header, 'segredo', now), true);
+    assert.equal(verifyPixSignature(body.replace('10.00', '99.00'), header, 'segredo', now), false);
+    assert.equal(verifyPixSignature(body, header, 'outro', now), false);
+    assert.equal(verifyPixSignature(body, header, 'segredo', now + 301 * 1000), false);
+    assert.equal(verifyPixSignature(body, '', 'segredo', now), false);
+    assert.equal(verifyPixSignature(body, 't=abc,v1=00', 'segredo', now), false);
+    assert.equal(verifyPixSignature(body, `${header.split(',')[0]},v1=abcd`, 'segredo', now), false);
+});
+
+test('PSP falso manda a notificação assinada para o webhook', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ body, valid: verifyPixSignature(body, req.headers['x-pix-signature'], 'segredo') });
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    try {
+        const psp = createFakePsp({ webhookUrl: `http://127.0.0.1:${server.address().port}/api/pix/webhook`, secret: 'segredo' });
+        const result = await psp.pay({ txid: 'T1', amount: 12.345, endToEndId: 'E42' });
+
+        assert.deepEqual(result, { status: 200, body: { ok: true }, endToEndId: 'E42' });
+        assert.equal(received.length, 1);
+        assert.equal(received[0].valid, true);
+        const [pix] = JSON.parse(received[0].body).pix;
+        assert.deepEqual({ ...pix, horario: undefined }, { endToEndId: 'E42', txid: 'T1', valor: '12.35', horario: undefined, pagador: null });
+        assert.ok(!Number.isNaN(Date.parse(pix.horario)));
+    } finally {
+        server.close();
+    }
+});
+
+test('conciliação soma cobranças, recebidos, pagos a mais e pendências', () => {
+    const charges = [
+        { txid: 'A', order_id: 1, status: 'paid', amount: '10.10', paid_amount: '10.10' },
+        { txid: 'B', order_id: 2, status: 'paid', amount: '20.00', paid_amount: '25.00' },
+        { txid: 'C', order_id: 3, status: 'pending', amount: '5.20' },
+        { txid: 'D', order_id: 3, status: 'cancelled', amount: '5.00' }
+    ];
+    const payments = [
+        { id: 1, end_to_end_id: 'E1', txid: 'A', amount: '10.10', outcome: 'paid' },
+        { id: 2, end_to_end_id: 'E2', txid: 'B', amount: '25.00', outcome: 'paid' },
+        { id: 3, end_to_end_id: 'E3', txid: 'X', amount: '7.00', outcome: 'unmatched' },
+        { id: 4, end_to_end_id: 'E4', txid: 'A', amount: '0.20', outcome: 'already_paid' }
+    ];
+
+    const report = pixReconciliation(charges, payments);
+
+    assert.deepEqual(report.charges, { count: 4, amount: 40.3, paid: 2, paidAmount: 30.1, pending: 1, pendingAmount: 5.2 });
+    assert.deepEqual(report.payments, { count: 4, amount: 42.3, matched: 2, issues: 2, issuesAmount: 7.2 });
+    assert.deepEqual(report.overpaid, [{ txid: 'B', orderId: 2, amount: 20, paidAmount: 25 }]);
+    assert.deepEqual(report.issues.map(issue => [issue.endToEndId, issue.outcome]), [['E3', 'unmatched'], ['E4', 'already_paid']]);
+});
@@ -0,0 +1,101 @@
+// Arredondar valores em reais para 2 casas
+export function roundMoney(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Produto está disponível para venda?
+export function isProductActive(product) {
+    return !product.status || product.status === 'active';
+}
+
+// Ler a quantidade pedida de um item (inteiro positivo)
+function readQuantity(item) {
+    const quantity = Number(item.quantity ?? 1);
+    return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+}
+
+// Montar as linhas do pedido com os preços atuais do catálogo.
+// Nada do que o cliente manda sobre preço ou total é usado: só produto, sabor e quantidade.
+// Erros vêm no formato { field, code, message }, como os da validação de schema.
+export function priceOrderItems(items, products) {
+    const errors = [];
+    const lines = [];
+    const productsById = new Map((products || []).map(product => [String(product.id), product]));
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return { lines, total: 0, errors: [{ field: 'items', code: 'EMPTY_ORDER', message: "O pedido precisa ter ao menos um item" }] };
+    }
+
+    // Quantidade pedida por produto/sabor, somando itens repetidos
+    const requested = new Map();
+
+    items.forEach((item, index) => {
+        const field = `items[${index}]`;
+        const productId = item?.productId ?? item?.product_id ?? item?.id;
+        const saborName = item?.sabor ?? item?.saborName ?? null;
+        const quantity = readQuantity(item || {});
+        const product = productsById.get(String(productId));
+
+        if (!product) {
+            errors.push({ field, code: 'PRODUCT_NOT_FOUND', message: `Produto ${productId} não encontrado` });
+            return;
+        }
+
+        if (!isProductActive(product)) {
+            errors.push({ field, code: 'PRODUCT_INACTIVE', message: `Produto "${product.title}" não está disponível` });
+            return;
+        }
+
+        if (!quantity) {
+            errors.push({ field: `${field}.quantity`, code: 'INVALID_QUANTITY', message: `Quantidade inválida para "${product.title}"` });
+            return;
+        }
+
+        const sabores = Array.isArray(product.sabores) ? product.sabores : [];
+        let sabor = null;
+
+        if (sabores.length > 0) {
+            sabor = sabores.find(s => s.name === saborName);
+
+            if (!sabor) {
+                errors.push({ field: `${field}.sabor`, code: 'SABOR_NOT_FOUND', message: `Sabor "${saborName}" não encontrado em "${product.title}"` });
+                return;
+            }
+
+            const key = `${product.id}::${sabor.name}`;
+            const total = (requested.get(key) || 0) + quantity;
+            requested.set(key, total);
+
+            if ((sabor.quantity || 0) < total) {
+                errors.push({ field, code: 'OUT_OF_STOCK', message: `"${product.title} - ${sabor.name}" esgotado ou sem estoque suficiente` });
+                return;
+            }
+        }
+
+        const price = roundMoney(product.price);
+
+        lines.push({
+            productId: product.id,
+            title: product.title,
+            category: product.category,
+            sabor: sabor ? sabor.name : null,
+            quantity,
+            price,
+            subtotal: roundMoney(price * quantity)
+        });
+    });
+
+    const total = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+    return { lines, total, errors };
+}
+
+// Linhas conferidas pelo banco na gravação (preço, status e baixa de estoque do sabor)
+export function stockLinesFor(lines, storeId = null) {
+    return lines.map(line => ({
+        product_id: line.productId,
+        sabor: line.sabor,
+        quantity: line.quantity,
+        unit_price: line.price,
+        store_id: storeId
+    }));
+}
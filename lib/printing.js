@@ -0,0 +1,407 @@
+import { t, validate } from "./schema.js";
+import { REPORT_TIMEZONE } from "./reports.js";
+import { remainingQuantity } from "./refunds.js";
+import { ORDER_STATUSES } from "./orderStatus.js";
+import { ORDER_TYPE_LABELS, formatAddress } from "./delivery.js";
+
+// Larguras de bobina aceitas (mm) e quantos caracteres cabem por linha na fonte padrão
+export const PAPER_COLUMNS = { 58: 32, 80: 48 };
+export const PAPER_WIDTHS = Object.keys(PAPER_COLUMNS).map(Number);
+
+// Tipos de impressão: comanda de produção (cozinha/bar) e recibo do cliente
+export const PRINT_KINDS = ['kitchen', 'receipt'];
+
+// Formatos de saída: texto puro, bytes ESC/POS para a térmica e HTML para imprimir no navegador
+export const PRINT_FORMATS = ['text', 'escpos', 'html'];
+
+// Chave, nas configurações, da impressão automática
+export const PRINTING_SETTINGS_KEY = 'printing';
+
+// Largura da bobina (na query string chega como texto)
+export const paperWidthSchema = () => t.integer({ coerce: true })
+    .refine(width => PAPER_COLUMNS[width] !== undefined, `Use uma bobina de ${PAPER_WIDTHS.join(' ou ')} mm`, 'invalid_enum');
+
+// Nomes de forma de pagamento mais comuns; o resto sai como foi digitado
+const PAYMENT_LABELS = {
+    pix: 'PIX',
+    dinheiro: 'Dinheiro',
+    cash: 'Dinheiro',
+    cartao: 'Cartão',
+    card: 'Cartão',
+    credito: 'Cartão de crédito',
+    credit: 'Cartão de crédito',
+    debito: 'Cartão de débito',
+    debit: 'Cartão de débito',
+    multiple: 'Vários'
+};
+
+// Praça de impressão (ex.: bar e cozinha): recebe só os itens das categorias dela (vazio = todas)
+export const printStationSchema = t.object({
+    id: t.string({ min: 1, max: 40 }),
+    name: t.string({ min: 1, max: 60 }),
+    categories: t.array(t.string({ min: 1, max: 60 }), { max: 200 }).default(() => []),
+    width: paperWidthSchema().optional().nullable()
+});
+
+const uniqueStationIds = stations => new Set(stations.map(station => station.id)).size === stations.length;
+
+// Configuração da impressão: o que imprime sozinho e quando, cabeçalho e rodapé do recibo
+export const printingSettingsSchema = t.object({
+    autoPrint: t.boolean({ coerce: true }).default(false),
+    // Status em que a comanda de produção sai sozinha (normalmente quando o pedido é aceito)
+    triggerStatus: t.enum(ORDER_STATUSES.filter(status => status !== 'cancelled')).default('accepted'),
+    autoPrintReceipt: t.boolean({ coerce: true }).default(false),
+    width: paperWidthSchema().default(80),
+    header: t.string({ max: 200 }).default('Bar do Vaqueiro'),
+    footer: t.string({ max: 300 }).default('Obrigado pela preferência!'),
+    stations: t.array(printStationSchema, { max: 20 })
+        .default(() => [])
+        .refine(uniqueStationIds, "Praças de impressão repetidas", 'duplicate')
+});
+
+// Configuração gravada com os padrões no que faltar (ou só os padrões, se nunca foi gravada)
+export function printingSettings(saved) {
+    return validate(printingSettingsSchema, saved || {}).value || validate(printingSettingsSchema, {}).value;
+}
+
+const dateTimeFormatter = new Intl.DateTimeFormat('pt-BR', {
+    timeZone: REPORT_TIMEZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+// Data e hora locais do pedido (pedidos antigos trazem date/time como texto)
+function orderDateTime(order) {
+    const date = new Date(order.createdAt);
+    if (!Number.isNaN(date.getTime())) return dateTimeFormatter.format(date).replace(',', '');
+    return [order.date, order.time].filter(Boolean).join(' ');
+}
+
+const timeFormatter = new Intl.DateTimeFormat('pt-BR', { timeZone: REPORT_TIMEZONE, hour: '2-digit', minute: '2-digit' });
+
+// Tipo do pedido e, para entrega, o endereço (com ponto de referência) e o telefone
+function fulfillmentLines(order) {
+    const lines = [{ type: 'center', text: (ORDER_TYPE_LABELS[order.orderType] || order.orderType || '').toUpperCase(), bold: true }];
+    if (order.orderType === 'delivery' && order.deliveryAddress) {
+        lines.push({ type: 'text', text: `Endereço: ${formatAddress(order.deliveryAddress)}` });
+        if (order.deliveryAddress.reference) lines.push({ type: 'text', text: `Referência: ${order.deliveryAddress.reference}` });
+        if (order.customerPhone) lines.push({ type: 'text', text: `Telefone: ${order.customerPhone}` });
+    }
+    return lines;
+}
+
+export const formatMoney = value => `R$ ${(Number(value) || 0).toFixed(2).replace('.', ',')}`;
+
+export const paymentLabel = method => {
+    if (!method) return 'Não informado';
+    const key = String(method).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    return PAYMENT_LABELS[key] || String(method);
+};
+
+// Comanda de produção: itens ainda valendo agrupados por categoria (na ordem do cardápio), com
+// sabor e quantidade. Com station, só as categorias da praça. Retorna null se não sobrar item.
+export function kitchenTicket(order, { categories = [], station = null, reprint = false } = {}) {
+    const names = new Map(categories.map(category => [category.id, category.name]));
+    const position = new Map(categories.map((category, index) => [category.id, index]));
+    const allowed = station?.categories?.length ? new Set(station.categories) : null;
+
+    const groups = new Map();
+    for (const item of order.items || []) {
+        const quantity = remainingQuantity(item);
+        if (quantity <= 0) continue;
+        if (allowed && !allowed.has(item.category)) continue;
+
+        const key = item.category || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ ...item, quantity });
+    }
+
+    if (groups.size === 0) return null;
+
+    const ordered = [...groups.entries()].sort(([a], [b]) =>
+        (position.get(a) ?? Infinity) - (position.get(b) ?? Infinity) || a.localeCompare(b));
+
+    const lines = [
+        { type: 'title', text: `PEDIDO #${order.id}` },
+        { type: 'center', text: station ? station.name : 'Produção' },
+        ...(reprint ? [{ type: 'center', text: '*** REIMPRESSÃO ***', bold: true }] : []),
+        { type: 'text', text: orderDateTime(order) },
+        { type: 'text', text: `Cliente: ${order.customerName || '-'}` },
+        ...(order.tabId ? [{ type: 'text', text: `Comanda: ${order.tabId}` }] : []),
+        ...fulfillmentLines(order),
+        ...(order.estimatedReadyAt ? [{ type: 'text', text: `Pronto até: ${timeFormatter.format(new Date(order.estimatedReadyAt))}` }] : []),
+        { type: 'rule' }
+    ];
+
+    let count = 0;
+    for (const [category, items] of ordered) {
+        lines.push({ type: 'heading', text: (names.get(category) || category || 'Sem categoria').toUpperCase() });
+        for (const item of items) {
+            count += item.quantity;
+            lines.push({ type: 'text', text: `${item.quantity}x ${item.title || `Produto ${item.productId}`}`, bold: true });
+            if (item.sabor) lines.push({ type: 'text', text: `   > ${item.sabor}` });
+        }
+        lines.push({ type: 'feed' });
+    }
+
+    lines.push({ type: 'rule' }, { type: 'center', text: `${count} ${count === 1 ? 'item' : 'itens'}` });
+    return lines;
+}
+
+// Recibo do cliente: itens com valores, descontos, total e forma de pagamento
+export function customerReceipt(order, { header = '', footer = '', reprint = false } = {}) {
+    const lines = [
+        ...(header ? [{ type: 'title', text: header }] : []),
+        { type: 'center', text: `Pedido #${order.id}` },
+        ...(reprint ? [{ type: 'center', text: '*** 2ª VIA ***', bold: true }] : []),
+        { type: 'text', text: orderDateTime(order) },
+        { type: 'text', text: `Cliente: ${order.customerName || '-'}` },
+        ...fulfillmentLines(order),
+        { type: 'rule' }
+    ];
+
+    for (const item of order.items || []) {
+        const name = `${item.quantity}x ${item.title || `Produto ${item.productId}`}${item.sabor ? ` (${item.sabor})` : ''}`;
+        lines.push({ type: 'row', left: name, right: formatMoney(item.subtotal ?? (Number(item.price) || 0) * item.quantity) });
+    }
+
+    lines.push({ type: 'rule' }, { type: 'row', left: 'Subtotal', right: formatMoney(order.subtotal) });
+    for (const discount of order.discounts || []) {
+        lines.push({ type: 'row', left: discount.name || discount.code || 'Desconto', right: `-${formatMoney(discount.amount)}` });
+    }
+    if (order.deliveryFee > 0) lines.push({ type: 'row', left: 'Taxa de entrega', right: formatMoney(order.deliveryFee) });
+    lines.push({ type: 'row', left: 'TOTAL', right: formatMoney(order.total), bold: true });
+
+    if (order.refundedAmount > 0) lines.push({ type: 'row', left: 'Estornado', right: `-${formatMoney(order.refundedAmount)}` });
+    if (order.cancelledAmount > 0) lines.push({ type: 'row', left: 'Cancelado', right: `-${formatMoney(order.cancelledAmount)}` });
+    if (order.refundedAmount > 0 || order.cancelledAmount > 0) {
+        lines.push({ type: 'row', left: 'Valor final', right: formatMoney(order.netTotal), bold: true });
+    }
+
+    lines.push({ type: 'rule' });
+    if ((order.payments || []).length > 0) {
+        lines.push({ type: 'text', text: 'Pagamento:' });
+        for (const payment of order.payments) {
+            lines.push({ type: 'row', left: `  ${paymentLabel(payment.method)}`, right: formatMoney(payment.amount) });
+        }
+    } else {
+        lines.push({ type: 'text', text: `Pagamento: ${paymentLabel(order.paymentMethod)}` });
+    }
+    if (order.paymentStatus === 'paid') lines.push({ type: 'center', text: '*** PAGO ***', bold: true });
+
+    lines.push({ type: 'rule' }, { type: 'center', text: 'Não é documento fiscal' });
+    if (footer) lines.push({ type: 'center', text: footer });
+    return lines;
+}
+
+// Quebrar texto em linhas de até "columns" caracteres, por palavra (palavra maior que a linha é cortada)
+function wrap(text, columns) {
+    const lines = [];
+    let current = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        let rest = word;
+        while (rest.length > columns) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(rest.slice(0, columns));
+            rest = rest.slice(columns);
+        }
+        if (!rest) continue;
+        if (current && current.length + 1 + rest.length > columns) {
+            lines.push(current);
+            current = rest;
+        } else {
+            current = current ? `${current} ${rest}` : rest;
+        }
+    }
+
+    if (current || lines.length === 0) lines.push(current);
+    return lines;
+}
+
+// Preservar recuo do começo (ex.: "   > sabor") ao quebrar a linha
+function wrapIndented(text, columns) {
+    const indent = String(text).match(/^\s*/)[0];
+    return wrap(text, Math.max(1, columns - indent.length)).map(line => indent + line);
+}
+
+const center = (text, columns) => ' '.repeat(Math.max(0, Math.floor((columns - text.length) / 2))) + text;
+
+// Linha com texto à esquerda e valor à direita; o texto longo quebra e o valor vai na última linha
+function row(left, right, columns) {
+    const room = columns - right.length - 1;
+    const lines = wrapIndented(left, Math.max(1, room));
+    const last = lines.pop();
+    return [...lines, last + ' '.repeat(Math.max(1, columns - last.length - right.length)) + right];
+}
+
+// Linhas de texto de cada entrada do cupom (o título usa fonte dupla, metade das colunas, na térmica)
+function entryLines(entry, columns) {
+    switch (entry.type) {
+        case 'title':
+            return wrap(entry.text, columns).map(line => center(line, columns));
+        case 'center':
+            return wrap(entry.text, columns).map(line => center(line, columns));
+        case 'heading':
+            return wrap(`[ ${entry.text} ]`, columns);
+        case 'row':
+            return row(entry.left, entry.right, columns);
+        case 'rule':
+            return ['-'.repeat(columns)];
+        case 'feed':
+            return [''];
+        default:
+            return wrapIndented(entry.text, columns);
+    }
+}
+
+// Cupom em texto puro, na largura da bobina
+export function renderText(lines, width = 80) {
+    const columns = PAPER_COLUMNS[width] || PAPER_COLUMNS[80];
+    return lines.flatMap(entry => entryLines(entry, columns)).join('\n') + '\n';
+}
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Texto em Windows-1252 (tabela 16 das térmicas Epson e compatíveis); o que não existe vira "?"
+function encode(text) {
+    return Buffer.from(String(text).replace(/[^\x00-\xff]/g, '?'), 'latin1');
+}
+
+// Cupom em bytes ESC/POS: inicializa, escolhe a tabela de caracteres, imprime e corta o papel
+export function renderEscPos(lines, width = 80) {
+    const columns = PAPER_COLUMNS[width] || PAPER_COLUMNS[80];
+    const chunks = [Buffer.from([ESC, 0x40, ESC, 0x74, 16])];
+
+    for (const entry of lines) {
+        const title = entry.type === 'title';
+        const bold = title || entry.bold || entry.type === 'heading';
+        const centered = title || entry.type === 'center';
+
+        chunks.push(Buffer.from([ESC, 0x61, centered ? 1 : 0, ESC, 0x45, bold ? 1 : 0, GS, 0x21, title ? 0x11 : 0]));
+        // Centralizado fica por conta da impressora: só a quebra de linha é feita aqui
+        const text = centered
+            ? wrap(entry.text, title ? Math.floor(columns / 2) : columns)
+            : entryLines(entry, columns);
+        chunks.push(encode(text.join('\n') + '\n'));
+    }
+
+    chunks.push(Buffer.from([ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0, ESC, 0x64, 4, GS, 0x56, 66, 0]));
+    return Buffer.concat(chunks);
+}
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Cupom em HTML para imprimir pelo navegador, no tamanho da bobina.
+// Com autoPrint, abre a janela de impressão assim que a página carrega.
+export function renderHtml(lines, width = 80, { title = 'Impressão', autoPrint = false } = {}) {
+    const paper = PAPER_COLUMNS[width] ? width : 80;
+
+    const body = lines.map(entry => {
+        switch (entry.type) {
+            case 'title':
+                return `<h1>${escapeHtml(entry.text)}</h1>`;
+            case 'center':
+                return `<p class="center${entry.bold ? ' bold' : ''}">${escapeHtml(entry.text)}</p>`;
+            case 'heading':
+                return `<h2>${escapeHtml(entry.text)}</h2>`;
+            case 'row':
+                return `<p class="row${entry.bold ? ' bold' : ''}"><span>${escapeHtml(entry.left)}</span><span>${escapeHtml(entry.right)}</span></p>`;
+            case 'rule':
+                return '<hr>';
+            case 'feed':
+                return '<br>';
+            default:
+                return `<p class="${entry.bold ? 'bold' : ''}">${escapeHtml(entry.text)}</p>`;
+        }
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+@page { size: ${paper}mm auto; margin: 0; }
+body { width: ${paper - 8}mm; margin: 0 auto; padding: 2mm 0; font: 12px/1.3 "Courier New", monospace; color: #000; }
+h1 { font-size: 18px; text-align: center; margin: 0 0 2px; }
+h2 { font-size: 13px; margin: 4px 0 2px; }
+p { margin: 0; white-space: pre-wrap; }
+hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; }
+.center { text-align: center; }
+.bold { font-weight: bold; }
+.row { display: flex; justify-content: space-between; gap: 8px; }
+.row span:last-child { white-space: nowrap; }
+</style>
+</head>
+<body>
+${body}
+${autoPrint ? '<script>window.addEventListener("load", () => window.print());</script>\n' : ''}</body>
+</html>
+`;
+}
+
+// Cupom no formato pedido: { contentType, body }
+export function renderTicket(lines, format, width, options = {}) {
+    if (format === 'escpos') return { contentType: 'application/octet-stream', body: renderEscPos(lines, width) };
+    if (format === 'html') return { contentType: 'text/html; charset=utf-8', body: renderHtml(lines, width, options) };
+    return { contentType: 'text/plain; charset=utf-8', body: renderText(lines, width) };
+}
+
+// Trabalhos de impressão (linhas de print_jobs) de um pedido normalizado: a comanda vai para cada praça
+// com itens do pedido (sem praças cadastradas, uma só com tudo) e o recibo sai uma vez.
+// Com stationId, só aquela praça. Impressão automática leva dedupe_key para não repetir.
+export function printJobsFor(order, settings, { kind, stationId = null, trigger = 'manual', requestedBy = null }) {
+    const categories = new Set((order.items || []).filter(item => remainingQuantity(item) > 0).map(item => item.category));
+    if (kind === 'kitchen' && categories.size === 0) return [];
+
+    let targets = [{ id: null, width: null }];
+
+    if (kind === 'kitchen' && settings.stations.length > 0) {
+        targets = settings.stations
+            .filter(station => !stationId || station.id === stationId)
+            .filter(station => station.categories.length === 0 || station.categories.some(category => categories.has(category)));
+    }
+
+    return targets.map(station => ({
+        order_id: order.id,
+        store_id: order.storeId ?? null,
+        kind,
+        station_id: station.id,
+        width: station.width || settings.width,
+        trigger,
+        dedupe_key: trigger === 'auto' ? `${order.id}:${kind}:${station.id || '-'}` : null,
+        requested_by: requestedBy
+    }));
+}
+
+// Formatar trabalho de impressão para resposta
+export function normalizePrintJob(row) {
+    return {
+        id: row.id,
+        orderId: row.order_id,
+        storeId: row.store_id ?? null,
+        kind: row.kind,
+        stationId: row.station_id || null,
+        width: row.width ?? null,
+        trigger: row.trigger,
+        status: row.status,
+        attempts: row.attempts || 0,
+        error: row.error || null,
+        requestedBy: row.requested_by || null,
+        createdAt: row.created_at,
+        claimedAt: row.claimed_at || null,
+        printedAt: row.printed_at || null
+    };
+}
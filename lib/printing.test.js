@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+    printingSettings, kitchenTicket, customerReceipt, renderText, renderEscPos, renderHtml, printJobsFor, paymentLabel, formatMoney
+} from "./printing.js";
+
+// Pedido já normalizado (normalizeOrders)
+const order = {
+    id: 42,
+    storeId: 1,
+    createdAt: '2026-10-17T23:05:00Z',
+    customerName: 'Ana',
+    orderType: 'pickup',
+    items: [
+        { productId: 1, title: 'Heineken', sabor: 'Long Neck', category: 'cerveja', quantity: 2, price: 12, subtotal: 24 },
+        { productId: 2, title: 'Batata frita', sabor: null, category: 'petisco', quantity: 1, price: 25, subtotal: 25 },
+        { productId: 3, title: 'Suco', sabor: 'Laranja', category: 'suco', quantity: 1, price: 8, subtotal: 8, refundedQuantity: 1 }
+    ],
+    subtotal: 57,
+    discounts: [{ name: 'Happy hour', amount: 4.8 }],
+    total: 52.2,
+    refundedAmount: 8,
+    netTotal: 44.2,
+    paymentMethod: 'cartao',
+    paymentStatus: 'paid'
+};
+
+const categories = [{ id: 'petisco', name: 'Petiscos' }, { id: 'cerveja', name: 'Cervejas' }];
+const texts = lines => lines.map(line => line.text ?? `${line.left} | ${line.right}`);
+
+test('configuração sem gravar usa os padrões; a gravada completa o que falta', () => {
+    assert.deepEqual(printingSettings(null), {
+        autoPrint: false, triggerStatus: 'accepted', autoPrintReceipt: false, width: 80,
+        header: 'Bar do Vaqueiro', footer: 'Obrigado pela preferência!', stations: []
+    });
+    assert.equal(printingSettings({ width: 58 }).width, 58);
+    // Gravada inválida volta aos padrões
+    assert.equal(printingSettings({ width: 70 }).width, 80);
+});
+
+test('comanda de produção agrupa por categoria na ordem do cardápio, sem o que foi estornado', () => {
+    const lines = kitchenTicket(order, { categories });
+
+    assert.deepEqual(texts(lines.filter(line => line.type === 'heading')), ['PETISCOS', 'CERVEJAS']);
+    assert.ok(texts(lines).includes('2x Heineken'));
+    assert.ok(texts(lines).includes('   > Long Neck'));
+    assert.ok(!texts(lines).some(text => text.includes('Suco')));
+    assert.equal(lines.at(-1).text, '3 itens');
+    assert.ok(texts(lines).includes('17/10/2026 20:05'));
+});
+
+test('praça recebe só as categorias dela; sem itens, não há comanda', () => {
+    const bar = { id: 'bar', name: 'Bar', categories: ['cerveja'] };
+    const lines = kitchenTicket(order, { categories, station: bar, reprint: true });
+
+    assert.deepEqual(texts(lines.slice(0, 3)), ['PEDIDO #42', 'Bar', '*** REIMPRESSÃO ***']);
+    assert.deepEqual(texts(lines.filter(line => line.type === 'heading')), ['CERVEJAS']);
+    assert.equal(kitchenTicket(order, { station: { ...bar, categories: ['vinho'] } }), null);
+});
+
+test('recibo com descontos, estorno, valor final e pagamento', () => {
+    const lines = texts(customerReceipt(order, { header: 'Bar do Vaqueiro', footer: 'Volte sempre' }));
+
+    for (const expected of [
+        '2x Heineken (Long Neck) | R$ 24,00',
+        'Happy hour | -R$ 4,80',
+        'TOTAL | R$ 52,20',
+        'Estornado | -R$ 8,00',
+        'Valor final | R$ 44,20',
+        'Pagamento: Cartão',
+        '*** PAGO ***',
+        'Volte sempre'
+    ]) {
+        assert.ok(lines.includes(expected), expected);
+    }
+});
+
+test('texto respeita a largura da bobina, quebrando o nome e alinhando o valor', () => {
+    const text = renderText([
+        { type: 'row', left: '1x Porção de mandioca frita com carne de sol', right: 'R$ 59,90' },
+        { type: 'rule' }
+    ], 58);
+    const lines = text.trimEnd().split('\n');
+
+    assert.ok(lines.every(line => line.length <= 32), text);
+    assert.ok(lines.at(-2).endsWith(' R$ 59,90'));
+    assert.equal(lines.at(-1), '-'.repeat(32));
+});
+
+test('ESC/POS inicializa, usa a tabela Windows-1252 e corta o papel', () => {
+    const bytes = renderEscPos([{ type: 'text', text: 'Pão de queijo ☕' }]);
+
+    assert.deepEqual([...bytes.subarray(0, 5)], [0x1b, 0x40, 0x1b, 0x74, 16]);
+    assert.ok(bytes.includes(Buffer.from('Pão de queijo ?\n', 'latin1')));
+    assert.deepEqual([...bytes.subarray(-4)], [0x1d, 0x56, 66, 0]);
+});
+
+test('HTML escapa o texto e abre a impressão quando pedido', () => {
+    const html = renderHtml([{ type: 'text', text: '<b>Ana & Bia</b>' }], 58, { title: 'Pedido', autoPrint: true });
+
+    assert.match(html, /&lt;b&gt;Ana &amp; Bia&lt;\/b&gt;/);
+    assert.match(html, /size: 58mm auto/);
+    assert.match(html, /window\.print\(\)/);
+    assert.doesNotMatch(renderHtml([], 80), /window\.print/);
+});
+
+test('trabalhos: uma comanda por praça com itens do pedido e recibo uma vez', () => {
+    const settings = printingSettings({
+        width: 80,
+        stations: [
+            { id: 'bar', name: 'Bar', categories: ['cerveja'], width: 58 },
+            { id: 'cozinha', name: 'Cozinha', categories: ['petisco'] },
+            { id: 'sobremesa', name: 'Sobremesa', categories: ['doce'] }
+        ]
+    });
+
+    const kitchen = printJobsFor(order, settings, { kind: 'kitchen', trigger: 'auto' });
+    assert.deepEqual(kitchen.map(job => [job.station_id, job.width, job.dedupe_key]), [['bar', 58, '42:kitchen:bar'], ['cozinha', 80, '42:kitchen:cozinha']]);
+
+    const receipt = printJobsFor(order, settings, { kind: 'receipt', requestedBy: 'caixa' });
+    assert.deepEqual(receipt.map(job => [job.station_id, job.dedupe_key, job.requested_by]), [[null, null, 'caixa']]);
+    assert.deepEqual(printJobsFor(order, settings, { kind: 'kitchen', stationId: 'cozinha' }).map(job => job.station_id), ['cozinha']);
+});
+
+test('nome da forma de pagamento e valor em reais', () => {
+    assert.equal(paymentLabel('Cartão'), 'Cartão');
+    assert.equal(paymentLabel('DEBITO'), 'Cartão de débito');
+    assert.equal(paymentLabel('vale-refeição'), 'vale-refeição');
+    assert.equal(paymentLabel(null), 'Não informado');
+    assert.equal(formatMoney('7.5'), 'R$ 7,50');
+});
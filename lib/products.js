@@ -0,0 +1,82 @@
+import { t, validate } from "./schema.js";
+import { roundMoney } from "./pricing.js";
+import { timeWindowSchema } from "./businessHours.js";
+
+// Status aceitos para produtos
+export const PRODUCT_STATUSES = ['active', 'inactive'];
+
+// Campos do produto que o admin pode gravar
+const PRODUCT_FIELDS = ['title', 'category', 'price', 'description', 'status', 'sabores', 'display_order', 'availability', 'store_id'];
+
+// Sabor como o admin envia
+export const saborSchema = t.object({
+    name: t.string({ min: 1, max: 80 }),
+    quantity: t.integer({ min: 0, coerce: true }).default(0),
+    image: t.string({ max: 2000 }).default(''),
+    description: t.string({ max: 500 }).default(''),
+    // Estoque baixo a partir deste saldo (sem valor, vale o padrão LOW_STOCK_THRESHOLD)
+    low_stock_threshold: t.integer({ min: 0, coerce: true }).optional().nullable()
+});
+
+const uniqueSaborNames = sabores => new Set(sabores.map(sabor => sabor.name)).size === sabores.length;
+
+// Produto como o admin envia (preço aceita texto numérico, como nos formulários antigos)
+export const productSchema = t.object({
+    title: t.string({ min: 1, max: 120 }),
+    category: t.string({ min: 1, max: 60 }),
+    price: t.number({ min: 0, coerce: true }),
+    description: t.string({ max: 2000 }).default(''),
+    status: t.enum(PRODUCT_STATUSES).default('active'),
+    display_order: t.integer({ coerce: true }).default(0),
+    // Faixas de horário em que o produto é vendido (ex.: almoço até 15h); sem faixas, o dia todo
+    availability: t.array(timeWindowSchema, { max: 20 }).optional().nullable(),
+    sabores: t.array(saborSchema, { max: 200 })
+        .default(() => [])
+        .refine(uniqueSaborNames, "Sabores repetidos no produto", 'duplicate'),
+    // Loja dona do produto (sem loja, o produto é do catálogo compartilhado por todas)
+    store_id: t.id().optional().nullable()
+});
+
+// Versão do produto lida pelo cliente, no corpo das alterações (ou no cabeçalho If-Match)
+const versionField = t.integer({ min: 1, coerce: true }).optional();
+
+// Corpo de PUT /api/products/:id (PATCH usa productUpdateSchema.partial())
+export const productUpdateSchema = t.object({ ...productSchema.shape, version: versionField });
+
+// Item de POST /api/products com o catálogo inteiro: com id, atualiza o produto lido na versão "version"
+export const catalogItemSchema = t.object({ ...productSchema.shape, id: t.id().optional(), version: versionField });
+
+// Corpo de POST /api/products/:id/sabores
+export const saborCreateSchema = t.object({ sabor: saborSchema, version: versionField });
+
+// Corpo de PATCH /api/products/:id/sabores/:name: só os campos enviados
+export const saborUpdateSchema = t.object({ ...saborSchema.partial().shape, version: versionField });
+
+// Validar e limpar os campos de um produto; com partial=true só o que foi enviado
+export function validateProductInput(input, { partial = false } = {}) {
+    const { value, errors } = validate(partial ? productSchema.partial() : productSchema, input);
+    const fields = value || {};
+    if (fields.price !== undefined) fields.price = roundMoney(fields.price);
+    return { fields, errors };
+}
+
+// Campos de um produto já validado pelo schema, prontos para gravar (preço arredondado, sem id e versão)
+export function productFields({ id, version, ...fields }) {
+    if (fields.price !== undefined) fields.price = roundMoney(fields.price);
+    return fields;
+}
+
+// Somente os campos conhecidos de um produto (para gravar no banco)
+export function pickProductFields(product) {
+    return Object.fromEntries(PRODUCT_FIELDS
+        .filter(field => product[field] !== undefined)
+        .map(field => [field, product[field]]));
+}
+
+// Versão esperada pelo cliente (If-Match ou campo version do corpo)
+export function expectedVersion(req) {
+    const header = req.headers['if-match'];
+    const raw = header !== undefined ? String(header).replace(/^W\//, '').replace(/"/g, '') : req.body?.version;
+    const version = Number(raw);
+    return raw !== undefined && raw !== null && Number.isInteger(version) ? version : null;
+}
@@ -0,0 +1,283 @@
+import { t } from "./schema.js";
+import { roundMoney } from "./pricing.js";
+import { inTimeWindow, isClock } from "./businessHours.js";
+
+// Tipos de promoção: cupom no pedido, preço por horário (happy hour) e combo de N unidades
+export const PROMOTION_TYPES = ['coupon', 'happy_hour', 'combo'];
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+const isInstant = value => value === undefined || value === null || !Number.isNaN(new Date(value).getTime());
+
+// Promoção como o admin envia (mesmos nomes da resposta). Alvo (happy hour e combo): productId,
+// category ou nenhum (tudo); combo aceita também um sabor do produto. Horário do happy hour no fuso
+// dos relatórios; início igual ao fim (00:00-00:00) vale o dia todo, como no horário de funcionamento.
+export const promotionSchema = t.object({
+    name: t.string({ min: 1, max: 120 }),
+    type: t.enum(PROMOTION_TYPES),
+    active: t.boolean().default(true),
+    startsAt: t.string({ max: 40 }).optional().nullable().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    endsAt: t.string({ max: 40 }).optional().nullable().refine(isInstant, "Data/hora inválida", 'invalid_format'),
+    discountType: t.enum(DISCOUNT_TYPES).optional().nullable(),
+    discountValue: t.number({ min: 0, coerce: true }).optional().nullable(),
+    code: t.string({ max: 40 }).optional().nullable(),
+    usageLimit: t.integer({ min: 1, coerce: true }).optional().nullable(),
+    minTotal: t.number({ min: 0, coerce: true }).optional().nullable(),
+    productId: t.id().optional().nullable(),
+    category: t.string({ max: 60 }).optional().nullable(),
+    sabor: t.string({ max: 80 }).optional().nullable(),
+    weekdays: t.array(t.integer({ min: 0, max: 6 }), { max: 7 }).optional().nullable(),
+    startTime: t.string({ max: 5 }).optional().nullable().refine(isClock, "Use o formato HH:MM", 'invalid_format'),
+    endTime: t.string({ max: 5 }).optional().nullable().refine(isClock, "Use o formato HH:MM", 'invalid_format'),
+    comboQuantity: t.integer({ min: 2, max: 50, coerce: true }).optional().nullable(),
+    comboPrice: t.number({ min: 0, coerce: true }).optional().nullable()
+});
+
+// Campo enviado -> coluna do banco
+const PROMOTION_COLUMNS = {
+    name: 'name', type: 'type', active: 'active', startsAt: 'starts_at', endsAt: 'ends_at',
+    discountType: 'discount_type', discountValue: 'discount_value', code: 'code', usageLimit: 'usage_limit',
+    minTotal: 'min_total', productId: 'product_id', category: 'category', sabor: 'sabor', weekdays: 'weekdays',
+    startTime: 'start_time', endTime: 'end_time', comboQuantity: 'combo_quantity', comboPrice: 'combo_price'
+};
+
+// Campos da promoção como o admin envia (já validados) -> colunas do banco; só os enviados (PATCH)
+export function promotionRow(fields) {
+    const row = {};
+    for (const [field, column] of Object.entries(PROMOTION_COLUMNS)) {
+        if (fields[field] !== undefined) row[column] = fields[field];
+    }
+
+    if (typeof row.code === 'string') row.code = row.code.trim().toUpperCase() || null;
+    for (const column of ['discount_value', 'min_total', 'combo_price']) {
+        if (typeof row[column] === 'number') row[column] = roundMoney(row[column]);
+    }
+    return row;
+}
+
+const required = (field, message) => ({ field, code: 'required', message });
+
+// Campos obrigatórios de cada tipo, conferidos na promoção já completa (linha do banco, na criação
+// ou com a edição aplicada). Os erros apontam os campos como o admin envia.
+export function promotionRuleErrors(promotion) {
+    const errors = [];
+    const needsDiscount = promotion.type === 'coupon' || promotion.type === 'happy_hour';
+
+    if (needsDiscount) {
+        if (!promotion.discount_type) errors.push(required('discountType', "Informe o tipo de desconto"));
+        if (!(promotion.discount_value > 0)) errors.push(required('discountValue', "Informe o valor do desconto"));
+        if (promotion.discount_type === 'percentage' && promotion.discount_value > 100) {
+            errors.push({ field: 'discountValue', code: 'too_big', message: "Percentual deve ser no máximo 100" });
+        }
+    }
+
+    if (promotion.type === 'coupon' && !promotion.code) errors.push(required('code', "Informe o código do cupom"));
+
+    if (promotion.type === 'happy_hour') {
+        if (!promotion.start_time) errors.push(required('startTime', "Informe o horário de início"));
+        if (!promotion.end_time) errors.push(required('endTime', "Informe o horário de fim"));
+        if (promotion.sabor) errors.push({ field: 'sabor', code: 'invalid_value', message: "Happy hour vale para o produto ou a categoria inteira" });
+    }
+
+    if (promotion.type === 'combo') {
+        if (!promotion.combo_quantity) errors.push(required('comboQuantity', "Informe a quantidade do combo"));
+        if (promotion.combo_price === undefined || promotion.combo_price === null) errors.push(required('comboPrice', "Informe o preço do combo"));
+        if (!promotion.product_id && !promotion.category) errors.push(required('productId', "Informe o produto ou a categoria do combo"));
+    }
+
+    if (promotion.sabor && !promotion.product_id) errors.push(required('productId', "Sabor exige o produto"));
+
+    if (promotion.starts_at && promotion.ends_at && new Date(promotion.starts_at) >= new Date(promotion.ends_at)) {
+        errors.push({ field: 'endsAt', code: 'invalid_range', message: "O fim deve ser depois do início" });
+    }
+
+    return errors;
+}
+
+// Promoção valendo agora (ativa, dentro da vigência, do horário e do limite de usos)?
+export function isPromotionLive(promotion, now = new Date()) {
+    if (promotion.active === false) return false;
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) return false;
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) return false;
+    if (promotion.type === 'happy_hour') {
+        return inTimeWindow({ weekdays: promotion.weekdays, start: promotion.start_time, end: promotion.end_time }, now);
+    }
+    if (promotion.type === 'coupon' && promotion.usage_limit && (promotion.usage_count || 0) >= promotion.usage_limit) return false;
+    return true;
+}
+
+// A promoção vale para o produto (e sabor, no combo)?
+function appliesTo(promotion, { productId, category, sabor = null }) {
+    if (promotion.product_id !== null && promotion.product_id !== undefined) {
+        if (String(promotion.product_id) !== String(productId)) return false;
+        return !promotion.sabor || promotion.sabor === sabor;
+    }
+    return !promotion.category || promotion.category === category;
+}
+
+// Preço unitário com o desconto da promoção
+function discountedPrice(price, promotion) {
+    const value = Number(promotion.discount_value) || 0;
+    const discounted = promotion.discount_type === 'percentage' ? price * (1 - value / 100) : price - value;
+    return roundMoney(Math.max(0, discounted));
+}
+
+// Happy hour com o menor preço para o produto agora (ou null)
+function bestHappyHour(live, target, price) {
+    let best = null;
+    for (const promotion of live) {
+        if (promotion.type !== 'happy_hour' || !appliesTo(promotion, target)) continue;
+        const promoPrice = discountedPrice(price, promotion);
+        if (promoPrice < price && (!best || promoPrice < best.price)) best = { promotion, price: promoPrice };
+    }
+    return best;
+}
+
+// Produtos normalizados com o preço que vale agora (currentPrice), a promoção que o define e
+// os combos em que entram. "price" continua sendo o preço de tabela, que é o que o painel edita.
+export function withCurrentPrices(products, promotions, now = new Date()) {
+    const live = (promotions || []).filter(promotion => isPromotionLive(promotion, now));
+
+    return products.map(product => {
+        const target = { productId: product.id, category: product.category };
+        const best = bestHappyHour(live, target, product.price);
+        const combos = live
+            .filter(promotion => promotion.type === 'combo' && appliesTo(promotion, { ...target, sabor: promotion.sabor }))
+            .map(promotion => ({
+                id: promotion.id,
+                name: promotion.name,
+                quantity: promotion.combo_quantity,
+                price: roundMoney(promotion.combo_price),
+                sabor: promotion.sabor || null
+            }));
+
+        return {
+            ...product,
+            currentPrice: best ? best.price : product.price,
+            promotion: best ? { id: best.promotion.id, name: best.promotion.name, type: 'happy_hour', endsAt: best.promotion.ends_at || null } : null,
+            combos
+        };
+    });
+}
+
+// Aplicar as promoções às linhas do pedido (preços de tabela, de priceOrderItems), nesta ordem:
+// happy hour por unidade, combos sobre as unidades que sobraram e cupom sobre o restante.
+// Cada linha ganha "discount"; o pedido recebe a lista dos descontos usados.
+// Retorna { lines, subtotal, discount, discounts, total, errors } (errors no formato da validação).
+export function applyPromotions(lines, promotions, { couponCode = null, now = new Date() } = {}) {
+    const live = (promotions || []).filter(promotion => isPromotionLive(promotion, now));
+    const used = new Map();
+    const errors = [];
+
+    const record = (promotion, amount, extra = {}) => {
+        if (!used.has(promotion.id)) {
+            used.set(promotion.id, { promotionId: promotion.id, name: promotion.name, type: promotion.type, amount: 0, ...extra });
+        }
+        const entry = used.get(promotion.id);
+        entry.amount = roundMoney(entry.amount + amount);
+        return entry;
+    };
+
+    const priced = lines.map(line => ({ ...line, discount: 0 }));
+    const unitPrices = priced.map(line => line.price);
+
+    priced.forEach((line, index) => {
+        const best = bestHappyHour(live, line, line.price);
+        if (!best) return;
+
+        const amount = roundMoney((line.price - best.price) * line.quantity);
+        line.discount = roundMoney(line.discount + amount);
+        unitPrices[index] = best.price;
+        record(best.promotion, amount);
+    });
+
+    // Unidades ainda livres para combo, da mais cara para a mais barata
+    const freeUnits = priced.map(line => line.quantity);
+
+    for (const promotion of live.filter(item => item.type === 'combo')) {
+        const units = priced
+            .flatMap((line, index) => appliesTo(promotion, line)
+                ? Array.from({ length: freeUnits[index] }, () => ({ index, price: unitPrices[index] }))
+                : [])
+            .sort((a, b) => b.price - a.price);
+
+        const size = promotion.combo_quantity;
+        for (let start = 0; start + size <= units.length; start += size) {
+            const group = units.slice(start, start + size);
+            const regular = group.reduce((sum, unit) => sum + unit.price, 0);
+            const saving = roundMoney(regular - promotion.combo_price);
+
+            // Unidades em ordem decrescente: se este grupo não economiza, os próximos também não
+            if (saving <= 0) break;
+
+            group.forEach(unit => {
+                freeUnits[unit.index] -= 1;
+                priced[unit.index].discount = roundMoney(priced[unit.index].discount + saving * unit.price / regular);
+            });
+            const entry = record(promotion, saving);
+            entry.quantity = (entry.quantity || 0) + 1;
+        }
+    }
+
+    const subtotal = roundMoney(priced.reduce((sum, line) => sum + line.subtotal, 0));
+    let discount = roundMoney([...used.values()].reduce((sum, entry) => sum + entry.amount, 0));
+
+    if (couponCode) {
+        const code = couponCode.trim().toUpperCase();
+        const coupon = (promotions || []).find(promotion => promotion.type === 'coupon' && promotion.code === code);
+        const field = 'couponCode';
+
+        if (!coupon) {
+            errors.push({ field, code: 'COUPON_NOT_FOUND', message: `Cupom "${code}" não encontrado` });
+        } else if (!isPromotionLive(coupon, now)) {
+            const exhausted = coupon.usage_limit && (coupon.usage_count || 0) >= coupon.usage_limit;
+            errors.push(exhausted
+                ? { field, code: 'COUPON_EXHAUSTED', message: `Cupom "${code}" esgotado` }
+                : { field, code: 'COUPON_EXPIRED', message: `Cupom "${code}" fora da validade` });
+        } else if (coupon.min_total && subtotal - discount < coupon.min_total) {
+            errors.push({ field, code: 'COUPON_MIN_TOTAL', message: `Cupom "${code}" vale a partir de R$ ${Number(coupon.min_total).toFixed(2)}` });
+        } else {
+            const base = subtotal - discount;
+            const value = Number(coupon.discount_value) || 0;
+            const amount = roundMoney(Math.min(base, coupon.discount_type === 'percentage' ? base * value / 100 : value));
+            record(coupon, amount, { code });
+            discount = roundMoney(discount + amount);
+        }
+    }
+
+    return {
+        lines: priced,
+        subtotal,
+        discount,
+        discounts: [...used.values()],
+        total: roundMoney(subtotal - discount),
+        errors
+    };
+}
+
+// Formatar promoção para resposta (o código do cupom só vai para o painel)
+export function normalizePromotion(row, now = new Date()) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        active: row.active !== false,
+        live: isPromotionLive(row, now),
+        startsAt: row.starts_at || null,
+        endsAt: row.ends_at || null,
+        discountType: row.discount_type || null,
+        discountValue: row.discount_value === null || row.discount_value === undefined ? null : Number(row.discount_value),
+        code: row.code || null,
+        usageLimit: row.usage_limit ?? null,
+        usageCount: row.usage_count || 0,
+        minTotal: row.min_total === null || row.min_total === undefined ? null : Number(row.min_total),
+        productId: row.product_id ?? null,
+        category: row.category || null,
+        sabor: row.sabor || null,
+        weekdays: row.weekdays || null,
+        startTime: row.start_time ? String(row.start_time).slice(0, 5) : null,
+        endTime: row.end_time ? String(row.end_time).slice(0, 5) : null,
+        comboQuantity: row.combo_quantity ?? null,
+        comboPrice: row.combo_price === null || row.combo_price === undefined ? null : Number(row.combo_price),
+        createdAt: row.created_at
+    };
+}
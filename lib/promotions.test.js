@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { promotionRow, promotionRuleErrors, isPromotionLive, withCurrentPrices, applyPromotions } from "./promotions.js";
+
+// Sábado, 17/10/2026, 20:00 em São Paulo (UTC-3)
+const saturdayNight = new Date('2026-10-17T23:00:00Z');
+
+const happyHour = {
+    id: 1, name: 'Happy hour', type: 'happy_hour', category: 'cerveja',
+    discount_type: 'percentage', discount_value: 20, start_time: '18:00', end_time: '21:00', weekdays: [6]
+};
+const combo = { id: 2, name: '3 pastéis', type: 'combo', category: 'pastel', combo_quantity: 3, combo_price: 20 };
+const coupon = { id: 3, name: 'Primeira compra', type: 'coupon', code: 'BEMVINDO', discount_type: 'fixed', discount_value: 5, min_total: 30 };
+
+const line = (productId, category, price, quantity) => ({ productId, category, sabor: null, price, quantity, subtotal: price * quantity });
+
+test('regras de cada tipo apontam os campos como o admin envia', () => {
+    assert.deepEqual(promotionRuleErrors({ type: 'coupon', discount_type: 'percentage', discount_value: 150 }).map(error => [error.field, error.code]),
+        [['discountValue', 'too_big'], ['code', 'required']]);
+    assert.deepEqual(promotionRuleErrors({ ...happyHour, sabor: 'Lata' }).map(error => error.field), ['sabor', 'productId']);
+    assert.deepEqual(promotionRuleErrors({ type: 'combo' }).map(error => error.field), ['comboQuantity', 'comboPrice', 'productId']);
+    assert.deepEqual(promotionRuleErrors({ ...coupon, starts_at: '2026-10-18T00:00:00Z', ends_at: '2026-10-17T00:00:00Z' })
+        .map(error => error.code), ['invalid_range']);
+    assert.deepEqual(promotionRuleErrors(combo), []);
+});
+
+test('campos enviados viram colunas, com código em maiúsculas e valores arredondados', () => {
+    assert.deepEqual(promotionRow({ code: ' bemvindo ', discountValue: 5.555, minTotal: 30 }),
+        { code: 'BEMVINDO', discount_value: 5.56, min_total: 30 });
+    assert.deepEqual(promotionRow({ code: '  ' }), { code: null });
+});
+
+test('happy hour vale no horário e dia local; início igual ao fim vale o dia todo', () => {
+    assert.equal(isPromotionLive(happyHour, saturdayNight), true);
+    assert.equal(isPromotionLive(happyHour, new Date('2026-10-18T01:00:00Z')), false);
+
+    const allDay = { ...happyHour, start_time: '00:00', end_time: '00:00' };
+    assert.equal(isPromotionLive(allDay, new Date('2026-10-17T03:00:00Z')), true);
+    assert.equal(isPromotionLive(allDay, new Date('2026-10-18T02:59:00Z')), true);
+    assert.equal(isPromotionLive(allDay, new Date('2026-10-18T03:00:00Z')), false);
+    assert.equal(isPromotionLive({ ...allDay, weekdays: null }, new Date('2026-10-18T03:00:00Z')), true);
+
+    // Faixa que passa da meia-noite conta para o dia em que começou
+    const lateNight = { ...happyHour, start_time: '22:00', end_time: '02:00' };
+    assert.equal(isPromotionLive(lateNight, new Date('2026-10-18T04:30:00Z')), true);
+    assert.equal(isPromotionLive(lateNight, new Date('2026-10-19T04:30:00Z')), false);
+});
+
+test('vigência, desativação e limite de usos do cupom', () => {
+    assert.equal(isPromotionLive({ ...coupon, active: false }, saturdayNight), false);
+    assert.equal(isPromotionLive({ ...coupon, starts_at: '2026-10-18T00:00:00Z' }, saturdayNight), false);
+    assert.equal(isPromotionLive({ ...coupon, ends_at: '2026-10-17T23:00:00Z' }, saturdayNight), false);
+    assert.equal(isPromotionLive({ ...coupon, usage_limit: 2, usage_count: 2 }, saturdayNight), false);
+    assert.equal(isPromotionLive({ ...coupon, usage_limit: 2, usage_count: 1 }, saturdayNight), true);
+});
+
+test('cardápio mostra o preço de agora e os combos de cada produto', () => {
+    const [beer, pastel] = withCurrentPrices([
+        { id: 10, category: 'cerveja', price: 12 },
+        { id: 11, category: 'pastel', price: 9 }
+    ], [happyHour, combo], saturdayNight);
+
+    assert.equal(beer.price, 12);
+    assert.equal(beer.currentPrice, 9.6);
+    assert.deepEqual(beer.promotion, { id: 1, name: 'Happy hour', type: 'happy_hour', endsAt: null });
+    assert.equal(pastel.currentPrice, 9);
+    assert.deepEqual(pastel.combos, [{ id: 2, name: '3 pastéis', quantity: 3, price: 20, sabor: null }]);
+});
+
+test('pedido aplica happy hour, combo nas unidades mais caras e cupom sobre o restante', () => {
+    const result = applyPromotions([
+        line(10, 'cerveja', 12, 2),
+        line(11, 'pastel', 9, 2),
+        line(12, 'pastel', 6, 2)
+    ], [happyHour, combo, coupon], { couponCode: 'bemvindo', now: saturdayNight });
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.subtotal, 54);
+    // 4,80 do happy hour + 4,00 do combo (9 + 9 + 6 por 20) + 5,00 do cupom
+    assert.deepEqual(result.discounts.map(entry => [entry.type, entry.amount]), [['happy_hour', 4.8], ['combo', 4], ['coupon', 5]]);
+    assert.equal(result.discounts[1].quantity, 1);
+    assert.deepEqual(result.lines.map(entry => entry.discount), [4.8, 3, 1]);
+    assert.equal(result.discount, 13.8);
+    assert.equal(result.total, 40.2);
+});
+
+test('cupom inexistente, fora da validade, esgotado ou abaixo do mínimo', () => {
+    const order = [line(10, 'cerveja', 12, 2)];
+    const couponError = (promotions, couponCode = 'BEMVINDO') =>
+        applyPromotions(order, promotions, { couponCode, now: saturdayNight }).errors.map(error => error.code);
+
+    assert.deepEqual(couponError([coupon], 'OUTRO'), ['COUPON_NOT_FOUND']);
+    assert.deepEqual(couponError([{ ...coupon, ends_at: '2026-10-01T00:00:00Z' }]), ['COUPON_EXPIRED']);
+    assert.deepEqual(couponError([{ ...coupon, usage_limit: 1, usage_count: 1 }]), ['COUPON_EXHAUSTED']);
+    assert.deepEqual(couponError([coupon]), ['COUPON_MIN_TOTAL']);
+});
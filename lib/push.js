@@ -0,0 +1,63 @@
+import webpush from "web-push";
+import { t } from "./schema.js";
+
+// Enviador real via web-push com as chaves VAPID
+export function createWebPushSender({ publicKey, privateKey, subject }) {
+    return {
+        enabled: Boolean(publicKey && privateKey),
+        publicKey,
+        async send(subscription, payload) {
+            await webpush.sendNotification(subscription, JSON.stringify(payload), {
+                vapidDetails: { subject, publicKey, privateKey },
+                TTL: 60 * 60
+            });
+        }
+    };
+}
+
+// Enviador em memória para testes e desenvolvimento local: só guarda o que seria enviado
+export function createMemoryPushSender({ publicKey = 'local-test-key', failFor = [] } = {}) {
+    const sent = [];
+    return {
+        enabled: true,
+        publicKey,
+        sent,
+        async send(subscription, payload) {
+            if (failFor.includes(subscription.endpoint)) {
+                const error = new Error('Subscription expirada');
+                error.statusCode = 410;
+                throw error;
+            }
+            sent.push({ subscription, payload });
+        }
+    };
+}
+
+let pushSender = createWebPushSender({
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT || 'mailto:contato@bardovaqueiro.com.br'
+});
+
+// Trocar o enviador (ex.: createMemoryPushSender nos testes)
+export function setPushSender(sender) {
+    pushSender = sender;
+}
+
+export function getPushSender() {
+    return pushSender;
+}
+
+// Assinatura expirada/removida pelo navegador: deve ser apagada
+export function isGoneError(error) {
+    return error?.statusCode === 404 || error?.statusCode === 410;
+}
+
+// Formato da PushSubscription enviada pelo navegador
+export const pushSubscriptionSchema = t.object({
+    endpoint: t.string({ max: 2000, pattern: /^https:\/\//, format: "Endpoint deve ser uma URL https" }),
+    keys: t.object({
+        p256dh: t.string({ min: 1, max: 200 }),
+        auth: t.string({ min: 1, max: 100 })
+    })
+});
@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "./schema.js";
+import { createMemoryPushSender, isGoneError, pushSubscriptionSchema, setPushSender, getPushSender } from "./push.js";
+
+const subscription = endpoint => ({ endpoint, keys: { p256dh: 'chave', auth: 'segredo' } });
+
+test('enviador em memória guarda o que seria enviado', async () => {
+    const sender = createMemoryPushSender();
+    assert.equal(sender.enabled, true);
+
+    await sender.send(subscription('https://push.example/a'), { type: 'order.created', orderId: 1 });
+    assert.deepEqual(sender.sent, [{ subscription: subscription('https://push.example/a'), payload: { type: 'order.created', orderId: 1 } }]);
+});
+
+test('enviador em memória simula assinatura expirada', async () => {
+    const sender = createMemoryPushSender({ failFor: ['https://push.example/velha'] });
+
+    await assert.rejects(sender.send(subscription('https://push.example/velha'), {}), isGoneError);
+    assert.equal(sender.sent.length, 0);
+});
+
+test('isGoneError só aceita 404 e 410', () => {
+    assert.equal(isGoneError({ statusCode: 410 }), true);
+    assert.equal(isGoneError({ statusCode: 404 }), true);
+    assert.equal(isGoneError({ statusCode: 500 }), false);
+    assert.equal(isGoneError(null), false);
+});
+
+test('setPushSender troca o enviador usado pela API', () => {
+    const original = getPushSender();
+    const sender = createMemoryPushSender();
+    try {
+        setPushSender(sender);
+        assert.equal(getPushSender(), sender);
+    } finally {
+        setPushSender(original);
+    }
+});
+
+test('assinatura precisa de endpoint https e das chaves', () => {
+    assert.equal(validate(pushSubscriptionSchema, subscription('https://push.example/a')).errors.length, 0);
+    assert.ok(validate(pushSubscriptionSchema, subscription('http://push.example/a')).errors.length > 0);
+    assert.ok(validate(pushSubscriptionSchema, { endpoint: 'https://push.example/a' }).errors.length > 0);
+});
@@ -0,0 +1,56 @@
+import { createMemoryLimitStore } from "./memory.js";
+import { createSupabaseLimitStore } from "./supabase.js";
+import { sendError } from "../http.js";
+
+export { createMemoryLimitStore, createSupabaseLimitStore };
+
+// Escolher onde ficam os contadores dos limites:
+// RATE_LIMIT_STORE=memory (padrão, por instância) ou RATE_LIMIT_STORE=supabase
+// (tabela rate_limits, o mesmo limite para todas as instâncias; exige SUPABASE_URL e SUPABASE_KEY)
+export function createLimitStoreFromEnv(env = process.env) {
+    const kind = env.RATE_LIMIT_STORE || 'memory';
+
+    if (kind === 'supabase') {
+        if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+            throw new Error("RATE_LIMIT_STORE=supabase exige SUPABASE_URL e SUPABASE_KEY");
+        }
+        return createSupabaseLimitStore({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+    }
+
+    if (kind === 'memory') {
+        return createMemoryLimitStore();
+    }
+
+    throw new Error(`RATE_LIMIT_STORE inválido: ${kind} (use memory ou supabase)`);
+}
+
+// Segundos até o fim da janela (para o Retry-After)
+export function secondsUntil(resetAt) {
+    return Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+}
+
+// Middleware: no máximo "limit" requisições por janela de "windowMs" para cada chave
+// (por padrão o IP). Responde 429 RATE_LIMITED com Retry-After quando passa do limite.
+// Se os contadores falharem a requisição segue: limite fora do ar não derruba a API.
+export function rateLimit(limitStore, { name, limit, windowMs, key = req => req.ip, message = "Muitas requisições, tente novamente em instantes" }) {
+    return async (req, res, next) => {
+        let counter;
+        try {
+            counter = await limitStore.hit(`${name}:${key(req)}`, windowMs);
+        } catch (error) {
+            console.error(`❌ Erro no limite de requisições (${name}):`, error.message);
+            return next();
+        }
+
+        res.set('RateLimit-Limit', String(limit));
+        res.set('RateLimit-Remaining', String(Math.max(0, limit - counter.count)));
+        res.set('RateLimit-Reset', String(secondsUntil(counter.resetAt)));
+
+        if (counter.count > limit) {
+            res.set('Retry-After', String(secondsUntil(counter.resetAt)));
+            return sendError(res, 429, 'RATE_LIMITED', message, { retryAfter: secondsUntil(counter.resetAt) });
+        }
+
+        next();
+    };
+}
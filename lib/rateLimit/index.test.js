@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryLimitStore, createLimitStoreFromEnv, rateLimit, secondsUntil } from "./index.js";
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resposta mínima do Express para o middleware
+function fakeResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+test('contador soma na janela e recomeça quando ela vence', async () => {
+    const limits = createMemoryLimitStore();
+
+    assert.equal((await limits.hit('a', 30)).count, 1);
+    assert.equal((await limits.hit('a', 30)).count, 2);
+    assert.equal((await limits.hit('b', 30)).count, 1);
+    assert.equal((await limits.get('a')).count, 2);
+
+    await limits.reset('b');
+    assert.equal(await limits.get('b'), null);
+
+    await wait(40);
+    assert.equal(await limits.get('a'), null);
+    assert.equal((await limits.hit('a', 30)).count, 1);
+});
+
+test('middleware responde 429 com Retry-After depois do limite, por chave', async () => {
+    const limiter = rateLimit(createMemoryLimitStore(), { name: 'teste', limit: 2, windowMs: 60 * 1000 });
+    const request = ip => {
+        const res = fakeResponse();
+        let passed = false;
+        return limiter({ ip }, res, () => { passed = true; }).then(() => ({ res, passed }));
+    };
+
+    assert.equal((await request('1.1.1.1')).res.headers['RateLimit-Remaining'], '1');
+    assert.equal((await request('1.1.1.1')).passed, true);
+
+    const blocked = await request('1.1.1.1');
+    assert.equal(blocked.passed, false);
+    assert.equal(blocked.res.statusCode, 429);
+    assert.equal(blocked.res.body.code, 'RATE_LIMITED');
+    assert.equal(blocked.res.headers['Retry-After'], '60');
+
+    assert.equal((await request('2.2.2.2')).passed, true);
+});
+
+test('contadores fora do ar não derrubam a requisição', async () => {
+    const broken = { hit: async () => { throw new Error('sem conexão'); } };
+    const res = fakeResponse();
+    let passed = false;
+
+    await rateLimit(broken, { name: 'teste', limit: 1, windowMs: 1000 })({ ip: '1.1.1.1' }, res, () => { passed = true; });
+    assert.equal(passed, true);
+    assert.deepEqual(res.headers, {});
+});
+
+test('segundos até o fim da janela e escolha do armazenamento', () => {
+    assert.equal(secondsUntil(new Date(Date.now() + 1500)), 2);
+    assert.equal(secondsUntil(new Date(Date.now() - 1000)), 1);
+
+    assert.equal(createLimitStoreFromEnv({}).name, 'memory');
+    assert.throws(() => createLimitStoreFromEnv({ RATE_LIMIT_STORE: 'supabase' }), /SUPABASE_URL/);
+    assert.throws(() => createLimitStoreFromEnv({ RATE_LIMIT_STORE: 'redis' }), /RATE_LIMIT_STORE inválido/);
+});
@@ -0,0 +1,43 @@
+// Contadores em memória (padrão). Cada instância da função tem os seus, então no Vercel
+// o limite vale por instância; para um limite único entre instâncias use RATE_LIMIT_STORE=supabase.
+export function createMemoryLimitStore() {
+    const counters = new Map();
+
+    // Tirar os contadores vencidos de vez em quando, para o mapa não crescer sem fim
+    const prune = now => {
+        if (counters.size < 1000) return;
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    };
+
+    const current = (key, now) => {
+        const counter = counters.get(key);
+        return counter && counter.resetAt > now ? counter : null;
+    };
+
+    return {
+        name: 'memory',
+
+        // Contar mais uma ocorrência na janela; a janela começa na primeira. Retorna { count, resetAt }
+        async hit(key, windowMs) {
+            const now = Date.now();
+            prune(now);
+
+            const counter = current(key, now) || { count: 0, resetAt: now + windowMs };
+            counter.count += 1;
+            counters.set(key, counter);
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        },
+
+        // Contagem atual sem somar nada (null se não há janela aberta)
+        async get(key) {
+            const counter = current(key, Date.now());
+            return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+        },
+
+        async reset(key) {
+            counters.delete(key);
+        }
+    };
+}
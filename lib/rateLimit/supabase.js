@@ -0,0 +1,34 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Contadores numa tabela do Postgres, compartilhados entre as instâncias (função rate_limit_hit)
+export function createSupabaseLimitStore({ url, key }) {
+    const supabase = createClient(url, key);
+
+    const counter = row => (row ? { count: row.count, resetAt: new Date(row.reset_at) } : null);
+
+    return {
+        name: 'supabase',
+
+        async hit(key, windowMs) {
+            const { data, error } = await supabase.rpc('rate_limit_hit', { p_key: key, p_window_ms: windowMs });
+            if (error) throw error;
+            return counter(Array.isArray(data) ? data[0] : data);
+        },
+
+        async get(key) {
+            const { data, error } = await supabase
+                .from('rate_limits')
+                .select('count, reset_at')
+                .eq('key', key)
+                .gt('reset_at', new Date().toISOString())
+                .maybeSingle();
+            if (error) throw error;
+            return counter(data);
+        },
+
+        async reset(key) {
+            const { error } = await supabase.from('rate_limits').delete().eq('key', key);
+            if (error) throw error;
+        }
+    };
+}
@@ -0,0 +1,146 @@
+import { roundMoney } from "./pricing.js";
+
+// Quantidade da linha que ainda não foi estornada
+export function remainingQuantity(item) {
+    return Math.max(0, (Number(item.quantity) || 0) - (Number(item.refundedQuantity) || 0));
+}
+
+function lineProductId(item) {
+    return item.productId ?? item.id ?? null;
+}
+
+// Preço pago por unidade da linha (já com happy hour e combo)
+function paidUnitPrice(item) {
+    const quantity = Number(item.quantity) || 1;
+    const subtotal = Number(item.subtotal ?? (Number(item.price) || 0) * quantity) || 0;
+    return (subtotal - (Number(item.discount) || 0)) / quantity;
+}
+
+// Desconto do pedido que não está nas linhas (cupom, resgate de pontos), rateado pelo valor pago
+// de cada item: retorna o fator do preço pago por unidade (1 = sem desconto no pedido)
+function orderDiscountFactor(order, items) {
+    const linesTotal = items.reduce((sum, item) => sum + paidUnitPrice(item) * (Number(item.quantity) || 0), 0);
+    const lineDiscounts = items.reduce((sum, item) => sum + (Number(item.discount) || 0), 0);
+    const orderDiscount = (Number(order.discount) || 0) - lineDiscounts;
+
+    if (linesTotal <= 0 || orderDiscount <= 0) return 1;
+    return Math.max(0, 1 - orderDiscount / linesTotal);
+}
+
+// Montar o estorno a partir de [{ line, quantity }] (line = posição do item no pedido).
+// Sem itens, estorna tudo o que resta. Retorna { lines, amount, errors }
+export function planRefund(order, requested = null) {
+    const items = Array.isArray(order.items) ? order.items : [];
+    const errors = [];
+    const wanted = requested ?? items
+        .map((item, line) => ({ line, quantity: remainingQuantity(item) }))
+        .filter(entry => entry.quantity > 0);
+
+    // Linha repetida no pedido de estorno soma as quantidades
+    const quantities = new Map();
+
+    wanted.forEach((entry, index) => {
+        const item = items[entry.line];
+
+        if (!item) {
+            errors.push({ field: `items[${index}].line`, code: 'LINE_NOT_FOUND', message: `Linha ${entry.line} não existe no pedido` });
+            return;
+        }
+
+        const quantity = (quantities.get(entry.line) || 0) + entry.quantity;
+        if (quantity > remainingQuantity(item)) {
+            errors.push({
+                field: `items[${index}].quantity`,
+                code: 'REFUND_EXCEEDS_QUANTITY',
+                message: `Só restam ${remainingQuantity(item)} de "${item.title || 'item'}" para estornar`
+            });
+            return;
+        }
+
+        quantities.set(entry.line, quantity);
+    });
+
+    const factor = orderDiscountFactor(order, items);
+    const lines = [...quantities.entries()].map(([line, quantity]) => {
+        const item = items[line];
+        return {
+            line,
+            productId: lineProductId(item),
+            title: item.title || item.name || null,
+            sabor: item.sabor ?? null,
+            quantity,
+            amount: roundMoney(paidUnitPrice(item) * factor * quantity)
+        };
+    });
+
+    if (errors.length === 0 && lines.length === 0) {
+        errors.push({ field: 'items', code: 'NOTHING_TO_REFUND', message: "Nada a estornar neste pedido" });
+    }
+
+    // O estorno nunca passa do que foi pago; o que zera os itens devolve tudo o que resta
+    // (taxa de entrega e os centavos do arredondamento do rateio)
+    const paidLeft = Math.max(0, (Number(order.total) || 0) - (Number(order.refunded_amount) || 0));
+    const refundsEverything = items.every((item, line) => remainingQuantity(item) === (quantities.get(line) || 0));
+    const amount = refundsEverything && lines.length > 0
+        ? roundMoney(paidLeft)
+        : roundMoney(Math.min(lines.reduce((sum, line) => sum + line.amount, 0), paidLeft));
+    return { lines, amount, errors };
+}
+
+// Itens do pedido com as quantidades e valores estornados acumulados
+export function applyRefundToItems(items, lines) {
+    return items.map((item, index) => {
+        const refunded = lines.find(line => line.line === index);
+        if (!refunded) return item;
+
+        return {
+            ...item,
+            refundedQuantity: (Number(item.refundedQuantity) || 0) + refunded.quantity,
+            refundedAmount: roundMoney((Number(item.refundedAmount) || 0) + refunded.amount)
+        };
+    });
+}
+
+// Cancelamento: o que ainda não foi estornado volta ao estoque e o valor restante fica como cancelado
+export function planCancellation(order) {
+    const items = Array.isArray(order.items) ? order.items : [];
+
+    const lines = items
+        .map((item, line) => ({
+            line,
+            productId: lineProductId(item),
+            sabor: item.sabor ?? null,
+            quantity: remainingQuantity(item)
+        }))
+        .filter(line => line.quantity > 0);
+
+    const cancelledAmount = roundMoney((Number(order.total) || 0) - (Number(order.refunded_amount) || 0));
+    return { lines, cancelledAmount: Math.max(0, cancelledAmount) };
+}
+
+// Linhas a devolver ao estoque; só itens com sabor têm estoque controlado
+export function restockLines(lines, note, admin) {
+    return lines
+        .filter(line => line.productId !== null && line.sabor !== null && line.quantity > 0)
+        .map(line => ({
+            product_id: line.productId,
+            sabor: line.sabor,
+            quantity: line.quantity,
+            note,
+            admin_user_id: admin ? admin.id : null
+        }));
+}
+
+// Formatar estorno para resposta
+export function normalizeRefund(row) {
+    return {
+        id: row.id,
+        orderId: row.order_id,
+        amount: parseFloat(row.amount) || 0,
+        items: Array.isArray(row.items) ? row.items : [],
+        reason: row.reason,
+        restock: row.restock !== false,
+        adminUserId: row.admin_user_id ?? null,
+        createdAt: row.created_at
+    };
+}
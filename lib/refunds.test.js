@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { planRefund, applyRefundToItems, planCancellation, restockLines } from "./refunds.js";
+
+// Batata com R$ 5 de happy hour na linha e cupom de R$ 12 no pedido (20% do que foi pago nas linhas)
+const order = {
+    items: [
+        { productId: 1, title: 'Batata', sabor: 'Média', quantity: 2, price: 25, subtotal: 50, discount: 5 },
+        { productId: 2, title: 'Suco', sabor: null, quantity: 1, price: 15 }
+    ],
+    discount: 17,
+    total: 54,
+    refunded_amount: 0
+};
+
+test('estorno parcial reparte o cupom do pedido pelo valor pago de cada item', () => {
+    const juice = planRefund(order, [{ line: 1, quantity: 1 }]);
+    assert.deepEqual(juice.errors, []);
+    assert.deepEqual(juice.lines, [{ line: 1, productId: 2, title: 'Suco', sabor: null, quantity: 1, amount: 12 }]);
+    assert.equal(juice.amount, 12);
+
+    // 22,50 pagos por batata na linha, menos os 20% do cupom
+    assert.equal(planRefund(order, [{ line: 0, quantity: 1 }]).amount, 18);
+});
+
+test('estornar tudo devolve o que resta do pedido, com a taxa de entrega', () => {
+    const all = planRefund(order);
+    assert.deepEqual(all.lines.map(line => [line.line, line.quantity, line.amount]), [[0, 2, 36], [1, 1, 12]]);
+    assert.equal(all.amount, 54);
+
+    // Depois de um estorno parcial, o restante fecha a conta sem sobrar centavos
+    const partial = planRefund(order, [{ line: 0, quantity: 1 }]);
+    const after = { ...order, items: applyRefundToItems(order.items, partial.lines), refunded_amount: partial.amount };
+    assert.deepEqual(after.items[0], { ...order.items[0], refundedQuantity: 1, refundedAmount: 18 });
+    assert.equal(planRefund(after).amount, 36);
+});
+
+test('estorno nunca passa do que ainda foi pago', () => {
+    assert.equal(planRefund({ ...order, refunded_amount: 50 }, [{ line: 0, quantity: 1 }]).amount, 4);
+});
+
+test('estorno inválido: linha inexistente, quantidade além da restante ou nada a estornar', () => {
+    assert.deepEqual(planRefund(order, [{ line: 5, quantity: 1 }]).errors.map(error => error.code), ['LINE_NOT_FOUND']);
+
+    // Linha repetida soma as quantidades
+    const repeated = planRefund(order, [{ line: 0, quantity: 1 }, { line: 0, quantity: 2 }]);
+    assert.deepEqual(repeated.errors.map(error => [error.field, error.code]), [['items[1].quantity', 'REFUND_EXCEEDS_QUANTITY']]);
+
+    const refunded = { ...order, items: applyRefundToItems(order.items, planRefund(order).lines) };
+    assert.deepEqual(planRefund(refunded).errors.map(error => error.code), ['NOTHING_TO_REFUND']);
+});
+
+test('cancelamento devolve ao estoque só o que não foi estornado', () => {
+    const items = applyRefundToItems(order.items, [{ line: 0, quantity: 1, amount: 18 }]);
+    const cancellation = planCancellation({ ...order, items, refunded_amount: 18 });
+
+    assert.deepEqual(cancellation.lines, [
+        { line: 0, productId: 1, sabor: 'Média', quantity: 1 },
+        { line: 1, productId: 2, sabor: null, quantity: 1 }
+    ]);
+    assert.equal(cancellation.cancelledAmount, 36);
+
+    // Item sem sabor não tem estoque controlado
+    assert.deepEqual(restockLines(cancellation.lines, 'Cancelamento', { id: 4 }), [
+        { product_id: 1, sabor: 'Média', quantity: 1, note: 'Cancelamento', admin_user_id: 4 }
+    ]);
+});
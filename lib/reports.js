@@ -0,0 +1,249 @@
+import { roundMoney } from "./pricing.js";
+
+// Fuso usado para agrupar por dia/hora
+export const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'America/Sao_Paulo';
+
+// Status que não entram na receita (o valor do pedido vai para "cancelado")
+const EXCLUDED_STATUSES = ['cancelled'];
+
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: REPORT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+});
+
+// Data (AAAA-MM-DD) e hora locais de um instante
+export function localDateParts(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+
+    const parts = Object.fromEntries(dateFormatter.formatToParts(date).map(part => [part.type, part.value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+}
+
+// Instante (ISO, UTC) em que começa um dia local (AAAA-MM-DD) no fuso dos relatórios
+export function localDayStartIso(day) {
+    const guess = new Date(`${day}T00:00:00Z`);
+    const parts = Object.fromEntries(dateFormatter.formatToParts(guess).map(part => [part.type, part.value]));
+    const asLocal = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour));
+    return new Date(guess.getTime() - (asLocal - guess.getTime())).toISOString();
+}
+
+// Validar data no formato AAAA-MM-DD
+export function isIsoDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Linhas de um pedido normalizado, aceitando itens antigos com campos diferentes.
+// Quantidade e subtotal já descontam promoções da linha e o que foi estornado; linhas estornadas por inteiro saem.
+export function orderLines(order) {
+    return order.items.map(item => {
+        const quantity = Number(item.quantity) || 1;
+        const price = Number(item.price) || 0;
+        const subtotal = roundMoney(item.subtotal ?? price * quantity);
+        return {
+            productId: item.productId ?? item.id ?? null,
+            title: item.title || item.name || 'Sem nome',
+            sabor: item.sabor || item.saborName || null,
+            category: item.category || 'sem-categoria',
+            quantity: quantity - (Number(item.refundedQuantity) || 0),
+            subtotal: roundMoney(subtotal - (Number(item.discount) || 0) - (Number(item.refundedAmount) || 0))
+        };
+    }).filter(line => line.quantity > 0);
+}
+
+function emptyBucket(key) {
+    return { key, revenue: 0, deliveryFees: 0, foodRevenue: 0, orders: 0, averageTicket: 0 };
+}
+
+function finishBuckets(map) {
+    return [...map.values()].map(bucket => ({
+        ...bucket,
+        revenue: roundMoney(bucket.revenue),
+        deliveryFees: roundMoney(bucket.deliveryFees),
+        foodRevenue: roundMoney(bucket.revenue - bucket.deliveryFees),
+        averageTicket: bucket.orders > 0 ? roundMoney(bucket.revenue / bucket.orders) : 0
+    }));
+}
+
+// Relatório de vendas a partir de pedidos já normalizados (normalizeOrders)
+export function buildSalesReport(orders, { from, to, top = 10 } = {}) {
+    const byDay = new Map();
+    const byHour = new Map();
+    const byPaymentMethod = new Map();
+    const byOrderType = new Map();
+    const byCategory = new Map();
+    const byProduct = new Map();
+
+    // Receita = total dos pedidos - estornos - cancelados (o que deve estar no caixa).
+    // A taxa de entrega entra na receita, mas fica separada em deliveryFees / foodRevenue.
+    let grossRevenue = 0;
+    let refundedAmount = 0;
+    let cancelledAmount = 0;
+    let cancelledOrders = 0;
+    let revenue = 0;
+    let deliveryFees = 0;
+    let orderCount = 0;
+    let itemsSold = 0;
+
+    for (const order of orders) {
+        const parts = localDateParts(order.createdAt);
+        if (!parts) continue;
+        if (from && parts.day < from) continue;
+        if (to && parts.day > to) continue;
+
+        grossRevenue += order.total;
+        refundedAmount += order.refundedAmount || 0;
+        cancelledAmount += order.cancelledAmount || 0;
+
+        if (EXCLUDED_STATUSES.includes(order.status)) {
+            cancelledOrders++;
+            continue;
+        }
+
+        const net = order.total - (order.refundedAmount || 0);
+        const fee = order.deliveryFee || 0;
+        revenue += net;
+        deliveryFees += fee;
+        orderCount++;
+
+        const add = (map, key, amount = net, feeAmount = fee) => {
+            if (!map.has(key)) map.set(key, emptyBucket(key));
+            const bucket = map.get(key);
+            bucket.revenue += amount;
+            bucket.deliveryFees += feeAmount;
+            bucket.orders++;
+        };
+
+        add(byDay, parts.day);
+        add(byHour, parts.hour);
+        add(byOrderType, order.orderType || 'pickup');
+
+        // Conta dividida: cada forma de pagamento leva a sua parte do líquido
+        const payments = order.payments || [];
+        if (payments.length > 1 && order.total > 0) {
+            const shares = new Map();
+            payments.forEach(payment => {
+                const method = payment.method || 'não informado';
+                shares.set(method, (shares.get(method) || 0) + (Number(payment.amount) || 0) / order.total);
+            });
+            shares.forEach((share, method) => add(byPaymentMethod, method, net * share, fee * share));
+        } else {
+            add(byPaymentMethod, order.paymentMethod || 'não informado');
+        }
+
+        const categoriesInOrder = new Set();
+
+        for (const line of orderLines(order)) {
+            itemsSold += line.quantity;
+
+            if (!byCategory.has(line.category)) {
+                byCategory.set(line.category, { key: line.category, revenue: 0, orders: 0, quantity: 0 });
+            }
+            const category = byCategory.get(line.category);
+            category.revenue += line.subtotal;
+            category.quantity += line.quantity;
+            if (!categoriesInOrder.has(line.category)) {
+                category.orders++;
+                categoriesInOrder.add(line.category);
+            }
+
+            const productKey = `${line.productId ?? line.title}::${line.sabor ?? ''}`;
+            if (!byProduct.has(productKey)) {
+                byProduct.set(productKey, {
+                    productId: line.productId,
+                    title: line.title,
+                    sabor: line.sabor,
+                    category: line.category,
+                    quantity: 0,
+                    revenue: 0
+                });
+            }
+            const product = byProduct.get(productKey);
+            product.quantity += line.quantity;
+            product.revenue += line.subtotal;
+        }
+    }
+
+    const products = [...byProduct.values()]
+        .map(product => ({ ...product, revenue: roundMoney(product.revenue) }))
+        .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue);
+
+    return {
+        range: { from: from || null, to: to || null, timezone: REPORT_TIMEZONE },
+        summary: {
+            grossRevenue: roundMoney(grossRevenue),
+            refundedAmount: roundMoney(refundedAmount),
+            cancelledAmount: roundMoney(cancelledAmount),
+            cancelledOrders,
+            revenue: roundMoney(revenue),
+            deliveryFees: roundMoney(deliveryFees),
+            foodRevenue: roundMoney(revenue - deliveryFees),
+            orderCount,
+            averageTicket: orderCount > 0 ? roundMoney(revenue / orderCount) : 0,
+            itemsSold
+        },
+        byDay: finishBuckets(byDay).sort((a, b) => a.key.localeCompare(b.key)),
+        byHour: finishBuckets(byHour).sort((a, b) => a.key - b.key),
+        byPaymentMethod: finishBuckets(byPaymentMethod).sort((a, b) => b.revenue - a.revenue),
+        byOrderType: finishBuckets(byOrderType).sort((a, b) => b.revenue - a.revenue),
+        byCategory: [...byCategory.values()]
+            .map(category => ({ ...category, revenue: roundMoney(category.revenue) }))
+            .sort((a, b) => b.revenue - a.revenue),
+        byProduct: products,
+        topSellers: products.slice(0, top)
+    };
+}
+
+// Colunas do CSV para cada agrupamento do relatório
+export const REPORT_CSV_COLUMNS = {
+    byDay: [
+        { key: 'key', label: 'dia' },
+        { key: 'orders', label: 'pedidos' },
+        { key: 'revenue', label: 'receita' },
+        { key: 'foodRevenue', label: 'receita_itens' },
+        { key: 'deliveryFees', label: 'taxas_entrega' },
+        { key: 'averageTicket', label: 'ticket_medio' }
+    ],
+    byHour: [
+        { key: 'key', label: 'hora' },
+        { key: 'orders', label: 'pedidos' },
+        { key: 'revenue', label: 'receita' },
+        { key: 'foodRevenue', label: 'receita_itens' },
+        { key: 'deliveryFees', label: 'taxas_entrega' },
+        { key: 'averageTicket', label: 'ticket_medio' }
+    ],
+    byOrderType: [
+        { key: 'key', label: 'tipo_pedido' },
+        { key: 'orders', label: 'pedidos' },
+        { key: 'revenue', label: 'receita' },
+        { key: 'foodRevenue', label: 'receita_itens' },
+        { key: 'deliveryFees', label: 'taxas_entrega' },
+        { key: 'averageTicket', label: 'ticket_medio' }
+    ],
+    byPaymentMethod: [
+        { key: 'key', label: 'forma_pagamento' },
+        { key: 'orders', label: 'pedidos' },
+        { key: 'revenue', label: 'receita' },
+        { key: 'foodRevenue', label: 'receita_itens' },
+        { key: 'deliveryFees', label: 'taxas_entrega' },
+        { key: 'averageTicket', label: 'ticket_medio' }
+    ],
+    byCategory: [
+        { key: 'key', label: 'categoria' },
+        { key: 'orders', label: 'pedidos' },
+        { key: 'quantity', label: 'quantidade' },
+        { key: 'revenue', label: 'receita' }
+    ],
+    byProduct: [
+        { key: 'productId', label: 'produto_id' },
+        { key: 'title', label: 'produto' },
+        { key: 'sabor', label: 'sabor' },
+        { key: 'category', label: 'categoria' },
+        { key: 'quantity', label: 'quantidade' },
+        { key: 'revenue', label: 'receita' }
+    ]
+};
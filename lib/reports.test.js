@@ -0,0 +1,71 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSalesReport, localDateParts, localDayStartIso, orderLines } from "./reports.js";
+
+// Pedido já normalizado (normalizeOrders)
+const order = (fields) => ({
+    status: 'delivered',
+    paymentMethod: 'pix',
+    orderType: 'pickup',
+    deliveryFee: 0,
+    items: [{ productId: 1, title: 'Heineken', sabor: 'Long Neck', category: 'cerveja', quantity: 2, price: 12, subtotal: 24 }],
+    total: 24,
+    ...fields
+});
+
+test('dia e hora locais seguem o fuso dos relatórios', () => {
+    // 02:30 UTC ainda é o dia anterior em São Paulo (UTC-3)
+    assert.deepEqual(localDateParts('2026-10-17T02:30:00Z'), { day: '2026-10-16', hour: 23 });
+    assert.equal(localDayStartIso('2026-10-17'), '2026-10-17T03:00:00.000Z');
+    assert.equal(localDateParts('não é data'), null);
+});
+
+test('linhas descontam promoção e estorno e somem quando estornadas por inteiro', () => {
+    const lines = orderLines({
+        items: [
+            { id: 1, name: 'Batata', quantity: 2, price: 25, discount: 5 },
+            { productId: 2, title: 'Suco', quantity: 1, price: 8, refundedQuantity: 1, refundedAmount: 8 }
+        ]
+    });
+    assert.deepEqual(lines, [{ productId: 1, title: 'Batata', sabor: null, category: 'sem-categoria', quantity: 2, subtotal: 45 }]);
+});
+
+test('relatório soma receita, ticket médio e mais vendidos no período', () => {
+    const report = buildSalesReport([
+        order({ createdAt: '2026-10-16T23:00:00Z' }),
+        order({ createdAt: '2026-10-17T01:00:00Z', paymentMethod: 'dinheiro', total: 36, refundedAmount: 12,
+            items: [{ productId: 1, title: 'Heineken', sabor: 'Long Neck', category: 'cerveja', quantity: 3, price: 12, refundedQuantity: 1, refundedAmount: 12 }] }),
+        order({ createdAt: '2026-10-17T00:30:00Z', status: 'cancelled', cancelledAmount: 24 }),
+        order({ createdAt: '2026-10-17T22:00:00Z', orderType: 'delivery', deliveryFee: 6, total: 30 }),
+        order({ createdAt: '2026-10-20T22:00:00Z' })
+    ], { from: '2026-10-16', to: '2026-10-17', top: 1 });
+
+    assert.deepEqual(report.summary, {
+        grossRevenue: 114,
+        refundedAmount: 12,
+        cancelledAmount: 24,
+        cancelledOrders: 1,
+        revenue: 78,
+        deliveryFees: 6,
+        foodRevenue: 72,
+        orderCount: 3,
+        averageTicket: 26,
+        itemsSold: 6
+    });
+    assert.deepEqual(report.byDay.map(day => [day.key, day.orders, day.revenue]), [['2026-10-16', 2, 48], ['2026-10-17', 1, 30]]);
+    assert.deepEqual(report.byPaymentMethod.map(bucket => [bucket.key, bucket.revenue]), [['pix', 54], ['dinheiro', 24]]);
+    assert.deepEqual(report.byOrderType.find(bucket => bucket.key === 'delivery'), {
+        key: 'delivery', revenue: 30, deliveryFees: 6, foodRevenue: 24, orders: 1, averageTicket: 30
+    });
+    assert.deepEqual(report.topSellers, [{ productId: 1, title: 'Heineken', sabor: 'Long Neck', category: 'cerveja', quantity: 6, revenue: 72 }]);
+});
+
+test('conta dividida reparte a receita entre as formas de pagamento', () => {
+    const report = buildSalesReport([order({
+        createdAt: '2026-10-17T22:00:00Z',
+        total: 40,
+        payments: [{ method: 'pix', amount: 30 }, { method: 'cartao', amount: 10 }]
+    })]);
+
+    assert.deepEqual(report.byPaymentMethod.map(bucket => [bucket.key, bucket.revenue]), [['pix', 30], ['cartao', 10]]);
+});
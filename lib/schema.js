@@ -0,0 +1,202 @@
+// Validação declarativa dos corpos e parâmetros das rotas.
+// Cada tipo devolve um validador com .optional(), .nullable(), .default() e .refine();
+// validate(schema, valor) retorna { value, errors } com o valor limpo (campos desconhecidos
+// são descartados) e erros por campo no formato { field, code, message }.
+
+function issue(field, code, message) {
+    return { field: field || null, code, message };
+}
+
+function defaultOf(schema) {
+    return typeof schema._defaultValue === 'function' ? schema._defaultValue() : schema._defaultValue;
+}
+
+function run(schema, value, field, errors) {
+    // Texto vazio só conta como ausente para tipos que não são texto (ex.: ?limit= na query)
+    const missing = value === undefined || (value === '' && !schema._acceptsEmpty);
+
+    if (missing || value === null) {
+        if (value === null && schema._nullable) return null;
+        if (schema._hasDefault) return defaultOf(schema);
+        if (schema._optional) return undefined;
+        errors.push(issue(field, 'required', "Campo obrigatório"));
+        return undefined;
+    }
+
+    const before = errors.length;
+    const result = schema._check(value, field, errors);
+    if (errors.length > before) return undefined;
+
+    for (const { fn, message, code } of schema._refinements) {
+        if (!fn(result)) {
+            errors.push(issue(field, code, message));
+            return undefined;
+        }
+    }
+
+    return result;
+}
+
+// Construir um validador a partir da função de checagem do tipo
+function type(check, extra = {}) {
+    const build = state => {
+        const schema = {
+            _check: check,
+            _optional: state.optional,
+            _nullable: state.nullable,
+            _hasDefault: state.hasDefault,
+            _defaultValue: state.defaultValue,
+            _refinements: state.refinements,
+            _acceptsEmpty: Boolean(extra.acceptsEmpty),
+            // optional() também descarta o valor padrão (ex.: PATCH não preenche campos ausentes)
+            optional: () => build({ ...state, optional: true, hasDefault: false }),
+            nullable: () => build({ ...state, nullable: true }),
+            default: value => build({ ...state, hasDefault: true, defaultValue: value }),
+            refine: (fn, message, code = 'invalid_value') =>
+                build({ ...state, refinements: [...state.refinements, { fn, message, code }] }),
+            ...extra.members
+        };
+        return schema;
+    };
+
+    return build({ optional: false, nullable: false, hasDefault: false, defaultValue: undefined, refinements: [] });
+}
+
+export const t = {
+    // Texto; opções: min, max, pattern, trim (padrão true), lowercase
+    string({ min, max, pattern, trim = true, lowercase = false, format } = {}) {
+        return type((value, field, errors) => {
+            if (typeof value !== 'string') {
+                errors.push(issue(field, 'invalid_type', "Deve ser um texto"));
+                return undefined;
+            }
+            let text = trim ? value.trim() : value;
+            if (lowercase) text = text.toLowerCase();
+            if (text === '' && min > 0) {
+                errors.push(issue(field, 'required', "Campo obrigatório"));
+            } else if (min !== undefined && text.length < min) {
+                errors.push(issue(field, 'too_short', `Deve ter no mínimo ${min} caractere(s)`));
+            } else if (max !== undefined && text.length > max) {
+                errors.push(issue(field, 'too_long', `Deve ter no máximo ${max} caracteres`));
+            } else if (pattern && !pattern.test(text)) {
+                errors.push(issue(field, 'invalid_format', format || "Formato inválido"));
+            }
+            return text;
+        }, { acceptsEmpty: true });
+    },
+
+    // Número; opções: min, max, integer, coerce (aceita texto numérico, ex.: query string)
+    number({ min, max, integer = false, coerce = false } = {}) {
+        return type((value, field, errors) => {
+            const number = coerce && typeof value === 'string' ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                errors.push(issue(field, 'invalid_type', "Deve ser um número"));
+                return undefined;
+            }
+            if (integer && !Number.isInteger(number)) {
+                errors.push(issue(field, 'not_integer', "Deve ser um número inteiro"));
+            } else if (min !== undefined && number < min) {
+                errors.push(issue(field, 'too_small', `Deve ser maior ou igual a ${min}`));
+            } else if (max !== undefined && number > max) {
+                errors.push(issue(field, 'too_large', `Deve ser menor ou igual a ${max}`));
+            }
+            return number;
+        });
+    },
+
+    integer(options = {}) {
+        return t.number({ ...options, integer: true });
+    },
+
+    boolean({ coerce = false } = {}) {
+        return type((value, field, errors) => {
+            if (coerce && (value === 'true' || value === 'false')) return value === 'true';
+            if (typeof value !== 'boolean') {
+                errors.push(issue(field, 'invalid_type', "Deve ser verdadeiro ou falso"));
+                return undefined;
+            }
+            return value;
+        });
+    },
+
+    // Um dos valores da lista
+    enum(values) {
+        return type((value, field, errors) => {
+            if (!values.includes(value)) {
+                errors.push(issue(field, 'invalid_enum', `Valor inválido. Use: ${values.join(', ')}`));
+                return undefined;
+            }
+            return value;
+        });
+    },
+
+    // Id numérico ou texto (ids do Postgres chegam como número no corpo e texto na URL)
+    id() {
+        return type((value, field, errors) => {
+            if (typeof value === 'number' && Number.isInteger(value) && value > 0) return value;
+            if (typeof value === 'string' && value.trim() !== '') {
+                const text = value.trim();
+                return /^\d+$/.test(text) ? Number(text) : text;
+            }
+            errors.push(issue(field, 'invalid_type', "Identificador inválido"));
+            return undefined;
+        });
+    },
+
+    // Lista; opções: min, max
+    array(item, { min, max } = {}) {
+        return type((value, field, errors) => {
+            if (!Array.isArray(value)) {
+                errors.push(issue(field, 'invalid_type', "Deve ser uma lista"));
+                return undefined;
+            }
+            if (min !== undefined && value.length < min) {
+                errors.push(issue(field, 'too_short', `Deve ter no mínimo ${min} item(ns)`));
+                return undefined;
+            }
+            if (max !== undefined && value.length > max) {
+                errors.push(issue(field, 'too_long', `Deve ter no máximo ${max} itens`));
+                return undefined;
+            }
+            return value.map((entry, index) => run(item, entry, `${field || ''}[${index}]`, errors));
+        });
+    },
+
+    // Objeto com campos conhecidos; campos extras são descartados
+    object(shape) {
+        const check = (value, field, errors) => {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(issue(field, 'invalid_type', "Deve ser um objeto"));
+                return undefined;
+            }
+            const result = {};
+            for (const [key, schema] of Object.entries(shape)) {
+                const path = field ? `${field}.${key}` : key;
+                const cleaned = run(schema, value[key], path, errors);
+                if (cleaned !== undefined) result[key] = cleaned;
+            }
+            return result;
+        };
+
+        return type(check, {
+            members: {
+                shape,
+                // Mesmo objeto com todos os campos opcionais (PATCH)
+                partial: () => t.object(Object.fromEntries(Object.entries(shape)
+                    .map(([key, schema]) => [key, schema.optional()])))
+            }
+        });
+    },
+
+    // Qualquer valor, sem checagem
+    any() {
+        return type(value => value);
+    }
+};
+
+// Validar um valor contra o schema
+export function validate(schema, value) {
+    const errors = [];
+    const cleaned = run(schema, value, null, errors);
+    return { value: cleaned, errors };
+}
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { t, validate } from "./schema.js";
+
+const codes = result => result.errors.map(error => [error.field, error.code]);
+
+const item = t.object({
+    productId: t.id(),
+    sabor: t.string({ max: 10 }).optional().nullable(),
+    quantity: t.integer({ min: 1, max: 99, coerce: true }).default(1)
+});
+
+test('objeto limpa o valor: apara o texto, preenche o padrão e descarta campos extras', () => {
+    assert.deepEqual(validate(item, { productId: '7', sabor: '  Lata ', extra: true }), {
+        value: { productId: 7, sabor: 'Lata', quantity: 1 },
+        errors: []
+    });
+    assert.equal(validate(item, { productId: 1, sabor: null }).value.sabor, null);
+});
+
+test('erros trazem o caminho do campo, inclusive dentro de listas', () => {
+    const order = t.object({ items: t.array(item, { min: 1, max: 3 }) });
+
+    assert.deepEqual(codes(validate(order, { items: [{ productId: 1, quantity: '0' }, { sabor: 'Muito comprido' }] })), [
+        ['items[0].quantity', 'too_small'],
+        ['items[1].productId', 'required'],
+        ['items[1].sabor', 'too_long']
+    ]);
+    assert.deepEqual(codes(validate(order, { items: [] })), [['items', 'too_short']]);
+    assert.deepEqual(codes(validate(order, [])), [[null, 'invalid_type']]);
+});
+
+test('números: tipo, inteiro, faixa e texto só com coerce', () => {
+    assert.deepEqual(codes(validate(t.number(), '5')), [[null, 'invalid_type']]);
+    assert.equal(validate(t.number({ coerce: true }), '5.5').value, 5.5);
+    assert.deepEqual(codes(validate(t.integer(), 1.5)), [[null, 'not_integer']]);
+    assert.deepEqual(codes(validate(t.number({ max: 10 }), 11)), [[null, 'too_large']]);
+    assert.deepEqual(codes(validate(t.number(), Infinity)), [[null, 'invalid_type']]);
+});
+
+test('texto vazio é obrigatório no texto e ausente nos outros tipos', () => {
+    assert.deepEqual(codes(validate(t.object({ name: t.string({ min: 1 }) }), { name: '   ' })), [['name', 'required']]);
+    assert.deepEqual(validate(t.object({ limit: t.integer({ coerce: true }).optional() }), { limit: '' }), { value: {}, errors: [] });
+});
+
+test('enum, booleano da query, padrão e formato', () => {
+    assert.deepEqual(codes(validate(t.enum(['pix', 'dinheiro']), 'cheque')), [[null, 'invalid_enum']]);
+    assert.equal(validate(t.boolean({ coerce: true }), 'false').value, false);
+    assert.deepEqual(codes(validate(t.boolean(), 'true')), [[null, 'invalid_type']]);
+
+    const slug = t.string({ lowercase: true, pattern: /^[a-z-]+$/, format: "Use só letras e hífen" });
+    assert.equal(validate(slug, 'Centro').value, 'centro');
+    assert.equal(validate(slug, 'centro 2').errors[0].message, "Use só letras e hífen");
+});
+
+test('refine valida o resultado e usa o código informado', () => {
+    const range = t.object({ from: t.integer(), to: t.integer() })
+        .refine(value => value.from <= value.to, "Início depois do fim", 'invalid_range');
+
+    assert.deepEqual(validate(range, { from: 3, to: 1 }).errors, [{ field: null, code: 'invalid_range', message: "Início depois do fim" }]);
+    // Com erro no campo, o refine não roda
+    assert.deepEqual(codes(validate(range, { from: 'a', to: 1 })), [['from', 'invalid_type']]);
+});
+
+test('partial deixa tudo opcional e não preenche os padrões', () => {
+    assert.deepEqual(validate(item.partial(), { sabor: 'Lata' }), { value: { sabor: 'Lata' }, errors: [] });
+    assert.deepEqual(codes(validate(item.partial(), { quantity: 100 })), [['quantity', 'too_large']]);
+});
@@ -0,0 +1,29 @@
+import { createSupabaseStorage } from "./supabase.js";
+import { createLocalStorage } from "./local.js";
+
+export { createSupabaseStorage, createLocalStorage };
+
+// Escolher onde gravar as imagens enviadas pelo painel:
+// FILE_STORAGE=supabase (bucket SUPABASE_STORAGE_BUCKET, padrão "product-images") ou
+// FILE_STORAGE=local (pasta UPLOADS_DIR, servida em /uploads). Sem FILE_STORAGE, usa o
+// Supabase se estiver configurado e o disco caso contrário.
+export function createStorageFromEnv(env = process.env) {
+    const kind = env.FILE_STORAGE || (env.SUPABASE_URL && env.SUPABASE_KEY ? 'supabase' : 'local');
+
+    if (kind === 'supabase') {
+        if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+            throw new Error("FILE_STORAGE=supabase exige SUPABASE_URL e SUPABASE_KEY");
+        }
+        return createSupabaseStorage({
+            url: env.SUPABASE_URL,
+            key: env.SUPABASE_KEY,
+            bucket: env.SUPABASE_STORAGE_BUCKET || 'product-images'
+        });
+    }
+
+    if (kind === 'local') {
+        return createLocalStorage({ dir: env.UPLOADS_DIR || 'uploads', baseUrl: env.UPLOADS_PUBLIC_URL || '/uploads' });
+    }
+
+    throw new Error(`FILE_STORAGE inválido: ${kind} (use supabase ou local)`);
+}
@@ -0,0 +1,51 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Arquivos em disco (desenvolvimento): a API serve a pasta em /uploads.
+// "baseUrl" é o endereço público da pasta (UPLOADS_PUBLIC_URL), absoluto ou relativo à API.
+export function createLocalStorage({ dir = 'uploads', baseUrl = '/uploads' } = {}) {
+    const root = path.resolve(dir);
+    const base = baseUrl.replace(/\/+$/, '');
+    const basePath = new URL(base, 'http://localhost').pathname;
+
+    // Caminho no disco, sem sair da pasta de uploads
+    const fileFor = key => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error(`Chave de arquivo inválida: ${key}`);
+        return file;
+    };
+
+    return {
+        name: 'local',
+        dir: root,
+
+        urlFor(key) {
+            return `${base}/${key}`;
+        },
+
+        async put(key, buffer) {
+            const file = fileFor(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+            return this.urlFor(key);
+        },
+
+        async delete(keys) {
+            await Promise.all(keys.map(key => fs.rm(fileFor(key), { force: true })));
+        },
+
+        // Chave de um arquivo nosso a partir da URL; null para links de fora
+        keyFromUrl(url) {
+            if (!url) return null;
+
+            let pathname;
+            try {
+                pathname = new URL(url, 'http://localhost').pathname;
+            } catch {
+                return null;
+            }
+
+            return pathname.startsWith(`${basePath}/`) ? decodeURIComponent(pathname.slice(basePath.length + 1)) : null;
+        }
+    };
+}
@@ -0,0 +1,39 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalStorage, createStorageFromEnv } from "./index.js";
+
+test('grava e apaga arquivos na pasta de uploads', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vaqueiro-storage-'));
+    try {
+        const storage = createLocalStorage({ dir, baseUrl: '/uploads/' });
+
+        assert.equal(await storage.put('images/a.png', Buffer.from('png')), '/uploads/images/a.png');
+        assert.equal(fs.readFileSync(path.join(dir, 'images/a.png'), 'utf8'), 'png');
+
+        await storage.delete(['images/a.png', 'images/nao-existe.png']);
+        assert.equal(fs.existsSync(path.join(dir, 'images/a.png')), false);
+
+        // Chave que sai da pasta é recusada
+        await assert.rejects(storage.put('../fora.png', Buffer.from('x')));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('chave só para URLs da própria pasta', () => {
+    const storage = createLocalStorage({ dir: os.tmpdir(), baseUrl: 'https://cdn.example/fotos' });
+
+    assert.equal(storage.keyFromUrl('https://cdn.example/fotos/images/a%20b.png'), 'images/a b.png');
+    assert.equal(storage.keyFromUrl('https://outro.example/imagem.png'), null);
+    assert.equal(storage.keyFromUrl(''), null);
+});
+
+test('armazenamento escolhido pelo ambiente', () => {
+    assert.equal(createStorageFromEnv({ FILE_STORAGE: 'local', UPLOADS_DIR: os.tmpdir() }).name, 'local');
+    assert.equal(createStorageFromEnv({}).name, 'local');
+    assert.throws(() => createStorageFromEnv({ FILE_STORAGE: 'supabase' }), /SUPABASE_URL/);
+    assert.throws(() => createStorageFromEnv({ FILE_STORAGE: 's3' }), /FILE_STORAGE inválido/);
+});
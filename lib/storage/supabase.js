@@ -0,0 +1,33 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Arquivos no Supabase Storage (produção), em um bucket público
+export function createSupabaseStorage({ url, key, bucket }) {
+    const files = createClient(url, key).storage.from(bucket);
+    const base = files.getPublicUrl('').data.publicUrl.replace(/\/+$/, '');
+
+    return {
+        name: 'supabase',
+
+        urlFor(key) {
+            return files.getPublicUrl(key).data.publicUrl;
+        },
+
+        async put(key, buffer, contentType) {
+            const { error } = await files.upload(key, buffer, { contentType, cacheControl: '31536000', upsert: false });
+            if (error) throw error;
+            return this.urlFor(key);
+        },
+
+        async delete(keys) {
+            if (keys.length === 0) return;
+            const { error } = await files.remove(keys);
+            if (error) throw error;
+        },
+
+        // Chave de um arquivo nosso a partir da URL pública; null para links de fora
+        keyFromUrl(url) {
+            if (!url || !url.startsWith(`${base}/`)) return null;
+            return decodeURIComponent(url.slice(base.length + 1).split('?')[0]);
+        }
+    };
+}
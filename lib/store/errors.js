@@ -0,0 +1,114 @@
+// Códigos de recusa ao gravar pedido (mesmos nomes lançados pela função place_order no Postgres)
+export const PLACE_ORDER_CODES = ['PRODUCT_NOT_FOUND', 'PRODUCT_INACTIVE', 'PRICE_CHANGED', 'SABOR_NOT_FOUND', 'OUT_OF_STOCK'];
+
+// Erro de recusa do pedido com código e produto/sabor envolvidos; null se o código for desconhecido
+export function placeOrderFailure(code, productId, sabor) {
+    if (!PLACE_ORDER_CODES.includes(code)) return null;
+
+    const error = new Error(`${code}:${productId}${sabor ? `:${sabor}` : ''}`);
+    error.code = code;
+    error.productId = productId;
+    error.sabor = sabor || null;
+    return error;
+}
+
+// É uma recusa de pedido (estoque, preço, produto)?
+export function isPlaceOrderFailure(error) {
+    return Boolean(error && PLACE_ORDER_CODES.includes(error.code) && 'productId' in error);
+}
+
+// Códigos de recusa de movimento de estoque (mesmos nomes da função record_inventory_movement)
+export const INVENTORY_CODES = ['PRODUCT_NOT_FOUND', 'SABOR_NOT_FOUND', 'INSUFFICIENT_STOCK'];
+
+// Erro de recusa do movimento de estoque; null se o código for desconhecido
+export function inventoryFailure(code, productId, sabor) {
+    if (!INVENTORY_CODES.includes(code)) return null;
+
+    const error = new Error(`${code}:${productId}${sabor ? `:${sabor}` : ''}`);
+    error.code = code;
+    error.productId = productId;
+    error.sabor = sabor || null;
+    error.inventory = true;
+    return error;
+}
+
+// É uma recusa de movimento de estoque?
+export function isInventoryFailure(error) {
+    return Boolean(error && error.inventory && INVENTORY_CODES.includes(error.code));
+}
+
+// Códigos de recusa de pontos e clientes (mesmos nomes das funções place_order, apply_loyalty_points e merge_customers)
+export const LOYALTY_CODES = ['CUSTOMER_NOT_FOUND', 'CUSTOMER_MERGED', 'INSUFFICIENT_POINTS'];
+
+// Erro de recusa de pontos/cliente; null se o código for desconhecido
+export function loyaltyFailure(code, customerId) {
+    if (!LOYALTY_CODES.includes(code)) return null;
+
+    const error = new Error(`${code}:${customerId}`);
+    error.code = code;
+    error.customerId = customerId;
+    error.loyalty = true;
+    return error;
+}
+
+// É uma recusa de pontos/cliente?
+export function isLoyaltyFailure(error) {
+    return Boolean(error && error.loyalty && LOYALTY_CODES.includes(error.code));
+}
+
+// Cupom que deixou de valer entre o cálculo e a gravação do pedido (esgotou, venceu, foi desativado)
+export const PROMOTION_CODES = ['COUPON_UNAVAILABLE'];
+
+// Erro de recusa do cupom; null se o código for desconhecido
+export function promotionFailure(code, couponCode) {
+    if (!PROMOTION_CODES.includes(code)) return null;
+
+    const error = new Error(`${code}:${couponCode}`);
+    error.code = code;
+    error.couponCode = couponCode;
+    error.promotion = true;
+    return error;
+}
+
+// É uma recusa de cupom?
+export function isPromotionFailure(error) {
+    return Boolean(error && error.promotion && PROMOTION_CODES.includes(error.code));
+}
+
+// Códigos de recusa de comanda (mesmos nomes das funções add_tab_items, replace_tab_items e close_tab)
+export const TAB_CODES = ['TAB_NOT_FOUND', 'TAB_NOT_OPEN'];
+
+// Erro de recusa da comanda; null se o código for desconhecido
+export function tabFailure(code, tabId) {
+    if (!TAB_CODES.includes(code)) return null;
+
+    const error = new Error(`${code}:${tabId}`);
+    error.code = code;
+    error.tabId = tabId;
+    error.tab = true;
+    return error;
+}
+
+// É uma recusa de comanda?
+export function isTabFailure(error) {
+    return Boolean(error && error.tab && TAB_CODES.includes(error.code));
+}
+
+// Códigos de recusa de categoria (mesmos nomes da função delete_category)
+export const CATEGORY_CODES = ['CATEGORY_NOT_FOUND', 'CATEGORY_IN_USE'];
+
+// Erro de recusa da categoria; null se o código for desconhecido
+export function categoryFailure(code, categoryId) {
+    if (!CATEGORY_CODES.includes(code)) return null;
+
+    const error = new Error(`${code}:${categoryId}`);
+    error.code = code;
+    error.categoryId = categoryId;
+    error.category = true;
+    return error;
+}
+
+// É uma recusa de categoria?
+export function isCategoryFailure(error) {
+    return Boolean(error && error.category && CATEGORY_CODES.includes(error.code));
+}
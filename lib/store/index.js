@@ -0,0 +1,29 @@
+import { createSupabaseStore } from "./supabase.js";
+import { createLocalStore } from "./local.js";
+
+export { createSupabaseStore, createLocalStore };
+export {
+    placeOrderFailure, isPlaceOrderFailure, inventoryFailure, isInventoryFailure, loyaltyFailure, isLoyaltyFailure,
+    promotionFailure, isPromotionFailure, tabFailure, isTabFailure, categoryFailure, isCategoryFailure
+} from "./errors.js";
+
+// Escolher o armazenamento pela configuração:
+// DATA_STORE=supabase (exige SUPABASE_URL e SUPABASE_KEY) ou DATA_STORE=local
+// (em memória; LOCAL_DATA_FILE grava em arquivo JSON). Sem DATA_STORE, usa o Supabase
+// se estiver configurado e o local caso contrário.
+export function createStoreFromEnv(env = process.env) {
+    const kind = env.DATA_STORE || (env.SUPABASE_URL && env.SUPABASE_KEY ? 'supabase' : 'local');
+
+    if (kind === 'supabase') {
+        if (!env.SUPABASE_URL || !env.SUPABASE_KEY) {
+            throw new Error("DATA_STORE=supabase exige SUPABASE_URL e SUPABASE_KEY");
+        }
+        return createSupabaseStore({ url: env.SUPABASE_URL, key: env.SUPABASE_KEY });
+    }
+
+    if (kind === 'local') {
+        return createLocalStore({ file: env.LOCAL_DATA_FILE || null });
+    }
+
+    throw new Error(`DATA_STORE inválido: ${kind} (use supabase ou local)`);
+}
@@ -0,0 +1,1319 @@
+import fs from "fs";
+import path from "path";
+import { placeOrderFailure, inventoryFailure, loyaltyFailure, promotionFailure, tabFailure, categoryFailure } from "./errors.js";
+
+// Tabelas mantidas pelo armazenamento local
+const TABLES = [
+    'products', 'categories', 'orders', 'admin_credentials', 'admin_sessions', 'push_subscriptions', 'order_events',
+    'inventory_movements', 'order_refunds', 'customers', 'loyalty_transactions', 'promotions', 'tabs',
+    'opening_hours', 'business_closures', 'settings', 'idempotency_keys',
+    'audit_log', 'catalog_snapshots', 'print_jobs', 'pix_charges', 'pix_payments', 'delivery_zones',
+    'stores', 'store_products'
+];
+
+const clone = value => (value === undefined ? undefined : structuredClone(value));
+
+// Mesma loja (ids podem chegar como texto da URL)
+const sameStore = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+// Erro no mesmo formato do Postgres para violação de unicidade
+function uniqueViolation(message) {
+    const error = new Error(message);
+    error.code = '23505';
+    return error;
+}
+
+// Pedido passa nos filtros de listagem?
+function matchesOrderFilters(order, filters = {}) {
+    const createdAt = new Date(order.created_at).getTime();
+
+    if (filters.storeId !== undefined && !sameStore(order.store_id, filters.storeId)) return false;
+    if (filters.statuses && !filters.statuses.includes(order.status)) return false;
+    if (filters.customerId !== undefined && String(order.customer_id) !== String(filters.customerId)) return false;
+    if (filters.from && !(createdAt >= new Date(filters.from).getTime())) return false;
+    if (filters.to && !(createdAt <= new Date(filters.to).getTime())) return false;
+    if (filters.toExclusive && !(createdAt < new Date(filters.toExclusive).getTime())) return false;
+    if (filters.phone && !String(order.customer_phone || '').toLowerCase().includes(filters.phone.toLowerCase())) return false;
+    if (filters.paymentMethod && order.payment_method !== filters.paymentMethod) return false;
+    if (filters.paymentStatus && (order.payment_status || 'unpaid') !== filters.paymentStatus) return false;
+    if (filters.orderType && (order.order_type || (order.tab_id ? 'dine_in' : 'pickup')) !== filters.orderType) return false;
+    if (filters.minTotal !== undefined && !(Number(order.total) >= filters.minTotal)) return false;
+    return true;
+}
+
+// Movimento de estoque passa nos filtros do livro?
+function matchesMovementFilters(movement, filters = {}) {
+    const createdAt = new Date(movement.created_at).getTime();
+
+    if (filters.productId !== undefined && String(movement.product_id) !== String(filters.productId)) return false;
+    // Com loja: o estoque compartilhado e o próprio da loja
+    if (filters.storeId !== undefined && movement.store_id !== null && movement.store_id !== undefined &&
+        !sameStore(movement.store_id, filters.storeId)) return false;
+    if (filters.sabor && movement.sabor !== filters.sabor) return false;
+    if (filters.type && movement.type !== filters.type) return false;
+    if (filters.from && !(createdAt >= new Date(filters.from).getTime())) return false;
+    if (filters.to && !(createdAt <= new Date(filters.to).getTime())) return false;
+    return true;
+}
+
+// Cliente passa na busca por nome ou telefone parcial?
+function matchesCustomerFilters(customer, filters = {}) {
+    if (filters.search) {
+        const term = filters.search.toLowerCase();
+        if (!String(customer.name || '').toLowerCase().includes(term) && !customer.phone.includes(term)) return false;
+    }
+    return true;
+}
+
+// Linha do registro de auditoria passa nos filtros?
+function matchesAuditFilters(entry, filters = {}) {
+    const createdAt = new Date(entry.created_at).getTime();
+
+    if (filters.entityType && entry.entity_type !== filters.entityType) return false;
+    if (filters.entityId !== undefined && String(entry.entity_id) !== String(filters.entityId)) return false;
+    if (filters.adminUserId !== undefined && String(entry.admin_user_id) !== String(filters.adminUserId)) return false;
+    if (filters.from && !(createdAt >= new Date(filters.from).getTime())) return false;
+    if (filters.to && !(createdAt <= new Date(filters.to).getTime())) return false;
+    return true;
+}
+
+// Linhas antes do cursor na ordem (created_at desc, id desc)
+function afterCursor(rows, cursor) {
+    if (!cursor) return rows;
+    const cursorTime = new Date(cursor.createdAt).getTime();
+    return rows.filter(row => {
+        const time = new Date(row.created_at).getTime();
+        return time < cursorTime || (time === cursorTime && Number(row.id) < Number(cursor.id));
+    });
+}
+
+// Mais novo primeiro; empate desfeito pelo id
+function newestFirst(a, b) {
+    const diff = new Date(b.created_at).getTime() - new Date(a.created_at).getTime();
+    return diff !== 0 ? diff : Number(b.id) - Number(a.id);
+}
+
+// Implementação dos repositórios em memória, opcionalmente gravada em um arquivo JSON.
+// Serve para rodar a API sem rede e para testes de integração.
+export function createLocalStore({ file = null, seed = null } = {}) {
+    let state = { tables: {}, sequences: {} };
+
+    if (file && fs.existsSync(file)) {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else if (seed) {
+        state = { tables: clone(seed), sequences: {} };
+    }
+
+    for (const table of TABLES) {
+        state.tables[table] = state.tables[table] || [];
+        state.sequences[table] = state.sequences[table] ||
+            state.tables[table].reduce((max, row) => (typeof row.id === 'number' && row.id > max ? row.id : max), 0);
+    }
+
+    // Mesma carga da migração das lojas: a primeira loja fica com o que já existia
+    if (state.tables.stores.length === 0) {
+        state.sequences.stores = 1;
+        state.tables.stores.push({ id: 1, slug: 'vaqueiro', name: 'Bar do Vaqueiro', hosts: [], active: true, created_at: new Date().toISOString() });
+    }
+    for (const table of ['orders', 'tabs', 'opening_hours', 'business_closures', 'delivery_zones', 'promotions']) {
+        state.tables[table].filter(row => row.store_id === undefined).forEach(row => { row.store_id = state.tables.stores[0].id; });
+    }
+    state.tables.settings.filter(row => ['manual_closure', 'delivery'].includes(row.key)).forEach(row => {
+        row.key = `${row.key}:${state.tables.stores[0].id}`;
+    });
+    state.tables.print_jobs.filter(job => job.store_id === undefined).forEach(job => {
+        job.store_id = state.tables.orders.find(order => order.id === job.order_id)?.store_id ?? null;
+    });
+
+    // Gravar o estado no arquivo (quando configurado) após cada alteração
+    const persist = () => {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(state, null, 2));
+    };
+
+    const rows = table => state.tables[table];
+    const now = () => new Date().toISOString();
+
+    const insertRow = (table, row) => {
+        const saved = { ...clone(row) };
+        if (saved.id === undefined || saved.id === null) {
+            state.sequences[table] += 1;
+            saved.id = state.sequences[table];
+        } else if (typeof saved.id === 'number' && saved.id > state.sequences[table]) {
+            state.sequences[table] = saved.id;
+        }
+        if (!saved.created_at) saved.created_at = now();
+        rows(table).push(saved);
+        return saved;
+    };
+
+    const sameId = (a, b) => String(a) === String(b);
+    const find = (table, predicate) => rows(table).find(predicate);
+
+    const storeProduct = (storeId, productId) => (storeId === null || storeId === undefined
+        ? null
+        : find('store_products', row => sameStore(row.store_id, storeId) && sameId(row.product_id, productId)) || null);
+
+    // Mesmas regras da função sabor_stock do Postgres: o saldo está no estoque próprio da loja, se ela
+    // tiver um para o sabor, senão no compartilhado do produto. set(saldo) grava no mesmo lugar.
+    const saborStock = (storeId, product, saborName) => {
+        const sabor = (product.sabores || []).find(item => item.name === saborName);
+        if (!sabor) return null;
+
+        const override = storeProduct(storeId, product.id);
+        if (override && override.stock && override.stock[saborName] !== undefined) {
+            return {
+                own: true,
+                stock: override.stock[saborName],
+                set: balance => {
+                    override.stock[saborName] = balance;
+                    override.updated_at = now();
+                }
+            };
+        }
+
+        return {
+            own: false,
+            stock: sabor.quantity || 0,
+            set: balance => {
+                sabor.quantity = balance;
+                product.version = (product.version || 1) + 1;
+            }
+        };
+    };
+
+    // Mesmas regras da função take_stock do Postgres. Confere todas as linhas antes de alterar
+    // qualquer coisa e devolve { commit, sales }: commit() baixa o estoque conferido.
+    const checkStock = lines => {
+        const stock = new Map();
+        const sales = [];
+
+        for (const line of lines) {
+            const storeId = line.store_id ?? null;
+            const product = find('products', row => sameId(row.id, line.product_id));
+
+            if (!product || (storeId !== null && product.store_id !== null && product.store_id !== undefined &&
+                !sameStore(product.store_id, storeId))) {
+                throw placeOrderFailure('PRODUCT_NOT_FOUND', line.product_id);
+            }
+
+            const override = storeProduct(storeId, product.id);
+            if ((product.status || 'active') !== 'active' || override?.available === false) {
+                throw placeOrderFailure('PRODUCT_INACTIVE', product.id);
+            }
+
+            const price = override && override.price !== null && override.price !== undefined ? override.price : product.price;
+            if (Number(price) !== Number(line.unit_price)) throw placeOrderFailure('PRICE_CHANGED', product.id);
+
+            if (line.sabor !== null && line.sabor !== undefined) {
+                const where = saborStock(storeId, product, line.sabor);
+                if (!where) throw placeOrderFailure('SABOR_NOT_FOUND', product.id, line.sabor);
+
+                const key = `${where.own ? storeId : ''}::${product.id}::${line.sabor}`;
+                const remaining = (stock.has(key) ? stock.get(key).remaining : where.stock) - line.quantity;
+                if (remaining < 0) throw placeOrderFailure('OUT_OF_STOCK', product.id, line.sabor);
+
+                stock.set(key, { where, remaining });
+                sales.push({
+                    product_id: product.id,
+                    sabor: line.sabor,
+                    type: 'sale',
+                    quantity: -line.quantity,
+                    balance: remaining,
+                    store_id: where.own ? storeId : null
+                });
+            }
+        }
+
+        const commit = () => {
+            for (const { where, remaining } of stock.values()) where.set(remaining);
+        };
+
+        return { commit, sales };
+    };
+
+    const products = {
+        async list() {
+            return clone([...rows('products')].sort((a, b) =>
+                (a.display_order ?? Infinity) - (b.display_order ?? Infinity) || Number(a.id) - Number(b.id)));
+        },
+
+        async getById(id) {
+            return clone(find('products', product => sameId(product.id, id))) || null;
+        },
+
+        async getByIds(ids) {
+            const wanted = ids.map(String);
+            return clone(rows('products').filter(product => wanted.includes(String(product.id))));
+        },
+
+        async listByCategory(categoryId) {
+            return clone(rows('products').filter(product => product.category === categoryId));
+        },
+
+        async create(row) {
+            const saved = insertRow('products', row);
+            persist();
+            return clone(saved);
+        },
+
+        async createMany(newRows) {
+            const saved = newRows.map(row => insertRow('products', row));
+            persist();
+            return clone(saved);
+        },
+
+        async upsertMany(newRows) {
+            const saved = newRows.map(row => {
+                const existing = find('products', product => sameId(product.id, row.id));
+                if (!existing) return insertRow('products', row);
+                Object.assign(existing, clone(row));
+                return existing;
+            });
+            persist();
+            return clone(saved);
+        },
+
+        async updateIfVersion(id, version, updates) {
+            const product = find('products', row => sameId(row.id, id) && row.version === version);
+            if (!product) return null;
+            Object.assign(product, clone(updates));
+            persist();
+            return clone(product);
+        },
+
+        async deleteIfVersion(id, version) {
+            const index = rows('products').findIndex(row => sameId(row.id, id) && row.version === version);
+            if (index === -1) return false;
+            rows('products').splice(index, 1);
+            state.tables.store_products = rows('store_products').filter(row => !sameId(row.product_id, id));
+            persist();
+            return true;
+        },
+
+        async deleteMany(ids) {
+            const doomed = ids.map(String);
+            state.tables.products = rows('products').filter(product => !doomed.includes(String(product.id)));
+            state.tables.store_products = rows('store_products').filter(row => !doomed.includes(String(row.product_id)));
+            persist();
+        }
+    };
+
+    const categories = {
+        async list() {
+            return clone([...rows('categories')].sort((a, b) =>
+                (a.display_order || 0) - (b.display_order || 0) || String(a.name).localeCompare(String(b.name))));
+        },
+
+        async getById(id) {
+            return clone(find('categories', category => category.id === id)) || null;
+        },
+
+        async upsertMany(newRows) {
+            const saved = newRows.map(row => {
+                const existing = find('categories', category => category.id === row.id);
+                if (!existing) return insertRow('categories', row);
+                Object.assign(existing, clone(row));
+                return existing;
+            });
+            persist();
+            return clone(saved);
+        },
+
+        async update(id, updates) {
+            const category = find('categories', row => row.id === id);
+            if (!category) return null;
+            Object.assign(category, clone(updates), { updated_at: now() });
+            persist();
+            return clone(category);
+        },
+
+        // Mesmas regras da função reorder_categories do Postgres
+        async reorder(ids) {
+            const updatedAt = now();
+            const changed = ids.map((id, position) => {
+                const category = find('categories', row => row.id === id);
+                if (category) Object.assign(category, { display_order: position, updated_at: updatedAt });
+                return category;
+            }).filter(Boolean);
+            persist();
+            return clone(changed);
+        },
+
+        // Arquivar as categorias ativas fora da lista; retorna as arquivadas
+        async archiveNotIn(ids) {
+            const archivedAt = now();
+            const changed = rows('categories').filter(category => !ids.includes(category.id) && !category.archived_at);
+            changed.forEach(category => Object.assign(category, { archived_at: archivedAt, updated_at: archivedAt }));
+            persist();
+            return clone(changed);
+        },
+
+        // Mesmas regras da função delete_category do Postgres; retorna quantos produtos foram movidos
+        async remove(id, targetId = null) {
+            if (!find('categories', category => category.id === id)) throw categoryFailure('CATEGORY_NOT_FOUND', id);
+
+            const products = rows('products').filter(product => product.category === id);
+
+            if (targetId !== null) {
+                const target = find('categories', category => category.id === targetId);
+                if (!target || targetId === id || target.archived_at) throw categoryFailure('CATEGORY_NOT_FOUND', targetId);
+
+                const updatedAt = now();
+                products.forEach(product => Object.assign(product, {
+                    category: targetId,
+                    version: (product.version || 1) + 1,
+                    updated_at: updatedAt
+                }));
+                rows('promotions')
+                    .filter(promotion => promotion.category === id)
+                    .forEach(promotion => Object.assign(promotion, { category: targetId, updated_at: updatedAt }));
+            } else if (products.length > 0) {
+                throw categoryFailure('CATEGORY_IN_USE', id);
+            }
+
+            state.tables.categories = rows('categories').filter(category => category.id !== id);
+            persist();
+            return targetId !== null ? products.length : 0;
+        }
+    };
+
+    const orders = {
+        async list(filters = {}, { cursor, limit } = {}) {
+            const result = afterCursor(rows('orders').filter(order => matchesOrderFilters(order, filters)).sort(newestFirst), cursor);
+            return clone(limit ? result.slice(0, limit) : result);
+        },
+
+        async count(filters = {}) {
+            return rows('orders').filter(order => matchesOrderFilters(order, filters)).length;
+        },
+
+        async listBetween(fromIso, toIso, { storeId } = {}) {
+            return clone(rows('orders')
+                .filter(order => matchesOrderFilters(order, { from: fromIso, to: toIso, storeId }))
+                .sort((a, b) => -newestFirst(a, b)));
+        },
+
+        async getById(id) {
+            return clone(find('orders', order => sameId(order.id, id))) || null;
+        },
+
+        async updateIfStatus(id, expectedStatus, updates) {
+            const order = find('orders', row => sameId(row.id, id) && (row.status ?? null) === (expectedStatus ?? null));
+            if (!order) return null;
+            Object.assign(order, clone(updates));
+            persist();
+            return clone(order);
+        },
+
+        // Mesmas regras da função place_order do Postgres. Tudo é conferido antes de alterar
+        // qualquer linha, e não há await no meio, então nada intercala com outro pedido.
+        async place(order, lines) {
+            const { commit, sales } = checkStock(lines);
+            const redeemed = order.loyalty_points_redeemed || 0;
+            const customer = order.customer_id ? find('customers', row => sameId(row.id, order.customer_id)) : null;
+
+            const coupon = order.coupon_code
+                ? find('promotions', row => row.type === 'coupon' && row.code === order.coupon_code && sameStore(row.store_id, order.store_id))
+                : null;
+            const nowTime = Date.now();
+
+            if (order.coupon_code && (!coupon || coupon.active === false ||
+                (coupon.starts_at && new Date(coupon.starts_at).getTime() > nowTime) ||
+                (coupon.ends_at && new Date(coupon.ends_at).getTime() <= nowTime) ||
+                (coupon.usage_limit && (coupon.usage_count || 0) >= coupon.usage_limit))) {
+                throw promotionFailure('COUPON_UNAVAILABLE', order.coupon_code);
+            }
+
+            if (redeemed > 0 && (!customer || customer.merged_into || customer.points < redeemed)) {
+                throw loyaltyFailure('INSUFFICIENT_POINTS', order.customer_id);
+            }
+
+            commit();
+
+            if (coupon) {
+                coupon.usage_count = (coupon.usage_count || 0) + 1;
+                coupon.updated_at = now();
+            }
+
+            const saved = insertRow('orders', order);
+
+            sales.forEach(sale => insertRow('inventory_movements', { ...sale, order_id: saved.id }));
+
+            if (redeemed > 0) {
+                customer.points -= redeemed;
+                customer.updated_at = now();
+                insertRow('loyalty_transactions', {
+                    customer_id: customer.id,
+                    order_id: saved.id,
+                    type: 'redeem',
+                    points: -redeemed,
+                    balance: customer.points,
+                    note: `Resgate no pedido #${saved.id}`
+                });
+            }
+            persist();
+            return clone(saved);
+        },
+
+        async setCustomer(ids, customerId) {
+            const wanted = ids.map(String);
+            rows('orders').filter(order => wanted.includes(String(order.id))).forEach(order => { order.customer_id = customerId; });
+            persist();
+        },
+
+        // Mesmas regras da função apply_order_return do Postgres
+        async applyReturn(id, expectedUpdatedAt, { updates, restock = [], refund = null }) {
+            const order = find('orders', row => sameId(row.id, id));
+            if (!order) throw new Error(`ORDER_NOT_FOUND:${id}`);
+
+            const current = order.updated_at ? new Date(order.updated_at).getTime() : null;
+            const expected = expectedUpdatedAt ? new Date(expectedUpdatedAt).getTime() : null;
+            if (current !== expected) return null;
+
+            Object.assign(order, clone(updates));
+
+            for (const line of restock) {
+                const product = find('products', row => sameId(row.id, line.product_id));
+                const where = product && saborStock(order.store_id ?? null, product, line.sabor);
+                if (!where) continue;
+
+                where.set(where.stock + line.quantity);
+
+                insertRow('inventory_movements', {
+                    product_id: product.id,
+                    sabor: line.sabor,
+                    type: 'return',
+                    quantity: line.quantity,
+                    balance: where.stock + line.quantity,
+                    note: line.note ?? null,
+                    order_id: order.id,
+                    admin_user_id: line.admin_user_id ?? null,
+                    store_id: where.own ? order.store_id : null
+                });
+            }
+
+            const savedRefund = refund
+                ? insertRow('order_refunds', { restock: true, items: [], ...refund, order_id: order.id })
+                : null;
+
+            persist();
+            return clone({ order, refund: savedRefund });
+        }
+    };
+
+    const orderRefunds = {
+        async listByOrder(orderId) {
+            return clone(rows('order_refunds').filter(refund => sameId(refund.order_id, orderId)));
+        }
+    };
+
+    // Comanda aberta pelo id (mesmas recusas das funções de comanda do Postgres)
+    const openTab = id => {
+        const tab = find('tabs', row => sameId(row.id, id));
+        if (!tab) throw tabFailure('TAB_NOT_FOUND', id);
+        if (tab.status !== 'open') throw tabFailure('TAB_NOT_OPEN', id);
+        return tab;
+    };
+
+    const tabs = {
+        async list({ status, storeId } = {}) {
+            return clone(rows('tabs')
+                .filter(tab => !status || tab.status === status)
+                .filter(tab => storeId === undefined || sameStore(tab.store_id, storeId))
+                .sort(newestFirst));
+        },
+
+        async getById(id) {
+            return clone(find('tabs', tab => sameId(tab.id, id))) || null;
+        },
+
+        async create(row) {
+            if (row.table_number && find('tabs', tab => tab.status === 'open' && tab.table_number === row.table_number &&
+                (tab.store_id ?? null) === (row.store_id ?? null))) {
+                throw uniqueViolation(`Mesa ${row.table_number} já tem comanda aberta`);
+            }
+            const saved = insertRow('tabs', { status: 'open', items: [], ...row, updated_at: now() });
+            persist();
+            return clone(saved);
+        },
+
+        // Mesmas regras da função add_tab_items do Postgres
+        async addItems(id, items, lines) {
+            const tab = openTab(id);
+            const { commit, sales } = checkStock(lines);
+
+            commit();
+            sales.forEach(sale => insertRow('inventory_movements', { ...sale, tab_id: tab.id, note: `Comanda #${tab.id}` }));
+
+            tab.items = [...(tab.items || []), ...clone(items)];
+            tab.updated_at = now();
+            persist();
+            return clone(tab);
+        },
+
+        // Mesmas regras da função replace_tab_items do Postgres; null se alguma comanda mudou
+        async replaceItems(changes) {
+            const targets = changes.map(change => openTab(change.id));
+
+            if (changes.some((change, index) => targets[index].updated_at !== change.expected_updated_at)) return null;
+
+            const updatedAt = now();
+            targets.forEach((tab, index) => {
+                tab.items = clone(changes[index].items);
+                tab.updated_at = updatedAt;
+            });
+            persist();
+            return clone(targets);
+        },
+
+        // Mesmas regras da função close_tab do Postgres; null se a comanda mudou
+        async close(id, expectedUpdatedAt, order, closedBy = null) {
+            const tab = openTab(id);
+            if (tab.updated_at !== expectedUpdatedAt) return null;
+
+            const saved = insertRow('orders', order);
+
+            rows('inventory_movements')
+                .filter(movement => sameId(movement.tab_id, tab.id) && !movement.order_id)
+                .forEach(movement => { movement.order_id = saved.id; });
+
+            Object.assign(tab, { status: 'closed', order_id: saved.id, closed_by: closedBy, closed_at: now(), updated_at: now() });
+            persist();
+            return clone(saved);
+        }
+    };
+
+    // Promoções, zonas de entrega, horário e dias fechados são de cada loja
+    const promotions = {
+        async list(storeId) {
+            return clone(rows('promotions').filter(row => sameStore(row.store_id, storeId)).sort((a, b) => Number(a.id) - Number(b.id)));
+        },
+
+        async getById(id) {
+            return clone(find('promotions', promotion => sameId(promotion.id, id))) || null;
+        },
+
+        async create(row) {
+            if (row.code && find('promotions', promotion => promotion.code === row.code && sameStore(promotion.store_id, row.store_id))) {
+                throw uniqueViolation(`Cupom ${row.code} já existe`);
+            }
+            const saved = insertRow('promotions', { active: true, usage_count: 0, ...row, updated_at: now() });
+            persist();
+            return clone(saved);
+        },
+
+        async update(id, updates) {
+            const promotion = find('promotions', row => sameId(row.id, id));
+            if (!promotion) return null;
+            if (updates.code && find('promotions', row => row.code === updates.code && sameStore(row.store_id, promotion.store_id) &&
+                !sameId(row.id, id))) {
+                throw uniqueViolation(`Cupom ${updates.code} já existe`);
+            }
+            Object.assign(promotion, clone(updates));
+            persist();
+            return clone(promotion);
+        },
+
+        async delete(id) {
+            const before = rows('promotions').length;
+            state.tables.promotions = rows('promotions').filter(promotion => !sameId(promotion.id, id));
+            persist();
+            return rows('promotions').length < before;
+        }
+    };
+
+    const deliveryZones = {
+        async list(storeId) {
+            return clone(rows('delivery_zones').filter(row => sameStore(row.store_id, storeId)).sort((a, b) => Number(a.id) - Number(b.id)));
+        },
+
+        async getById(id) {
+            return clone(find('delivery_zones', zone => sameId(zone.id, id))) || null;
+        },
+
+        async create(row) {
+            const saved = insertRow('delivery_zones', { active: true, ...row });
+            persist();
+            return clone(saved);
+        },
+
+        async update(id, updates) {
+            const zone = find('delivery_zones', row => sameId(row.id, id));
+            if (!zone) return null;
+            Object.assign(zone, clone(updates), { updated_at: now() });
+            persist();
+            return clone(zone);
+        },
+
+        async delete(id) {
+            const before = rows('delivery_zones').length;
+            state.tables.delivery_zones = rows('delivery_zones').filter(zone => !sameId(zone.id, id));
+            rows('orders').filter(order => sameId(order.delivery_zone_id, id)).forEach(order => { order.delivery_zone_id = null; });
+            persist();
+            return rows('delivery_zones').length < before;
+        }
+    };
+
+    const stores = {
+        async list() {
+            return clone([...rows('stores')].sort((a, b) => Number(a.id) - Number(b.id)));
+        },
+
+        async getById(id) {
+            return clone(find('stores', row => sameId(row.id, id))) || null;
+        },
+
+        async create(row) {
+            if (find('stores', store => store.slug === row.slug)) {
+                throw uniqueViolation(`Loja ${row.slug} já existe`);
+            }
+            const saved = insertRow('stores', { hosts: [], active: true, ...row });
+            persist();
+            return clone(saved);
+        },
+
+        async update(id, updates) {
+            const store = find('stores', row => sameId(row.id, id));
+            if (!store) return null;
+            if (updates.slug && find('stores', row => row.slug === updates.slug && !sameId(row.id, id))) {
+                throw uniqueViolation(`Loja ${updates.slug} já existe`);
+            }
+            Object.assign(store, clone(updates), { updated_at: now() });
+            persist();
+            return clone(store);
+        }
+    };
+
+    // Ajustes dos produtos por loja (preço, disponibilidade e estoque próprios)
+    const storeProducts = {
+        async list(storeId) {
+            return clone(rows('store_products').filter(row => sameStore(row.store_id, storeId)));
+        },
+
+        async get(storeId, productId) {
+            return clone(storeProduct(storeId, productId));
+        },
+
+        // Mesmas regras da função save_store_product do Postgres
+        async save(row, adminUserId = null) {
+            const existing = storeProduct(row.store_id, row.product_id);
+            const before = existing ? clone(existing.stock || {}) : null;
+
+            const saved = existing || insertRow('store_products', { store_id: row.store_id, product_id: row.product_id });
+            Object.assign(saved, {
+                price: row.price ?? null,
+                available: row.available !== false,
+                stock: clone(row.stock || {}),
+                updated_at: now()
+            });
+
+            for (const [sabor, balance] of Object.entries(saved.stock)) {
+                if (before && before[sabor] === balance) continue;
+                insertRow('inventory_movements', {
+                    product_id: saved.product_id,
+                    sabor,
+                    type: 'correction',
+                    quantity: balance - (before?.[sabor] ?? 0),
+                    balance,
+                    note: 'Estoque próprio da loja',
+                    admin_user_id: adminUserId,
+                    store_id: saved.store_id
+                });
+            }
+
+            persist();
+            return clone(saved);
+        },
+
+        async delete(storeId, productId) {
+            const before = rows('store_products').length;
+            state.tables.store_products = rows('store_products')
+                .filter(row => !(sameStore(row.store_id, storeId) && sameId(row.product_id, productId)));
+            persist();
+            return rows('store_products').length < before;
+        }
+    };
+
+    const openingHours = {
+        async list(storeId) {
+            return clone(rows('opening_hours')
+                .filter(row => sameStore(row.store_id, storeId))
+                .sort((a, b) => a.weekday - b.weekday || a.opens_at.localeCompare(b.opens_at)));
+        },
+
+        async replace(storeId, newRows) {
+            state.tables.opening_hours = rows('opening_hours').filter(row => !sameStore(row.store_id, storeId));
+            const saved = newRows.map(row => insertRow('opening_hours', { ...row, store_id: storeId }));
+            persist();
+            return clone(saved);
+        }
+    };
+
+    const closures = {
+        async list({ from, storeId } = {}) {
+            return clone(rows('business_closures')
+                .filter(closure => sameStore(closure.store_id, storeId) && (!from || closure.date >= from))
+                .sort((a, b) => a.date.localeCompare(b.date)));
+        },
+
+        async create(row) {
+            if (find('business_closures', closure => closure.date === row.date && sameStore(closure.store_id, row.store_id))) {
+                throw uniqueViolation(`Dia ${row.date} já está fechado`);
+            }
+            const saved = insertRow('business_closures', row);
+            persist();
+            return clone(saved);
+        },
+
+        async delete(id, storeId) {
+            const before = rows('business_closures').length;
+            state.tables.business_closures = rows('business_closures')
+                .filter(closure => !(sameId(closure.id, id) && sameStore(closure.store_id, storeId)));
+            persist();
+            return rows('business_closures').length < before;
+        }
+    };
+
+    const settings = {
+        async get(key) {
+            const row = find('settings', setting => setting.key === key);
+            return row ? clone(row.value) : null;
+        },
+
+        async set(key, value) {
+            const row = find('settings', setting => setting.key === key);
+            if (row) Object.assign(row, { value: clone(value), updated_at: now() });
+            else insertRow('settings', { key, value, updated_at: now() });
+            persist();
+            return clone(value);
+        }
+    };
+
+    const idempotencyKeys = {
+        async claim(key, requestHash, ttlSeconds) {
+            const existing = find('idempotency_keys', row => row.key === key);
+            if (existing && Date.now() - new Date(existing.created_at).getTime() < ttlSeconds * 1000) {
+                return { ...clone(existing), claimed: false };
+            }
+
+            state.tables.idempotency_keys = rows('idempotency_keys').filter(row => row.key !== key);
+            insertRow('idempotency_keys', { key, request_hash: requestHash, status_code: null, response: null });
+            persist();
+            return { claimed: true };
+        },
+
+        async complete(key, statusCode, response) {
+            const row = find('idempotency_keys', item => item.key === key);
+            if (row) Object.assign(row, { status_code: statusCode, response: clone(response) });
+            persist();
+        },
+
+        async release(key) {
+            state.tables.idempotency_keys = rows('idempotency_keys').filter(row => row.key !== key);
+            persist();
+        }
+    };
+
+    const auditLog = {
+        async create(row) {
+            const saved = insertRow('audit_log', row);
+            persist();
+            return clone(saved);
+        },
+
+        async list(filters = {}, { cursor, limit } = {}) {
+            const result = afterCursor(rows('audit_log')
+                .filter(entry => matchesAuditFilters(entry, filters))
+                .sort(newestFirst), cursor);
+            return clone(limit ? result.slice(0, limit) : result);
+        }
+    };
+
+    const catalogSnapshots = {
+        async create(row) {
+            const saved = insertRow('catalog_snapshots', row);
+            persist();
+            return clone(saved);
+        },
+
+        async list({ cursor, limit } = {}) {
+            const result = afterCursor([...rows('catalog_snapshots')].sort(newestFirst), cursor)
+                .map(({ catalog, ...snapshot }) => snapshot);
+            return clone(limit ? result.slice(0, limit) : result);
+        },
+
+        async getById(id) {
+            return clone(find('catalog_snapshots', snapshot => sameId(snapshot.id, id))) || null;
+        },
+
+        // Só o catálogo de cada cópia guardada
+        async listCatalogs() {
+            return clone(rows('catalog_snapshots').map(snapshot => snapshot.catalog));
+        },
+
+        async prune(keep) {
+            const kept = new Set([...rows('catalog_snapshots')].sort(newestFirst).slice(0, keep).map(snapshot => snapshot.id));
+            const before = rows('catalog_snapshots').length;
+            state.tables.catalog_snapshots = rows('catalog_snapshots').filter(snapshot => kept.has(snapshot.id));
+            persist();
+            return before - rows('catalog_snapshots').length;
+        }
+    };
+
+    // Trabalho de impressão que pode ser reservado: pendente ou preso em "printing" desde antes de staleBefore
+    const claimable = (job, staleBefore) => job.status === 'pending' ||
+        (job.status === 'printing' && staleBefore && new Date(job.claimed_at) < new Date(staleBefore));
+
+    const printJobs = {
+        // Só entram os que ainda não existem com a mesma dedupe_key; retorna os gravados
+        async create(newRows) {
+            const saved = newRows
+                .filter(row => !row.dedupe_key || !find('print_jobs', job => job.dedupe_key === row.dedupe_key))
+                .map(row => insertRow('print_jobs', { status: 'pending', attempts: 0, ...row }));
+            persist();
+            return clone(saved);
+        },
+
+        // Do mais antigo para o mais novo (ordem de impressão)
+        async list({ statuses, stationId, orderId, storeId } = {}, { limit } = {}) {
+            const result = rows('print_jobs')
+                .filter(job => !statuses || statuses.includes(job.status))
+                .filter(job => storeId === undefined || sameStore(job.store_id, storeId))
+                .filter(job => stationId === undefined || (job.station_id ?? null) === stationId)
+                .filter(job => orderId === undefined || sameId(job.order_id, orderId))
+                .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || Number(a.id) - Number(b.id));
+            return clone(limit ? result.slice(0, limit) : result);
+        },
+
+        async getById(id) {
+            return clone(find('print_jobs', job => sameId(job.id, id))) || null;
+        },
+
+        // Reservar para impressão; null se outro agente pegou antes
+        async claim(id, { staleBefore = null } = {}) {
+            const job = find('print_jobs', row => sameId(row.id, id));
+            if (!job || !claimable(job, staleBefore)) return null;
+
+            Object.assign(job, { status: 'printing', claimed_at: now(), attempts: (job.attempts || 0) + 1, error: null });
+            persist();
+            return clone(job);
+        },
+
+        // Resultado da impressão de um trabalho reservado; null se ele não estava em impressão
+        async finish(id, { status, error = null }) {
+            const job = find('print_jobs', row => sameId(row.id, id));
+            if (!job || job.status !== 'printing') return null;
+
+            Object.assign(job, { status, error, printed_at: status === 'printed' ? now() : null });
+            persist();
+            return clone(job);
+        }
+    };
+
+    // Linhas com a data (created_at ou outra coluna) dentro do período
+    const inPeriod = (value, { from, to } = {}) => {
+        const time = new Date(value).getTime();
+        return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime());
+    };
+
+    // Pedido da loja (sem storeId, qualquer um; PIX sem pedido não é de loja nenhuma)
+    const orderInStore = (orderId, storeId) => storeId === undefined ||
+        sameStore(find('orders', order => sameId(order.id, orderId))?.store_id, storeId);
+
+    const pixCharges = {
+        // Uma cobrança em aberto por pedido, como o índice único do Postgres
+        async create(row) {
+            if (find('pix_charges', charge => sameId(charge.order_id, row.order_id) && charge.status === 'pending')) {
+                throw uniqueViolation(`Pedido ${row.order_id} já tem cobrança PIX em aberto`);
+            }
+            const saved = insertRow('pix_charges', { status: 'pending', paid_at: null, paid_amount: null, end_to_end_id: null, ...row });
+            persist();
+            return clone(saved);
+        },
+
+        async getByTxid(txid) {
+            return clone(find('pix_charges', charge => charge.txid === txid)) || null;
+        },
+
+        // Cobrança mais recente do pedido (em aberto, paga ou cancelada)
+        async latestForOrder(orderId) {
+            const charges = rows('pix_charges').filter(charge => sameId(charge.order_id, orderId)).sort(newestFirst);
+            return clone(charges[0]) || null;
+        },
+
+        // Com storeId, só as cobranças de pedidos da loja
+        async list({ from, to, storeId } = {}) {
+            return clone(rows('pix_charges')
+                .filter(charge => inPeriod(charge.created_at, { from, to }) && orderInStore(charge.order_id, storeId))
+                .sort((a, b) => -newestFirst(a, b)));
+        },
+
+        // Cancelar cobrança em aberto (valor do pedido mudou ou venceu); false se já não estava em aberto
+        async cancel(id) {
+            const charge = find('pix_charges', row => sameId(row.id, id) && row.status === 'pending');
+            if (!charge) return false;
+            charge.status = 'cancelled';
+            persist();
+            return true;
+        }
+    };
+
+    const pixPayments = {
+        // Mesmas regras da função record_pix_payment do Postgres
+        async record(payment) {
+            if (find('pix_payments', row => row.end_to_end_id === payment.end_to_end_id)) return { duplicate: true };
+
+            const paidAt = payment.paid_at || now();
+            const amount = Number(payment.amount);
+            const charge = find('pix_charges', row => row.txid === payment.txid);
+            const order = charge ? find('orders', row => sameId(row.id, charge.order_id)) || null : null;
+
+            let outcome = 'paid';
+            if (!charge) outcome = 'unmatched';
+            else if (charge.status === 'paid' || order?.payment_status === 'paid') outcome = 'already_paid';
+            else if (amount < Number(charge.amount)) outcome = 'amount_mismatch';
+
+            const saved = insertRow('pix_payments', {
+                end_to_end_id: payment.end_to_end_id,
+                txid: payment.txid || null,
+                amount,
+                paid_at: paidAt,
+                payer: clone(payment.payer) ?? null,
+                charge_id: charge ? charge.id : null,
+                order_id: charge ? charge.order_id : null,
+                outcome,
+                raw: clone(payment.raw) ?? null
+            });
+
+            if (outcome === 'paid') {
+                Object.assign(charge, { status: 'paid', paid_at: paidAt, paid_amount: amount, end_to_end_id: payment.end_to_end_id });
+                rows('pix_charges')
+                    .filter(row => sameId(row.order_id, charge.order_id) && row.status === 'pending')
+                    .forEach(row => { row.status = 'cancelled'; });
+                if (order) {
+                    Object.assign(order, {
+                        payment_status: 'paid',
+                        paid_at: paidAt,
+                        payment_method: 'pix',
+                        payments: [{ method: 'pix', amount, endToEndId: payment.end_to_end_id, paidAt }],
+                        updated_at: now()
+                    });
+                }
+            }
+
+            persist();
+            return { duplicate: false, payment: clone(saved), charge: clone(charge) || null, order: outcome === 'paid' ? clone(order) : null };
+        },
+
+        // Com storeId, só os PIX que deram baixa (ou tentaram) num pedido da loja
+        async list({ from, to, storeId } = {}) {
+            return clone(rows('pix_payments').filter(payment => inPeriod(payment.paid_at, { from, to }) && orderInStore(payment.order_id, storeId)).sort((a, b) =>
+                new Date(a.paid_at) - new Date(b.paid_at) || Number(a.id) - Number(b.id)));
+        }
+    };
+
+    const customers = {
+        async list(filters = {}, { cursor, limit } = {}) {
+            const result = afterCursor(rows('customers')
+                .filter(customer => !customer.merged_into && matchesCustomerFilters(customer, filters))
+                .sort(newestFirst), cursor);
+            return clone(limit ? result.slice(0, limit) : result);
+        },
+
+        async getById(id) {
+            return clone(find('customers', customer => sameId(customer.id, id))) || null;
+        },
+
+        async getByPhone(phone) {
+            const customer = find('customers', row => row.phone === phone);
+            return customer && customer.merged_into ? this.getById(customer.merged_into) : clone(customer) || null;
+        },
+
+        async findOrCreate({ phone, name }) {
+            const existing = await this.getByPhone(phone);
+
+            if (existing) {
+                if (!name || existing.name === name) return existing;
+                const customer = find('customers', row => sameId(row.id, existing.id));
+                Object.assign(customer, { name, updated_at: now() });
+                persist();
+                return clone(customer);
+            }
+
+            const saved = insertRow('customers', { phone, name: name || null, points: 0, merged_into: null, updated_at: now() });
+            persist();
+            return clone(saved);
+        },
+
+        // Mesmas regras da função merge_customers do Postgres
+        async merge(targetId, sourceId, adminUserId = null) {
+            const target = find('customers', row => sameId(row.id, targetId));
+            const source = find('customers', row => sameId(row.id, sourceId));
+
+            if (!target) throw loyaltyFailure('CUSTOMER_NOT_FOUND', targetId);
+            if (!source) throw loyaltyFailure('CUSTOMER_NOT_FOUND', sourceId);
+            if (target.merged_into) throw loyaltyFailure('CUSTOMER_MERGED', target.id);
+            if (source.merged_into) throw loyaltyFailure('CUSTOMER_MERGED', source.id);
+
+            rows('orders').filter(order => sameId(order.customer_id, source.id)).forEach(order => { order.customer_id = target.id; });
+            rows('customers').filter(row => sameId(row.merged_into, source.id)).forEach(row => { row.merged_into = target.id; });
+
+            if (source.points > 0) {
+                insertRow('loyalty_transactions', {
+                    customer_id: source.id, type: 'merge', points: -source.points, balance: 0,
+                    note: `Mesclado no cliente #${target.id}`, admin_user_id: adminUserId
+                });
+                insertRow('loyalty_transactions', {
+                    customer_id: target.id, type: 'merge', points: source.points, balance: target.points + source.points,
+                    note: `Pontos do cliente #${source.id}`, admin_user_id: adminUserId
+                });
+            }
+
+            target.points += source.points;
+            target.name = target.name ?? source.name;
+            target.updated_at = now();
+            Object.assign(source, { points: 0, merged_into: target.id, updated_at: now() });
+
+            persist();
+            return clone(target);
+        }
+    };
+
+    const loyalty = {
+        // Mesmas regras da função apply_loyalty_points do Postgres
+        async apply(transaction) {
+            const customer = find('customers', row => sameId(row.id, transaction.customer_id));
+            if (!customer) throw loyaltyFailure('CUSTOMER_NOT_FOUND', transaction.customer_id);
+            if (customer.merged_into) throw loyaltyFailure('CUSTOMER_MERGED', customer.id);
+
+            const delta = transaction.clamp ? Math.max(transaction.points, -customer.points) : transaction.points;
+            if (customer.points + delta < 0) throw loyaltyFailure('INSUFFICIENT_POINTS', customer.id);
+
+            customer.points += delta;
+            customer.updated_at = now();
+
+            const saved = insertRow('loyalty_transactions', {
+                customer_id: customer.id,
+                order_id: transaction.order_id ?? null,
+                type: transaction.type,
+                points: delta,
+                balance: customer.points,
+                note: transaction.note ?? null,
+                admin_user_id: transaction.admin_user_id ?? null
+            });
+            persist();
+            return clone(saved);
+        },
+
+        async listByCustomer(customerId, { cursor, limit } = {}) {
+            const result = afterCursor(rows('loyalty_transactions')
+                .filter(row => sameId(row.customer_id, customerId))
+                .sort(newestFirst), cursor);
+            return clone(limit ? result.slice(0, limit) : result);
+        },
+
+        async listByOrder(orderId) {
+            return clone(rows('loyalty_transactions').filter(row => sameId(row.order_id, orderId)));
+        }
+    };
+
+    const admins = {
+        async list() {
+            return clone([...rows('admin_credentials')].sort((a, b) => a.username.localeCompare(b.username)));
+        },
+
+        async getById(id) {
+            return clone(find('admin_credentials', admin => sameId(admin.id, id))) || null;
+        },
+
+        async getByUsername(username) {
+            return clone(find('admin_credentials', admin => admin.username === username)) || null;
+        },
+
+        async count({ role, active } = {}) {
+            return rows('admin_credentials').filter(admin =>
+                (role === undefined || admin.role === role) &&
+                (active === undefined || (admin.active !== false) === active)).length;
+        },
+
+        async create(row) {
+            if (find('admin_credentials', admin => admin.username === row.username)) {
+                throw uniqueViolation(`Usuário ${row.username} já existe`);
+            }
+            const saved = insertRow('admin_credentials', { role: 'owner', active: true, ...row });
+            persist();
+            return clone(saved);
+        },
+
+        async update(id, updates) {
+            const admin = find('admin_credentials', row => sameId(row.id, id));
+            if (!admin) throw new Error(`Usuário ${id} não encontrado`);
+            Object.assign(admin, clone(updates));
+            persist();
+            return clone(admin);
+        },
+
+        async delete(id) {
+            state.tables.admin_credentials = rows('admin_credentials').filter(admin => !sameId(admin.id, id));
+            state.tables.admin_sessions = rows('admin_sessions').filter(session => !sameId(session.user_id, id));
+            state.tables.push_subscriptions = rows('push_subscriptions').filter(row => !sameId(row.admin_user_id, id));
+            persist();
+        }
+    };
+
+    const sessions = {
+        async create(row) {
+            insertRow('admin_sessions', row);
+            persist();
+        },
+
+        async getActive(id) {
+            return clone(find('admin_sessions', session => session.id === id && !session.revoked_at)) || null;
+        },
+
+        async revoke(id) {
+            const session = find('admin_sessions', row => row.id === id);
+            if (session) session.revoked_at = now();
+            persist();
+        },
+
+        async revokeAllForUser(userId) {
+            const active = rows('admin_sessions').filter(session => sameId(session.user_id, userId) && !session.revoked_at);
+            active.forEach(session => { session.revoked_at = now(); });
+            persist();
+            return active.length;
+        }
+    };
+
+    const pushSubscriptions = {
+        async list(filter = {}) {
+            return clone(rows('push_subscriptions').filter(row =>
+                Object.entries(filter).every(([column, value]) => sameId(row[column], value))));
+        },
+
+        async upsert(row) {
+            const existing = find('push_subscriptions', subscription => subscription.endpoint === row.endpoint);
+            if (existing) {
+                Object.assign(existing, clone(row));
+            } else {
+                insertRow('push_subscriptions', row);
+            }
+            persist();
+        },
+
+        async delete(id) {
+            state.tables.push_subscriptions = rows('push_subscriptions').filter(row => !sameId(row.id, id));
+            persist();
+        },
+
+        async deleteByEndpoint(endpoint) {
+            state.tables.push_subscriptions = rows('push_subscriptions').filter(row => row.endpoint !== endpoint);
+            persist();
+        }
+    };
+
+    const orderEvents = {
+        async create(row) {
+            const saved = insertRow('order_events', row);
+            persist();
+            return clone(saved);
+        },
+
+        async latestId() {
+            return state.sequences.order_events;
+        },
+
+        async listAfter(id, limit) {
+            return clone(rows('order_events').filter(event => event.id > id).slice(0, limit));
+        }
+    };
+
+    const inventory = {
+        async balances() {
+            const latest = new Map();
+            // Só o estoque compartilhado; o próprio de cada loja fica em store_products.stock
+            for (const movement of rows('inventory_movements').filter(row => row.store_id === null || row.store_id === undefined)) {
+                const key = `${movement.product_id}::${movement.sabor}`;
+                if (!latest.has(key) || movement.id > latest.get(key).id) latest.set(key, movement);
+            }
+            return [...latest.values()].map(({ product_id, sabor, balance }) => ({ product_id, sabor, balance }));
+        },
+
+        async list(filters = {}, { cursor, limit } = {}) {
+            const result = afterCursor(rows('inventory_movements')
+                .filter(movement => matchesMovementFilters(movement, filters))
+                .sort(newestFirst), cursor);
+            return clone(limit ? result.slice(0, limit) : result);
+        },
+
+        // Mesmas regras da função record_inventory_movement do Postgres
+        async record(movement) {
+            const product = find('products', row => sameId(row.id, movement.product_id));
+            if (!product) throw inventoryFailure('PRODUCT_NOT_FOUND', movement.product_id);
+
+            // Com loja: o estoque próprio dela para o sabor, se houver, senão o compartilhado
+            const storeId = movement.store_id ?? null;
+            const where = saborStock(storeId, product, movement.sabor);
+            if (!where) throw inventoryFailure('SABOR_NOT_FOUND', product.id, movement.sabor);
+
+            const stock = where.stock;
+            const delta = movement.set_quantity !== undefined ? movement.set_quantity - stock : movement.quantity;
+            if (stock + delta < 0) throw inventoryFailure('INSUFFICIENT_STOCK', product.id, movement.sabor);
+
+            where.set(stock + delta);
+            if (!where.own) product.updated_at = now();
+
+            const saved = insertRow('inventory_movements', {
+                product_id: product.id,
+                sabor: movement.sabor,
+                type: movement.type,
+                quantity: delta,
+                balance: stock + delta,
+                note: movement.note ?? null,
+                admin_user_id: movement.admin_user_id ?? null,
+                store_id: where.own ? storeId : null
+            });
+            persist();
+            return clone(saved);
+        },
+
+        async log(newRows) {
+            const saved = newRows.map(row => insertRow('inventory_movements', row));
+            persist();
+            return clone(saved);
+        }
+    };
+
+    return {
+        name: 'local',
+        products,
+        categories,
+        orders,
+        orderRefunds,
+        tabs,
+        promotions,
+        deliveryZones,
+        stores,
+        storeProducts,
+        openingHours,
+        closures,
+        settings,
+        idempotencyKeys,
+        auditLog,
+        catalogSnapshots,
+        printJobs,
+        pixCharges,
+        pixPayments,
+        customers,
+        loyalty,
+        admins,
+        sessions,
+        pushSubscriptions,
+        orderEvents,
+        inventory,
+        // Cópia do estado atual (útil em testes)
+        snapshot: () => clone(state.tables)
+    };
+}
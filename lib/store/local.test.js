@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalStore, isPlaceOrderFailure } from "./index.js";
+
+const heineken = { title: 'Heineken', category: 'cerveja', price: 12, status: 'active', version: 1, sabores: [{ name: 'Long Neck', quantity: 5 }] };
+
+const orderLine = (productId, quantity, unitPrice = 12) => ({ product_id: productId, sabor: 'Long Neck', quantity, unit_price: unitPrice, store_id: 1 });
+
+test('começa com a primeira loja criada', async () => {
+    const store = createLocalStore();
+    const stores = await store.stores.list();
+    assert.equal(stores.length, 1);
+    assert.equal(stores[0].slug, 'vaqueiro');
+});
+
+test('produtos: cria com id sequencial e só altera na versão esperada', async () => {
+    const store = createLocalStore();
+    const first = await store.products.create(heineken);
+    const second = await store.products.create({ ...heineken, title: 'Amstel' });
+    assert.equal(second.id, first.id + 1);
+
+    assert.equal(await store.products.updateIfVersion(first.id, 2, { price: 13 }), null);
+    const updated = await store.products.updateIfVersion(first.id, 1, { price: 13, version: 2 });
+    assert.equal(updated.price, 13);
+
+    // O que volta é cópia: mexer nela não altera o armazenamento
+    updated.price = 99;
+    assert.equal((await store.products.getById(first.id)).price, 13);
+});
+
+test('pedido baixa o estoque e registra a venda', async () => {
+    const store = createLocalStore();
+    const product = await store.products.create(heineken);
+
+    const order = await store.orders.place({ customer_name: 'Ana', store_id: 1, total: 24 }, [orderLine(product.id, 2)]);
+    assert.equal(order.customer_name, 'Ana');
+    assert.equal((await store.products.getById(product.id)).sabores[0].quantity, 3);
+});
+
+test('pedido recusado não altera nada', async () => {
+    const store = createLocalStore();
+    const product = await store.products.create(heineken);
+    const other = await store.products.create({ ...heineken, title: 'Amstel', sabores: [{ name: 'Long Neck', quantity: 1 }] });
+
+    await assert.rejects(
+        store.orders.place({ customer_name: 'Ana', store_id: 1 }, [orderLine(product.id, 2), orderLine(other.id, 2)]),
+        error => isPlaceOrderFailure(error) && error.code === 'OUT_OF_STOCK' && error.productId === other.id
+    );
+    await assert.rejects(
+        store.orders.place({ customer_name: 'Ana', store_id: 1 }, [orderLine(product.id, 1, 10)]),
+        error => error.code === 'PRICE_CHANGED'
+    );
+
+    assert.equal((await store.products.getById(product.id)).sabores[0].quantity, 5);
+    assert.equal(await store.orders.count(), 0);
+});
+
+test('estoque próprio da loja vale no lugar do compartilhado', async () => {
+    const store = createLocalStore();
+    const product = await store.products.create(heineken);
+    await store.storeProducts.save({ store_id: 1, product_id: product.id, price: 10, stock: { 'Long Neck': 1 } });
+
+    await assert.rejects(
+        store.orders.place({ customer_name: 'Ana', store_id: 1 }, [orderLine(product.id, 1, 12)]),
+        error => error.code === 'PRICE_CHANGED'
+    );
+    await store.orders.place({ customer_name: 'Ana', store_id: 1 }, [orderLine(product.id, 1, 10)]);
+
+    assert.equal((await store.storeProducts.get(1, product.id)).stock['Long Neck'], 0);
+    assert.equal((await store.products.getById(product.id)).sabores[0].quantity, 5);
+});
+
+test('LOCAL_DATA_FILE: grava em arquivo e recarrega', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vaqueiro-'));
+    const file = path.join(dir, 'data.json');
+    try {
+        const store = createLocalStore({ file });
+        await store.products.create(heineken);
+
+        const reloaded = createLocalStore({ file });
+        const products = await reloaded.products.list();
+        assert.equal(products.length, 1);
+        assert.equal((await reloaded.products.create(heineken)).id, products[0].id + 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('horário, dias fechados, zonas e promoções ficam na loja; cupom é único só dentro dela', async () => {
+    const store = createLocalStore();
+    const branch = await store.stores.create({ slug: 'centro', name: 'Centro' });
+
+    await store.openingHours.replace(1, [{ weekday: 1, opens_at: '18:00', closes_at: '23:00' }]);
+    await store.openingHours.replace(branch.id, [{ weekday: 2, opens_at: '11:00', closes_at: '15:00' }]);
+    assert.deepEqual((await store.openingHours.list(1)).map(row => row.weekday), [1]);
+
+    const closure = await store.closures.create({ date: '2026-12-25', reason: 'Natal', store_id: branch.id });
+    await store.closures.create({ date: '2026-12-25', reason: 'Natal', store_id: 1 });
+    await assert.rejects(store.closures.create({ date: '2026-12-25', store_id: branch.id }), error => error.code === '23505');
+    assert.equal(await store.closures.delete(closure.id, 1), false);
+    assert.equal(await store.closures.delete(closure.id, branch.id), true);
+    assert.equal((await store.closures.list({ storeId: 1 })).length, 1);
+
+    await store.deliveryZones.create({ name: 'Centro', neighborhoods: ['Centro'], store_id: branch.id });
+    assert.deepEqual(await store.deliveryZones.list(1), []);
+
+    await store.promotions.create({ name: 'Dez', type: 'coupon', code: 'DEZ', store_id: branch.id });
+    await store.promotions.create({ name: 'Dez', type: 'coupon', code: 'DEZ', store_id: 1 });
+    await assert.rejects(store.promotions.create({ name: 'Dez', type: 'coupon', code: 'DEZ', store_id: 1 }), error => error.code === '23505');
+    assert.equal((await store.promotions.list(branch.id)).length, 1);
+});
+
+test('dados de antes das lojas ficam com a primeira loja', async () => {
+    const store = createLocalStore({
+        seed: {
+            promotions: [{ id: 1, name: 'Dez', type: 'coupon', code: 'DEZ' }],
+            opening_hours: [{ id: 1, weekday: 1, opens_at: '18:00', closes_at: '23:00' }],
+            settings: [{ key: 'manual_closure', value: { reason: 'Reforma' } }, { key: 'printing', value: {} }]
+        }
+    });
+
+    assert.equal((await store.promotions.list(1)).length, 1);
+    assert.equal((await store.openingHours.list(1)).length, 1);
+    assert.deepEqual(await store.settings.get('manual_closure:1'), { reason: 'Reforma' });
+    assert.deepEqual(await store.settings.get('printing'), {});
+});
@@ -0,0 +1,959 @@
+import { createClient } from '@supabase/supabase-js';
+import { placeOrderFailure, inventoryFailure, loyaltyFailure, promotionFailure, tabFailure, categoryFailure } from "./errors.js";
+
+// Retornar os dados ou lançar o erro do Supabase
+function unwrap({ data, error }) {
+    if (error) throw error;
+    return data;
+}
+
+// Lista de valores para os filtros "in" do PostgREST: ("a","b"), com aspas e barras escapadas
+function postgrestList(values) {
+    return `(${values.map(value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(',')})`;
+}
+
+// Aplicar os filtros de pedidos (status, período, telefone, cliente, pagamento, valor mínimo)
+function applyOrderFilters(query, filters = {}) {
+    if (filters.storeId !== undefined) query = query.eq('store_id', filters.storeId);
+    if (filters.statuses) query = query.in('status', filters.statuses);
+    if (filters.customerId !== undefined) query = query.eq('customer_id', filters.customerId);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+    if (filters.toExclusive) query = query.lt('created_at', filters.toExclusive);
+    if (filters.phone) query = query.ilike('customer_phone', `%${filters.phone}%`);
+    if (filters.paymentMethod) query = query.eq('payment_method', filters.paymentMethod);
+    if (filters.paymentStatus) query = query.eq('payment_status', filters.paymentStatus);
+    if (filters.orderType) query = query.eq('order_type', filters.orderType);
+    if (filters.minTotal !== undefined) query = query.gte('total', filters.minTotal);
+    return query;
+}
+
+// Aplicar os filtros do livro de estoque (produto, sabor, tipo, período)
+function applyMovementFilters(query, filters = {}) {
+    if (filters.productId !== undefined) query = query.eq('product_id', filters.productId);
+    // Com loja: o estoque compartilhado e o próprio da loja
+    if (filters.storeId !== undefined) query = query.or(`store_id.is.null,store_id.eq.${Number(filters.storeId)}`);
+    if (filters.sabor) query = query.eq('sabor', filters.sabor);
+    if (filters.type) query = query.eq('type', filters.type);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+    return query;
+}
+
+// Busca de clientes por nome ou telefone parcial (vírgula e parênteses quebram o filtro "or" do PostgREST)
+function applyCustomerFilters(query, filters = {}) {
+    if (filters.search) {
+        const term = filters.search.replace(/[,()%*]/g, ' ').trim();
+        if (term) query = query.or(`name.ilike.%${term}%,phone.ilike.%${term}%`);
+    }
+    return query;
+}
+
+// Filtros do registro de auditoria (entidade, admin, período)
+function applyAuditFilters(query, filters = {}) {
+    if (filters.entityType) query = query.eq('entity_type', filters.entityType);
+    if (filters.entityId !== undefined) query = query.eq('entity_id', String(filters.entityId));
+    if (filters.adminUserId !== undefined) query = query.eq('admin_user_id', filters.adminUserId);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+    return query;
+}
+
+// Condição "antes do cursor" na ordem (created_at desc, id desc)
+function beforeCursor(query, { createdAt, id }) {
+    return query.or(`created_at.lt."${createdAt}",and(created_at.eq."${createdAt}",id.lt.${Number(id)})`);
+}
+
+// Implementação dos repositórios sobre o Supabase (Postgres)
+export function createSupabaseStore({ url, key }) {
+    const supabase = createClient(url, key);
+
+    const products = {
+        async list() {
+            return unwrap(await supabase
+                .from('products')
+                .select('*')
+                .order('display_order', { ascending: true, nullsFirst: false })
+                .order('id'));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('products').select('*').eq('id', id).maybeSingle());
+        },
+
+        async getByIds(ids) {
+            if (ids.length === 0) return [];
+            return unwrap(await supabase.from('products').select('*').in('id', ids));
+        },
+
+        async listByCategory(categoryId) {
+            return unwrap(await supabase.from('products').select('*').eq('category', categoryId));
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('products').insert([row]).select().single());
+        },
+
+        async createMany(rows) {
+            if (rows.length === 0) return [];
+            return unwrap(await supabase.from('products').insert(rows).select());
+        },
+
+        async upsertMany(rows) {
+            if (rows.length === 0) return [];
+            return unwrap(await supabase.from('products').upsert(rows, { onConflict: 'id' }).select());
+        },
+
+        // Atualiza só se a versão bater; retorna a linha nova ou null
+        async updateIfVersion(id, version, updates) {
+            const rows = unwrap(await supabase
+                .from('products')
+                .update(updates)
+                .eq('id', id)
+                .eq('version', version)
+                .select());
+            return rows && rows.length > 0 ? rows[0] : null;
+        },
+
+        // Exclui só se a versão bater; retorna true se excluiu
+        async deleteIfVersion(id, version) {
+            const rows = unwrap(await supabase
+                .from('products')
+                .delete()
+                .eq('id', id)
+                .eq('version', version)
+                .select());
+            return Boolean(rows && rows.length > 0);
+        },
+
+        async deleteMany(ids) {
+            if (ids.length === 0) return;
+            unwrap(await supabase.from('products').delete().in('id', ids));
+        }
+    };
+
+    const categories = {
+        async list() {
+            return unwrap(await supabase.from('categories').select('*').order('display_order').order('name'));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('categories').select('*').eq('id', id).maybeSingle());
+        },
+
+        async upsertMany(rows) {
+            return unwrap(await supabase.from('categories').upsert(rows, { onConflict: 'id' }).select());
+        },
+
+        async update(id, updates) {
+            return unwrap(await supabase
+                .from('categories')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', id)
+                .select()
+                .maybeSingle());
+        },
+
+        // Posição de cada id na lista vira o display_order (função reorder_categories)
+        async reorder(ids) {
+            return unwrap(await supabase.rpc('reorder_categories', { p_ids: ids }));
+        },
+
+        // Arquivar as categorias ativas fora da lista; retorna as arquivadas
+        async archiveNotIn(ids) {
+            const now = new Date().toISOString();
+            return unwrap(await supabase
+                .from('categories')
+                .update({ archived_at: now, updated_at: now })
+                .is('archived_at', null)
+                .not('id', 'in', postgrestList(ids))
+                .select());
+        },
+
+        // Excluir a categoria movendo os produtos para targetId (função delete_category)
+        async remove(id, targetId = null) {
+            const { data, error } = await supabase.rpc('delete_category', { p_id: id, p_target: targetId });
+
+            if (error) {
+                const [code, categoryId] = String(error.message || '').split(':');
+                throw categoryFailure(code, categoryId) || error;
+            }
+
+            return data || 0;
+        }
+    };
+
+    const orders = {
+        // Página de pedidos do mais novo para o mais antigo, a partir do cursor
+        async list(filters = {}, { cursor, limit } = {}) {
+            let query = applyOrderFilters(supabase.from('orders').select('*'), filters);
+
+            if (cursor) query = beforeCursor(query, cursor);
+
+            query = query.order('created_at', { ascending: false }).order('id', { ascending: false });
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        },
+
+        async count(filters = {}) {
+            const { count, error } = await applyOrderFilters(
+                supabase.from('orders').select('id', { count: 'exact', head: true }),
+                filters
+            );
+            if (error) throw error;
+            return count || 0;
+        },
+
+        // Todos os pedidos de um período (e da loja, se informada), página por página
+        // (o Supabase limita cada resposta)
+        async listBetween(fromIso, toIso, { storeId } = {}) {
+            const pageSize = 1000;
+            const rows = [];
+
+            for (let offset = 0; ; offset += pageSize) {
+                let query = supabase
+                    .from('orders')
+                    .select('*')
+                    .order('created_at', { ascending: true })
+                    .range(offset, offset + pageSize - 1);
+
+                if (fromIso) query = query.gte('created_at', fromIso);
+                if (toIso) query = query.lte('created_at', toIso);
+                if (storeId !== undefined) query = query.eq('store_id', storeId);
+
+                const data = unwrap(await query);
+                rows.push(...(data || []));
+                if (!data || data.length < pageSize) break;
+            }
+
+            return rows;
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('orders').select('*').eq('id', id).maybeSingle());
+        },
+
+        // Atualiza só se o status ainda for o esperado; retorna a linha nova ou null
+        async updateIfStatus(id, expectedStatus, updates) {
+            let query = supabase.from('orders').update(updates).eq('id', id);
+            query = expectedStatus === null || expectedStatus === undefined
+                ? query.is('status', null)
+                : query.eq('status', expectedStatus);
+
+            const rows = unwrap(await query.select());
+            return rows && rows.length > 0 ? rows[0] : null;
+        },
+
+        // Grava o pedido e baixa o estoque na mesma transação (função place_order)
+        async place(order, lines) {
+            const { data, error } = await supabase.rpc('place_order', { p_order: order, p_lines: lines });
+
+            if (error) {
+                const [code, productId, sabor] = String(error.message || '').split(':');
+                throw placeOrderFailure(code, productId, sabor) || loyaltyFailure(code, productId) ||
+                    promotionFailure(code, productId) || error;
+            }
+
+            return Array.isArray(data) ? data[0] : data;
+        },
+
+        // Vincular pedidos a um cliente (montagem do cadastro a partir dos pedidos antigos)
+        async setCustomer(ids, customerId) {
+            if (ids.length === 0) return;
+            unwrap(await supabase.from('orders').update({ customer_id: customerId }).in('id', ids));
+        },
+
+        // Cancelamento/estorno na mesma transação (função apply_order_return).
+        // Retorna { order, refund } ou null se o pedido mudou desde a leitura.
+        async applyReturn(id, expectedUpdatedAt, { updates, restock = [], refund = null }) {
+            const { data, error } = await supabase.rpc('apply_order_return', {
+                p_order_id: id,
+                p_expected_updated_at: expectedUpdatedAt ?? null,
+                p_updates: updates,
+                p_restock: restock,
+                p_refund: refund
+            });
+
+            if (error) {
+                if (String(error.message || '').startsWith('ORDER_CHANGED')) return null;
+                throw error;
+            }
+
+            return data;
+        }
+    };
+
+    const orderRefunds = {
+        async listByOrder(orderId) {
+            return unwrap(await supabase
+                .from('order_refunds')
+                .select('*')
+                .eq('order_id', orderId)
+                .order('id', { ascending: true }));
+        }
+    };
+
+    // Recusa das funções de comanda: estoque (ao lançar), comanda inexistente ou fechada
+    const tabError = error => {
+        const [code, id, sabor] = String(error.message || '').split(':');
+        return placeOrderFailure(code, id, sabor) || tabFailure(code, id) || error;
+    };
+
+    const tabs = {
+        async list({ status, storeId } = {}) {
+            let query = supabase.from('tabs').select('*');
+            if (status) query = query.eq('status', status);
+            if (storeId !== undefined) query = query.eq('store_id', storeId);
+            return unwrap(await query.order('created_at', { ascending: false }).order('id', { ascending: false }));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('tabs').select('*').eq('id', id).maybeSingle());
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('tabs').insert([row]).select().single());
+        },
+
+        // Lançar itens e baixar o estoque na mesma transação (função add_tab_items)
+        async addItems(id, items, lines) {
+            const { data, error } = await supabase.rpc('add_tab_items', { p_tab_id: id, p_items: items, p_lines: lines });
+            if (error) throw tabError(error);
+            return Array.isArray(data) ? data[0] : data;
+        },
+
+        // Regravar itens de várias comandas (função replace_tab_items); null se alguma mudou
+        async replaceItems(changes) {
+            const { data, error } = await supabase.rpc('replace_tab_items', { p_changes: changes });
+
+            if (error) {
+                if (String(error.message || '').startsWith('TAB_CHANGED')) return null;
+                throw tabError(error);
+            }
+
+            return data;
+        },
+
+        // Fechar a comanda gerando o pedido (função close_tab); null se a comanda mudou
+        async close(id, expectedUpdatedAt, order, closedBy = null) {
+            const { data, error } = await supabase.rpc('close_tab', {
+                p_tab_id: id,
+                p_expected_updated_at: expectedUpdatedAt,
+                p_order: order,
+                p_closed_by: closedBy
+            });
+
+            if (error) {
+                if (String(error.message || '').startsWith('TAB_CHANGED')) return null;
+                throw tabError(error);
+            }
+
+            return Array.isArray(data) ? data[0] : data;
+        }
+    };
+
+    // Promoções, zonas de entrega, horário e dias fechados são de cada loja
+    const promotions = {
+        async list(storeId) {
+            return unwrap(await supabase.from('promotions').select('*').eq('store_id', storeId).order('id'));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('promotions').select('*').eq('id', id).maybeSingle());
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('promotions').insert([row]).select().single());
+        },
+
+        async update(id, updates) {
+            return unwrap(await supabase.from('promotions').update(updates).eq('id', id).select().maybeSingle());
+        },
+
+        async delete(id) {
+            const rows = unwrap(await supabase.from('promotions').delete().eq('id', id).select());
+            return Boolean(rows && rows.length > 0);
+        }
+    };
+
+    const deliveryZones = {
+        async list(storeId) {
+            return unwrap(await supabase.from('delivery_zones').select('*').eq('store_id', storeId).order('id'));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('delivery_zones').select('*').eq('id', id).maybeSingle());
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('delivery_zones').insert([row]).select().single());
+        },
+
+        async update(id, updates) {
+            return unwrap(await supabase.from('delivery_zones')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', id).select().maybeSingle());
+        },
+
+        async delete(id) {
+            const rows = unwrap(await supabase.from('delivery_zones').delete().eq('id', id).select());
+            return Boolean(rows && rows.length > 0);
+        }
+    };
+
+    const stores = {
+        async list() {
+            return unwrap(await supabase.from('stores').select('*').order('id'));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('stores').select('*').eq('id', id).maybeSingle());
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('stores').insert([row]).select().single());
+        },
+
+        async update(id, updates) {
+            return unwrap(await supabase.from('stores')
+                .update({ ...updates, updated_at: new Date().toISOString() })
+                .eq('id', id).select().maybeSingle());
+        }
+    };
+
+    // Ajustes dos produtos por loja (preço, disponibilidade e estoque próprios)
+    const storeProducts = {
+        async list(storeId) {
+            return unwrap(await supabase.from('store_products').select('*').eq('store_id', storeId));
+        },
+
+        async get(storeId, productId) {
+            return unwrap(await supabase.from('store_products').select('*')
+                .eq('store_id', storeId).eq('product_id', productId).maybeSingle());
+        },
+
+        // Grava o ajuste e lança no livro o estoque próprio que mudou (numa transação)
+        async save(row, adminUserId = null) {
+            const data = unwrap(await supabase.rpc('save_store_product', { p_row: row, p_admin_user_id: adminUserId }));
+            return Array.isArray(data) ? data[0] : data;
+        },
+
+        async delete(storeId, productId) {
+            const rows = unwrap(await supabase.from('store_products').delete()
+                .eq('store_id', storeId).eq('product_id', productId).select());
+            return Boolean(rows && rows.length > 0);
+        }
+    };
+
+    const openingHours = {
+        async list(storeId) {
+            return unwrap(await supabase.from('opening_hours').select('*').eq('store_id', storeId).order('weekday').order('opens_at'));
+        },
+
+        // Trocar a semana inteira da loja de uma vez (numa transação, para o cardápio nunca ver a tabela vazia)
+        async replace(storeId, rows) {
+            return unwrap(await supabase.rpc('replace_opening_hours', { p_store_id: storeId, p_rows: rows }));
+        }
+    };
+
+    const closures = {
+        // Dias fechados da loja a partir de uma data (AAAA-MM-DD), do mais próximo para o mais distante
+        async list({ from, storeId } = {}) {
+            let query = supabase.from('business_closures').select('*').eq('store_id', storeId);
+            if (from) query = query.gte('date', from);
+            return unwrap(await query.order('date'));
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('business_closures').insert([row]).select().single());
+        },
+
+        async delete(id, storeId) {
+            const rows = unwrap(await supabase.from('business_closures').delete().eq('id', id).eq('store_id', storeId).select());
+            return Boolean(rows && rows.length > 0);
+        }
+    };
+
+    const settings = {
+        // Valor de uma configuração (ou null se nunca foi gravada)
+        async get(key) {
+            const row = unwrap(await supabase.from('settings').select('value').eq('key', key).maybeSingle());
+            return row ? row.value : null;
+        },
+
+        async set(key, value) {
+            const row = unwrap(await supabase
+                .from('settings')
+                .upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' })
+                .select('value')
+                .single());
+            return row.value;
+        }
+    };
+
+    const idempotencyKeys = {
+        // Reservar a chave; se já existe (e não venceu), devolve o que foi gravado com claimed: false
+        async claim(key, requestHash, ttlSeconds) {
+            return unwrap(await supabase.rpc('claim_idempotency_key', { p_key: key, p_hash: requestHash, p_ttl_seconds: ttlSeconds }));
+        },
+
+        async complete(key, statusCode, response) {
+            unwrap(await supabase.from('idempotency_keys').update({ status_code: statusCode, response }).eq('key', key));
+        },
+
+        async release(key) {
+            unwrap(await supabase.from('idempotency_keys').delete().eq('key', key));
+        }
+    };
+
+    const auditLog = {
+        async create(row) {
+            return unwrap(await supabase.from('audit_log').insert([row]).select().single());
+        },
+
+        // Do mais novo para o mais antigo, a partir do cursor
+        async list(filters = {}, { cursor, limit } = {}) {
+            let query = applyAuditFilters(supabase.from('audit_log').select('*'), filters);
+            if (cursor) query = beforeCursor(query, cursor);
+
+            query = query.order('created_at', { ascending: false }).order('id', { ascending: false });
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        }
+    };
+
+    const catalogSnapshots = {
+        async create(row) {
+            return unwrap(await supabase.from('catalog_snapshots').insert([row]).select().single());
+        },
+
+        // Cópias do mais novo para o mais antigo, sem o catálogo (que pode ser grande)
+        async list({ cursor, limit } = {}) {
+            let query = supabase
+                .from('catalog_snapshots')
+                .select('id, reason, admin_user_id, admin_username, product_count, category_count, created_at');
+            if (cursor) query = beforeCursor(query, cursor);
+
+            query = query.order('created_at', { ascending: false }).order('id', { ascending: false });
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('catalog_snapshots').select('*').eq('id', id).maybeSingle());
+        },
+
+        // Só o catálogo de cada cópia guardada
+        async listCatalogs() {
+            const rows = unwrap(await supabase.from('catalog_snapshots').select('catalog'));
+            return (rows || []).map(row => row.catalog);
+        },
+
+        // Apagar as mais antigas, ficando só com as "keep" mais novas
+        async prune(keep) {
+            const kept = unwrap(await supabase
+                .from('catalog_snapshots')
+                .select('id')
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(keep - 1, keep - 1));
+            if (!kept || kept.length === 0) return 0;
+
+            const removed = unwrap(await supabase.from('catalog_snapshots').delete().lt('id', kept[0].id).select('id'));
+            return removed ? removed.length : 0;
+        }
+    };
+
+    const printJobs = {
+        // Impressão automática repetida (mesma dedupe_key) é ignorada; retorna só os gravados
+        async create(rows) {
+            return unwrap(await supabase
+                .from('print_jobs')
+                .upsert(rows, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+                .select());
+        },
+
+        // Do mais antigo para o mais novo (ordem de impressão)
+        async list({ statuses, stationId, orderId, storeId } = {}, { limit } = {}) {
+            let query = supabase.from('print_jobs').select('*');
+            if (statuses) query = query.in('status', statuses);
+            if (storeId !== undefined) query = query.eq('store_id', storeId);
+            if (stationId !== undefined) query = stationId === null ? query.is('station_id', null) : query.eq('station_id', stationId);
+            if (orderId !== undefined) query = query.eq('order_id', orderId);
+
+            query = query.order('created_at').order('id');
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('print_jobs').select('*').eq('id', id).maybeSingle());
+        },
+
+        // Reservar para impressão (pendente, ou preso em "printing" desde antes de staleBefore).
+        // O update confere status e tentativas lidos: se outro agente pegou antes, retorna null.
+        async claim(id, { staleBefore = null } = {}) {
+            const job = await this.getById(id);
+            const stale = job?.status === 'printing' && staleBefore && new Date(job.claimed_at) < new Date(staleBefore);
+            if (!job || (job.status !== 'pending' && !stale)) return null;
+
+            return unwrap(await supabase
+                .from('print_jobs')
+                .update({ status: 'printing', claimed_at: new Date().toISOString(), attempts: (job.attempts || 0) + 1, error: null })
+                .eq('id', id)
+                .eq('status', job.status)
+                .eq('attempts', job.attempts || 0)
+                .select()
+                .maybeSingle());
+        },
+
+        // Resultado da impressão de um trabalho reservado; null se ele não estava em impressão
+        async finish(id, { status, error = null }) {
+            return unwrap(await supabase
+                .from('print_jobs')
+                .update({ status, error, printed_at: status === 'printed' ? new Date().toISOString() : null })
+                .eq('id', id)
+                .eq('status', 'printing')
+                .select()
+                .maybeSingle());
+        }
+    };
+
+    const pixCharges = {
+        async create(row) {
+            return unwrap(await supabase.from('pix_charges').insert([row]).select().single());
+        },
+
+        async getByTxid(txid) {
+            return unwrap(await supabase.from('pix_charges').select('*').eq('txid', txid).maybeSingle());
+        },
+
+        // Cobrança mais recente do pedido (em aberto, paga ou cancelada)
+        async latestForOrder(orderId) {
+            const rows = unwrap(await supabase
+                .from('pix_charges')
+                .select('*')
+                .eq('order_id', orderId)
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(1));
+            return rows && rows.length > 0 ? rows[0] : null;
+        },
+
+        // Com storeId, só as cobranças de pedidos da loja
+        async list({ from, to, storeId } = {}) {
+            let query = supabase.from('pix_charges').select(storeId === undefined ? '*' : '*, orders!inner(store_id)');
+            if (storeId !== undefined) query = query.eq('orders.store_id', storeId);
+            if (from) query = query.gte('created_at', from);
+            if (to) query = query.lte('created_at', to);
+            return unwrap(await query.order('created_at').order('id')).map(({ orders, ...charge }) => charge);
+        },
+
+        // Cancelar cobrança em aberto (valor do pedido mudou ou venceu); false se já não estava em aberto
+        async cancel(id) {
+            const rows = unwrap(await supabase
+                .from('pix_charges')
+                .update({ status: 'cancelled' })
+                .eq('id', id)
+                .eq('status', 'pending')
+                .select('id'));
+            return Boolean(rows && rows.length > 0);
+        }
+    };
+
+    const pixPayments = {
+        // Registrar o PIX e dar baixa na cobrança e no pedido numa transação só (ver record_pix_payment)
+        async record(payment) {
+            return unwrap(await supabase.rpc('record_pix_payment', { p_payment: payment }));
+        },
+
+        // Com storeId, só os PIX que deram baixa (ou tentaram) num pedido da loja
+        async list({ from, to, storeId } = {}) {
+            let query = supabase.from('pix_payments').select(storeId === undefined ? '*' : '*, orders!inner(store_id)');
+            if (storeId !== undefined) query = query.eq('orders.store_id', storeId);
+            if (from) query = query.gte('paid_at', from);
+            if (to) query = query.lte('paid_at', to);
+            return unwrap(await query.order('paid_at').order('id')).map(({ orders, ...payment }) => payment);
+        }
+    };
+
+    const customers = {
+        // Clientes ativos (não mesclados) do mais novo para o mais antigo, a partir do cursor
+        async list(filters = {}, { cursor, limit } = {}) {
+            let query = applyCustomerFilters(supabase.from('customers').select('*').is('merged_into', null), filters);
+            if (cursor) query = beforeCursor(query, cursor);
+
+            query = query.order('created_at', { ascending: false }).order('id', { ascending: false });
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('customers').select('*').eq('id', id).maybeSingle());
+        },
+
+        // Cliente do telefone; um cadastro mesclado leva ao cliente que ficou
+        async getByPhone(phone) {
+            const customer = unwrap(await supabase.from('customers').select('*').eq('phone', phone).maybeSingle());
+            return customer && customer.merged_into ? this.getById(customer.merged_into) : customer;
+        },
+
+        // Cliente do telefone, criado se ainda não existir; o nome fica o do pedido mais recente
+        async findOrCreate({ phone, name }) {
+            const existing = await this.getByPhone(phone);
+
+            if (existing) {
+                if (!name || existing.name === name) return existing;
+                return unwrap(await supabase
+                    .from('customers')
+                    .update({ name, updated_at: new Date().toISOString() })
+                    .eq('id', existing.id)
+                    .select()
+                    .single());
+            }
+
+            const { data, error } = await supabase.from('customers').insert([{ phone, name }]).select().single();
+
+            // Dois pedidos do mesmo telefone ao mesmo tempo: fica o cadastro que chegou primeiro
+            if (error && error.code === '23505') return this.getByPhone(phone);
+            if (error) throw error;
+            return data;
+        },
+
+        // Mesclar origem no destino (função merge_customers); retorna o destino atualizado
+        async merge(targetId, sourceId, adminUserId = null) {
+            const { data, error } = await supabase.rpc('merge_customers', {
+                p_target_id: targetId,
+                p_source_id: sourceId,
+                p_admin_user_id: adminUserId
+            });
+
+            if (error) {
+                const [code, customerId] = String(error.message || '').split(':');
+                throw loyaltyFailure(code, customerId) || error;
+            }
+
+            return Array.isArray(data) ? data[0] : data;
+        }
+    };
+
+    const loyalty = {
+        // Lançar pontos e atualizar o saldo (função apply_loyalty_points)
+        async apply(transaction) {
+            const { data, error } = await supabase.rpc('apply_loyalty_points', { p_tx: transaction });
+
+            if (error) {
+                const [code, customerId] = String(error.message || '').split(':');
+                throw loyaltyFailure(code, customerId) || error;
+            }
+
+            return Array.isArray(data) ? data[0] : data;
+        },
+
+        async listByCustomer(customerId, { cursor, limit } = {}) {
+            let query = supabase.from('loyalty_transactions').select('*').eq('customer_id', customerId);
+            if (cursor) query = beforeCursor(query, cursor);
+
+            query = query.order('created_at', { ascending: false }).order('id', { ascending: false });
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        },
+
+        async listByOrder(orderId) {
+            return unwrap(await supabase
+                .from('loyalty_transactions')
+                .select('*')
+                .eq('order_id', orderId)
+                .order('id', { ascending: true }));
+        }
+    };
+
+    const admins = {
+        async list() {
+            return unwrap(await supabase.from('admin_credentials').select('*').order('username'));
+        },
+
+        async getById(id) {
+            return unwrap(await supabase.from('admin_credentials').select('*').eq('id', id).maybeSingle());
+        },
+
+        async getByUsername(username) {
+            return unwrap(await supabase.from('admin_credentials').select('*').eq('username', username).maybeSingle());
+        },
+
+        async count({ role, active } = {}) {
+            let query = supabase.from('admin_credentials').select('id', { count: 'exact', head: true });
+            if (role !== undefined) query = query.eq('role', role);
+            if (active !== undefined) query = query.eq('active', active);
+
+            const { count, error } = await query;
+            if (error) throw error;
+            return count || 0;
+        },
+
+        async create(row) {
+            return unwrap(await supabase.from('admin_credentials').insert([row]).select().single());
+        },
+
+        async update(id, updates) {
+            return unwrap(await supabase.from('admin_credentials').update(updates).eq('id', id).select().single());
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('admin_credentials').delete().eq('id', id));
+        }
+    };
+
+    const sessions = {
+        async create(row) {
+            unwrap(await supabase.from('admin_sessions').insert([row]));
+        },
+
+        // Sessão não revogada (a expiração é conferida por quem chama)
+        async getActive(id) {
+            return unwrap(await supabase
+                .from('admin_sessions')
+                .select('*')
+                .eq('id', id)
+                .is('revoked_at', null)
+                .maybeSingle());
+        },
+
+        async revoke(id) {
+            unwrap(await supabase
+                .from('admin_sessions')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', id));
+        },
+
+        // Retorna quantas sessões foram revogadas
+        async revokeAllForUser(userId) {
+            const rows = unwrap(await supabase
+                .from('admin_sessions')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .is('revoked_at', null)
+                .select('id'));
+            return (rows || []).length;
+        }
+    };
+
+    const pushSubscriptions = {
+        // Filtro por igualdade de colunas, ex.: { audience: 'admin' }
+        async list(filter = {}) {
+            let query = supabase.from('push_subscriptions').select('*');
+            for (const [column, value] of Object.entries(filter)) {
+                query = query.eq(column, value);
+            }
+            return unwrap(await query);
+        },
+
+        async upsert(row) {
+            unwrap(await supabase.from('push_subscriptions').upsert([row], { onConflict: 'endpoint' }));
+        },
+
+        async delete(id) {
+            unwrap(await supabase.from('push_subscriptions').delete().eq('id', id));
+        },
+
+        async deleteByEndpoint(endpoint) {
+            unwrap(await supabase.from('push_subscriptions').delete().eq('endpoint', endpoint));
+        }
+    };
+
+    const orderEvents = {
+        async create(row) {
+            return unwrap(await supabase.from('order_events').insert([row]).select().single());
+        },
+
+        async latestId() {
+            const rows = unwrap(await supabase
+                .from('order_events')
+                .select('id')
+                .order('id', { ascending: false })
+                .limit(1));
+            return rows && rows.length > 0 ? rows[0].id : 0;
+        },
+
+        async listAfter(id, limit) {
+            return unwrap(await supabase
+                .from('order_events')
+                .select('*')
+                .gt('id', id)
+                .order('id', { ascending: true })
+                .limit(limit));
+        }
+    };
+
+    const inventory = {
+        // Saldo atual por produto/sabor do estoque compartilhado (view inventory_balances);
+        // o próprio de cada loja fica em store_products.stock
+        async balances() {
+            return unwrap(await supabase.from('inventory_balances').select('product_id, sabor, balance').is('store_id', null));
+        },
+
+        // Movimentos do mais novo para o mais antigo, a partir do cursor
+        async list(filters = {}, { cursor, limit } = {}) {
+            let query = applyMovementFilters(supabase.from('inventory_movements').select('*'), filters);
+            if (cursor) query = beforeCursor(query, cursor);
+
+            query = query.order('created_at', { ascending: false }).order('id', { ascending: false });
+            if (limit) query = query.limit(limit);
+
+            return unwrap(await query);
+        },
+
+        // Movimento manual: atualiza o sabor e grava no livro na mesma transação
+        async record(movement) {
+            const { data, error } = await supabase.rpc('record_inventory_movement', { p_movement: movement });
+
+            if (error) {
+                const [code, productId, sabor] = String(error.message || '').split(':');
+                throw inventoryFailure(code, productId, sabor) || error;
+            }
+
+            return Array.isArray(data) ? data[0] : data;
+        },
+
+        // Registrar movimentos já aplicados ao produto (edição do catálogo)
+        async log(rows) {
+            if (rows.length === 0) return [];
+            return unwrap(await supabase.from('inventory_movements').insert(rows).select());
+        }
+    };
+
+    return {
+        name: 'supabase',
+        products,
+        categories,
+        orders,
+        orderRefunds,
+        tabs,
+        promotions,
+        deliveryZones,
+        stores,
+        storeProducts,
+        openingHours,
+        closures,
+        settings,
+        idempotencyKeys,
+        auditLog,
+        catalogSnapshots,
+        printJobs,
+        pixCharges,
+        pixPayments,
+        customers,
+        loyalty,
+        admins,
+        sessions,
+        pushSubscriptions,
+        orderEvents,
+        inventory
+    };
+}
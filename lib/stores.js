@@ -0,0 +1,152 @@
+import { t } from "./schema.js";
+import { roundMoney } from "./pricing.js";
+import { stockKey } from "./inventory.js";
+
+// Loja que atende quando a requisição não diz qual (nem pelo caminho nem pelo domínio)
+export const DEFAULT_STORE_SLUG = process.env.DEFAULT_STORE_SLUG || 'vaqueiro';
+
+// Identificador da loja no caminho (/api/stores/<slug>/...): minúsculas, números e hífen
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Domínio sem porta e em minúsculas
+export function normalizeHost(value) {
+    return String(value || '').trim().toLowerCase().replace(/:\d+$/, '');
+}
+
+// Loja como o admin envia
+export const storeSchema = t.object({
+    slug: t.string({ min: 1, max: 40, lowercase: true, pattern: SLUG_PATTERN, format: "Use só letras minúsculas, números e hífen" }),
+    name: t.string({ min: 1, max: 80 }),
+    hosts: t.array(t.string({ min: 1, max: 200, lowercase: true }), { max: 20 }).default(() => []),
+    active: t.boolean({ coerce: true }).default(true)
+});
+
+const isStockMap = value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(quantity => Number.isInteger(quantity) && quantity >= 0);
+
+// Ajuste de um produto numa loja: preço próprio (null = o do catálogo), fora do cardápio da loja
+// e estoque próprio por sabor ({ "<sabor>": saldo }; sabores de fora vendem do estoque compartilhado)
+export const storeProductSchema = t.object({
+    price: t.number({ min: 0, coerce: true }).optional().nullable(),
+    available: t.boolean({ coerce: true }).default(true),
+    stock: t.any().default(() => ({}))
+        .refine(isStockMap, "Estoque deve ser { sabor: quantidade } com quantidades inteiras a partir de zero", 'invalid_type')
+});
+
+// Loja encontrada pelo slug ou pelo id
+export function findStore(stores, ref) {
+    return stores.find(store => store.slug === String(ref) || String(store.id) === String(ref)) || null;
+}
+
+// Loja pelo domínio da requisição
+export function storeForHost(stores, host) {
+    const wanted = normalizeHost(host);
+    return wanted ? stores.find(store => (store.hosts || []).map(normalizeHost).includes(wanted)) || null : null;
+}
+
+// Lojas do admin (null = todas)
+export function adminStoreIds(admin) {
+    return Array.isArray(admin?.storeIds) && admin.storeIds.length > 0 ? admin.storeIds.map(String) : null;
+}
+
+// O admin gerencia esta loja?
+export function canManageStore(admin, storeId) {
+    const ids = adminStoreIds(admin);
+    return !ids || ids.includes(String(storeId));
+}
+
+// Chave, nas configurações, do que cada loja tem o seu (fechamento manual, entrega)
+export function storeSettingsKey(key, storeId) {
+    return `${key}:${storeId}`;
+}
+
+// Produto, categoria ou pedido visível na loja (sem loja = compartilhado)
+export function belongsToStore(row, storeId) {
+    return row.store_id === null || row.store_id === undefined || String(row.store_id) === String(storeId);
+}
+
+// Produto do catálogo como a loja vende: preço e estoque próprios no lugar dos compartilhados
+export function applyStoreProduct(product, override) {
+    if (!override) return product;
+    const stock = override.stock || {};
+    return {
+        ...product,
+        price: override.price === null || override.price === undefined ? product.price : Number(override.price),
+        sabores: Array.isArray(product.sabores)
+            ? product.sabores.map(sabor => (stock[sabor.name] !== undefined ? { ...sabor, quantity: stock[sabor.name] } : sabor))
+            : product.sabores
+    };
+}
+
+// Produtos que a loja vende, com os ajustes dela (os marcados como indisponíveis na loja saem)
+export function storeCatalog(products, overrides, storeId) {
+    const byProduct = new Map((overrides || []).map(override => [String(override.product_id), override]));
+    return products
+        .filter(product => belongsToStore(product, storeId))
+        .filter(product => byProduct.get(String(product.id))?.available !== false)
+        .map(product => applyStoreProduct(product, byProduct.get(String(product.id))));
+}
+
+// Saldos do livro com o estoque próprio da loja por cima do compartilhado
+export function storeBalances(balances, overrides) {
+    if (!balances) return balances;
+    const merged = new Map(balances);
+    for (const override of overrides || []) {
+        for (const [sabor, quantity] of Object.entries(override.stock || {})) {
+            merged.set(stockKey(override.product_id, sabor), quantity);
+        }
+    }
+    return merged;
+}
+
+// Campos da loja como o admin envia -> colunas do banco
+export function storeRow(fields) {
+    return {
+        slug: fields.slug,
+        name: fields.name,
+        hosts: [...new Set(fields.hosts.map(normalizeHost).filter(Boolean))],
+        active: fields.active
+    };
+}
+
+// Domínios da loja que outra loja já usa
+export function takenHosts(stores, row, storeId = null) {
+    const others = stores.filter(store => String(store.id) !== String(storeId)).flatMap(store => (store.hosts || []).map(normalizeHost));
+    return row.hosts.filter(host => others.includes(host));
+}
+
+// Linha de store_products a partir do ajuste validado
+export function storeProductRow(storeId, productId, fields) {
+    return {
+        store_id: storeId,
+        product_id: productId,
+        price: fields.price === null || fields.price === undefined ? null : roundMoney(fields.price),
+        available: fields.available,
+        stock: fields.stock
+    };
+}
+
+// Formatar loja para resposta
+export function normalizeStore(row) {
+    return {
+        id: row.id,
+        slug: row.slug,
+        name: row.name,
+        hosts: row.hosts || [],
+        active: row.active !== false,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || null
+    };
+}
+
+// Formatar ajuste de produto na loja para resposta
+export function normalizeStoreProduct(row) {
+    return {
+        storeId: row.store_id,
+        productId: row.product_id,
+        price: row.price === null || row.price === undefined ? null : Number(row.price),
+        available: row.available !== false,
+        stock: row.stock || {},
+        updatedAt: row.updated_at || null
+    };
+}
@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { stockKey } from "./inventory.js";
+import {
+    normalizeHost, findStore, storeForHost, adminStoreIds, canManageStore, storeSettingsKey, belongsToStore,
+    storeCatalog, storeBalances, storeRow, takenHosts
+} from "./stores.js";
+
+const stores = [
+    { id: 1, slug: 'vaqueiro', hosts: ['bardovaqueiro.com.br'] },
+    { id: 2, slug: 'centro', hosts: ['Centro.Vaqueiro.com.br'] }
+];
+
+const products = [
+    { id: 10, title: 'Heineken', price: 12, store_id: null, sabores: [{ name: 'Lata', quantity: 20 }, { name: 'Long Neck', quantity: 8 }] },
+    { id: 11, title: 'Pastel', price: 9, store_id: 2, sabores: [] },
+    { id: 12, title: 'Caldo', price: 15, store_id: 1, sabores: [] },
+    { id: 13, title: 'Coxinha', price: 7, sabores: [] }
+];
+
+test('loja pelo slug, pelo id ou pelo domínio (sem porta e sem caixa)', () => {
+    assert.equal(findStore(stores, 'centro').id, 2);
+    assert.equal(findStore(stores, 1).slug, 'vaqueiro');
+    assert.equal(findStore(stores, 'sul'), null);
+    assert.equal(normalizeHost(' CENTRO.vaqueiro.com.br:8080 '), 'centro.vaqueiro.com.br');
+    assert.equal(storeForHost(stores, 'centro.vaqueiro.com.br:3000').slug, 'centro');
+    assert.equal(storeForHost(stores, ''), null);
+});
+
+test('admin sem lojas gerencia todas; o limitado, só as dele', () => {
+    assert.equal(adminStoreIds({ storeIds: null }), null);
+    assert.equal(adminStoreIds({ storeIds: [] }), null);
+    assert.deepEqual(adminStoreIds({ storeIds: [2] }), ['2']);
+
+    assert.equal(canManageStore({}, 1), true);
+    assert.equal(canManageStore({ storeIds: [2] }, '2'), true);
+    assert.equal(canManageStore({ storeIds: [2] }, 1), false);
+});
+
+test('registro sem loja é compartilhado; com loja, só dela', () => {
+    assert.deepEqual(products.filter(product => belongsToStore(product, 2)).map(product => product.id), [10, 11, 13]);
+    assert.equal(storeSettingsKey('delivery', 2), 'delivery:2');
+});
+
+test('cardápio da loja aplica preço e estoque próprios e tira o indisponível', () => {
+    const overrides = [
+        { product_id: 10, price: 10, available: true, stock: { Lata: 3 } },
+        { product_id: 13, price: null, available: false, stock: {} }
+    ];
+    const menu = storeCatalog(products, overrides, 2);
+
+    assert.deepEqual(menu.map(product => [product.id, product.price]), [[10, 10], [11, 9]]);
+    assert.deepEqual(menu[0].sabores.map(sabor => [sabor.name, sabor.quantity]), [['Lata', 3], ['Long Neck', 8]]);
+    // Sem ajuste, o produto fica como está no catálogo
+    assert.equal(storeCatalog(products, [], 1).find(product => product.id === 10), products[0]);
+});
+
+test('saldos da loja: o estoque próprio cobre o compartilhado só nos sabores ajustados', () => {
+    const shared = new Map([[stockKey(10, 'Lata'), 20], [stockKey(10, 'Long Neck'), 8]]);
+    const merged = storeBalances(shared, [{ product_id: 10, stock: { Lata: 3 } }]);
+
+    assert.deepEqual([merged.get(stockKey(10, 'Lata')), merged.get(stockKey(10, 'Long Neck'))], [3, 8]);
+    assert.equal(shared.get(stockKey(10, 'Lata')), 20);
+    assert.equal(storeBalances(null, []), null);
+});
+
+test('domínios da loja sem repetição e conferidos contra as outras lojas', () => {
+    const row = storeRow({ slug: 'sul', name: 'Sul', hosts: ['Sul.Vaqueiro.com.br:443', 'sul.vaqueiro.com.br', 'centro.vaqueiro.com.br'], active: true });
+
+    assert.deepEqual(row.hosts, ['sul.vaqueiro.com.br', 'centro.vaqueiro.com.br']);
+    assert.deepEqual(takenHosts(stores, row), ['centro.vaqueiro.com.br']);
+    assert.deepEqual(takenHosts(stores, row, 2), []);
+});
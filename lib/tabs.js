@@ -0,0 +1,185 @@
+import { roundMoney } from "./pricing.js";
+
+// Formas de dividir a conta no fechamento: em partes iguais ou por item
+export const TAB_SPLITS = ['even', 'items'];
+
+// Valor líquido da linha (subtotal menos happy hour e combo)
+function itemNet(item) {
+    return roundMoney((Number(item.subtotal) || 0) - (Number(item.discount) || 0));
+}
+
+// Subtotal, descontos, total e quantidade de unidades da comanda
+export function tabTotals(items) {
+    const totals = { subtotal: 0, discount: 0, total: 0, itemCount: 0 };
+
+    for (const item of items || []) {
+        totals.subtotal += Number(item.subtotal) || 0;
+        totals.discount += Number(item.discount) || 0;
+        totals.total += itemNet(item);
+        totals.itemCount += Number(item.quantity) || 0;
+    }
+
+    totals.subtotal = roundMoney(totals.subtotal);
+    totals.discount = roundMoney(totals.discount);
+    totals.total = roundMoney(totals.total);
+    return totals;
+}
+
+// Separar parte das unidades de um item: [parte separada, resto].
+// Subtotal e desconto são proporcionais; o resto fica com a diferença dos centavos.
+export function splitTabItem(item, quantity, newItemId) {
+    if (quantity >= item.quantity) return [item, null];
+
+    const part = {
+        ...item,
+        itemId: newItemId,
+        quantity,
+        subtotal: roundMoney(item.price * quantity),
+        discount: roundMoney((Number(item.discount) || 0) * quantity / item.quantity)
+    };
+    const rest = {
+        ...item,
+        quantity: item.quantity - quantity,
+        subtotal: roundMoney(item.subtotal - part.subtotal),
+        discount: roundMoney((Number(item.discount) || 0) - part.discount)
+    };
+
+    return [part, rest];
+}
+
+// Montar a transferência de [{ itemId, quantity }] de uma comanda para outra.
+// Sem quantidade, o item vai inteiro. Retorna { sourceItems, targetItems, moved, errors }
+export function planTransfer(sourceItems, targetItems, requested, newItemId) {
+    const errors = [];
+    const remaining = [...(sourceItems || [])];
+    const moved = [];
+
+    requested.forEach((entry, index) => {
+        const field = `items[${index}]`;
+        const position = remaining.findIndex(item => item.itemId === entry.itemId);
+
+        if (position === -1) {
+            errors.push({ field: `${field}.itemId`, code: 'ITEM_NOT_FOUND', message: `Item ${entry.itemId} não está na comanda` });
+            return;
+        }
+
+        const item = remaining[position];
+        const quantity = entry.quantity ?? item.quantity;
+
+        if (quantity > item.quantity) {
+            errors.push({ field: `${field}.quantity`, code: 'ITEM_OVERASSIGNED', message: `O item "${item.title}" tem só ${item.quantity} unidade(s)` });
+            return;
+        }
+
+        const [part, rest] = splitTabItem(item, quantity, newItemId());
+        moved.push(part);
+
+        if (rest) remaining[position] = rest;
+        else remaining.splice(position, 1);
+    });
+
+    if (errors.length === 0 && moved.length === 0) {
+        errors.push({ field: 'items', code: 'EMPTY_TRANSFER', message: "Informe os itens a transferir" });
+    }
+
+    return { sourceItems: remaining, targetItems: [...(targetItems || []), ...moved], moved, errors };
+}
+
+// Dividir o total da comanda entre as formas de pagamento.
+// even: partes iguais, o último paga os centavos que sobram.
+// items: cada pagamento leva [{ itemId, quantity }] e, juntos, precisam cobrir todos os itens.
+// Retorna { payments: [{ method, amount, items? }], errors }
+export function planPayments(items, { split = 'even', payments = [] } = {}) {
+    const errors = [];
+    const total = tabTotals(items).total;
+
+    if (split === 'even') {
+        const share = Math.floor(total * 100 / payments.length) / 100;
+
+        return {
+            payments: payments.map((payment, index) => ({
+                method: payment.method,
+                amount: index === payments.length - 1 ? roundMoney(total - share * (payments.length - 1)) : share
+            })),
+            errors
+        };
+    }
+
+    const itemsById = new Map((items || []).map(item => [item.itemId, item]));
+    const assigned = new Map();
+    const charged = new Map();
+
+    const planned = payments.map((payment, paymentIndex) => {
+        const entries = [];
+
+        (payment.items || []).forEach((entry, index) => {
+            const field = `payments[${paymentIndex}].items[${index}]`;
+            const item = itemsById.get(entry.itemId);
+
+            if (!item) {
+                errors.push({ field: `${field}.itemId`, code: 'ITEM_NOT_FOUND', message: `Item ${entry.itemId} não está na comanda` });
+                return;
+            }
+
+            const before = assigned.get(item.itemId) || 0;
+            const quantity = entry.quantity ?? item.quantity - before;
+
+            if (quantity <= 0 || before + quantity > item.quantity) {
+                errors.push({ field: `${field}.quantity`, code: 'ITEM_OVERASSIGNED', message: `O item "${item.title}" tem só ${item.quantity} unidade(s)` });
+                return;
+            }
+
+            assigned.set(item.itemId, before + quantity);
+
+            // A última parte do item fica com os centavos que sobram do rateio
+            const net = itemNet(item);
+            const amount = before + quantity === item.quantity
+                ? roundMoney(net - (charged.get(item.itemId) || 0))
+                : roundMoney(net * quantity / item.quantity);
+            charged.set(item.itemId, roundMoney((charged.get(item.itemId) || 0) + amount));
+
+            entries.push({ itemId: item.itemId, quantity, amount });
+        });
+
+        return {
+            method: payment.method,
+            amount: roundMoney(entries.reduce((sum, entry) => sum + entry.amount, 0)),
+            items: entries
+        };
+    });
+
+    const uncovered = (items || []).filter(item => (assigned.get(item.itemId) || 0) < item.quantity);
+    if (errors.length === 0 && uncovered.length > 0) {
+        errors.push({
+            field: 'payments',
+            code: 'ITEMS_NOT_COVERED',
+            message: `Itens sem pagamento: ${uncovered.map(item => item.title).join(', ')}`,
+            itemIds: uncovered.map(item => item.itemId)
+        });
+    }
+
+    return { payments: planned, errors };
+}
+
+// Formatar comanda para resposta, com os totais correntes
+export function normalizeTab(row) {
+    const items = Array.isArray(row.items) ? row.items : [];
+
+    return {
+        id: row.id,
+        storeId: row.store_id ?? null,
+        tableNumber: row.table_number || null,
+        customerName: row.customer_name || null,
+        customerPhone: row.customer_phone || null,
+        customerId: row.customer_id ?? null,
+        status: row.status || 'open',
+        items,
+        ...tabTotals(items),
+        orderId: row.order_id ?? null,
+        openedBy: row.opened_by ?? null,
+        closedBy: row.closed_by ?? null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        closedAt: row.closed_at || null
+    };
+}
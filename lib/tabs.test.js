@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tabTotals, splitTabItem, planTransfer, planPayments } from "./tabs.js";
+
+const beer = { itemId: 'a', title: 'Chopp', price: 10, quantity: 3, subtotal: 30, discount: 1 };
+const fries = { itemId: 'b', title: 'Fritas', price: 25, quantity: 1, subtotal: 25 };
+
+const sequence = () => {
+    let next = 0;
+    return () => `novo-${++next}`;
+};
+
+test('totais da comanda descontam happy hour e combo', () => {
+    assert.deepEqual(tabTotals([beer, fries]), { subtotal: 55, discount: 1, total: 54, itemCount: 4 });
+    assert.deepEqual(tabTotals(null), { subtotal: 0, discount: 0, total: 0, itemCount: 0 });
+});
+
+test('separar unidades reparte subtotal e desconto; o resto fica com os centavos', () => {
+    const [part, rest] = splitTabItem(beer, 1, 'novo');
+    assert.deepEqual([part.itemId, part.quantity, part.subtotal, part.discount], ['novo', 1, 10, 0.33]);
+    assert.deepEqual([rest.itemId, rest.quantity, rest.subtotal, rest.discount], ['a', 2, 20, 0.67]);
+
+    assert.deepEqual(splitTabItem(beer, 3, 'novo'), [beer, null]);
+});
+
+test('transferência leva parte de um item e o item inteiro sem quantidade', () => {
+    const plan = planTransfer([beer, fries], [], [{ itemId: 'a', quantity: 2 }, { itemId: 'b' }], sequence());
+
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(plan.sourceItems.map(item => [item.itemId, item.quantity]), [['a', 1]]);
+    assert.deepEqual(plan.targetItems.map(item => [item.itemId, item.quantity]), [['novo-1', 2], ['b', 1]]);
+});
+
+test('transferência inválida: item de outra comanda, unidades demais ou vazia', () => {
+    const plan = planTransfer([beer], [], [{ itemId: 'x' }, { itemId: 'a', quantity: 4 }], sequence());
+    assert.deepEqual(plan.errors.map(error => [error.field, error.code]),
+        [['items[0].itemId', 'ITEM_NOT_FOUND'], ['items[1].quantity', 'ITEM_OVERASSIGNED']]);
+
+    assert.deepEqual(planTransfer([beer], [], [], sequence()).errors.map(error => error.code), ['EMPTY_TRANSFER']);
+});
+
+test('conta dividida em partes iguais: o último paga os centavos que sobram', () => {
+    const { payments } = planPayments([{ itemId: 'a', quantity: 1, subtotal: 100 }], {
+        split: 'even',
+        payments: [{ method: 'pix' }, { method: 'cartao' }, { method: 'dinheiro' }]
+    });
+    assert.deepEqual(payments, [
+        { method: 'pix', amount: 33.33 },
+        { method: 'cartao', amount: 33.33 },
+        { method: 'dinheiro', amount: 33.34 }
+    ]);
+});
+
+test('conta dividida por item: cada um paga o que consumiu e a última parte fecha os centavos', () => {
+    const { payments, errors } = planPayments([beer, fries], {
+        split: 'items',
+        payments: [
+            { method: 'pix', items: [{ itemId: 'a', quantity: 1 }, { itemId: 'b' }] },
+            { method: 'cartao', items: [{ itemId: 'a' }] }
+        ]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(payments.map(payment => [payment.method, payment.amount]), [['pix', 34.67], ['cartao', 19.33]]);
+    assert.deepEqual(payments[1].items, [{ itemId: 'a', quantity: 2, amount: 19.33 }]);
+});
+
+test('conta por item precisa cobrir tudo, sem passar das unidades', () => {
+    const uncovered = planPayments([beer, fries], { split: 'items', payments: [{ method: 'pix', items: [{ itemId: 'a' }] }] });
+    assert.deepEqual(uncovered.errors.map(error => [error.code, error.itemIds]), [['ITEMS_NOT_COVERED', ['b']]]);
+
+    const over = planPayments([beer, fries], {
+        split: 'items',
+        payments: [{ method: 'pix', items: [{ itemId: 'a' }, { itemId: 'b' }] }, { method: 'cartao', items: [{ itemId: 'a', quantity: 1 }] }]
+    });
+    assert.deepEqual(over.errors.map(error => [error.field, error.code]), [['payments[1].items[0].quantity', 'ITEM_OVERASSIGNED']]);
+});
@@ -0,0 +1,33 @@
+-- Usuários admin com papéis e senha em hash (scrypt)
+create table if not exists admin_credentials (
+    id bigint generated by default as identity primary key,
+    username text not null unique
+);
+
+alter table admin_credentials add column if not exists name text;
+alter table admin_credentials add column if not exists role text not null default 'owner';
+alter table admin_credentials add column if not exists active boolean not null default true;
+alter table admin_credentials add column if not exists password_hash text;
+alter table admin_credentials add column if not exists created_at timestamptz not null default now();
+alter table admin_credentials add column if not exists updated_at timestamptz;
+
+-- Colunas antigas ficam anuláveis: são limpas no primeiro login após a migração
+alter table admin_credentials add column if not exists password text;
+alter table admin_credentials add column if not exists encrypted_password text;
+alter table admin_credentials alter column password drop not null;
+alter table admin_credentials alter column encrypted_password drop not null;
+
+alter table admin_credentials drop constraint if exists admin_credentials_role_check;
+alter table admin_credentials add constraint admin_credentials_role_check
+    check (role in ('owner', 'manager', 'cashier'));
+
+-- Sessões emitidas no login; revogar a sessão invalida o token
+create table if not exists admin_sessions (
+    id uuid primary key,
+    user_id bigint not null references admin_credentials(id) on delete cascade,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists admin_sessions_user_id_idx on admin_sessions (user_id);
@@ -0,0 +1,13 @@
+-- Assinaturas Web Push de admins (novos pedidos) e clientes (status do pedido)
+create table if not exists push_subscriptions (
+    id bigint generated by default as identity primary key,
+    endpoint text not null unique,
+    keys jsonb not null,
+    audience text not null check (audience in ('admin', 'customer')),
+    admin_user_id bigint references admin_credentials(id) on delete cascade,
+    order_id bigint references orders(id) on delete cascade,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_audience_idx on push_subscriptions (audience);
+create index if not exists push_subscriptions_order_id_idx on push_subscriptions (order_id);
@@ -0,0 +1,7 @@
+-- Histórico de mudanças de status: [{ status, at, by: { id, username } }]
+alter table orders add column if not exists status_history jsonb not null default '[]'::jsonb;
+alter table orders add column if not exists updated_at timestamptz;
+
+alter table orders drop constraint if exists orders_status_check;
+alter table orders add constraint orders_status_check
+    check (status in ('pending', 'accepted', 'preparing', 'ready', 'delivered', 'picked_up', 'cancelled')) not valid;
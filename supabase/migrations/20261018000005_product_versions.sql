@@ -0,0 +1,72 @@
+-- Versão do produto para controle de concorrência entre admins
+alter table products add column if not exists version integer not null default 1;
+alter table products add column if not exists updated_at timestamptz;
+
+-- A baixa de estoque também incrementa a versão, para que uma edição aberta
+-- antes da venda não sobrescreva a quantidade já descontada.
+create or replace function place_order(p_order jsonb, p_lines jsonb)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+    v_product products%rowtype;
+    v_quantity integer;
+    v_index integer;
+    v_stock integer;
+    v_columns text;
+begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+        -- Bloqueia a linha do produto até o fim da transação
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        if not found then
+            raise exception 'PRODUCT_NOT_FOUND:%', v_line->>'product_id';
+        end if;
+
+        if coalesce(v_product.status, 'active') <> 'active' then
+            raise exception 'PRODUCT_INACTIVE:%', v_product.id;
+        end if;
+
+        if v_product.price <> (v_line->>'unit_price')::numeric then
+            raise exception 'PRICE_CHANGED:%', v_product.id;
+        end if;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        if v_line->>'sabor' is not null then
+            v_index := null;
+
+            select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+            into v_index, v_stock
+            from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+            where t.elem->>'name' = v_line->>'sabor'
+            limit 1;
+
+            if v_index is null then
+                raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            if v_stock < v_quantity then
+                raise exception 'OUT_OF_STOCK:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            update products
+            set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock - v_quantity)),
+                version = version + 1
+            where id = v_product.id;
+        end if;
+    end loop;
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    return query execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) using p_order;
+end;
+$$;
@@ -0,0 +1,12 @@
+-- Eventos de pedidos para o stream ao vivo (SSE); o id serve de Last-Event-ID
+create table if not exists order_events (
+    id bigint generated by default as identity primary key,
+    type text not null,
+    order_id bigint not null references orders(id) on delete cascade,
+    status text,
+    categories text[] not null default '{}',
+    payload jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_events_created_at_idx on order_events (created_at);
@@ -0,0 +1,185 @@
+-- Livro de movimentos de estoque por sabor. "quantity" é a variação (positiva na entrada,
+-- negativa na saída) e "balance" o saldo do sabor logo depois do movimento.
+create table if not exists inventory_movements (
+    id bigint generated by default as identity primary key,
+    product_id bigint not null references products(id) on delete cascade,
+    sabor text not null,
+    type text not null,
+    quantity integer not null,
+    balance integer not null,
+    note text,
+    order_id bigint references orders(id) on delete set null,
+    admin_user_id bigint references admin_credentials(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+alter table inventory_movements drop constraint if exists inventory_movements_type_check;
+alter table inventory_movements add constraint inventory_movements_type_check
+    check (type in ('restock', 'sale', 'loss', 'correction'));
+
+create index if not exists inventory_movements_sabor_idx on inventory_movements (product_id, sabor, id desc);
+create index if not exists inventory_movements_created_at_idx on inventory_movements (created_at);
+
+-- Saldo atual de cada sabor: o do movimento mais recente
+create or replace view inventory_balances as
+select distinct on (product_id, sabor) product_id, sabor, balance, created_at as updated_at
+from inventory_movements
+order by product_id, sabor, id desc;
+
+-- Saldo inicial: um movimento de correção com a quantidade atual de cada sabor
+insert into inventory_movements (product_id, sabor, type, quantity, balance, note)
+select p.id, s.elem->>'name', 'correction',
+       coalesce((s.elem->>'quantity')::integer, 0), coalesce((s.elem->>'quantity')::integer, 0),
+       'Saldo inicial'
+from products p
+cross join lateral jsonb_array_elements(coalesce(p.sabores, '[]'::jsonb)) as s(elem)
+where s.elem->>'name' is not null
+  and not exists (
+      select 1 from inventory_movements m
+      where m.product_id = p.id and m.sabor = s.elem->>'name'
+  );
+
+-- Registrar um movimento manual e atualizar o saldo do sabor na mesma transação.
+-- p_movement: { product_id, sabor, type, quantity (variação) ou set_quantity (contagem), note, admin_user_id }
+create or replace function record_inventory_movement(p_movement jsonb)
+returns setof inventory_movements
+language plpgsql
+as $$
+declare
+    v_product products%rowtype;
+    v_index integer;
+    v_stock integer;
+    v_delta integer;
+begin
+    select * into v_product
+    from products
+    where id = (p_movement->>'product_id')::bigint
+    for update;
+
+    if not found then
+        raise exception 'PRODUCT_NOT_FOUND:%', p_movement->>'product_id';
+    end if;
+
+    select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+    into v_index, v_stock
+    from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+    where t.elem->>'name' = p_movement->>'sabor'
+    limit 1;
+
+    if v_index is null then
+        raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, p_movement->>'sabor';
+    end if;
+
+    if p_movement ? 'set_quantity' then
+        v_delta := (p_movement->>'set_quantity')::integer - v_stock;
+    else
+        v_delta := (p_movement->>'quantity')::integer;
+    end if;
+
+    if v_stock + v_delta < 0 then
+        raise exception 'INSUFFICIENT_STOCK:%:%', v_product.id, p_movement->>'sabor';
+    end if;
+
+    update products
+    set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock + v_delta)),
+        version = version + 1,
+        updated_at = now()
+    where id = v_product.id;
+
+    return query
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, note, admin_user_id)
+    values (
+        v_product.id,
+        p_movement->>'sabor',
+        p_movement->>'type',
+        v_delta,
+        v_stock + v_delta,
+        p_movement->>'note',
+        (p_movement->>'admin_user_id')::bigint
+    )
+    returning *;
+end;
+$$;
+
+-- A venda passa a registrar um movimento "sale" por sabor baixado
+create or replace function place_order(p_order jsonb, p_lines jsonb)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+    v_product products%rowtype;
+    v_quantity integer;
+    v_index integer;
+    v_stock integer;
+    v_columns text;
+    v_order orders%rowtype;
+    v_sales jsonb := '[]'::jsonb;
+begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+        -- Bloqueia a linha do produto até o fim da transação
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        if not found then
+            raise exception 'PRODUCT_NOT_FOUND:%', v_line->>'product_id';
+        end if;
+
+        if coalesce(v_product.status, 'active') <> 'active' then
+            raise exception 'PRODUCT_INACTIVE:%', v_product.id;
+        end if;
+
+        if v_product.price <> (v_line->>'unit_price')::numeric then
+            raise exception 'PRICE_CHANGED:%', v_product.id;
+        end if;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        if v_line->>'sabor' is not null then
+            v_index := null;
+
+            select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+            into v_index, v_stock
+            from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+            where t.elem->>'name' = v_line->>'sabor'
+            limit 1;
+
+            if v_index is null then
+                raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            if v_stock < v_quantity then
+                raise exception 'OUT_OF_STOCK:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            update products
+            set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock - v_quantity)),
+                version = version + 1
+            where id = v_product.id;
+
+            v_sales := v_sales || jsonb_build_object(
+                'product_id', v_product.id,
+                'sabor', v_line->>'sabor',
+                'quantity', -v_quantity,
+                'balance', v_stock - v_quantity
+            );
+        end if;
+    end loop;
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) into v_order using p_order;
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, order_id)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer, v_order.id
+    from jsonb_array_elements(v_sales) as s;
+
+    return next v_order;
+end;
+$$;
@@ -0,0 +1,127 @@
+-- Cancelamento e estornos: valores ficam separados do total original do pedido
+alter table orders add column if not exists refunded_amount numeric(10, 2) not null default 0;
+alter table orders add column if not exists cancelled_amount numeric(10, 2) not null default 0;
+alter table orders add column if not exists cancel_reason text;
+alter table orders add column if not exists cancelled_at timestamptz;
+
+-- Estornos por item: items = [{ line, productId, sabor, quantity, amount }]
+create table if not exists order_refunds (
+    id bigint generated by default as identity primary key,
+    order_id bigint not null references orders(id) on delete cascade,
+    amount numeric(10, 2) not null check (amount >= 0),
+    items jsonb not null default '[]'::jsonb,
+    reason text not null,
+    restock boolean not null default true,
+    admin_user_id bigint references admin_credentials(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists order_refunds_order_id_idx on order_refunds (order_id);
+
+-- Itens devolvidos ao estoque por cancelamento ou estorno
+alter table inventory_movements drop constraint if exists inventory_movements_type_check;
+alter table inventory_movements add constraint inventory_movements_type_check
+    check (type in ('restock', 'sale', 'loss', 'correction', 'return'));
+
+-- Aplicar cancelamento ou estorno na mesma transação: atualiza o pedido (só se ninguém o
+-- alterou desde a leitura), devolve os sabores ao estoque e grava o estorno.
+-- p_restock: [{ product_id, sabor, quantity, note, admin_user_id }]
+create or replace function apply_order_return(
+    p_order_id bigint,
+    p_expected_updated_at timestamptz,
+    p_updates jsonb,
+    p_restock jsonb,
+    p_refund jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order orders%rowtype;
+    v_refund order_refunds%rowtype;
+    v_line jsonb;
+    v_product products%rowtype;
+    v_index integer;
+    v_stock integer;
+    v_quantity integer;
+begin
+    select * into v_order from orders where id = p_order_id for update;
+
+    if not found then
+        raise exception 'ORDER_NOT_FOUND:%', p_order_id;
+    end if;
+
+    if v_order.updated_at is distinct from p_expected_updated_at then
+        raise exception 'ORDER_CHANGED:%', p_order_id;
+    end if;
+
+    update orders set
+        items = coalesce(p_updates->'items', items),
+        status = coalesce(p_updates->>'status', status),
+        status_history = coalesce(p_updates->'status_history', status_history),
+        refunded_amount = coalesce((p_updates->>'refunded_amount')::numeric, refunded_amount),
+        cancelled_amount = coalesce((p_updates->>'cancelled_amount')::numeric, cancelled_amount),
+        cancel_reason = coalesce(p_updates->>'cancel_reason', cancel_reason),
+        cancelled_at = coalesce((p_updates->>'cancelled_at')::timestamptz, cancelled_at),
+        updated_at = (p_updates->>'updated_at')::timestamptz
+    where id = p_order_id
+    returning * into v_order;
+
+    for v_line in select * from jsonb_array_elements(coalesce(p_restock, '[]'::jsonb)) loop
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        -- Produto ou sabor removido do cardápio: não há para onde devolver
+        continue when not found;
+
+        v_index := null;
+
+        select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+        into v_index, v_stock
+        from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+        where t.elem->>'name' = v_line->>'sabor'
+        limit 1;
+
+        continue when v_index is null;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        update products
+        set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock + v_quantity)),
+            version = version + 1
+        where id = v_product.id;
+
+        insert into inventory_movements (product_id, sabor, type, quantity, balance, note, order_id, admin_user_id)
+        values (
+            v_product.id,
+            v_line->>'sabor',
+            'return',
+            v_quantity,
+            v_stock + v_quantity,
+            v_line->>'note',
+            p_order_id,
+            (v_line->>'admin_user_id')::bigint
+        );
+    end loop;
+
+    if p_refund is not null then
+        insert into order_refunds (order_id, amount, items, reason, restock, admin_user_id)
+        values (
+            p_order_id,
+            (p_refund->>'amount')::numeric,
+            coalesce(p_refund->'items', '[]'::jsonb),
+            p_refund->>'reason',
+            coalesce((p_refund->>'restock')::boolean, true),
+            (p_refund->>'admin_user_id')::bigint
+        )
+        returning * into v_refund;
+    end if;
+
+    return jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'refund', case when p_refund is null then null else to_jsonb(v_refund) end
+    );
+end;
+$$;
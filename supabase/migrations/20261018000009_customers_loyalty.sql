@@ -0,0 +1,249 @@
+-- Clientes identificados pelo telefone normalizado (+55DDNNNNNNNNN) e programa de pontos.
+-- Um cliente mesclado em outro fica com merged_into apontando para o que ficou,
+-- para que o telefone antigo continue caindo no mesmo cadastro.
+create table if not exists customers (
+    id bigint generated by default as identity primary key,
+    phone text not null unique,
+    name text,
+    points integer not null default 0 check (points >= 0),
+    merged_into bigint references customers(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists customers_name_idx on customers (lower(name));
+
+alter table orders add column if not exists customer_id bigint references customers(id) on delete set null;
+alter table orders add column if not exists discount numeric(10, 2) not null default 0;
+alter table orders add column if not exists loyalty_points_redeemed integer not null default 0;
+
+create index if not exists orders_customer_id_idx on orders (customer_id, created_at desc, id desc);
+
+-- Extrato de pontos: "points" é a variação e "balance" o saldo logo depois do lançamento
+create table if not exists loyalty_transactions (
+    id bigint generated by default as identity primary key,
+    customer_id bigint not null references customers(id) on delete cascade,
+    order_id bigint references orders(id) on delete set null,
+    type text not null check (type in ('earn', 'redeem', 'refund', 'cancel', 'merge')),
+    points integer not null,
+    balance integer not null,
+    note text,
+    admin_user_id bigint references admin_credentials(id) on delete set null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_transactions_customer_idx on loyalty_transactions (customer_id, id desc);
+create index if not exists loyalty_transactions_order_idx on loyalty_transactions (order_id);
+
+-- Lançar pontos e atualizar o saldo na mesma transação.
+-- p_tx: { customer_id, order_id, type, points (variação), note, admin_user_id, clamp }
+-- Com clamp, um débito maior que o saldo só zera o saldo (estorno de pontos já gastos).
+create or replace function apply_loyalty_points(p_tx jsonb)
+returns setof loyalty_transactions
+language plpgsql
+as $$
+declare
+    v_customer customers%rowtype;
+    v_delta integer;
+begin
+    select * into v_customer
+    from customers
+    where id = (p_tx->>'customer_id')::bigint
+    for update;
+
+    if not found then
+        raise exception 'CUSTOMER_NOT_FOUND:%', p_tx->>'customer_id';
+    end if;
+
+    if v_customer.merged_into is not null then
+        raise exception 'CUSTOMER_MERGED:%', v_customer.id;
+    end if;
+
+    v_delta := (p_tx->>'points')::integer;
+
+    if coalesce((p_tx->>'clamp')::boolean, false) then
+        v_delta := greatest(v_delta, -v_customer.points);
+    end if;
+
+    if v_customer.points + v_delta < 0 then
+        raise exception 'INSUFFICIENT_POINTS:%', v_customer.id;
+    end if;
+
+    update customers
+    set points = points + v_delta,
+        updated_at = now()
+    where id = v_customer.id;
+
+    return query
+    insert into loyalty_transactions (customer_id, order_id, type, points, balance, note, admin_user_id)
+    values (
+        v_customer.id,
+        (p_tx->>'order_id')::bigint,
+        p_tx->>'type',
+        v_delta,
+        v_customer.points + v_delta,
+        p_tx->>'note',
+        (p_tx->>'admin_user_id')::bigint
+    )
+    returning *;
+end;
+$$;
+
+-- Mesclar cliente duplicado: pedidos e pontos passam para o destino e a origem
+-- fica apontando para ele (merged_into). O extrato de cada um ganha um lançamento "merge".
+create or replace function merge_customers(p_target_id bigint, p_source_id bigint, p_admin_user_id bigint)
+returns setof customers
+language plpgsql
+as $$
+declare
+    v_target customers%rowtype;
+    v_source customers%rowtype;
+begin
+    -- Trava sempre na mesma ordem para duas mesclagens cruzadas não se bloquearem
+    perform 1 from customers where id in (p_target_id, p_source_id) order by id for update;
+
+    select * into v_target from customers where id = p_target_id;
+    if not found then
+        raise exception 'CUSTOMER_NOT_FOUND:%', p_target_id;
+    end if;
+
+    select * into v_source from customers where id = p_source_id;
+    if not found then
+        raise exception 'CUSTOMER_NOT_FOUND:%', p_source_id;
+    end if;
+
+    if v_target.merged_into is not null then
+        raise exception 'CUSTOMER_MERGED:%', v_target.id;
+    end if;
+
+    if v_source.merged_into is not null then
+        raise exception 'CUSTOMER_MERGED:%', v_source.id;
+    end if;
+
+    update orders set customer_id = v_target.id where customer_id = v_source.id;
+    update customers set merged_into = v_target.id where merged_into = v_source.id;
+
+    if v_source.points > 0 then
+        insert into loyalty_transactions (customer_id, type, points, balance, note, admin_user_id)
+        values
+            (v_source.id, 'merge', -v_source.points, 0, 'Mesclado no cliente #' || v_target.id, p_admin_user_id),
+            (v_target.id, 'merge', v_source.points, v_target.points + v_source.points,
+             'Pontos do cliente #' || v_source.id, p_admin_user_id);
+    end if;
+
+    update customers
+    set points = 0, merged_into = v_target.id, updated_at = now()
+    where id = v_source.id;
+
+    return query
+    update customers
+    set points = points + v_source.points,
+        name = coalesce(name, v_source.name),
+        updated_at = now()
+    where id = v_target.id
+    returning *;
+end;
+$$;
+
+-- O pedido passa a debitar os pontos resgatados
+create or replace function place_order(p_order jsonb, p_lines jsonb)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+    v_product products%rowtype;
+    v_quantity integer;
+    v_index integer;
+    v_stock integer;
+    v_columns text;
+    v_order orders%rowtype;
+    v_sales jsonb := '[]'::jsonb;
+    v_points integer;
+begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+        -- Bloqueia a linha do produto até o fim da transação
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        if not found then
+            raise exception 'PRODUCT_NOT_FOUND:%', v_line->>'product_id';
+        end if;
+
+        if coalesce(v_product.status, 'active') <> 'active' then
+            raise exception 'PRODUCT_INACTIVE:%', v_product.id;
+        end if;
+
+        if v_product.price <> (v_line->>'unit_price')::numeric then
+            raise exception 'PRICE_CHANGED:%', v_product.id;
+        end if;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        if v_line->>'sabor' is not null then
+            v_index := null;
+
+            select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+            into v_index, v_stock
+            from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+            where t.elem->>'name' = v_line->>'sabor'
+            limit 1;
+
+            if v_index is null then
+                raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            if v_stock < v_quantity then
+                raise exception 'OUT_OF_STOCK:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            update products
+            set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock - v_quantity)),
+                version = version + 1
+            where id = v_product.id;
+
+            v_sales := v_sales || jsonb_build_object(
+                'product_id', v_product.id,
+                'sabor', v_line->>'sabor',
+                'quantity', -v_quantity,
+                'balance', v_stock - v_quantity
+            );
+        end if;
+    end loop;
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) into v_order using p_order;
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, order_id)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer, v_order.id
+    from jsonb_array_elements(v_sales) as s;
+
+    -- Resgate de pontos: debita do cliente na mesma transação (sem saldo, nada é gravado)
+    if v_order.customer_id is not null and coalesce(v_order.loyalty_points_redeemed, 0) > 0 then
+        update customers
+        set points = points - v_order.loyalty_points_redeemed,
+            updated_at = now()
+        where id = v_order.customer_id
+          and merged_into is null
+          and points >= v_order.loyalty_points_redeemed
+        returning points into v_points;
+
+        if not found then
+            raise exception 'INSUFFICIENT_POINTS:%', v_order.customer_id;
+        end if;
+
+        insert into loyalty_transactions (customer_id, order_id, type, points, balance, note)
+        values (v_order.customer_id, v_order.id, 'redeem', -v_order.loyalty_points_redeemed, v_points,
+                'Resgate no pedido #' || v_order.id);
+    end if;
+
+    return next v_order;
+end;
+$$;
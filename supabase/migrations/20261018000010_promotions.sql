@@ -0,0 +1,157 @@
+-- Promoções administradas pelo painel: cupom (código, percentual ou valor fixo, limite de usos,
+-- validade), happy hour (desconto por dia da semana e horário local) e combo (N unidades por um preço).
+-- Alvo do happy hour e do combo: produto, categoria ou nenhum (tudo); combo aceita também um sabor.
+create table if not exists promotions (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    type text not null check (type in ('coupon', 'happy_hour', 'combo')),
+    active boolean not null default true,
+    starts_at timestamptz,
+    ends_at timestamptz,
+    discount_type text check (discount_type in ('percentage', 'fixed')),
+    discount_value numeric(10, 2),
+    code text unique,
+    usage_limit integer check (usage_limit > 0),
+    usage_count integer not null default 0,
+    min_total numeric(10, 2),
+    product_id bigint references products(id) on delete cascade,
+    category text,
+    sabor text,
+    weekdays smallint[],
+    start_time time,
+    end_time time,
+    combo_quantity integer check (combo_quantity >= 2),
+    combo_price numeric(10, 2),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists promotions_active_idx on promotions (active, type);
+
+-- Pedido guarda o subtotal de tabela e a lista dos descontos usados (promoções e pontos);
+-- "discount" passa a ser a soma de todos eles e total = subtotal - discount
+alter table orders add column if not exists subtotal numeric(10, 2);
+alter table orders add column if not exists discounts jsonb not null default '[]'::jsonb;
+alter table orders add column if not exists coupon_code text;
+
+update orders set subtotal = total + discount where subtotal is null;
+
+-- O pedido passa a contar o uso do cupom
+create or replace function place_order(p_order jsonb, p_lines jsonb)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+    v_product products%rowtype;
+    v_quantity integer;
+    v_index integer;
+    v_stock integer;
+    v_columns text;
+    v_order orders%rowtype;
+    v_sales jsonb := '[]'::jsonb;
+    v_points integer;
+begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+        -- Bloqueia a linha do produto até o fim da transação
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        if not found then
+            raise exception 'PRODUCT_NOT_FOUND:%', v_line->>'product_id';
+        end if;
+
+        if coalesce(v_product.status, 'active') <> 'active' then
+            raise exception 'PRODUCT_INACTIVE:%', v_product.id;
+        end if;
+
+        if v_product.price <> (v_line->>'unit_price')::numeric then
+            raise exception 'PRICE_CHANGED:%', v_product.id;
+        end if;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        if v_line->>'sabor' is not null then
+            v_index := null;
+
+            select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+            into v_index, v_stock
+            from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+            where t.elem->>'name' = v_line->>'sabor'
+            limit 1;
+
+            if v_index is null then
+                raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            if v_stock < v_quantity then
+                raise exception 'OUT_OF_STOCK:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            update products
+            set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock - v_quantity)),
+                version = version + 1
+            where id = v_product.id;
+
+            v_sales := v_sales || jsonb_build_object(
+                'product_id', v_product.id,
+                'sabor', v_line->>'sabor',
+                'quantity', -v_quantity,
+                'balance', v_stock - v_quantity
+            );
+        end if;
+    end loop;
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) into v_order using p_order;
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, order_id)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer, v_order.id
+    from jsonb_array_elements(v_sales) as s;
+
+    -- Cupom: conta o uso só se ainda estiver valendo (limite conferido com a linha travada)
+    if v_order.coupon_code is not null then
+        update promotions
+        set usage_count = usage_count + 1,
+            updated_at = now()
+        where type = 'coupon'
+          and code = v_order.coupon_code
+          and active
+          and (starts_at is null or starts_at <= now())
+          and (ends_at is null or ends_at > now())
+          and (usage_limit is null or usage_count < usage_limit);
+
+        if not found then
+            raise exception 'COUPON_UNAVAILABLE:%', v_order.coupon_code;
+        end if;
+    end if;
+
+    -- Resgate de pontos: debita do cliente na mesma transação (sem saldo, nada é gravado)
+    if v_order.customer_id is not null and coalesce(v_order.loyalty_points_redeemed, 0) > 0 then
+        update customers
+        set points = points - v_order.loyalty_points_redeemed,
+            updated_at = now()
+        where id = v_order.customer_id
+          and merged_into is null
+          and points >= v_order.loyalty_points_redeemed
+        returning points into v_points;
+
+        if not found then
+            raise exception 'INSUFFICIENT_POINTS:%', v_order.customer_id;
+        end if;
+
+        insert into loyalty_transactions (customer_id, order_id, type, points, balance, note)
+        values (v_order.customer_id, v_order.id, 'redeem', -v_order.loyalty_points_redeemed, v_points,
+                'Resgate no pedido #' || v_order.id);
+    end if;
+
+    return next v_order;
+end;
+$$;
@@ -0,0 +1,289 @@
+-- Comandas: conta aberta de uma mesa ou de um cliente, com itens lançados ao longo da noite.
+-- Os itens têm o mesmo formato dos itens do pedido (com um id para transferir e dividir)
+-- e, no fechamento, viram um pedido comum com a divisão do pagamento em "payments".
+create table if not exists tabs (
+    id bigint generated by default as identity primary key,
+    table_number text,
+    customer_name text,
+    customer_phone text,
+    customer_id bigint references customers(id) on delete set null,
+    status text not null default 'open' check (status in ('open', 'closed')),
+    items jsonb not null default '[]'::jsonb,
+    order_id bigint references orders(id) on delete set null,
+    opened_by bigint references admin_credentials(id) on delete set null,
+    closed_by bigint references admin_credentials(id) on delete set null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    closed_at timestamptz
+);
+
+-- Uma comanda aberta por mesa
+create unique index if not exists tabs_open_table_idx on tabs (table_number) where status = 'open' and table_number is not null;
+create index if not exists tabs_status_idx on tabs (status, created_at desc);
+
+alter table orders add column if not exists tab_id bigint references tabs(id) on delete set null;
+alter table orders add column if not exists payments jsonb not null default '[]'::jsonb;
+alter table inventory_movements add column if not exists tab_id bigint references tabs(id) on delete set null;
+
+-- Conferir e baixar o estoque das linhas (preço, status, sabor e saldo), como na gravação do pedido.
+-- Retorna as saídas [{ product_id, sabor, quantity, balance }] para o livro de estoque.
+create or replace function take_stock(p_lines jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+    v_product products%rowtype;
+    v_quantity integer;
+    v_index integer;
+    v_stock integer;
+    v_sales jsonb := '[]'::jsonb;
+begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+        -- Bloqueia a linha do produto até o fim da transação
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        if not found then
+            raise exception 'PRODUCT_NOT_FOUND:%', v_line->>'product_id';
+        end if;
+
+        if coalesce(v_product.status, 'active') <> 'active' then
+            raise exception 'PRODUCT_INACTIVE:%', v_product.id;
+        end if;
+
+        if v_product.price <> (v_line->>'unit_price')::numeric then
+            raise exception 'PRICE_CHANGED:%', v_product.id;
+        end if;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        if v_line->>'sabor' is not null then
+            v_index := null;
+
+            select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+            into v_index, v_stock
+            from jsonb_array_elements(v_product.sabores) with ordinality as t(elem, ord)
+            where t.elem->>'name' = v_line->>'sabor'
+            limit 1;
+
+            if v_index is null then
+                raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            if v_stock < v_quantity then
+                raise exception 'OUT_OF_STOCK:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            update products
+            set sabores = jsonb_set(sabores, array[v_index::text, 'quantity'], to_jsonb(v_stock - v_quantity)),
+                version = version + 1
+            where id = v_product.id;
+
+            v_sales := v_sales || jsonb_build_object(
+                'product_id', v_product.id,
+                'sabor', v_line->>'sabor',
+                'quantity', -v_quantity,
+                'balance', v_stock - v_quantity
+            );
+        end if;
+    end loop;
+
+    return v_sales;
+end;
+$$;
+
+-- place_order passa a usar take_stock
+create or replace function place_order(p_order jsonb, p_lines jsonb)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_columns text;
+    v_order orders%rowtype;
+    v_sales jsonb;
+    v_points integer;
+begin
+    v_sales := take_stock(p_lines);
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) into v_order using p_order;
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, order_id)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer, v_order.id
+    from jsonb_array_elements(v_sales) as s;
+
+    -- Cupom: conta o uso só se ainda estiver valendo (limite conferido com a linha travada)
+    if v_order.coupon_code is not null then
+        update promotions
+        set usage_count = usage_count + 1,
+            updated_at = now()
+        where type = 'coupon'
+          and code = v_order.coupon_code
+          and active
+          and (starts_at is null or starts_at <= now())
+          and (ends_at is null or ends_at > now())
+          and (usage_limit is null or usage_count < usage_limit);
+
+        if not found then
+            raise exception 'COUPON_UNAVAILABLE:%', v_order.coupon_code;
+        end if;
+    end if;
+
+    -- Resgate de pontos: debita do cliente na mesma transação (sem saldo, nada é gravado)
+    if v_order.customer_id is not null and coalesce(v_order.loyalty_points_redeemed, 0) > 0 then
+        update customers
+        set points = points - v_order.loyalty_points_redeemed,
+            updated_at = now()
+        where id = v_order.customer_id
+          and merged_into is null
+          and points >= v_order.loyalty_points_redeemed
+        returning points into v_points;
+
+        if not found then
+            raise exception 'INSUFFICIENT_POINTS:%', v_order.customer_id;
+        end if;
+
+        insert into loyalty_transactions (customer_id, order_id, type, points, balance, note)
+        values (v_order.customer_id, v_order.id, 'redeem', -v_order.loyalty_points_redeemed, v_points,
+                'Resgate no pedido #' || v_order.id);
+    end if;
+
+    return next v_order;
+end;
+$$;
+
+-- Itens lançados na comanda: baixa o estoque na hora (a mesa já está bebendo) e registra as saídas
+-- com o tab_id; no fechamento elas ganham o order_id do pedido gerado.
+create or replace function add_tab_items(p_tab_id bigint, p_items jsonb, p_lines jsonb)
+returns setof tabs
+language plpgsql
+as $$
+declare
+    v_tab tabs%rowtype;
+    v_sales jsonb;
+begin
+    select * into v_tab from tabs where id = p_tab_id for update;
+
+    if not found then
+        raise exception 'TAB_NOT_FOUND:%', p_tab_id;
+    end if;
+
+    if v_tab.status <> 'open' then
+        raise exception 'TAB_NOT_OPEN:%', p_tab_id;
+    end if;
+
+    v_sales := take_stock(p_lines);
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, tab_id, note)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer,
+           p_tab_id, 'Comanda #' || p_tab_id
+    from jsonb_array_elements(v_sales) as s;
+
+    return query
+    update tabs
+    set items = items || p_items,
+        updated_at = now()
+    where id = p_tab_id
+    returning *;
+end;
+$$;
+
+-- Regravar os itens de várias comandas de uma vez (transferência), só se nenhuma mudou desde a leitura.
+-- p_changes: [{ id, expected_updated_at, items }]
+create or replace function replace_tab_items(p_changes jsonb)
+returns setof tabs
+language plpgsql
+as $$
+declare
+    v_change jsonb;
+    v_tab tabs%rowtype;
+begin
+    -- Trava na ordem do id para duas transferências cruzadas não se bloquearem
+    perform 1 from tabs
+    where id in (select (c->>'id')::bigint from jsonb_array_elements(p_changes) as c)
+    order by id
+    for update;
+
+    for v_change in select * from jsonb_array_elements(p_changes) loop
+        select * into v_tab from tabs where id = (v_change->>'id')::bigint;
+
+        if not found then
+            raise exception 'TAB_NOT_FOUND:%', v_change->>'id';
+        end if;
+
+        if v_tab.status <> 'open' then
+            raise exception 'TAB_NOT_OPEN:%', v_tab.id;
+        end if;
+
+        if v_tab.updated_at is distinct from (v_change->>'expected_updated_at')::timestamptz then
+            raise exception 'TAB_CHANGED:%', v_tab.id;
+        end if;
+    end loop;
+
+    return query
+    update tabs t
+    set items = c.items,
+        updated_at = now()
+    from (
+        select (elem->>'id')::bigint as id, elem->'items' as items
+        from jsonb_array_elements(p_changes) as elem
+    ) c
+    where t.id = c.id
+    returning t.*;
+end;
+$$;
+
+-- Fechar a comanda: grava o pedido (mesmas colunas de place_order, sem baixar estoque de novo),
+-- liga as saídas de estoque da comanda ao pedido e marca a comanda como fechada.
+create or replace function close_tab(p_tab_id bigint, p_expected_updated_at timestamptz, p_order jsonb, p_closed_by bigint)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_tab tabs%rowtype;
+    v_columns text;
+    v_order orders%rowtype;
+begin
+    select * into v_tab from tabs where id = p_tab_id for update;
+
+    if not found then
+        raise exception 'TAB_NOT_FOUND:%', p_tab_id;
+    end if;
+
+    if v_tab.status <> 'open' then
+        raise exception 'TAB_NOT_OPEN:%', p_tab_id;
+    end if;
+
+    if v_tab.updated_at is distinct from p_expected_updated_at then
+        raise exception 'TAB_CHANGED:%', p_tab_id;
+    end if;
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) into v_order using p_order;
+
+    update inventory_movements set order_id = v_order.id where tab_id = p_tab_id and order_id is null;
+
+    update tabs
+    set status = 'closed',
+        order_id = v_order.id,
+        closed_by = p_closed_by,
+        closed_at = now(),
+        updated_at = now()
+    where id = p_tab_id;
+
+    return next v_order;
+end;
+$$;
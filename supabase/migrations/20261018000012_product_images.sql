@@ -0,0 +1,5 @@
+-- Bucket público para as fotos de produtos e sabores enviadas pelo painel (POST /api/uploads/images).
+-- A API grava com a chave do servidor; a leitura é pública pela URL retornada no upload.
+insert into storage.buckets (id, name, public)
+values ('product-images', 'product-images', true)
+on conflict (id) do nothing;
@@ -0,0 +1,82 @@
+-- Categorias com ordem própria no cardápio e arquivamento no lugar da exclusão.
+-- Produtos só podem apontar para categorias que existem (chave estrangeira).
+alter table categories add column if not exists display_order integer not null default 0;
+alter table categories add column if not exists archived_at timestamptz;
+alter table categories add column if not exists updated_at timestamptz not null default now();
+
+-- Ordem inicial: a alfabética, que era a usada até aqui
+update categories c
+set display_order = s.position
+from (select id, (row_number() over (order by name) - 1)::integer as position from categories) s
+where c.id = s.id;
+
+-- Categorias citadas por produtos e que não existem (ex.: a antiga "default") passam a existir, arquivadas
+insert into categories (id, name, description, display_order, archived_at)
+select distinct p.category, initcap(p.category), 'Categoria de ' || p.category,
+       (select coalesce(max(display_order), -1) + 1 from categories), now()
+from products p
+where p.category is not null
+  and not exists (select 1 from categories c where c.id = p.category);
+
+alter table products drop constraint if exists products_category_fkey;
+alter table products add constraint products_category_fkey
+    foreign key (category) references categories(id) on update cascade;
+
+create index if not exists products_category_idx on products (category);
+
+-- Reordenar: cada id recebe a sua posição na lista
+create or replace function reorder_categories(p_ids text[])
+returns setof categories
+language plpgsql
+as $$
+begin
+    return query
+    update categories c
+    set display_order = (t.ord - 1)::integer,
+        updated_at = now()
+    from unnest(p_ids) with ordinality as t(id, ord)
+    where c.id = t.id
+    returning c.*;
+end;
+$$;
+
+-- Excluir categoria. Com produtos, exige a categoria de destino (existente, ativa e diferente):
+-- produtos (com nova versão) e promoções passam para ela na mesma transação.
+-- Retorna quantos produtos foram movidos.
+create or replace function delete_category(p_id text, p_target text)
+returns integer
+language plpgsql
+as $$
+declare
+    v_moved integer := 0;
+begin
+    perform 1 from categories where id = p_id for update;
+
+    if not found then
+        raise exception 'CATEGORY_NOT_FOUND:%', p_id;
+    end if;
+
+    if p_target is not null then
+        perform 1 from categories where id = p_target and id <> p_id and archived_at is null for share;
+
+        if not found then
+            raise exception 'CATEGORY_NOT_FOUND:%', p_target;
+        end if;
+
+        update products
+        set category = p_target,
+            version = version + 1,
+            updated_at = now()
+        where category = p_id;
+
+        get diagnostics v_moved = row_count;
+
+        update promotions set category = p_target, updated_at = now() where category = p_id;
+    elsif exists (select 1 from products where category = p_id) then
+        raise exception 'CATEGORY_IN_USE:%', p_id;
+    end if;
+
+    delete from categories where id = p_id;
+    return v_moved;
+end;
+$$;
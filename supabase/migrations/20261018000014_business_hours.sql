@@ -0,0 +1,46 @@
+-- Horário de funcionamento por dia da semana (0 = domingo), no fuso dos relatórios.
+-- Pode haver mais de uma faixa por dia; fechamento igual ou antes da abertura passa da meia-noite.
+-- Sem nenhuma linha o bar é considerado sempre aberto.
+create table if not exists opening_hours (
+    id bigint generated by default as identity primary key,
+    weekday smallint not null check (weekday between 0 and 6),
+    opens_at time not null,
+    closes_at time not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists opening_hours_weekday_idx on opening_hours (weekday, opens_at);
+
+-- Dias fechados (feriados, eventos); fecham as faixas que começam nesse dia
+create table if not exists business_closures (
+    id bigint generated by default as identity primary key,
+    date date not null unique,
+    reason text not null default '',
+    created_at timestamptz not null default now()
+);
+
+-- Configurações gerais da loja, uma linha por chave (ex.: manual_closure, o "fechar agora")
+create table if not exists settings (
+    key text primary key,
+    value jsonb,
+    updated_at timestamptz not null default now()
+);
+
+-- Faixas de horário em que o produto é vendido: [{ "weekdays": [1,2], "start": "11:00", "end": "15:00" }]
+alter table products add column if not exists availability jsonb;
+
+-- Trocar a semana inteira numa transação só
+create or replace function replace_opening_hours(p_rows jsonb)
+returns setof opening_hours
+language plpgsql
+as $$
+begin
+    delete from opening_hours where true;
+
+    return query
+    insert into opening_hours (weekday, opens_at, closes_at)
+    select (r->>'weekday')::smallint, (r->>'opens_at')::time, (r->>'closes_at')::time
+    from jsonb_array_elements(p_rows) r
+    returning *;
+end;
+$$;
@@ -0,0 +1,64 @@
+-- Contadores dos limites de requisição (RATE_LIMIT_STORE=supabase), compartilhados entre as instâncias.
+-- Janela fixa: começa na primeira requisição e zera em reset_at.
+create table if not exists rate_limits (
+    key text primary key,
+    count integer not null default 0,
+    reset_at timestamptz not null
+);
+
+create index if not exists rate_limits_reset_at_idx on rate_limits (reset_at);
+
+-- Somar uma requisição à janela da chave (abrindo uma nova se a anterior venceu)
+create or replace function rate_limit_hit(p_key text, p_window_ms integer)
+returns setof rate_limits
+language plpgsql
+as $$
+begin
+    -- Limpeza ocasional das janelas vencidas
+    if random() < 0.01 then
+        delete from rate_limits where reset_at < now() - interval '1 hour';
+    end if;
+
+    return query
+    insert into rate_limits as r (key, count, reset_at)
+    values (p_key, 1, now() + make_interval(secs => p_window_ms / 1000.0))
+    on conflict (key) do update
+    set count = case when r.reset_at > now() then r.count + 1 else 1 end,
+        reset_at = case when r.reset_at > now() then r.reset_at else excluded.reset_at end
+    returning r.*;
+end;
+$$;
+
+-- Chaves de idempotência (cabeçalho Idempotency-Key): a primeira requisição reserva a chave e,
+-- quando dá certo, grava a resposta; as repetidas recebem a mesma resposta
+create table if not exists idempotency_keys (
+    key text primary key,
+    request_hash text not null,
+    status_code integer,
+    response jsonb,
+    created_at timestamptz not null default now()
+);
+
+-- Reservar a chave. Retorna {"claimed": true} ou a linha já gravada com "claimed": false
+-- (status_code nulo = a primeira requisição ainda está em andamento). Chaves vencidas são liberadas.
+create or replace function claim_idempotency_key(p_key text, p_hash text, p_ttl_seconds integer)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_row idempotency_keys%rowtype;
+begin
+    delete from idempotency_keys
+    where key = p_key and created_at < now() - make_interval(secs => p_ttl_seconds);
+
+    insert into idempotency_keys (key, request_hash) values (p_key, p_hash)
+    on conflict (key) do nothing;
+
+    if found then
+        return jsonb_build_object('claimed', true);
+    end if;
+
+    select * into v_row from idempotency_keys where key = p_key;
+    return to_jsonb(v_row) || jsonb_build_object('claimed', false);
+end;
+$$;
@@ -0,0 +1,37 @@
+-- Registro de auditoria: cada alteração feita por um admin, com quem, quando, a rota e,
+-- quando a rota informa, o registro antes e depois e o diff entre eles
+create table if not exists audit_log (
+    id bigint generated by default as identity primary key,
+    admin_user_id bigint references admin_credentials(id) on delete set null,
+    admin_username text,
+    method text not null,
+    route text not null,
+    path text not null,
+    status_code integer not null,
+    entity_type text,
+    entity_id text,
+    before jsonb,
+    after jsonb,
+    diff jsonb,
+    ip text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on audit_log (created_at desc, id desc);
+create index if not exists audit_log_entity_idx on audit_log (entity_type, entity_id);
+create index if not exists audit_log_admin_idx on audit_log (admin_user_id);
+
+-- Cópias do catálogo (categorias e produtos com o saldo do estoque, no formato da exportação),
+-- tiradas antes de cada gravação em massa para poder voltar atrás
+create table if not exists catalog_snapshots (
+    id bigint generated by default as identity primary key,
+    reason text not null,
+    admin_user_id bigint references admin_credentials(id) on delete set null,
+    admin_username text,
+    product_count integer not null default 0,
+    category_count integer not null default 0,
+    catalog jsonb not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists catalog_snapshots_created_at_idx on catalog_snapshots (created_at desc, id desc);
@@ -0,0 +1,22 @@
+-- Fila de impressão: comandas de produção e recibos esperando o agente da impressora térmica.
+-- O agente busca os pendentes, reserva um (claim), baixa o conteúdo e informa se imprimiu.
+create table if not exists print_jobs (
+    id bigint generated by default as identity primary key,
+    order_id bigint not null references orders(id) on delete cascade,
+    kind text not null check (kind in ('kitchen', 'receipt')),
+    station_id text,
+    width smallint,
+    trigger text not null default 'manual' check (trigger in ('auto', 'manual')),
+    -- Impressão automática grava uma chave por pedido/tipo/praça para não sair duas vezes
+    dedupe_key text unique,
+    status text not null default 'pending' check (status in ('pending', 'printing', 'printed', 'failed')),
+    attempts integer not null default 0,
+    error text,
+    requested_by text,
+    created_at timestamptz not null default now(),
+    claimed_at timestamptz,
+    printed_at timestamptz
+);
+
+create index if not exists print_jobs_status_idx on print_jobs (status, created_at, id);
+create index if not exists print_jobs_order_idx on print_jobs (order_id);
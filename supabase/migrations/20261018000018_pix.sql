@@ -0,0 +1,117 @@
+-- Situação do pagamento do pedido (PIX confirmado pelo webhook ou conta fechada na comanda)
+alter table orders add column if not exists payment_status text not null default 'unpaid'
+    check (payment_status in ('unpaid', 'paid'));
+alter table orders add column if not exists paid_at timestamptz;
+
+-- Comandas fechadas já foram pagas no caixa
+update orders set payment_status = 'paid', paid_at = coalesce(updated_at, created_at)
+where tab_id is not null and payment_status = 'unpaid';
+
+-- Cobranças PIX geradas para os pedidos, com o "copia e cola" no valor calculado pelo servidor
+create table if not exists pix_charges (
+    id bigint generated by default as identity primary key,
+    order_id bigint not null references orders(id) on delete cascade,
+    txid text not null unique,
+    amount numeric(10, 2) not null check (amount > 0),
+    mode text not null check (mode in ('static', 'dynamic')),
+    payload text not null,
+    status text not null default 'pending' check (status in ('pending', 'paid', 'cancelled')),
+    expires_at timestamptz,
+    paid_at timestamptz,
+    paid_amount numeric(10, 2),
+    end_to_end_id text,
+    created_at timestamptz not null default now()
+);
+
+-- Uma cobrança em aberto por pedido
+create unique index if not exists pix_charges_pending_order_idx on pix_charges (order_id) where status = 'pending';
+create index if not exists pix_charges_created_at_idx on pix_charges (created_at);
+
+-- Cada PIX avisado pelo PSP (endToEndId é único no arranjo PIX: notificação repetida é ignorada)
+create table if not exists pix_payments (
+    id bigint generated by default as identity primary key,
+    end_to_end_id text not null unique,
+    txid text,
+    amount numeric(10, 2) not null,
+    paid_at timestamptz not null default now(),
+    payer jsonb,
+    charge_id bigint references pix_charges(id) on delete set null,
+    order_id bigint references orders(id) on delete set null,
+    outcome text not null check (outcome in ('paid', 'amount_mismatch', 'already_paid', 'unmatched')),
+    raw jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists pix_payments_paid_at_idx on pix_payments (paid_at);
+
+-- Registrar um PIX recebido e, se ele cobre a cobrança (mesmo uma já substituída por outra) e o pedido
+-- ainda não foi pago, dar baixa na cobrança e no pedido e cancelar as outras cobranças do pedido.
+-- Retorna {"duplicate": true} para endToEndId repetido, ou {"duplicate": false, payment, charge, order}.
+create or replace function record_pix_payment(p_payment jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_amount numeric := (p_payment->>'amount')::numeric;
+    v_paid_at timestamptz := coalesce((p_payment->>'paid_at')::timestamptz, now());
+    v_charge pix_charges%rowtype;
+    v_payment pix_payments%rowtype;
+    v_order orders%rowtype;
+    v_outcome text;
+begin
+    select * into v_charge from pix_charges where txid = p_payment->>'txid' for update;
+    if v_charge.id is not null then
+        select * into v_order from orders where id = v_charge.order_id for update;
+    end if;
+
+    if v_charge.id is null then
+        v_outcome := 'unmatched';
+    elsif v_charge.status = 'paid' or v_order.payment_status = 'paid' then
+        v_outcome := 'already_paid';
+    elsif v_amount < v_charge.amount then
+        v_outcome := 'amount_mismatch';
+    else
+        v_outcome := 'paid';
+    end if;
+
+    insert into pix_payments (end_to_end_id, txid, amount, paid_at, payer, charge_id, order_id, outcome, raw)
+    values (
+        p_payment->>'end_to_end_id', p_payment->>'txid', v_amount, v_paid_at, p_payment->'payer',
+        v_charge.id, v_charge.order_id, v_outcome, p_payment->'raw'
+    )
+    on conflict (end_to_end_id) do nothing
+    returning * into v_payment;
+
+    if v_payment.id is null then
+        return jsonb_build_object('duplicate', true);
+    end if;
+
+    if v_outcome = 'paid' then
+        update pix_charges
+        set status = 'paid', paid_at = v_paid_at, paid_amount = v_amount, end_to_end_id = v_payment.end_to_end_id
+        where id = v_charge.id
+        returning * into v_charge;
+
+        update pix_charges set status = 'cancelled'
+        where order_id = v_charge.order_id and status = 'pending';
+
+        update orders
+        set payment_status = 'paid',
+            paid_at = v_paid_at,
+            payment_method = 'pix',
+            payments = jsonb_build_array(jsonb_build_object(
+                'method', 'pix', 'amount', v_amount, 'endToEndId', v_payment.end_to_end_id, 'paidAt', v_paid_at
+            )),
+            updated_at = now()
+        where id = v_charge.order_id
+        returning * into v_order;
+    end if;
+
+    return jsonb_build_object(
+        'duplicate', false,
+        'payment', to_jsonb(v_payment),
+        'charge', case when v_charge.id is null then null else to_jsonb(v_charge) end,
+        'order', case when v_outcome = 'paid' and v_order.id is not null then to_jsonb(v_order) else null end
+    );
+end;
+$$;
@@ -0,0 +1,27 @@
+-- Zonas de entrega: bairros e prefixos de CEP atendidos, com taxa, pedido mínimo e tempo de entrega
+create table if not exists delivery_zones (
+    id bigint generated by default as identity primary key,
+    name text not null,
+    neighborhoods text[] not null default '{}',
+    cep_prefixes text[] not null default '{}',
+    fee numeric(10, 2) not null default 0 check (fee >= 0),
+    min_order numeric(10, 2) not null default 0 check (min_order >= 0),
+    delivery_minutes integer not null default 30 check (delivery_minutes >= 0),
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+-- Tipo do pedido, endereço e taxa de entrega (fora do valor da comida) e horários previstos
+alter table orders add column if not exists order_type text not null default 'pickup'
+    check (order_type in ('dine_in', 'pickup', 'delivery'));
+alter table orders add column if not exists delivery_address jsonb;
+alter table orders add column if not exists delivery_fee numeric(10, 2) not null default 0;
+alter table orders add column if not exists delivery_zone_id bigint references delivery_zones(id) on delete set null;
+alter table orders add column if not exists estimated_ready_at timestamptz;
+alter table orders add column if not exists estimated_delivery_at timestamptz;
+
+-- Pedidos de comanda foram consumidos no bar
+update orders set order_type = 'dine_in' where tab_id is not null and order_type = 'pickup';
+
+create index if not exists orders_order_type_idx on orders (order_type, created_at);
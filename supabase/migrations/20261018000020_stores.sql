@@ -0,0 +1,529 @@
+-- Lojas (filiais). A primeira, "vaqueiro", fica com tudo o que já existia.
+create table if not exists stores (
+    id bigint generated by default as identity primary key,
+    slug text not null unique check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    name text not null,
+    -- Domínios do cardápio da loja (ex.: centro.bardovaqueiro.com.br)
+    hosts text[] not null default '{}',
+    active boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz
+);
+
+insert into stores (slug, name) values ('vaqueiro', 'Bar do Vaqueiro') on conflict (slug) do nothing;
+
+-- Produtos e categorias sem loja são do catálogo compartilhado; com loja, só daquela loja
+alter table products add column if not exists store_id bigint references stores(id) on delete cascade;
+alter table categories add column if not exists store_id bigint references stores(id) on delete cascade;
+
+-- Ajustes de um produto numa loja: preço próprio, fora do cardápio da loja e estoque próprio por sabor
+create table if not exists store_products (
+    store_id bigint not null references stores(id) on delete cascade,
+    product_id bigint not null references products(id) on delete cascade,
+    price numeric(10, 2) check (price >= 0),
+    available boolean not null default true,
+    -- { "<sabor>": saldo }; sabores fora daqui vendem do estoque compartilhado
+    stock jsonb not null default '{}'::jsonb,
+    updated_at timestamptz not null default now(),
+    primary key (store_id, product_id)
+);
+
+-- Pedidos, comandas e fila de impressão são de uma loja
+alter table orders add column if not exists store_id bigint references stores(id);
+update orders set store_id = (select id from stores where slug = 'vaqueiro') where store_id is null;
+alter table orders alter column store_id set not null;
+create index if not exists orders_store_idx on orders (store_id, created_at desc);
+
+alter table tabs add column if not exists store_id bigint references stores(id);
+update tabs set store_id = (select id from stores where slug = 'vaqueiro') where store_id is null;
+alter table tabs alter column store_id set not null;
+
+-- Uma comanda aberta por mesa em cada loja
+drop index if exists tabs_open_table_idx;
+create unique index if not exists tabs_open_table_idx on tabs (store_id, table_number) where status = 'open' and table_number is not null;
+
+alter table print_jobs add column if not exists store_id bigint references stores(id) on delete cascade;
+update print_jobs set store_id = (select store_id from orders where orders.id = print_jobs.order_id) where store_id is null;
+
+-- Movimentos do estoque próprio de uma loja levam a loja; os do estoque compartilhado ficam sem
+alter table inventory_movements add column if not exists store_id bigint references stores(id) on delete cascade;
+
+-- Horário de funcionamento, dias fechados, zonas de entrega e promoções são de cada loja
+alter table opening_hours add column if not exists store_id bigint references stores(id) on delete cascade;
+update opening_hours set store_id = (select id from stores where slug = 'vaqueiro') where store_id is null;
+alter table opening_hours alter column store_id set not null;
+create index if not exists opening_hours_store_idx on opening_hours (store_id, weekday, opens_at);
+
+alter table business_closures add column if not exists store_id bigint references stores(id) on delete cascade;
+update business_closures set store_id = (select id from stores where slug = 'vaqueiro') where store_id is null;
+alter table business_closures alter column store_id set not null;
+alter table business_closures drop constraint if exists business_closures_date_key;
+create unique index if not exists business_closures_store_date_idx on business_closures (store_id, date);
+
+alter table delivery_zones add column if not exists store_id bigint references stores(id) on delete cascade;
+update delivery_zones set store_id = (select id from stores where slug = 'vaqueiro') where store_id is null;
+alter table delivery_zones alter column store_id set not null;
+
+-- Código do cupom é único dentro da loja
+alter table promotions add column if not exists store_id bigint references stores(id) on delete cascade;
+update promotions set store_id = (select id from stores where slug = 'vaqueiro') where store_id is null;
+alter table promotions alter column store_id set not null;
+alter table promotions drop constraint if exists promotions_code_key;
+create unique index if not exists promotions_store_code_idx on promotions (store_id, code);
+
+-- Fechamento manual e configuração de entrega: uma chave por loja ("<chave>:<id da loja>")
+update settings set key = key || ':' || (select id from stores where slug = 'vaqueiro')
+where key in ('manual_closure', 'delivery');
+
+-- Trocar a semana inteira de uma loja numa transação só
+drop function if exists replace_opening_hours(jsonb);
+
+create or replace function replace_opening_hours(p_store_id bigint, p_rows jsonb)
+returns setof opening_hours
+language plpgsql
+as $$
+begin
+    delete from opening_hours where store_id = p_store_id;
+
+    return query
+    insert into opening_hours (store_id, weekday, opens_at, closes_at)
+    select p_store_id, (r->>'weekday')::smallint, (r->>'opens_at')::time, (r->>'closes_at')::time
+    from jsonb_array_elements(p_rows) r
+    returning *;
+end;
+$$;
+
+-- Admin limitado às lojas listadas (null = todas)
+alter table admin_credentials add column if not exists store_ids bigint[];
+
+-- Saldo atual de cada sabor em cada estoque (compartilhado ou próprio de uma loja)
+create or replace view inventory_balances as
+select distinct on (product_id, sabor, store_id) product_id, sabor, balance, created_at as updated_at, store_id
+from inventory_movements
+order by product_id, sabor, store_id, id desc;
+
+-- Onde está o saldo de um sabor para a loja: no estoque próprio dela, se tiver um para o sabor,
+-- ou no compartilhado do produto (que o chamador já travou). Trava o ajuste da loja.
+-- Retorna { own, stock, index } ou null se o produto não tem o sabor.
+create or replace function sabor_stock(p_store_id bigint, p_product_id bigint, p_sabor text)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_override store_products%rowtype;
+    v_index integer;
+    v_stock integer;
+begin
+    select (t.ord - 1)::integer, coalesce((t.elem->>'quantity')::integer, 0)
+    into v_index, v_stock
+    from products p
+    cross join lateral jsonb_array_elements(p.sabores) with ordinality as t(elem, ord)
+    where p.id = p_product_id and t.elem->>'name' = p_sabor
+    limit 1;
+
+    if v_index is null then
+        return null;
+    end if;
+
+    if p_store_id is not null then
+        select * into v_override
+        from store_products
+        where store_id = p_store_id and product_id = p_product_id
+        for update;
+
+        if found and v_override.stock ? p_sabor then
+            return jsonb_build_object('own', true, 'stock', (v_override.stock->>p_sabor)::integer, 'index', v_index);
+        end if;
+    end if;
+
+    return jsonb_build_object('own', false, 'stock', v_stock, 'index', v_index);
+end;
+$$;
+
+-- Gravar o novo saldo do sabor onde sabor_stock o encontrou
+create or replace function set_sabor_stock(p_store_id bigint, p_product_id bigint, p_sabor text, p_where jsonb, p_balance integer)
+returns void
+language plpgsql
+as $$
+begin
+    if (p_where->>'own')::boolean then
+        update store_products
+        set stock = jsonb_set(stock, array[p_sabor], to_jsonb(p_balance)),
+            updated_at = now()
+        where store_id = p_store_id and product_id = p_product_id;
+    else
+        update products
+        set sabores = jsonb_set(sabores, array[p_where->>'index', 'quantity'], to_jsonb(p_balance)),
+            version = version + 1
+        where id = p_product_id;
+    end if;
+end;
+$$;
+
+-- take_stock com loja: cada linha pode trazer store_id. Produto de outra loja não existe para ela,
+-- o preço conferido é o da loja (se tiver) e o sabor sai do estoque próprio da loja, se houver.
+create or replace function take_stock(p_lines jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_line jsonb;
+    v_product products%rowtype;
+    v_override store_products%rowtype;
+    v_store_id bigint;
+    v_quantity integer;
+    v_where jsonb;
+    v_stock integer;
+    v_sales jsonb := '[]'::jsonb;
+begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+        v_store_id := (v_line->>'store_id')::bigint;
+
+        -- Bloqueia a linha do produto até o fim da transação
+        select * into v_product
+        from products
+        where id = (v_line->>'product_id')::bigint
+        for update;
+
+        if not found or (v_store_id is not null and v_product.store_id is not null and v_product.store_id <> v_store_id) then
+            raise exception 'PRODUCT_NOT_FOUND:%', v_line->>'product_id';
+        end if;
+
+        v_override := null;
+        if v_store_id is not null then
+            select * into v_override from store_products where store_id = v_store_id and product_id = v_product.id;
+        end if;
+
+        if coalesce(v_product.status, 'active') <> 'active' or v_override.available is false then
+            raise exception 'PRODUCT_INACTIVE:%', v_product.id;
+        end if;
+
+        if coalesce(v_override.price, v_product.price) <> (v_line->>'unit_price')::numeric then
+            raise exception 'PRICE_CHANGED:%', v_product.id;
+        end if;
+
+        v_quantity := (v_line->>'quantity')::integer;
+
+        if v_line->>'sabor' is not null then
+            v_where := sabor_stock(v_store_id, v_product.id, v_line->>'sabor');
+
+            if v_where is null then
+                raise exception 'SABOR_NOT_FOUND:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            v_stock := (v_where->>'stock')::integer;
+
+            if v_stock < v_quantity then
+                raise exception 'OUT_OF_STOCK:%:%', v_product.id, v_line->>'sabor';
+            end if;
+
+            perform set_sabor_stock(v_store_id, v_product.id, v_line->>'sabor', v_where, v_stock - v_quantity);
+
+            v_sales := v_sales || jsonb_build_object(
+                'product_id', v_product.id,
+                'sabor', v_line->>'sabor',
+                'quantity', -v_quantity,
+                'balance', v_stock - v_quantity,
+                'store_id', case when (v_where->>'own')::boolean then v_store_id end
+            );
+        end if;
+    end loop;
+
+    return v_sales;
+end;
+$$;
+
+-- place_order e add_tab_items gravam a loja nas saídas do estoque próprio; o cupom é o da loja do pedido
+create or replace function place_order(p_order jsonb, p_lines jsonb)
+returns setof orders
+language plpgsql
+as $$
+declare
+    v_columns text;
+    v_order orders%rowtype;
+    v_sales jsonb;
+    v_points integer;
+begin
+    v_sales := take_stock(p_lines);
+
+    select string_agg(quote_ident(key), ', ') into v_columns
+    from jsonb_object_keys(p_order) as key;
+
+    execute format(
+        'insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) returning *',
+        v_columns, v_columns
+    ) into v_order using p_order;
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, order_id, store_id)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer, v_order.id,
+           (s->>'store_id')::bigint
+    from jsonb_array_elements(v_sales) as s;
+
+    -- Cupom: conta o uso só se ainda estiver valendo (limite conferido com a linha travada)
+    if v_order.coupon_code is not null then
+        update promotions
+        set usage_count = usage_count + 1,
+            updated_at = now()
+        where type = 'coupon'
+          and store_id = v_order.store_id
+          and code = v_order.coupon_code
+          and active
+          and (starts_at is null or starts_at <= now())
+          and (ends_at is null or ends_at > now())
+          and (usage_limit is null or usage_count < usage_limit);
+
+        if not found then
+            raise exception 'COUPON_UNAVAILABLE:%', v_order.coupon_code;
+        end if;
+    end if;
+
+    -- Resgate de pontos: debita do cliente na mesma transação (sem saldo, nada é gravado)
+    if v_order.customer_id is not null and coalesce(v_order.loyalty_points_redeemed, 0) > 0 then
+        update customers
+        set points = points - v_order.loyalty_points_redeemed,
+            updated_at = now()
+        where id = v_order.customer_id
+          and merged_into is null
+          and points >= v_order.loyalty_points_redeemed
+        returning points into v_points;
+
+        if not found then
+            raise exception 'INSUFFICIENT_POINTS:%', v_order.customer_id;
+        end if;
+
+        insert into loyalty_transactions (customer_id, order_id, type, points, balance, note)
+        values (v_order.customer_id, v_order.id, 'redeem', -v_order.loyalty_points_redeemed, v_points,
+                'Resgate no pedido #' || v_order.id);
+    end if;
+
+    return next v_order;
+end;
+$$;
+
+create or replace function add_tab_items(p_tab_id bigint, p_items jsonb, p_lines jsonb)
+returns setof tabs
+language plpgsql
+as $$
+declare
+    v_tab tabs%rowtype;
+    v_sales jsonb;
+begin
+    select * into v_tab from tabs where id = p_tab_id for update;
+
+    if not found then
+        raise exception 'TAB_NOT_FOUND:%', p_tab_id;
+    end if;
+
+    if v_tab.status <> 'open' then
+        raise exception 'TAB_NOT_OPEN:%', p_tab_id;
+    end if;
+
+    v_sales := take_stock(p_lines);
+
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, tab_id, note, store_id)
+    select (s->>'product_id')::bigint, s->>'sabor', 'sale', (s->>'quantity')::integer, (s->>'balance')::integer,
+           p_tab_id, 'Comanda #' || p_tab_id, (s->>'store_id')::bigint
+    from jsonb_array_elements(v_sales) as s;
+
+    return query
+    update tabs
+    set items = items || p_items,
+        updated_at = now()
+    where id = p_tab_id
+    returning *;
+end;
+$$;
+
+-- Devolução de cancelamento ou estorno volta para o estoque de onde a loja do pedido vende o sabor
+create or replace function apply_order_return(
+    p_order_id bigint,
+    p_expected_updated_at timestamptz,
+    p_updates jsonb,
+    p_restock jsonb,
+    p_refund jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+    v_order orders%rowtype;
+    v_refund order_refunds%rowtype;
+    v_line jsonb;
+    v_where jsonb;
+    v_stock integer;
+    v_quantity integer;
+begin
+    select * into v_order from orders where id = p_order_id for update;
+
+    if not found then
+        raise exception 'ORDER_NOT_FOUND:%', p_order_id;
+    end if;
+
+    if v_order.updated_at is distinct from p_expected_updated_at then
+        raise exception 'ORDER_CHANGED:%', p_order_id;
+    end if;
+
+    update orders set
+        items = coalesce(p_updates->'items', items),
+        status = coalesce(p_updates->>'status', status),
+        status_history = coalesce(p_updates->'status_history', status_history),
+        refunded_amount = coalesce((p_updates->>'refunded_amount')::numeric, refunded_amount),
+        cancelled_amount = coalesce((p_updates->>'cancelled_amount')::numeric, cancelled_amount),
+        cancel_reason = coalesce(p_updates->>'cancel_reason', cancel_reason),
+        cancelled_at = coalesce((p_updates->>'cancelled_at')::timestamptz, cancelled_at),
+        updated_at = (p_updates->>'updated_at')::timestamptz
+    where id = p_order_id
+    returning * into v_order;
+
+    for v_line in select * from jsonb_array_elements(coalesce(p_restock, '[]'::jsonb)) loop
+        perform 1 from products where id = (v_line->>'product_id')::bigint for update;
+
+        -- Produto ou sabor removido do cardápio: não há para onde devolver
+        continue when not found;
+
+        v_where := sabor_stock(v_order.store_id, (v_line->>'product_id')::bigint, v_line->>'sabor');
+        continue when v_where is null;
+
+        v_stock := (v_where->>'stock')::integer;
+        v_quantity := (v_line->>'quantity')::integer;
+
+        perform set_sabor_stock(v_order.store_id, (v_line->>'product_id')::bigint, v_line->>'sabor', v_where, v_stock + v_quantity);
+
+        insert into inventory_movements (product_id, sabor, type, quantity, balance, note, order_id, admin_user_id, store_id)
+        values (
+            (v_line->>'product_id')::bigint,
+            v_line->>'sabor',
+            'return',
+            v_quantity,
+            v_stock + v_quantity,
+            v_line->>'note',
+            p_order_id,
+            (v_line->>'admin_user_id')::bigint,
+            case when (v_where->>'own')::boolean then v_order.store_id end
+        );
+    end loop;
+
+    if p_refund is not null then
+        insert into order_refunds (order_id, amount, items, reason, restock, admin_user_id)
+        values (
+            p_order_id,
+            (p_refund->>'amount')::numeric,
+            coalesce(p_refund->'items', '[]'::jsonb),
+            p_refund->>'reason',
+            coalesce((p_refund->>'restock')::boolean, true),
+            (p_refund->>'admin_user_id')::bigint
+        )
+        returning * into v_refund;
+    end if;
+
+    return jsonb_build_object(
+        'order', to_jsonb(v_order),
+        'refund', case when p_refund is null then null else to_jsonb(v_refund) end
+    );
+end;
+$$;
+
+-- Movimento manual com loja: mexe no estoque próprio dela para o sabor, se houver, senão no compartilhado
+create or replace function record_inventory_movement(p_movement jsonb)
+returns setof inventory_movements
+language plpgsql
+as $$
+declare
+    v_store_id bigint := (p_movement->>'store_id')::bigint;
+    v_where jsonb;
+    v_stock integer;
+    v_delta integer;
+begin
+    perform 1 from products where id = (p_movement->>'product_id')::bigint for update;
+
+    if not found then
+        raise exception 'PRODUCT_NOT_FOUND:%', p_movement->>'product_id';
+    end if;
+
+    v_where := sabor_stock(v_store_id, (p_movement->>'product_id')::bigint, p_movement->>'sabor');
+
+    if v_where is null then
+        raise exception 'SABOR_NOT_FOUND:%:%', p_movement->>'product_id', p_movement->>'sabor';
+    end if;
+
+    v_stock := (v_where->>'stock')::integer;
+
+    if p_movement ? 'set_quantity' then
+        v_delta := (p_movement->>'set_quantity')::integer - v_stock;
+    else
+        v_delta := (p_movement->>'quantity')::integer;
+    end if;
+
+    if v_stock + v_delta < 0 then
+        raise exception 'INSUFFICIENT_STOCK:%:%', p_movement->>'product_id', p_movement->>'sabor';
+    end if;
+
+    perform set_sabor_stock(v_store_id, (p_movement->>'product_id')::bigint, p_movement->>'sabor', v_where, v_stock + v_delta);
+
+    if not (v_where->>'own')::boolean then
+        update products set updated_at = now() where id = (p_movement->>'product_id')::bigint;
+    end if;
+
+    return query
+    insert into inventory_movements (product_id, sabor, type, quantity, balance, note, admin_user_id, store_id)
+    values (
+        (p_movement->>'product_id')::bigint,
+        p_movement->>'sabor',
+        p_movement->>'type',
+        v_delta,
+        v_stock + v_delta,
+        p_movement->>'note',
+        (p_movement->>'admin_user_id')::bigint,
+        case when (v_where->>'own')::boolean then v_store_id end
+    )
+    returning *;
+end;
+$$;
+
+-- Gravar o ajuste de um produto numa loja. Sabores que ganham (ou mudam) saldo próprio entram no
+-- livro de estoque como correção da loja. p_row: { store_id, product_id, price, available, stock }
+create or replace function save_store_product(p_row jsonb, p_admin_user_id bigint)
+returns setof store_products
+language plpgsql
+as $$
+declare
+    v_before store_products%rowtype;
+    v_saved store_products%rowtype;
+    v_sabor text;
+    v_balance integer;
+begin
+    select * into v_before
+    from store_products
+    where store_id = (p_row->>'store_id')::bigint and product_id = (p_row->>'product_id')::bigint
+    for update;
+
+    insert into store_products (store_id, product_id, price, available, stock, updated_at)
+    values (
+        (p_row->>'store_id')::bigint,
+        (p_row->>'product_id')::bigint,
+        (p_row->>'price')::numeric,
+        coalesce((p_row->>'available')::boolean, true),
+        coalesce(p_row->'stock', '{}'::jsonb),
+        now()
+    )
+    on conflict (store_id, product_id) do update
+    set price = excluded.price,
+        available = excluded.available,
+        stock = excluded.stock,
+        updated_at = now()
+    returning * into v_saved;
+
+    for v_sabor, v_balance in select key, value::integer from jsonb_each_text(v_saved.stock) loop
+        continue when v_before.stock is not null and (v_before.stock->>v_sabor)::integer is not distinct from v_balance;
+
+        insert into inventory_movements (product_id, sabor, type, quantity, balance, note, admin_user_id, store_id)
+        values (
+            v_saved.product_id, v_sabor, 'correction',
+            v_balance - coalesce((v_before.stock->>v_sabor)::integer, 0), v_balance,
+            'Estoque próprio da loja', p_admin_user_id, v_saved.store_id
+        );
+    end loop;
+
+    return next v_saved;
+end;
+$$;